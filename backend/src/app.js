@@ -6,11 +6,17 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const documentRoutes = require('./routes/documents');
 const scannedDocumentRoutes = require('./routes/scannedDocuments');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const paymentRoutes = require('./routes/payments');
+const customRuleRoutes = require('./routes/customRules');
+const organizationRoutes = require('./routes/organizations');
+const caseRoutes = require('./routes/cases');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
@@ -69,6 +75,7 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/scanned-documents', scannedDocumentRoutes);
@@ -76,6 +83,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/billing', paymentRoutes);
+app.use('/api/custom-rules', customRuleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/cases', caseRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -1,27 +1,130 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
 const logger = require('../utils/logger');
 
-const auth = async (req, res, next) => {
+// Per-key limit for API key requests; each key has its own budget
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit || apiKeyService.defaultRateLimit,
+  message: { error: 'API key rate limit exceeded, please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => String(req.apiKey._id)
+});
+
+const sendSuspended = (res) => res.status(403).json({
+  error: 'Your account has been suspended. Please contact support.',
+  accountSuspended: true
+});
+
+// Sign in with the X-API-Key header; returns the user, or null once a response has been sent
+const authenticateApiKey = async (req, res, scope) => {
+  if (!scope) {
+    res.status(403).json({
+      error: 'API keys cannot be used for this endpoint.'
+    });
+    return null;
+  }
+
+  const result = await apiKeyService.authenticate(req.header('X-API-Key'), req.ip);
+  if (!result) {
+    res.status(401).json({
+      error: 'Invalid API key.'
+    });
+    return null;
+  }
+
+  if (!result.apiKey.scopes.includes(scope)) {
+    res.status(403).json({
+      error: `This API key does not have the ${scope} scope.`,
+      requiredScope: scope
+    });
+    return null;
+  }
+
+  if (result.user.active === false) {
+    sendSuspended(res);
+    return null;
+  }
+
+  // Keys stop working if the account leaves the Enterprise plan
+  if (!result.user.getTierLimits().apiAccess) {
+    res.status(403).json({
+      error: 'API access requires the Enterprise plan.'
+    });
+    return null;
+  }
+
+  req.apiKey = result.apiKey;
+  return result.user;
+};
+
+// Sign in with a session access token; returns the user, or null once a response has been sent
+const authenticateToken = async (req, res, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    res.status(401).json({ 
+      error: 'Invalid token. User not found.' 
+    });
+    return null;
+  }
+  
+  if (user.active === false) {
+    sendSuspended(res);
+    return null;
+  }
+  
+  if (!(await sessionService.isAccessTokenActive(decoded, user))) {
+    res.status(401).json({ 
+      error: 'Session has been revoked.' 
+    });
+    return null;
+  }
+  
+  req.sessionId = decoded.sid || null;
+  return user;
+};
+
+// Authenticate with a Bearer token, or with an API key on routes that name the scope a key needs
+const authenticate = (scope = null) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
+    const useApiKey = !token && !!req.header('X-API-Key');
     
-    if (!token) {
+    if (!token && !useApiKey) {
       return res.status(401).json({ 
         error: 'Access denied. No token provided.' 
       });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const user = useApiKey
+      ? await authenticateApiKey(req, res, scope)
+      : await authenticateToken(req, res, token);
     
     if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found.' 
+      return;
+    }
+    
+    // Until they enroll, members of organizations that require 2FA can only use their account settings
+    if (!req.originalUrl.startsWith('/api/auth/') && await twoFactorService.isSetupRequired(user)) {
+      return res.status(403).json({
+        error: 'Your organization requires two-factor authentication. Set it up in your profile to continue.',
+        twoFactorSetupRequired: true
       });
     }
     
     req.user = user;
+    
+    if (useApiKey) {
+      return apiKeyLimiter(req, res, next);
+    }
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
@@ -44,6 +147,11 @@ const auth = async (req, res, next) => {
   }
 };
 
+const auth = authenticate();
+
+// Like auth, but also accepts an API key that has the given scope
+const authOrApiKey = (scope) => authenticate(scope);
+
 const requireTier = (requiredTier) => {
   const tierHierarchy = { free: 0, professional: 1, enterprise: 2 };
   
@@ -73,6 +181,42 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Load the user's organization onto req.organization, optionally restricted to certain roles
+const requireOrgRole = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user.organizationId) {
+        return res.status(404).json({
+          error: 'You do not belong to an organization.'
+        });
+      }
+      
+      if (roles.length > 0 && !roles.includes(req.user.organizationRole)) {
+        return res.status(403).json({
+          error: `This action requires organization role: ${roles.join(' or ')}.`,
+          currentRole: req.user.organizationRole
+        });
+      }
+      
+      const organization = await Organization.findById(req.user.organizationId);
+      
+      if (!organization) {
+        return res.status(404).json({
+          error: 'Organization not found.'
+        });
+      }
+      
+      req.organization = organization;
+      next();
+    } catch (error) {
+      logger.error('Organization role check error:', error);
+      res.status(500).json({ 
+        error: 'Error checking organization membership.' 
+      });
+    }
+  };
+};
+
 const checkValidationLimit = async (req, res, next) => {
   try {
     const user = req.user;
@@ -97,9 +241,24 @@ const checkValidationLimit = async (req, res, next) => {
   }
 };
 
+// Optional policy (REQUIRE_EMAIL_VERIFICATION=true): documents can only be validated from verified accounts
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.isVerified || req.user.role === 'admin') {
+    return next();
+  }
+
+  res.status(403).json({
+    error: 'Please verify your email address before validating documents.',
+    emailVerificationRequired: true
+  });
+};
+
 module.exports = {
   auth,
+  authOrApiKey,
   requireTier,
   requireAdmin,
-  checkValidationLimit
+  requireOrgRole,
+  checkValidationLimit,
+  requireVerifiedEmail
 };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['documents:read', 'documents:write', 'reports:read'];
+
+// Programmatic access for Enterprise integrations, sent in the X-API-Key header
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Leading characters of the key, shown so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; the key itself is only returned when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'Grant at least one scope'
+    }
+  },
+  // Requests allowed per minute
+  rateLimit: {
+    type: Number,
+    min: 1,
+    max: 1000
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
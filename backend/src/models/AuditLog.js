@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'user.tier_changed',
+  'user.suspended',
+  'user.reactivated',
+  'user.data_exported',
+  'user.deleted',
+  'document.deleted',
+  'document.downloaded',
+  'report.downloaded',
+  'document.purged',
+  'document.legal_hold_placed',
+  'document.legal_hold_released',
+  'case.legal_hold_placed',
+  'case.legal_hold_released'
+];
+
+const immutableError = () => new Error('Audit log entries are immutable');
+
+// Append-only record of sensitive actions. Each entry's hash covers the previous entry's hash,
+// so editing or removing an entry breaks the chain from that point on.
+const auditLogSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  // Set when the action was made with an API key rather than a signed-in session
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'document', 'case'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable name of the target at the time (email, file name), kept after it is deleted
+  targetLabel: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+// Entries can only be inserted
+auditLogSchema.pre('save', function(next) {
+  next(this.isNew ? null : immutableError());
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { legalHoldSchema } = require('./retentionSchemas');
+
+// Cremation authorization pipeline, in order
+const CASE_STATUSES = ['intake', 'poa_review', 'authorized', 'cremated'];
+
+const caseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Matches Document.caseId on every document filed under the case
+  caseNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  decedent: {
+    firstName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    dateOfBirth: Date
+  },
+  dateOfDeath: {
+    type: Date
+  },
+  nextOfKin: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    relationship: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  }],
+  assignedArranger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'intake'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: CASE_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: {
+    type: String
+  },
+  // Holds every document filed under the case
+  legalHold: {
+    type: legalHoldSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// Case numbers are unique within the organization, or within a user's personal cases
+caseSchema.index(
+  { organizationId: 1, caseNumber: 1 },
+  { unique: true, partialFilterExpression: { organizationId: { $type: 'objectId' } } }
+);
+caseSchema.index(
+  { userId: 1, caseNumber: 1 },
+  { unique: true, partialFilterExpression: { organizationId: { $type: 'null' } } }
+);
+caseSchema.index({ organizationId: 1, status: 1, updatedAt: -1 });
+caseSchema.index({ assignedArranger: 1, status: 1 });
+
+caseSchema.virtual('decedentName').get(function() {
+  return `${this.decedent.firstName} ${this.decedent.lastName}`;
+});
+
+caseSchema.statics.STATUSES = CASE_STATUSES;
+
+// When the case reached its final status, or null while it is still open
+caseSchema.methods.getClosedAt = function() {
+  const finalStatus = CASE_STATUSES[CASE_STATUSES.length - 1];
+  if (this.status !== finalStatus) {
+    return null;
+  }
+
+  const closing = [...this.statusHistory].reverse().find(entry => entry.status === finalStatus);
+  return closing?.changedAt || this.updatedAt;
+};
+
+// Same visibility rules as documents: the organization's cases, or the user's own
+caseSchema.statics.scopeFor = function(user) {
+  if (user.organizationId) {
+    return { organizationId: user.organizationId };
+  }
+  return { userId: user._id, organizationId: null };
+};
+
+module.exports = mongoose.model('Case', caseSchema);
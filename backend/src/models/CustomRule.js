@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const safeRegex = require('safe-regex2');
+
+const RULE_TYPES = ['required_phrase', 'forbidden_phrase', 'regex_extractor', 'min_witnesses'];
+const REGEX_FLAGS = /^[imsu]*$/;
+const MAX_PATTERN_LENGTH = 200;
+
+const isPhraseRule = function() {
+  return this.type === 'required_phrase' || this.type === 'forbidden_phrase';
+};
+
+const customRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Rules created by organization members apply to the whole organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: true
+  },
+  // required_phrase / forbidden_phrase
+  phrase: {
+    type: String,
+    trim: true,
+    required: [isPhraseRule, 'Phrase is required for phrase rules']
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // regex_extractor: the first capture group (or the whole match) is reported as the field value
+  pattern: {
+    type: String,
+    required: [function() { return this.type === 'regex_extractor'; }, 'Pattern is required for regex rules'],
+    maxlength: [MAX_PATTERN_LENGTH, `Pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`],
+    validate: [{
+      validator: function(value) {
+        if (!value) return true;
+        try {
+          new RegExp(value, this.flags || '');
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Pattern is not a valid regular expression'
+    }, {
+      // Nested repetition such as (a+)+ can backtrack for minutes on a long document
+      validator: value => !value || safeRegex(value),
+      message: 'Pattern may take too long to run; avoid nested repetition such as (a+)+'
+    }]
+  },
+  flags: {
+    type: String,
+    default: 'i',
+    match: [REGEX_FLAGS, 'Only the i, m, s and u regex flags are supported']
+  },
+  fieldName: {
+    type: String,
+    trim: true
+  },
+  // min_witnesses
+  minWitnesses: {
+    type: Number,
+    min: 1,
+    max: 10,
+    required: [function() { return this.type === 'min_witnesses'; }, 'Minimum witness count is required']
+  },
+  // Status reported when the rule is not satisfied
+  severity: {
+    type: String,
+    enum: ['fail', 'warning'],
+    default: 'fail'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+customRuleSchema.index({ userId: 1, enabled: 1 });
+customRuleSchema.index({ organizationId: 1, enabled: 1 });
+
+customRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+
+customRuleSchema.statics.scopeFor = function(user) {
+  if (user.organizationId) {
+    return { organizationId: user.organizationId };
+  }
+  return { userId: user._id, organizationId: null };
+};
+
+module.exports = mongoose.model('CustomRule', customRuleSchema);
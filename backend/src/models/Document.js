@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const { legalHoldSchema } = require('./retentionSchemas');
+
+// Checks a reviewer can rule on, and where each automated result lives in validationResults
+const REVIEW_CHECKS = {
+  notary: 'notaryValidation',
+  witness: 'witnessValidation',
+  verbiage: 'verbiageValidation',
+  term: 'termValidation',
+  dates: 'additionalChecks.dateValidation',
+  signatures: 'additionalChecks.signatureValidation'
+};
+
+const reviewDecisionFields = {
+  check: {
+    type: String,
+    enum: Object.keys(REVIEW_CHECKS),
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['confirmed', 'overridden'],
+    required: true
+  },
+  automatedStatus: String,
+  status: {
+    type: String,
+    enum: ['pass', 'fail', 'warning'],
+    required: true
+  },
+  reason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewerName: String,
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
 
 const documentSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +46,12 @@ const documentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for documents uploaded by organization members; shared across the organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   filename: {
     type: String,
     required: function() {
@@ -41,6 +87,13 @@ const documentSchema = new mongoose.Schema({
       enum: ['pass', 'fail', 'warning'],
       default: undefined
     },
+    jurisdiction: String,
+    rulePackVersion: String,
+    // Principal and agents named in the document, used for conflict-of-interest checks
+    parties: {
+      principalName: String,
+      agentNames: [String]
+    },
     notaryValidation: {
       status: {
         type: String,
@@ -50,6 +103,46 @@ const documentSchema = new mongoose.Schema({
       commissionNumber: String,
       commissionExpiry: Date,
       isValid: Boolean,
+      // State registry lookup for the commission number
+      verification: {
+        provider: String,
+        status: {
+          type: String,
+          enum: ['verified', 'not_found', 'inactive', 'expired', 'name_mismatch']
+        },
+        registeredName: String,
+        nameMatchConfidence: Number,
+        commissionExpiry: Date,
+        registryStatus: String,
+        cached: Boolean,
+        checkedAt: Date
+      },
+      citations: [String],
+      // Seal impression found on the acknowledgment page images, read and compared with the certificate
+      seal: {
+        found: Boolean,
+        shape: {
+          type: String,
+          enum: ['rectangle', 'circle']
+        },
+        pageNumber: Number,
+        bbox: {
+          x0: Number,
+          y0: Number,
+          x1: Number,
+          y1: Number
+        },
+        commissionNumber: String,
+        commissionExpiry: Date,
+        commissionNumberMatches: Boolean,
+        commissionExpiryMatches: Boolean
+      },
+      // Notary identified as one of the agents
+      conflicts: [{
+        name: String,
+        agentName: String,
+        similarity: Number
+      }],
       issues: [String]
     },
     witnessValidation: {
@@ -60,6 +153,13 @@ const documentSchema = new mongoose.Schema({
       witnessCount: Number,
       requiredWitnesses: Number,
       witnessNames: [String],
+      citations: [String],
+      // Witnesses identified as one of the agents
+      conflicts: [{
+        name: String,
+        agentName: String,
+        similarity: Number
+      }],
       issues: [String]
     },
     verbiageValidation: {
@@ -77,6 +177,7 @@ const documentSchema = new mongoose.Schema({
         found: Boolean,
         location: String
       }],
+      citations: [String],
       issues: [String]
     },
     additionalChecks: {
@@ -90,10 +191,102 @@ const documentSchema = new mongoose.Schema({
         status: String,
         principalSigned: Boolean,
         agentSigned: Boolean,
+        // Set when signature areas were found on the page images and measured
+        analyzed: Boolean,
+        signatures: [{
+          _id: false,
+          role: {
+            type: String,
+            enum: ['principal', 'witness', 'notary']
+          },
+          label: String,
+          pageNumber: Number,
+          state: {
+            type: String,
+            enum: ['signed', 'blank', 'illegible']
+          },
+          inkDensity: Number,
+          // Fractions of the page, like PII regions
+          bbox: {
+            x0: Number,
+            y0: Number,
+            x1: Number,
+            y1: Number
+          }
+        }],
         issues: [String]
       }
+    },
+    // When the POA's authority starts and ends (termination dates, springing language, revocation)
+    termValidation: {
+      status: {
+        type: String,
+        enum: ['pass', 'fail', 'warning', 'not_checked']
+      },
+      terminationDate: Date,
+      isExpired: Boolean,
+      terminationClauses: [{
+        clause: String,
+        date: Date,
+        location: String
+      }],
+      springing: {
+        detected: Boolean,
+        clause: String,
+        effectiveDate: Date,
+        location: String
+      },
+      revocationClauses: [{
+        type: { type: String },
+        clause: String,
+        location: String
+      }],
+      citations: [String],
+      issues: [String]
+    },
+    // Enterprise custom rules, evaluated after the built-in checks
+    customRuleValidation: {
+      status: {
+        type: String,
+        enum: ['pass', 'fail', 'warning', 'not_checked']
+      },
+      rules: [{
+        ruleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'CustomRule'
+        },
+        name: String,
+        type: { type: String },
+        status: String,
+        message: String,
+        extractedValues: [String]
+      }],
+      issues: [String]
     }
   },
+  // Human review of the automated results; decisions take precedence when computing the overall result
+  review: {
+    humanReviewed: {
+      type: Boolean,
+      default: false
+    },
+    automatedOverall: {
+      type: String,
+      enum: ['pass', 'fail', 'warning']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Current decision per check
+    checks: [reviewDecisionFields],
+    // Every decision ever made, including ones replaced by later reviews or re-validation
+    history: [{
+      ...reviewDecisionFields,
+      previousStatus: String
+    }]
+  },
   extractedText: {
     type: String
   },
@@ -102,6 +295,41 @@ const documentSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // extractedText with detected personal information masked; offsets match extractedText
+  redactedText: {
+    type: String
+  },
+  pii: {
+    detectedAt: Date,
+    // Where personal information was found; values are never stored
+    spans: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['ssn', 'drivers_license', 'routing_number', 'bank_account', 'dob', 'phone']
+      },
+      start: Number,
+      end: Number,
+      pageNumber: Number,
+      // Areas to black out, as fractions of the page width and height
+      regions: [{
+        _id: false,
+        pageNumber: Number,
+        x0: Number,
+        y0: Number,
+        x1: Number,
+        y1: Number
+      }]
+    }]
+  },
+  // Per-page text with character offsets into extractedText
+  pages: [{
+    pageNumber: Number,
+    text: String,
+    confidence: Number,
+    startOffset: Number,
+    endOffset: Number
+  }],
   processingTime: {
     type: Number // in milliseconds
   },
@@ -111,6 +339,9 @@ const documentSchema = new mongoose.Schema({
   caseId: {
     type: String // For funeral home case management integration
   },
+  jurisdiction: {
+    type: String // Rule pack code the document is validated against (e.g. 'CA')
+  },
   tags: [String],
   notes: {
     type: String
@@ -122,6 +353,22 @@ const documentSchema = new mongoose.Schema({
   reportPath: {
     type: String
   },
+  legalHold: {
+    type: legalHoldSchema,
+    default: () => ({})
+  },
+  // Set as the retention policy purges the document. Once the record is purged only a tombstone
+  // (file name, owner, case and dates) is left.
+  retention: {
+    originalPurgedAt: {
+      type: Date,
+      default: null
+    },
+    recordPurgedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Enhanced fields for scanned document support
   source: {
     type: String,
@@ -201,6 +448,26 @@ documentSchema.index({ userId: 1, tags: 1 }); // NEW: Tag filtering
 documentSchema.index({ originalName: 'text', notes: 'text' }); // NEW: Full-text search
 documentSchema.index({ status: 1 }); // Existing: Global status queries
 documentSchema.index({ caseId: 1 }); // Existing: Case queries
+documentSchema.index({ organizationId: 1, createdAt: -1 }); // Organization library
+documentSchema.index({ organizationId: 1, caseId: 1 }); // Shared case IDs
+documentSchema.index({ 'retention.recordPurgedAt': 1, createdAt: 1 }); // Retention purge
+
+// Query filter for the documents a user can see: the organization library for members,
+// otherwise the user's personal documents
+documentSchema.statics.scopeFor = function(user) {
+  if (user.organizationId) {
+    return { organizationId: user.organizationId };
+  }
+  return { userId: user._id, organizationId: null };
+};
+
+// Shared documents may only be deleted by whoever uploaded them or an organization owner or admin
+documentSchema.methods.canBeDeletedBy = function(user) {
+  if (!this.organizationId) {
+    return true;
+  }
+  return this.userId.equals(user._id) || ['owner', 'admin'].includes(user.organizationRole);
+};
 
 // Virtual for validation summary
 documentSchema.virtual('validationSummary').get(function() {
@@ -211,22 +478,18 @@ documentSchema.virtual('validationSummary').get(function() {
   const results = this.validationResults;
   const summary = {
     overall: results.overall,
+    automatedOverall: this.review?.automatedOverall || results.overall,
+    humanReviewed: !!this.review?.humanReviewed,
     passed: 0,
     failed: 0,
     warnings: 0,
     total: 0
   };
   
-  const checks = [
-    results.notaryValidation,
-    results.witnessValidation,
-    results.verbiageValidation
-  ];
-  
-  checks.forEach(check => {
-    if (check && check.status !== 'not_checked') {
+  this.getEffectiveStatuses().forEach(status => {
+    if (status !== 'not_checked') {
       summary.total++;
-      switch (check.status) {
+      switch (status) {
         case 'pass':
           summary.passed++;
           break;
@@ -243,27 +506,74 @@ documentSchema.virtual('validationSummary').get(function() {
   return summary;
 });
 
-// Method to determine overall validation status
-documentSchema.methods.calculateOverallStatus = function() {
-  const results = this.validationResults;
-  
+documentSchema.statics.REVIEW_CHECKS = REVIEW_CHECKS;
+
+// Projection for data exports: raw text and word positions can hold personal information,
+// so redactedText is exported instead
+documentSchema.statics.EXPORT_PROJECTION = '-extractedText -pages -filePath -scannedDocumentData.ocrResults.extractedText -scannedDocumentData.ocrResults.words -scannedDocumentData.ocrResults.lines -pii.spans.regions';
+
+// Automated result for a reviewable check ('dates' -> validationResults.additionalChecks.dateValidation)
+documentSchema.methods.getCheckResult = function(check) {
+  const path = REVIEW_CHECKS[check];
+  if (!path || !this.validationResults) return null;
+  const result = path.split('.').reduce((value, key) => (value ? value[key] : undefined), this.validationResults);
+  // Nested paths always exist on mongoose documents, so only results with a status count
+  return result?.status ? result : null;
+};
+
+// Signatures measured on the page images count towards the overall result
+const getAnalyzedSignatureStatus = (results) => {
+  const signatureValidation = results.additionalChecks?.signatureValidation;
+  return signatureValidation?.analyzed ? signatureValidation.status : undefined;
+};
+
+// Statuses that decide the overall result, with reviewer decisions replacing automated results
+const getEffectiveStatuses = (results, reviewDecisions = []) => {
+  if (!results) return [];
+
+  const reviewed = (check) => reviewDecisions.find(decision => decision.check === check)?.status;
+  return [
+    reviewed('notary') || results.notaryValidation?.status,
+    reviewed('witness') || results.witnessValidation?.status,
+    reviewed('verbiage') || results.verbiageValidation?.status,
+    reviewed('term') || results.termValidation?.status,
+    results.customRuleValidation?.status,
+    // Date checks, and signature checks read from the text alone, are advisory until a reviewer rules on them
+    reviewed('dates'),
+    reviewed('signatures') || getAnalyzedSignatureStatus(results)
+  ].filter(Boolean);
+};
+
+// The one place the overall result is worked out, for fresh validation results and reviewed documents alike
+const calculateOverallStatus = (results, reviewDecisions = []) => {
   if (!results) return 'fail';
-  
-  const statuses = [
-    results.notaryValidation?.status,
-    results.witnessValidation?.status,
-    results.verbiageValidation?.status
-  ].filter(status => status && status !== 'not_checked');
-  
+
+  const statuses = getEffectiveStatuses(results, reviewDecisions).filter(status => status !== 'not_checked');
+
   if (statuses.includes('fail')) {
     return 'fail';
   } else if (statuses.includes('warning')) {
     return 'warning';
-  } else if (statuses.every(status => status === 'pass')) {
+  } else if (statuses.length > 0) {
     return 'pass';
   }
-  
-  return 'fail';
+
+  // Nothing was checked
+  return 'warning';
+};
+
+documentSchema.statics.calculateOverallStatus = calculateOverallStatus;
+
+documentSchema.methods.getReviewDecision = function(check) {
+  return (this.review?.checks || []).find(decision => decision.check === check) || null;
+};
+
+documentSchema.methods.getEffectiveStatuses = function() {
+  return getEffectiveStatuses(this.validationResults, this.review?.checks);
+};
+
+documentSchema.methods.calculateOverallStatus = function() {
+  return calculateOverallStatus(this.validationResults, this.review?.checks);
 };
 
 // Pre-save middleware to calculate overall status
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Admin edits to a built-in email template; deleting the override restores the default files
+const emailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Text body is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
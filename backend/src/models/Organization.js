@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { retentionPolicySchema } = require('./retentionSchemas');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Subscription is shared by every member of the organization
+  tier: {
+    type: String,
+    enum: ['free', 'professional', 'enterprise'],
+    default: 'free'
+  },
+  stripeCustomerId: {
+    type: String
+  },
+  stripeSubscriptionId: {
+    type: String
+  },
+  subscriptionStatus: {
+    type: String,
+    enum: ['active', 'canceled', 'past_due', 'unpaid', 'trialing', null],
+    default: null
+  },
+  subscriptionStartDate: {
+    type: Date
+  },
+  lastPaymentDate: {
+    type: Date
+  },
+  validationsUsedThisMonth: {
+    type: Number,
+    default: 0
+  },
+  usagePeriodStart: {
+    type: Date,
+    default: Date.now
+  },
+  // Members without two-factor authentication can only reach their account settings until they enroll
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Applies to every document in the organization library
+  retentionPolicy: {
+    type: retentionPolicySchema,
+    default: () => ({})
+  },
+  invitations: [invitationSchema]
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ ownerId: 1 });
+organizationSchema.index({ stripeCustomerId: 1 });
+organizationSchema.index({ 'invitations.email': 1, 'invitations.status': 1 });
+organizationSchema.index({ 'retentionPolicy.enabled': 1 });
+
+// Validations used in the current calendar month, resetting the counter when a new month starts
+organizationSchema.methods.getMonthlyUsage = async function() {
+  const now = new Date();
+  const periodStart = new Date(this.usagePeriodStart);
+
+  if (now.getMonth() !== periodStart.getMonth() || now.getFullYear() !== periodStart.getFullYear()) {
+    this.validationsUsedThisMonth = 0;
+    this.usagePeriodStart = now;
+    await this.save();
+  }
+
+  return this.validationsUsedThisMonth;
+};
+
+organizationSchema.methods.getPendingInvitation = function(email) {
+  return this.invitations.find(invitation =>
+    invitation.email === email.toLowerCase() &&
+    invitation.status === 'pending' &&
+    invitation.expiresAt > new Date()
+  );
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
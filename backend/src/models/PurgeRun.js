@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One pass of the retention purge, kept as the admin purge report
+const purgeRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  // Admin who started a manual run
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Scheduled runs claim their period (which check interval they fall in), so each runs in one process only
+  period: {
+    type: Number
+  },
+  finishedAt: {
+    type: Date
+  },
+  counts: {
+    libraries: { type: Number, default: 0 },
+    documentsChecked: { type: Number, default: 0 },
+    originalsPurged: { type: Number, default: 0 },
+    recordsPurged: { type: Number, default: 0 },
+    skippedLegalHold: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // What was purged, up to the report limit; counts are always complete
+  items: [{
+    _id: false,
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    originalName: String,
+    caseId: String,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    purged: { type: String, enum: ['original', 'record'] },
+    purgedAt: Date
+  }],
+  itemsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  failures: [{
+    _id: false,
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    message: String
+  }],
+  errorMessage: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+purgeRunSchema.index({ startedAt: -1 });
+purgeRunSchema.index({ period: 1 }, { unique: true, partialFilterExpression: { period: { $exists: true } } });
+
+module.exports = mongoose.model('PurgeRun', purgeRunSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { retentionPolicySchema } = require('./retentionSchemas');
+
+const TIERS = ['free', 'professional', 'enterprise'];
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -38,13 +43,30 @@ const userSchema = new mongoose.Schema({
   },
   tier: {
     type: String,
-    enum: ['free', 'professional', 'enterprise'],
+    enum: TIERS,
     default: 'free'
   },
+  // The user's own plan while they belong to an organization; restored when they leave
+  personalTier: {
+    type: String,
+    enum: [...TIERS, null],
+    default: null
+  },
   organization: {
     type: String,
     trim: true
   },
+  // Shared funeral home account; tier and usage come from the organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  organizationRole: {
+    type: String,
+    enum: ['owner', 'admin', 'member', null],
+    default: null
+  },
   phone: {
     type: String,
     trim: true
@@ -58,7 +80,55 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   twoFactorSecret: {
-    type: String
+    type: String,
+    select: false
+  },
+  // Secret shown during enrollment, promoted to twoFactorSecret once a code from it is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Last accepted TOTP time step, so a code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [{
+      _id: false,
+      codeHash: { type: String, required: true },
+      usedAt: { type: Date, default: null }
+    }],
+    select: false
+  },
+  // Suspended accounts (active: false) cannot sign in or use existing sessions
+  active: {
+    type: Boolean,
+    default: true
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // Every suspension and reactivation, with the admin who made it
+  statusHistory: [{
+    _id: false,
+    active: { type: Boolean, required: true },
+    reason: { type: String, maxlength: 500 },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Set when every session is revoked; older access tokens without a session id stop working
+  sessionsRevokedAt: {
+    type: Date
   },
   stripeCustomerId: {
     type: String
@@ -102,11 +172,23 @@ const userSchema = new mongoose.Schema({
   onboardingCompleted: {
     type: Boolean,
     default: false
+  },
+  // When the last monthly usage digest was sent
+  lastUsageDigestAt: {
+    type: Date
+  },
+  // Retention for personal documents; organization documents follow the organization's policy
+  retentionPolicy: {
+    type: retentionPolicySchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ organizationId: 1 });
+userSchema.index({ 'retentionPolicy.enabled': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -125,6 +207,67 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Single-purpose account tokens: emailed links and the two-factor login challenge. Each purpose is signed
+// with its own key so the tokens are never accepted as session tokens, and carries a fingerprint of the
+// value it protects so the token stops working once used (verifying a changed email address, or resetting
+// the password a second time).
+const ACCOUNT_TOKENS = {
+  'verify-email': {
+    ttlSeconds: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60,
+    fingerprint: user => user.email
+  },
+  'password-reset': {
+    ttlSeconds: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60,
+    fingerprint: user => user.password
+  },
+  // Second login step after the password was accepted
+  'two-factor': {
+    ttlSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 5 * 60,
+    fingerprint: user => user.password
+  }
+};
+
+const accountTokenKey = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+const accountTokenFingerprint = (user, purpose) => crypto
+  .createHash('sha256')
+  .update(String(ACCOUNT_TOKENS[purpose].fingerprint(user)))
+  .digest('hex')
+  .slice(0, 16);
+
+userSchema.methods.createAccountToken = function(purpose) {
+  return jwt.sign(
+    { id: this._id, fp: accountTokenFingerprint(this, purpose) },
+    accountTokenKey(purpose),
+    { expiresIn: ACCOUNT_TOKENS[purpose].ttlSeconds }
+  );
+};
+
+// Members get the better of the organization's plan and a plan they pay for themselves
+userSchema.statics.effectiveTier = function(organizationTier, personalTier) {
+  return TIERS.indexOf(personalTier) > TIERS.indexOf(organizationTier) ? personalTier : organizationTier;
+};
+
+userSchema.statics.getAccountTokenTtl = function(purpose) {
+  return ACCOUNT_TOKENS[purpose].ttlSeconds;
+};
+
+// The user an account link was issued to, or null when it is invalid, expired or already used
+userSchema.statics.findByAccountToken = async function(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, accountTokenKey(purpose));
+  } catch (error) {
+    return null;
+  }
+
+  const user = await this.findById(decoded.id);
+  if (!user || decoded.fp !== accountTokenFingerprint(user, purpose)) {
+    return null;
+  }
+  return user;
+};
+
 // Check if user can validate documents based on tier limits
 userSchema.methods.canValidate = function() {
   // Admin users always have unlimited validations
@@ -176,6 +319,7 @@ userSchema.methods.getTierLimits = function() {
       advancedReports: true,
       adminPanel: true,
       caseIntegration: true,
+      customRules: true,
       adminPrivileges: true // special flag for admin users
     };
   }
@@ -202,7 +346,8 @@ userSchema.methods.getTierLimits = function() {
       prioritySupport: true,
       advancedReports: true,
       adminPanel: true,
-      caseIntegration: true
+      caseIntegration: true,
+      customRules: true
     }
   };
   
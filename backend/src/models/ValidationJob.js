@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const validationJobSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  jurisdiction: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time a worker may pick the job up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: Date
+  }],
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+validationJobSchema.index({ status: 1, runAt: 1 }); // Worker polling
+validationJobSchema.index({ status: 1, lockedAt: 1 }); // Stale lock sweep
+validationJobSchema.index({ documentId: 1 });
+
+module.exports = mongoose.model('ValidationJob', validationJobSchema);
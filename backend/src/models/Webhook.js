@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['document.completed', 'document.failed', 'document.reviewed'];
+
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Webhooks created by organization members receive events for the whole organization library
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ userId: 1, organizationId: 1 });
+webhookSchema.index({ organizationId: 1, enabled: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+webhookSchema.statics.scopeFor = function(user) {
+  if (user.organizationId) {
+    return { organizationId: user.organizationId };
+  }
+  return { userId: user._id, organizationId: null };
+};
+
+// Webhooks that should hear about a document: its organization's, or its owner's personal ones
+webhookSchema.statics.scopeForDocument = function(document) {
+  if (document.organizationId) {
+    return { organizationId: document.organizationId };
+  }
+  return { userId: document.userId, organizationId: null };
+};
+
+webhookSchema.methods.rotateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  // Exact JSON body that is signed and sent on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  // Earliest time the next attempt may run (used for retry backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastResponseStatus: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  attemptLog: [{
+    attempt: Number,
+    responseStatus: Number,
+    responseExcerpt: String,
+    error: String,
+    duration: Number,
+    attemptedAt: Date
+  }],
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Retry polling
+webhookDeliverySchema.index({ status: 1, lockedAt: 1 }); // Stale lock sweep
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 }); // Delivery log
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// When the retention clock starts for a document
+const RETENTION_START_EVENTS = ['upload', 'case_closed'];
+
+// How long a library keeps documents. Organizations set one for the shared library and
+// users for their personal documents; nothing is purged unless the policy is enabled.
+const retentionPolicySchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // 'case_closed' counts from the document's case reaching its final status; documents not filed
+  // under a case count from upload
+  startFrom: {
+    type: String,
+    enum: RETENTION_START_EVENTS,
+    default: 'upload'
+  },
+  // Original file and all extracted text (null keeps them)
+  originalFileDays: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Validation results, review and notes; a tombstone with the file name and dates is kept (null keeps them)
+  recordDays: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// A document or case under legal hold is never purged or deleted until the hold is released
+const legalHoldSchema = new mongoose.Schema({
+  active: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  placedAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+module.exports = {
+  RETENTION_START_EVENTS,
+  retentionPolicySchema,
+  legalHoldSchema
+};
@@ -1,7 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { auth, requireAdmin } = require('../middleware/auth');
 const User = require('../models/User');
 const Document = require('../models/Document');
+const ValidationJob = require('../models/ValidationJob');
+const EmailTemplate = require('../models/EmailTemplate');
+const AuditLog = require('../models/AuditLog');
+const PurgeRun = require('../models/PurgeRun');
+const validationQueue = require('../services/validationQueue');
+const emailService = require('../services/emailService');
+const emailTemplates = require('../services/emailTemplates');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const retentionService = require('../services/retentionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -111,18 +122,27 @@ router.put('/users/:userId/tier', async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.userId,
-      { tier },
-      { new: true }
-    ).select('-password -twoFactorSecret');
+    const previous = await User.findById(req.params.userId).select('tier');
 
-    if (!user) {
+    if (!previous) {
       return res.status(404).json({
         error: 'User not found'
       });
     }
 
+    const user = await User.findByIdAndUpdate(
+      previous._id,
+      { tier },
+      { new: true }
+    ).select('-password -twoFactorSecret');
+
+    await auditService.record(req, {
+      action: 'user.tier_changed',
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { tier: previous.tier },
+      after: { tier }
+    });
+
     logger.info(`Admin ${req.user.email} updated user ${user.email} tier to ${tier}`);
 
     res.json({
@@ -138,10 +158,10 @@ router.put('/users/:userId/tier', async (req, res) => {
   }
 });
 
-// Suspend/unsuspend user (we'll add an active field to user model)
+// Suspend or reactivate a user, with an optional reason shown to other admins
 router.put('/users/:userId/status', async (req, res) => {
   try {
-    const { active } = req.body;
+    const { active, reason } = req.body;
     
     if (typeof active !== 'boolean') {
       return res.status(400).json({
@@ -149,10 +169,38 @@ router.put('/users/:userId/status', async (req, res) => {
       });
     }
 
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        error: 'Reason must be a string of at most 500 characters'
+      });
+    }
+
+    if (!active && req.params.userId === String(req.user._id)) {
+      return res.status(400).json({
+        error: 'You cannot suspend your own account'
+      });
+    }
+
+    const suspensionReason = active ? null : (reason?.trim() || null);
+    const previous = await User.findById(req.params.userId).select('active suspensionReason');
     const user = await User.findByIdAndUpdate(
       req.params.userId,
-      { active },
-      { new: true }
+      {
+        $set: {
+          active,
+          suspendedAt: active ? null : new Date(),
+          suspensionReason
+        },
+        $push: {
+          statusHistory: {
+            active,
+            reason: reason?.trim() || undefined,
+            changedBy: req.user._id,
+            changedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
     ).select('-password -twoFactorSecret');
 
     if (!user) {
@@ -161,7 +209,19 @@ router.put('/users/:userId/status', async (req, res) => {
       });
     }
 
-    logger.info(`Admin ${req.user.email} ${active ? 'activated' : 'suspended'} user ${user.email}`);
+    // A suspended user is signed out of every device immediately
+    if (!active) {
+      await sessionService.revokeAll(user._id, 'suspended');
+    }
+
+    await auditService.record(req, {
+      action: active ? 'user.reactivated' : 'user.suspended',
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { active: previous?.active !== false, suspensionReason: previous?.suspensionReason || null },
+      after: { active, suspensionReason }
+    });
+
+    logger.info(`Admin ${req.user.email} ${active ? 'activated' : 'suspended'} user ${user.email}${suspensionReason ? `: ${suspensionReason}` : ''}`);
 
     res.json({
       message: `User ${active ? 'activated' : 'suspended'} successfully`,
@@ -297,6 +357,377 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// Get validation queue stats and jobs (defaults to the dead-letter list)
+router.get('/validation-jobs', async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (!['queued', 'running', 'completed', 'dead'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid job status specified'
+      });
+    }
+
+    const [stats, jobs] = await Promise.all([
+      validationQueue.getStats(),
+      ValidationJob.find({ status })
+        .populate('userId', 'firstName lastName email')
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+    ]);
+
+    res.json({ stats, jobs });
+
+  } catch (error) {
+    logger.error('Admin validation jobs error:', error);
+    res.status(500).json({
+      error: 'Error fetching validation jobs'
+    });
+  }
+});
+
+// Retry a dead-lettered validation job
+router.post('/validation-jobs/:jobId/retry', async (req, res) => {
+  try {
+    const job = await validationQueue.retry(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Dead-lettered job not found'
+      });
+    }
+
+    logger.info(`Admin ${req.user.email} retried validation job ${job._id}`);
+
+    res.json({
+      message: 'Validation job requeued successfully',
+      job
+    });
+
+  } catch (error) {
+    logger.error('Admin retry validation job error:', error);
+    res.status(500).json({
+      error: 'Error retrying validation job'
+    });
+  }
+});
+
+// List email templates and whether each has been customized
+router.get('/email-templates', async (req, res) => {
+  try {
+    const overrides = await EmailTemplate.find().select('name updatedAt updatedBy').lean();
+    const overridden = new Map(overrides.map(override => [override.name, override]));
+
+    const templates = emailTemplates.list().map(template => ({
+      ...template,
+      overridden: overridden.has(template.name),
+      updatedAt: overridden.get(template.name)?.updatedAt || null
+    }));
+
+    res.json({ templates });
+
+  } catch (error) {
+    logger.error('Admin email templates error:', error);
+    res.status(500).json({
+      error: 'Error fetching email templates'
+    });
+  }
+});
+
+// Get the template in use, the built-in default and sample data for previews
+router.get('/email-templates/:name', async (req, res) => {
+  try {
+    if (!emailTemplates.exists(req.params.name)) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    const [template, defaults] = await Promise.all([
+      emailTemplates.getTemplate(req.params.name),
+      emailTemplates.getDefault(req.params.name)
+    ]);
+
+    res.json({
+      template,
+      default: defaults,
+      sample: emailTemplates.getSample(req.params.name)
+    });
+
+  } catch (error) {
+    logger.error('Admin get email template error:', error);
+    res.status(500).json({
+      error: 'Error fetching email template'
+    });
+  }
+});
+
+// Customize a template
+router.put('/email-templates/:name', async (req, res) => {
+  try {
+    if (!emailTemplates.exists(req.params.name)) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    const { subject, html, text } = req.body;
+    const missing = Object.entries({ subject, html, text })
+      .filter(([, value]) => typeof value !== 'string' || !value.trim())
+      .map(([field]) => ({ path: field, msg: `${field} is required` }));
+    const details = missing.length ? missing : emailTemplates.validate({ subject, html, text });
+
+    if (details.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details
+      });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { name: req.params.name },
+      { subject, html, text, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    logger.info(`Admin ${req.user.email} updated email template ${req.params.name}`);
+
+    res.json({
+      message: 'Email template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+    logger.error('Admin update email template error:', error);
+    res.status(500).json({
+      error: 'Error updating email template'
+    });
+  }
+});
+
+// Revert a template to the built-in default
+router.delete('/email-templates/:name', async (req, res) => {
+  try {
+    if (!emailTemplates.exists(req.params.name)) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    await EmailTemplate.deleteOne({ name: req.params.name });
+
+    logger.info(`Admin ${req.user.email} reverted email template ${req.params.name}`);
+
+    res.json({
+      message: 'Email template reverted to default'
+    });
+
+  } catch (error) {
+    logger.error('Admin revert email template error:', error);
+    res.status(500).json({
+      error: 'Error reverting email template'
+    });
+  }
+});
+
+// Render a template without sending it; unsaved edits can be previewed by passing subject/html/text
+router.post('/email-templates/:name/preview', async (req, res) => {
+  try {
+    if (!emailTemplates.exists(req.params.name)) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    const current = await emailTemplates.getTemplate(req.params.name);
+    const template = {
+      subject: req.body.subject ?? current.subject,
+      html: req.body.html ?? current.html,
+      text: req.body.text ?? current.text
+    };
+
+    const details = emailTemplates.validate(template);
+    if (details.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details
+      });
+    }
+
+    const data = {
+      ...emailService.getCommonData(),
+      ...emailTemplates.getSample(req.params.name),
+      ...(req.body.data || {})
+    };
+
+    res.json({
+      preview: await emailTemplates.render(req.params.name, data, template)
+    });
+
+  } catch (error) {
+    logger.error('Admin preview email template error:', error);
+    res.status(500).json({
+      error: 'Error previewing email template'
+    });
+  }
+});
+
+// Audit log filters from the query string; returns an error message for invalid values
+const parseAuditFilters = (query) => {
+  const { action, actor, actorId, targetType, targetId, from, to } = query;
+
+  if (action && !AuditLog.ACTIONS.includes(action)) {
+    return { error: `Action must be one of: ${AuditLog.ACTIONS.join(', ')}` };
+  }
+  if (targetType && !['user', 'document'].includes(targetType)) {
+    return { error: 'Target type must be user or document' };
+  }
+  if ([actorId, targetId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid ID format' };
+  }
+  if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+    return { error: 'Invalid date' };
+  }
+
+  return { filters: { action, actor, actorId, targetType, targetId, from, to } };
+};
+
+// Browse the audit log, newest first
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const result = await auditService.list(filters, { page, limit });
+
+    res.json({ ...result, actions: AuditLog.ACTIONS });
+
+  } catch (error) {
+    logger.error('Admin audit log error:', error);
+    res.status(500).json({
+      error: 'Error fetching audit log'
+    });
+  }
+});
+
+// Download matching audit log entries as CSV, oldest first
+router.get('/audit-logs/export', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    await auditService.exportCsv(filters, res);
+    res.end();
+
+    logger.info(`Admin ${req.user.email} exported the audit log`);
+
+  } catch (error) {
+    logger.error('Admin audit log export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Error exporting audit log'
+    });
+  }
+});
+
+// Recompute the hash chain to detect edited or deleted entries
+router.get('/audit-logs/verify', async (req, res) => {
+  try {
+    const result = await auditService.verifyChain();
+
+    if (!result.valid) {
+      logger.error(`Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Admin audit log verify error:', error);
+    res.status(500).json({
+      error: 'Error verifying audit log'
+    });
+  }
+});
+
+// Retention purge runs, newest first, with the documents and cases currently on legal hold
+router.get('/retention/runs', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [result, legalHolds] = await Promise.all([
+      retentionService.listRuns({ page, limit }),
+      retentionService.getHoldCounts()
+    ]);
+
+    res.json({ ...result, legalHolds });
+
+  } catch (error) {
+    logger.error('Admin retention runs error:', error);
+    res.status(500).json({
+      error: 'Error fetching purge reports'
+    });
+  }
+});
+
+// Purge report: what one run purged and what failed
+router.get('/retention/runs/:runId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json({ error: 'Invalid run ID format' });
+    }
+
+    const run = await PurgeRun.findById(req.params.runId).populate('triggeredBy', 'email');
+    if (!run) {
+      return res.status(404).json({ error: 'Purge run not found' });
+    }
+
+    res.json({ run });
+
+  } catch (error) {
+    logger.error('Admin retention run error:', error);
+    res.status(500).json({
+      error: 'Error fetching purge report'
+    });
+  }
+});
+
+// Run the purge now; with dryRun, report what would be purged without changing anything
+router.post('/retention/run', async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const run = await retentionService.runPurge({ trigger: 'manual', triggeredBy: req.user._id, dryRun });
+
+    logger.info(`Admin ${req.user.email} ran the retention purge${dryRun ? ' (dry run)' : ''}`);
+
+    res.status(run.status === 'failed' ? 500 : 200).json({ run, dryRun });
+
+  } catch (error) {
+    logger.error('Admin retention run error:', error);
+    res.status(500).json({
+      error: 'Error running retention purge'
+    });
+  }
+});
+
 // Get system logs (last 100 entries)
 router.get('/logs', async (req, res) => {
   try {
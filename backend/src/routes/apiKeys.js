@@ -0,0 +1,107 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const { auth, requireTier } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// API keys are part of the Enterprise integrations; they are managed from a signed-in session only
+router.use(auth);
+router.use(requireTier('enterprise'));
+
+const serializeKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt
+});
+
+// List active keys and the scopes that can be granted
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user._id);
+
+    res.json({
+      keys: keys.map(serializeKey),
+      scopes: ApiKey.SCOPES,
+      defaultRateLimit: apiKeyService.defaultRateLimit
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Error fetching API keys'
+    });
+  }
+});
+
+// Create a key; the full key is only returned in this response
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (100 characters max)'),
+  body('scopes').isArray({ min: 1 }).withMessage('Grant at least one scope'),
+  body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('rateLimit').optional().isInt({ min: 1, max: 1000 }).toInt().withMessage('Rate limit must be between 1 and 1000 requests per minute'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 3650 }).toInt().withMessage('Expiry must be between 1 and 3650 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user, req.body);
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      apiKey: serializeKey(apiKey),
+      key
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Error creating API key'
+    });
+  }
+});
+
+// Revoke a key; requests using it are refused immediately
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const apiKey = mongoose.Types.ObjectId.isValid(req.params.keyId)
+      ? await apiKeyService.revokeKey(req.user._id, req.params.keyId)
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    logger.info(`API key revoked: ${apiKey.prefix} by user ${req.user.email}`);
+
+    res.json({
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Error revoking API key'
+    });
+  }
+});
+
+module.exports = router;
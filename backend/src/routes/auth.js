@@ -1,18 +1,90 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+// Routes that send email are limited separately so they can't be used to flood an inbox
+const accountEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT) || 5,
+  message: { error: 'Too many email requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
+// Second login step; limited so authentication codes can't be guessed
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TWO_FACTOR_RATE_LIMIT) || 10,
+  message: { error: 'Too many authentication attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
+// Refreshes are limited per client; a normal tab needs one every few minutes
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.REFRESH_RATE_LIMIT) || 60,
+  message: { error: 'Too many refresh attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
+// Start a session: a short-lived access token plus the refresh token that renews it
+const issueSession = async (user, req) => {
+  const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+  return { token: accessToken, refreshToken };
+};
+
+// Suspended accounts are refused at every sign-in step
+const suspendedResponse = (res) => res.status(403).json({
+  error: 'Your account has been suspended. Please contact support.',
+  accountSuspended: true
+});
+
+// Session tokens and profile returned once a user has fully signed in
+const loginResponse = async (user, req) => ({
+  message: 'Login successful',
+  ...(await issueSession(user, req)),
+  user: {
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    tier: user.tier,
+    role: user.role,
+    isVerified: user.isVerified,
+    onboardingCompleted: user.onboardingCompleted,
+    twoFactorEnabled: user.twoFactorEnabled,
+    tierLimits: user.getTierLimits()
+  }
+});
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Email a link to confirm the account's address; never throws
+const sendVerificationEmail = (user) => {
+  const token = user.createAccountToken('verify-email');
+  return emailService.sendEmailVerification(
+    user,
+    `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    User.getAccountTokenTtl('verify-email') / 3600
   );
 };
 
@@ -57,14 +129,16 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Not awaited: registration shouldn't wait on the mail server
+    sendVerificationEmail(user);
+
+    const session = await issueSession(user, req);
 
     logger.info(`New user registered: ${email}`);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...session,
       user: {
         id: user._id,
         email: user.email,
@@ -118,27 +192,26 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Checked after the password so the response doesn't reveal which accounts are suspended
+    if (user.active === false) {
+      logger.warn(`Login attempt for suspended account: ${email}`);
+      return suspendedResponse(res);
+    }
+
+    // Enrolled users finish signing in with an authenticator or recovery code
+    if (user.twoFactorEnabled) {
+      logger.info(`Password accepted, awaiting two-factor code: ${email}`);
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: user.createAccountToken('two-factor')
+      });
+    }
 
     logger.info(`User logged in: ${email}`);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        tier: user.tier,
-        role: user.role,
-        isVerified: user.isVerified,
-        onboardingCompleted: user.onboardingCompleted,
-        twoFactorEnabled: user.twoFactorEnabled,
-        tierLimits: user.getTierLimits()
-      }
-    });
+    res.json(await loginResponse(user, req));
 
   } catch (error) {
     logger.error('Login error:', error);
@@ -148,6 +221,58 @@ router.post('/login', [
   }
 });
 
+// Complete a two-factor login with the challenge token from /login
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByAccountToken(req.body.challengeToken, 'two-factor');
+    if (!user) {
+      return res.status(400).json({
+        error: 'Your sign-in attempt has expired. Please sign in again.',
+        challengeExpired: true
+      });
+    }
+
+    if (user.active === false) {
+      return suspendedResponse(res);
+    }
+
+    const method = await twoFactorService.verify(user._id, req.body.code);
+    if (!method) {
+      logger.warn(`Invalid two-factor code for ${user.email}`);
+      return res.status(400).json({
+        error: 'Invalid authentication code'
+      });
+    }
+
+    logger.info(`User logged in with ${method === 'recovery' ? 'a recovery code' : 'two-factor authentication'}: ${user.email}`);
+
+    const response = await loginResponse(user, req);
+    if (method === 'recovery') {
+      const { twoFactorRecoveryCodes } = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+      response.recoveryCodesRemaining = twoFactorRecoveryCodes.filter(code => !code.usedAt).length;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Server error during login'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/me', auth, async (req, res) => {
   try {
@@ -160,12 +285,16 @@ router.get('/me', auth, async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       organization: user.organization,
+      organizationId: user.organizationId,
+      organizationRole: user.organizationRole,
       phone: user.phone,
       tier: user.tier,
       role: user.role,
       isVerified: user.isVerified,
+      emailVerificationRequired: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
       onboardingCompleted: user.onboardingCompleted,
       twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: await twoFactorService.isSetupRequired(user),
       validationsThisMonth: user.validationsThisMonth,
       preferences: user.preferences,
       tierLimits: limits
@@ -206,6 +335,8 @@ router.put('/profile', [
     const updateData = {};
 
     allowedUpdates.forEach(field => {
+      // Members take their organization name from the shared organization
+      if (field === 'organization' && user.organizationId) return;
       if (updates[field] !== undefined) {
         updateData[field] = updates[field];
       }
@@ -250,18 +381,211 @@ router.post('/onboarding/complete', auth, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', auth, async (req, res) => {
+// Confirm an email address from the emailed link
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
   try {
-    const user = req.user;
-    const token = generateToken(user._id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByAccountToken(req.body.token, 'verify-email');
+    if (!user) {
+      return res.status(400).json({
+        error: 'This verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.isVerified) {
+      await User.findByIdAndUpdate(user._id, { isVerified: true });
+      logger.info(`Email verified: ${user.email}`);
+    }
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Server error verifying email'
+    });
+  }
+});
+
+// Send a new verification link to the signed-in user
+router.post('/verify-email/resend', accountEmailLimiter, auth, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Server error sending verification email'
+    });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account exists.
+router.post('/forgot-password', accountEmailLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = user.createAccountToken('password-reset');
+      await emailService.sendPasswordReset(
+        user,
+        `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+        User.getAccountTokenTtl('password-reset') / 60
+      );
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Server error requesting password reset'
+    });
+  }
+});
+
+// Choose a new password from the emailed link; each link works once
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByAccountToken(req.body.token, 'password-reset');
+    if (!user) {
+      return res.status(400).json({
+        error: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // The link was delivered to this address, which confirms it
+    user.isVerified = true;
+    await user.save();
+
+    // Whoever had access before the reset is signed out everywhere
+    await sessionService.revokeAll(user._id, 'password_changed');
+
+    logger.info(`Password reset: ${user.email}`);
+
+    res.json({
+      message: 'Password reset successfully. You can now sign in with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Server error resetting password'
+    });
+  }
+});
+
+// Change password while signed in; every other session is signed out
+router.put('/password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      return res.status(400).json({
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    const revoked = await sessionService.revokeAll(user._id, 'password_changed', { exceptSessionId: req.sessionId });
+
+    logger.info(`Password changed: ${user.email}`);
 
     res.json({
-      token,
+      message: 'Password changed successfully',
+      sessionsRevoked: revoked
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Server error changing password'
+    });
+  }
+});
+
+// Exchange a refresh token for new tokens; the old refresh token stops working
+router.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { accessToken, refreshToken } = await sessionService.refresh(req.body.refreshToken, req);
+
+    res.json({
+      token: accessToken,
+      refreshToken,
       message: 'Token refreshed successfully'
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Token refresh error:', error);
     res.status(500).json({
       error: 'Server error refreshing token'
@@ -269,4 +593,104 @@ router.post('/refresh', auth, async (req, res) => {
   }
 });
 
+// Sign out; works with an expired access token since only the refresh token is needed
+router.post('/logout', [
+  body('refreshToken').optional().isString()
+], async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      await sessionService.revokeByRefreshToken(req.body.refreshToken);
+    }
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// List the devices the user is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Server error loading sessions'
+    });
+  }
+});
+
+// Sign out every session except the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user._id, 'revoked', { exceptSessionId: req.sessionId });
+
+    res.json({
+      message: revoked === 1 ? 'Signed out of 1 other session' : `Signed out of ${revoked} other sessions`,
+      sessionsRevoked: revoked
+    });
+
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Server error revoking sessions'
+    });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:sessionId', auth, [
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await sessionService.revoke(req.params.sessionId, 'revoked', req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    logger.info(`Session ${session._id} revoked by ${req.user.email}`);
+
+    res.json({
+      message: 'Session signed out',
+      current: String(session._id) === String(req.sessionId)
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Server error revoking session'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+
+const Case = require('../models/Case');
+const Document = require('../models/Document');
+const { auth } = require('../middleware/auth');
+const caseService = require('../services/caseService');
+const retentionService = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const editableFields = ['caseNumber', 'decedent', 'dateOfDeath', 'nextOfKin', 'assignedArranger', 'notes'];
+
+const caseValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('caseNumber').trim().isLength({ min: 1, max: 100 }).withMessage('Case number is required'),
+    field('decedent.firstName').trim().notEmpty().withMessage('Decedent first name is required'),
+    field('decedent.lastName').trim().notEmpty().withMessage('Decedent last name is required'),
+    body('decedent.dateOfBirth').optional({ nullable: true }).isISO8601(),
+    body('dateOfDeath').optional({ nullable: true }).isISO8601().withMessage('Date of death must be a valid date'),
+    body('nextOfKin').optional().isArray(),
+    body('nextOfKin.*.name').trim().notEmpty().withMessage('Next of kin name is required'),
+    body('nextOfKin.*.email').optional({ checkFalsy: true }).isEmail(),
+    body('assignedArranger').optional({ nullable: true }).custom(value => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid arranger ID'),
+    body('notes').optional().isString()
+  ];
+};
+
+const caseIdParam = param('caseId').custom(value => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid case ID format');
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const pickCaseFields = (source) => {
+  const data = {};
+  editableFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+const findCase = (req) => Case.findOne({ _id: req.params.caseId, ...Case.scopeFor(req.user) })
+  .populate('assignedArranger', 'firstName lastName email');
+
+// List cases with their aggregate validation status
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, assignedArranger, search } = req.query;
+    const query = { ...Case.scopeFor(req.user) };
+
+    if (status && status !== 'all') query.status = status;
+    if (assignedArranger === 'me') {
+      query.assignedArranger = req.user._id;
+    } else if (assignedArranger && mongoose.Types.ObjectId.isValid(assignedArranger)) {
+      query.assignedArranger = assignedArranger;
+    }
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [
+        { caseNumber: pattern },
+        { 'decedent.firstName': pattern },
+        { 'decedent.lastName': pattern }
+      ];
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [cases, total] = await Promise.all([
+      Case.find(query)
+        .select('-statusHistory')
+        .populate('assignedArranger', 'firstName lastName email')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      Case.countDocuments(query)
+    ]);
+
+    const summaries = await caseService.getValidationSummaries(req.user, cases.map(caseDoc => caseDoc.caseNumber));
+
+    res.json({
+      cases: cases.map(caseDoc => ({
+        ...caseDoc.toObject({ virtuals: true }),
+        validationSummary: summaries[caseDoc.caseNumber]
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error('Get cases error:', error);
+    res.status(500).json({
+      error: 'Error retrieving cases'
+    });
+  }
+});
+
+// Create a case
+router.post('/', caseValidators(), async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await caseService.createCase(req.user, pickCaseFields(req.body));
+
+    res.status(201).json({
+      message: 'Case created successfully',
+      case: caseDoc
+    });
+  } catch (error) {
+    logger.error('Create case error:', error);
+    sendError(res, error, 'Error creating case');
+  }
+});
+
+// Case details with its documents and aggregate validation status
+router.get('/:caseId', caseIdParam, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    const [documents, validationSummary] = await Promise.all([
+      Document.find({ ...Document.scopeFor(req.user), caseId: caseDoc.caseNumber })
+        .select('_id originalName status createdAt fileSize validationResults.overall jurisdiction tags')
+        .sort({ createdAt: -1 })
+        .lean(),
+      caseService.getValidationSummary(req.user, caseDoc)
+    ]);
+
+    res.json({
+      case: caseDoc.toObject({ virtuals: true }),
+      validationSummary,
+      documents: documents.map(doc => ({
+        _id: doc._id,
+        filename: doc.originalName,
+        status: doc.status,
+        uploadedAt: doc.createdAt,
+        fileSize: doc.fileSize,
+        jurisdiction: doc.jurisdiction,
+        tags: doc.tags || [],
+        validationResult: doc.validationResults?.overall
+      }))
+    });
+  } catch (error) {
+    logger.error('Get case error:', error);
+    res.status(500).json({
+      error: 'Error retrieving case'
+    });
+  }
+});
+
+// Update case details
+router.put('/:caseId', [caseIdParam, ...caseValidators(true)], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    await caseService.updateCase(req.user, caseDoc, pickCaseFields(req.body));
+
+    res.json({
+      message: 'Case updated successfully',
+      case: caseDoc
+    });
+  } catch (error) {
+    logger.error('Update case error:', error);
+    sendError(res, error, 'Error updating case');
+  }
+});
+
+// Advance (or step back) the case status pipeline
+router.put('/:caseId/status', [
+  caseIdParam,
+  body('status').isIn(Case.STATUSES).withMessage(`Status must be one of: ${Case.STATUSES.join(', ')}`),
+  body('note').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    await caseService.changeStatus(req.user, caseDoc, req.body.status, req.body.note);
+
+    res.json({
+      message: `Case moved to ${caseDoc.status}`,
+      case: caseDoc
+    });
+  } catch (error) {
+    logger.error('Update case status error:', error);
+    sendError(res, error, 'Error updating case status');
+  }
+});
+
+// File existing documents under the case
+router.post('/:caseId/documents', [
+  caseIdParam,
+  body('documentIds').isArray({ min: 1 }).withMessage('documentIds must be a non-empty array'),
+  body('documentIds.*').custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    const linked = await caseService.linkDocuments(req.user, caseDoc, req.body.documentIds);
+
+    res.json({
+      message: `${linked} documents added to case ${caseDoc.caseNumber}`,
+      linked
+    });
+  } catch (error) {
+    logger.error('Link case documents error:', error);
+    sendError(res, error, 'Error adding documents to case');
+  }
+});
+
+// Remove a document from the case (the document itself is kept)
+router.delete('/:caseId/documents/:documentId', [
+  caseIdParam,
+  param('documentId').custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    const removed = await caseService.unlinkDocument(req.user, caseDoc, req.params.documentId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Document not found in this case'
+      });
+    }
+
+    res.json({
+      message: 'Document removed from case'
+    });
+  } catch (error) {
+    logger.error('Unlink case document error:', error);
+    sendError(res, error, 'Error removing document from case');
+  }
+});
+
+// Place or release a legal hold on the case and every document filed under it
+router.put('/:caseId/legal-hold', [
+  caseIdParam,
+  body('active').isBoolean().withMessage('active must be boolean').toBoolean(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    const legalHold = await retentionService.setLegalHold(req, caseDoc, req.body);
+
+    res.json({
+      message: legalHold.active ? 'Legal hold placed' : 'Legal hold released',
+      legalHold
+    });
+  } catch (error) {
+    logger.error('Update case legal hold error:', error);
+    sendError(res, error, 'Error updating legal hold');
+  }
+});
+
+// Delete a case
+router.delete('/:caseId', caseIdParam, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const caseDoc = await findCase(req);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        error: 'Case not found'
+      });
+    }
+
+    await caseService.deleteCase(req.user, caseDoc);
+
+    res.json({
+      message: 'Case deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete case error:', error);
+    sendError(res, error, 'Error deleting case');
+  }
+});
+
+module.exports = router;
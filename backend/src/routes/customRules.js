@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+
+const CustomRule = require('../models/CustomRule');
+const { auth, requireTier } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Custom validation rules are an Enterprise feature
+router.use(auth);
+router.use(requireTier('enterprise'));
+
+const editableFields = [
+  'name', 'description', 'type', 'phrase', 'caseSensitive',
+  'pattern', 'flags', 'fieldName', 'minWitnesses', 'severity', 'enabled'
+];
+
+const ruleValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Rule name is required'),
+    field('type').isIn(CustomRule.RULE_TYPES).withMessage(`Type must be one of: ${CustomRule.RULE_TYPES.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('phrase').optional().isString(),
+    body('caseSensitive').optional().isBoolean(),
+    body('pattern').optional().isString(),
+    body('flags').optional().isString(),
+    body('fieldName').optional().trim().isLength({ max: 100 }),
+    body('minWitnesses').optional().isInt({ min: 1, max: 10 }),
+    body('severity').optional().isIn(['fail', 'warning']),
+    body('enabled').optional().isBoolean()
+  ];
+};
+
+const pickRuleFields = (source) => {
+  const data = {};
+  editableFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+const findRule = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+    return null;
+  }
+  return CustomRule.findOne({ _id: req.params.ruleId, ...CustomRule.scopeFor(req.user) });
+};
+
+// Organization rules are shared, so only organization owners and admins may change them
+const requireRuleManager = (req, res, next) => {
+  if (req.user.organizationId && !['owner', 'admin'].includes(req.user.organizationRole)) {
+    return res.status(403).json({
+      error: 'Only organization owners and admins can manage custom rules'
+    });
+  }
+  next();
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+});
+
+// List custom rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await CustomRule.find(CustomRule.scopeFor(req.user)).sort({ createdAt: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    logger.error('Get custom rules error:', error);
+    res.status(500).json({
+      error: 'Error fetching custom rules'
+    });
+  }
+});
+
+// Create a custom rule
+router.post('/', requireRuleManager, ruleValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = new CustomRule({
+      ...pickRuleFields(req.body),
+      userId: req.user._id,
+      organizationId: req.user.organizationId || null
+    });
+    await rule.save();
+
+    logger.info(`Custom rule created: ${rule.name} (${rule.type}) by user ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Custom rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('Create custom rule error:', error);
+    res.status(500).json({
+      error: 'Error creating custom rule'
+    });
+  }
+});
+
+// Get a custom rule
+router.get('/:ruleId', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Custom rule not found'
+      });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error('Get custom rule error:', error);
+    res.status(500).json({
+      error: 'Error fetching custom rule'
+    });
+  }
+});
+
+// Update a custom rule
+router.put('/:ruleId', requireRuleManager, ruleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Custom rule not found'
+      });
+    }
+
+    // Load-modify-save so the type-dependent schema validators see the whole rule
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    logger.info(`Custom rule updated: ${rule.name} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Custom rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('Update custom rule error:', error);
+    res.status(500).json({
+      error: 'Error updating custom rule'
+    });
+  }
+});
+
+// Delete a custom rule
+router.delete('/:ruleId', requireRuleManager, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Custom rule not found'
+      });
+    }
+
+    await CustomRule.findByIdAndDelete(rule._id);
+
+    logger.info(`Custom rule deleted: ${rule.name} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Custom rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete custom rule error:', error);
+    res.status(500).json({
+      error: 'Error deleting custom rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,17 +7,25 @@ const { body, validationResult, param } = require('express-validator');
 const mongoose = require('mongoose');
 
 const Document = require('../models/Document');
-const { auth, checkValidationLimit, requireTier } = require('../middleware/auth');
-const documentValidationService = require('../services/documentValidation');
+const { auth, authOrApiKey, checkValidationLimit, requireTier, requireVerifiedEmail } = require('../middleware/auth');
 const reportService = require('../services/reportGeneration');
 const cacheService = require('../services/cacheService');
 const paymentService = require('../services/paymentService');
+const validationQueue = require('../services/validationQueue');
+const reviewService = require('../services/reviewService');
+const progressService = require('../services/progressService');
+const auditService = require('../services/auditService');
+const encryptionService = require('../services/encryptionService');
+const piiDetection = require('../services/piiDetection');
+const redactionService = require('../services/redactionService');
+const retentionService = require('../services/retentionService');
+const rules = require('../rules');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Configure multer for file uploads; files are encrypted as they are written
+const storage = encryptionService.diskStorage({
   destination: async (req, file, cb) => {
     const uploadPath = path.join(__dirname, '../../uploads');
     try {
@@ -60,6 +68,18 @@ const upload = multer({
   }
 });
 
+// What the audit log keeps about a deleted document
+const auditedDocumentFields = (document) => ({
+  originalName: document.originalName,
+  status: document.status,
+  caseId: document.caseId,
+  ownerId: document.userId,
+  organizationId: document.organizationId,
+  uploadedAt: document.createdAt
+});
+
+const DELETE_FORBIDDEN_MESSAGE = 'Only the uploader or an organization owner or admin can delete this document';
+
 // Multer error handler middleware
 const multerErrorHandler = (error, req, res, next) => {
   if (error instanceof multer.MulterError || error.message === 'Only PDF files are allowed') {
@@ -79,7 +99,8 @@ const multerErrorHandler = (error, req, res, next) => {
 
 // Upload and validate single document
 router.post('/validate', [
-  auth,
+  authOrApiKey('documents:write'),
+  requireVerifiedEmail,
   checkValidationLimit,
   upload.single('document'),
   multerErrorHandler
@@ -108,11 +129,24 @@ router.post('/validate', [
       });
     }
 
-    const { caseId, notes, tags } = req.body;
+    const { caseId, notes, tags, jurisdiction } = req.body;
+
+    const rulePack = jurisdiction ? rules.getRulePack(jurisdiction) : rules.getDefaultRulePack();
+    if (!rulePack) {
+      await fs.unlink(req.file.path).catch(unlinkError => {
+        logger.warn('Failed to cleanup uploaded file:', unlinkError);
+      });
+
+      return res.status(400).json({
+        error: `Unsupported jurisdiction: ${jurisdiction}`,
+        supportedJurisdictions: rules.listRulePacks()
+      });
+    }
 
     // Create document record
     const document = new Document({
       userId: req.user._id,
+      organizationId: req.user.organizationId || null,
       filename: req.file.filename,
       originalName: req.file.originalname,
       fileSize: req.file.size,
@@ -121,6 +155,7 @@ router.post('/validate', [
       caseId: caseId || null,
       notes: notes || '',
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      jurisdiction: rulePack.code,
       status: 'processing'
     });
 
@@ -132,10 +167,10 @@ router.post('/validate', [
     }
 
     // Invalidate user's document cache
-    await cacheService.invalidateUserDocuments(req.user._id);
+    await cacheService.invalidateUserDocuments(req.user.organizationId || req.user._id);
 
-    // Start validation process (async)
-    processDocumentValidation(document._id, req.file.path, req.file.originalname, req.user._id);
+    // Queue validation; a worker picks it up and survives process restarts
+    await validationQueue.enqueue(document);
 
     logger.info(`Document uploaded for validation: ${req.file.originalname} by user ${req.user.email} (usage: ${usageCheck.used + 1}/${usageCheck.limit === -1 ? 'unlimited' : usageCheck.limit})`);
 
@@ -171,7 +206,8 @@ router.post('/validate', [
 
 // Batch upload and validate documents (Professional/Enterprise only)
 router.post('/batch-validate', [
-  auth,
+  authOrApiKey('documents:write'),
+  requireVerifiedEmail,
   requireTier('professional'),
   upload.array('documents', 50)
 ], async (req, res) => {
@@ -182,13 +218,28 @@ router.post('/batch-validate', [
       });
     }
 
-    const { caseId, notes } = req.body;
+    const { caseId, notes, jurisdiction } = req.body;
     const documentIds = [];
 
+    const rulePack = jurisdiction ? rules.getRulePack(jurisdiction) : rules.getDefaultRulePack();
+    if (!rulePack) {
+      for (const file of req.files) {
+        await fs.unlink(file.path).catch(unlinkError => {
+          logger.warn('Failed to cleanup uploaded file:', unlinkError);
+        });
+      }
+
+      return res.status(400).json({
+        error: `Unsupported jurisdiction: ${jurisdiction}`,
+        supportedJurisdictions: rules.listRulePacks()
+      });
+    }
+
     // Create document records for all files
     for (const file of req.files) {
       const document = new Document({
         userId: req.user._id,
+        organizationId: req.user.organizationId || null,
         filename: file.filename,
         originalName: file.originalname,
         fileSize: file.size,
@@ -196,14 +247,15 @@ router.post('/batch-validate', [
         mimeType: file.mimetype,
         caseId: caseId || null,
         notes: notes || '',
+        jurisdiction: rulePack.code,
         status: 'processing'
       });
 
       await document.save();
       documentIds.push(document._id);
 
-      // Start validation process for each document
-      processDocumentValidation(document._id, file.path, file.originalname, req.user._id);
+      // Queue validation for each document
+      await validationQueue.enqueue(document);
     }
 
     logger.info(`Batch upload: ${req.files.length} documents by user ${req.user.email}`);
@@ -234,6 +286,14 @@ router.post('/batch-validate', [
   }
 });
 
+// List supported jurisdictions (validation rule packs)
+router.get('/jurisdictions', authOrApiKey('documents:read'), (req, res) => {
+  res.json({
+    jurisdictions: rules.listRulePacks(),
+    default: rules.getDefaultRulePack().code
+  });
+});
+
 // Get document validation status and results
 router.get('/:documentId', 
   [
@@ -247,7 +307,7 @@ router.get('/:documentId',
         return true;
       })
   ],
-  auth, 
+  authOrApiKey('documents:read'),
   async (req, res) => {
     try {
       // Check validation errors
@@ -261,7 +321,7 @@ router.get('/:documentId',
 
       const document = await Document.findOne({
         _id: req.params.documentId,
-        userId: req.user._id
+        ...Document.scopeFor(req.user)
       });
 
     if (!document) {
@@ -275,13 +335,22 @@ router.get('/:documentId',
       filename: document.originalName,
       status: document.status,
       uploadedAt: document.createdAt,
-      fileSize: document.fileSize
+      fileSize: document.fileSize,
+      jurisdiction: document.jurisdiction,
+      legalHold: document.legalHold?.active ? document.legalHold : null,
+      retention: {
+        originalPurgedAt: document.retention?.originalPurgedAt || null,
+        recordPurgedAt: document.retention?.recordPurgedAt || null
+      }
     };
 
     if (document.status === 'completed') {
       response.validationResults = document.validationResults;
       response.validationSummary = document.validationSummary;
       response.processingTime = document.processingTime;
+      response.pageCount = document.pages?.length || null;
+      response.review = reviewService.getReviewSummary(document);
+      response.pii = piiDetection.summarize(document.pii);
     } else if (document.status === 'failed') {
       response.errorMessage = document.errorMessage;
     }
@@ -297,7 +366,7 @@ router.get('/:documentId',
 });
 
 // Get user's documents with enhanced pagination and filtering
-router.get('/', auth, async (req, res) => {
+router.get('/', authOrApiKey('documents:read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -314,7 +383,7 @@ router.get('/', auth, async (req, res) => {
     const filters = { search, status, tags, sortBy, sortOrder, validationResult };
     
     // Try to get from cache first
-    const cacheKey = `docs:${req.user._id}:${cursor || page}:${JSON.stringify(filters)}`;
+    const cacheKey = `docs:${req.user.organizationId || req.user._id}:${cursor || page}:${JSON.stringify(filters)}`;
     const cached = await cacheService.get(cacheKey);
     
     if (cached) {
@@ -329,7 +398,7 @@ router.get('/', auth, async (req, res) => {
     }
 
     const startTime = Date.now();
-    const query = { userId: req.user._id };
+    const query = { ...Document.scopeFor(req.user) };
     
     // Enhanced filtering
     if (status && status !== 'all') query.status = status;
@@ -363,7 +432,7 @@ router.get('/', auth, async (req, res) => {
       .lean(); // Use lean() for 40-60% performance improvement
 
     // Get total count only when needed (not for cursor-based pagination)
-    const total = cursor ? null : await Document.countDocuments({ userId: req.user._id });
+    const total = cursor ? null : await Document.countDocuments(Document.scopeFor(req.user));
 
     // Calculate next cursor for infinite scroll
     const nextCursor = documents.length === parseInt(limit) && documents.length > 0
@@ -427,7 +496,7 @@ router.get('/:documentId/report',
         return true;
       })
   ],
-  auth, 
+  authOrApiKey('reports:read'),
   async (req, res) => {
     try {
       // Check validation errors
@@ -441,7 +510,7 @@ router.get('/:documentId/report',
 
       const document = await Document.findOne({
         _id: req.params.documentId,
-        userId: req.user._id
+        ...Document.scopeFor(req.user)
       });
 
     if (!document) {
@@ -456,6 +525,12 @@ router.get('/:documentId/report',
       });
     }
 
+    if (document.retention?.recordPurgedAt) {
+      return res.status(410).json({
+        error: 'The validation record was purged under the retention policy'
+      });
+    }
+
     // Generate PDF report
     const reportBuffer = await reportService.generateValidationReport(document);
     
@@ -465,6 +540,11 @@ router.get('/:documentId/report',
       await document.save();
     }
 
+    await auditService.record(req, {
+      action: 'report.downloaded',
+      target: { type: 'document', id: document._id, label: document.originalName }
+    });
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="validation-report-${document.originalName}.pdf"`);
     res.send(reportBuffer);
@@ -477,6 +557,228 @@ router.get('/:documentId/report',
   }
 });
 
+// Validates the :documentId route parameter
+const documentIdParam = param('documentId')
+  .custom(value => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid document ID format');
+
+// Live validation progress as Server-Sent Events; the stream ends once validation is done or has failed
+router.get('/:documentId/progress', [documentIdParam], authOrApiKey('documents:read'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid document ID',
+        details: errors.array()
+      });
+    }
+
+    const scope = { _id: req.params.documentId, ...Document.scopeFor(req.user) };
+    const document = await Document.findOne(scope).select('status validationResults.overall errorMessage');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event) => res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+
+    if (document.status !== 'processing') {
+      send(progressService.describeDocument(document));
+      return res.end();
+    }
+
+    let closed = false;
+    const unsubscribe = progressService.subscribe(document._id, (event) => {
+      send(event);
+      if (progressService.isTerminal(event.stage)) {
+        close();
+      }
+    });
+    // Events from workers in other processes only arrive through Redis; without it the
+    // stored status is what ends the stream, so it is re-read on every heartbeat
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      closeIfFinished().catch(error => logger.error('Document progress status check error:', error));
+    }, progressService.heartbeatInterval);
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+
+    async function closeIfFinished() {
+      const current = await Document.findOne(scope).select('status validationResults.overall errorMessage');
+      if (closed) return null;
+
+      if (!current || current.status !== 'processing') {
+        send(progressService.describeDocument(current || document));
+        close();
+        return null;
+      }
+      return current;
+    }
+
+    req.on('close', close);
+
+    // Validation may have finished between the lookup and the subscription
+    const current = await closeIfFinished();
+    if (!current) return;
+
+    const latest = await progressService.getLatest(document._id);
+    if (closed) return;
+
+    send(latest || progressService.describeDocument(current));
+    if (latest && progressService.isTerminal(latest.stage)) {
+      close();
+    }
+  } catch (error) {
+    logger.error('Document progress error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Error streaming document progress'
+    });
+  }
+});
+
+// Automated vs reviewed outcome of each check, with the full override history
+router.get('/:documentId/review', [documentIdParam], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid document ID',
+        details: errors.array()
+      });
+    }
+
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      ...Document.scopeFor(req.user)
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      review: reviewService.getReviewSummary(document)
+    });
+  } catch (error) {
+    logger.error('Get document review error:', error);
+    res.status(500).json({
+      error: 'Error retrieving document review'
+    });
+  }
+});
+
+// Confirm or override automated checks; the overall result is recomputed
+router.post('/:documentId/review', [
+  documentIdParam,
+  body('checks').isArray({ min: 1 }).withMessage('checks must be a non-empty array'),
+  body('checks.*.check').isIn(Object.keys(Document.REVIEW_CHECKS))
+    .withMessage(`check must be one of: ${Object.keys(Document.REVIEW_CHECKS).join(', ')}`),
+  body('checks.*.decision').isIn(['confirmed', 'overridden']).withMessage('decision must be confirmed or overridden'),
+  body('checks.*.status').optional().isIn(['pass', 'warning', 'fail']).withMessage('status must be pass, warning or fail'),
+  body('checks.*.reason').optional().isString().isLength({ max: 1000 })
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      ...Document.scopeFor(req.user)
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    await reviewService.submitReview(req.user, document, req.body.checks);
+
+    res.json({
+      message: 'Review saved',
+      review: reviewService.getReviewSummary(document),
+      validationSummary: document.validationSummary
+    });
+  } catch (error) {
+    logger.error('Submit document review error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Error saving document review'
+    });
+  }
+});
+
+// Place or release a legal hold; held documents are never purged or deleted
+router.put('/:documentId/legal-hold', [
+  documentIdParam,
+  body('active').isBoolean().withMessage('active must be boolean').toBoolean(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      ...Document.scopeFor(req.user)
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const legalHold = await retentionService.setLegalHold(req, document, req.body);
+
+    res.json({
+      message: legalHold.active ? 'Legal hold placed' : 'Legal hold released',
+      legalHold
+    });
+  } catch (error) {
+    logger.error('Update document legal hold error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Error updating legal hold'
+    });
+  }
+});
+
 // Download original document file
 router.get('/:documentId/download', 
   [
@@ -490,7 +792,7 @@ router.get('/:documentId/download',
         return true;
       })
   ],
-  auth, 
+  authOrApiKey('documents:read'),
   async (req, res) => {
     try {
       // Check validation errors
@@ -504,7 +806,7 @@ router.get('/:documentId/download',
 
       const document = await Document.findOne({
         _id: req.params.documentId,
-        userId: req.user._id
+        ...Document.scopeFor(req.user)
       });
 
     if (!document) {
@@ -513,20 +815,35 @@ router.get('/:documentId/download',
       });
     }
 
-    // Check if file exists
-    const fs = require('fs');
-    if (!fs.existsSync(document.filePath)) {
+    if (document.retention?.originalPurgedAt) {
+      return res.status(410).json({
+        error: 'The original file was purged under the retention policy'
+      });
+    }
+
+    let fileContents;
+    try {
+      fileContents = await encryptionService.readFile(document.filePath);
+    } catch (fileError) {
+      if (fileError.code !== 'ENOENT') {
+        throw fileError;
+      }
       return res.status(404).json({
         error: 'Document file not found on server'
       });
     }
 
+    await auditService.record(req, {
+      action: 'document.downloaded',
+      target: { type: 'document', id: document._id, label: document.originalName }
+    });
+
     // Set headers for file download
     res.setHeader('Content-Type', document.mimeType || 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${document.originalName}"`);
     
-    // Send file
-    res.sendFile(path.resolve(document.filePath));
+    // Send the decrypted file
+    res.send(fileContents);
 
     logger.info(`Document downloaded: ${document.originalName} by user ${req.user.email}`);
 
@@ -538,12 +855,95 @@ router.get('/:documentId/download',
   }
 });
 
+// Download a copy of the original with detected personal information blacked out
+router.get('/:documentId/download/redacted', 
+  [
+    param('documentId')
+      .notEmpty()
+      .withMessage('Document ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid document ID format');
+        }
+        return true;
+      })
+  ],
+  authOrApiKey('documents:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Invalid document ID',
+          details: errors.array()
+        });
+      }
+
+      const document = await Document.findOne({
+        _id: req.params.documentId,
+        ...Document.scopeFor(req.user)
+      });
+
+      if (!document) {
+        return res.status(404).json({
+          error: 'Document not found'
+        });
+      }
+
+      if (document.status !== 'completed') {
+        return res.status(400).json({
+          error: 'Document validation not completed'
+        });
+      }
+
+      if (document.retention?.originalPurgedAt) {
+        return res.status(410).json({
+          error: 'The original file was purged under the retention policy'
+        });
+      }
+
+      let redacted;
+      try {
+        redacted = await redactionService.renderRedacted(document);
+      } catch (renderError) {
+        if (renderError.code !== 'ENOENT') {
+          throw renderError;
+        }
+        return res.status(404).json({
+          error: 'Document file not found on server'
+        });
+      }
+
+      await auditService.record(req, {
+        action: 'document.downloaded',
+        target: { type: 'document', id: document._id, label: document.originalName },
+        metadata: { redacted: true }
+      });
+
+      res.setHeader('Content-Type', redacted.mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename="${redacted.filename}"`);
+      res.send(redacted.buffer);
+
+      logger.info(`Redacted document downloaded: ${document.originalName} by user ${req.user.email}`);
+
+    } catch (error) {
+      logger.error('Download redacted document error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      res.status(500).json({
+        error: 'Error creating redacted document'
+      });
+    }
+  }
+);
+
 // Delete document
-router.delete('/:documentId', auth, async (req, res) => {
+router.delete('/:documentId', authOrApiKey('documents:write'), async (req, res) => {
   try {
     const document = await Document.findOne({
       _id: req.params.documentId,
-      userId: req.user._id
+      ...Document.scopeFor(req.user)
     });
 
     if (!document) {
@@ -552,6 +952,14 @@ router.delete('/:documentId', auth, async (req, res) => {
       });
     }
 
+    if (!document.canBeDeletedBy(req.user)) {
+      return res.status(403).json({
+        error: DELETE_FORBIDDEN_MESSAGE
+      });
+    }
+
+    await retentionService.assertNotHeld(req.user, document);
+
     // Delete file from filesystem
     try {
       await fs.unlink(document.filePath);
@@ -562,9 +970,16 @@ router.delete('/:documentId', auth, async (req, res) => {
 
     // Delete from database
     await Document.findByIdAndDelete(document._id);
+    await validationQueue.removeJobs([document._id]);
+
+    await auditService.record(req, {
+      action: 'document.deleted',
+      target: { type: 'document', id: document._id, label: document.originalName },
+      before: auditedDocumentFields(document)
+    });
 
     // Invalidate user's document cache
-    await cacheService.invalidateUserDocuments(req.user._id);
+    await cacheService.invalidateUserDocuments(req.user.organizationId || req.user._id);
 
     logger.info(`Document deleted: ${document.originalName} by user ${req.user.email}`);
 
@@ -574,6 +989,9 @@ router.delete('/:documentId', auth, async (req, res) => {
 
   } catch (error) {
     logger.error('Delete document error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({
       error: 'Error deleting document'
     });
@@ -581,7 +999,7 @@ router.delete('/:documentId', auth, async (req, res) => {
 });
 
 // Bulk document operations for better scalability
-router.post('/bulk-action', auth, async (req, res) => {
+router.post('/bulk-action', authOrApiKey('documents:write'), async (req, res) => {
   try {
     const { action, documentIds, ...params } = req.body;
     
@@ -594,8 +1012,8 @@ router.post('/bulk-action', auth, async (req, res) => {
     // Validate all document IDs belong to the user
     const validDocuments = await Document.find({
       _id: { $in: documentIds },
-      userId: req.user._id
-    }).select('_id filePath originalName');
+      ...Document.scopeFor(req.user)
+    }).select('_id filePath originalName status caseId userId organizationId createdAt legalHold');
 
     if (validDocuments.length !== documentIds.length) {
       return res.status(403).json({ 
@@ -608,6 +1026,20 @@ router.post('/bulk-action', auth, async (req, res) => {
 
     switch (action) {
       case 'delete':
+        if (!validDocuments.every(doc => doc.canBeDeletedBy(req.user))) {
+          return res.status(403).json({ error: DELETE_FORBIDDEN_MESSAGE });
+        }
+
+        // Nothing is deleted if any of the documents is under legal hold
+        try {
+          for (const doc of validDocuments) {
+            await retentionService.assertNotHeld(req.user, doc);
+          }
+        } catch (holdError) {
+          if (!holdError.statusCode) throw holdError;
+          return res.status(holdError.statusCode).json({ error: holdError.message });
+        }
+
         // Delete files from filesystem first
         for (const doc of validDocuments) {
           try {
@@ -622,13 +1054,23 @@ router.post('/bulk-action', auth, async (req, res) => {
         // Delete from database
         result = await Document.deleteMany({
           _id: { $in: documentIds },
-          userId: req.user._id
+          ...Document.scopeFor(req.user)
         });
+        await validationQueue.removeJobs(validDocuments.map(doc => doc._id));
         
         logger.info(`Bulk delete: ${result.deletedCount} documents by user ${req.user.email}`);
+
+        for (const doc of validDocuments) {
+          await auditService.record(req, {
+            action: 'document.deleted',
+            target: { type: 'document', id: doc._id, label: doc.originalName },
+            before: auditedDocumentFields(doc),
+            metadata: { bulk: true, count: validDocuments.length }
+          });
+        }
         
         // Invalidate user's document cache
-        await cacheService.invalidateUserDocuments(req.user._id);
+        await cacheService.invalidateUserDocuments(req.user.organizationId || req.user._id);
         break;
       
       case 'updateTags':
@@ -643,7 +1085,7 @@ router.post('/bulk-action', auth, async (req, res) => {
           : { $set: { tags } };
           
         result = await Document.updateMany(
-          { _id: { $in: documentIds }, userId: req.user._id },
+          { _id: { $in: documentIds }, ...Document.scopeFor(req.user) },
           updateOperation
         );
         
@@ -658,7 +1100,7 @@ router.post('/bulk-action', auth, async (req, res) => {
         }
         
         result = await Document.updateMany(
-          { _id: { $in: documentIds }, userId: req.user._id },
+          { _id: { $in: documentIds }, ...Document.scopeFor(req.user) },
           { $set: { status, updatedAt: new Date() } }
         );
         
@@ -669,8 +1111,10 @@ router.post('/bulk-action', auth, async (req, res) => {
         // Generate export data for selected documents
         const exportDocs = await Document.find({
           _id: { $in: documentIds },
-          userId: req.user._id
-        }).select('-extractedText -filePath').lean();
+          ...Document.scopeFor(req.user)
+        })
+          .select(Document.EXPORT_PROJECTION)
+          .lean();
         
         result = {
           exportData: exportDocs,
@@ -707,64 +1151,4 @@ router.post('/bulk-action', auth, async (req, res) => {
   }
 });
 
-// Async function to process document validation
-async function processDocumentValidation(documentId, filePath, originalName, userId) {
-  try {
-    const User = require('../models/User');
-    
-    // Perform validation
-    const validationResults = await documentValidationService.validateDocument(filePath, originalName);
-    
-    // Calculate overall status based on individual validation results
-    const calculateOverallStatus = (results) => {
-      const checks = [
-        results.notaryValidation?.status,
-        results.witnessValidation?.status,
-        results.verbiageValidation?.status
-      ];
-      
-      if (checks.includes('fail')) return 'fail';
-      if (checks.includes('warning')) return 'warning';
-      if (checks.every(status => status === 'pass')) return 'pass';
-      return 'warning'; // default for any unhandled cases
-    };
-    
-    validationResults.overall = calculateOverallStatus(validationResults);
-    
-    // Update document with results
-    await Document.findByIdAndUpdate(documentId, {
-      status: 'completed',
-      validationResults,
-      extractedText: validationResults.extractedText,
-      ocrConfidence: validationResults.ocrConfidence,
-      processingTime: validationResults.processingTime
-    });
-
-    // Increment user's validation count
-    const user = await User.findById(userId);
-    if (user) {
-      await user.incrementValidations();
-    }
-
-    // Invalidate user's document cache when validation completes
-    await cacheService.invalidateUserDocuments(userId);
-
-    logger.info(`Document validation completed: ${originalName}`);
-
-    // TODO: Send notification to user if enabled
-    
-  } catch (error) {
-    logger.error(`Document validation failed for ${originalName}:`, error);
-    
-    // Update document with error status
-    await Document.findByIdAndUpdate(documentId, {
-      status: 'failed',
-      errorMessage: error.message
-    });
-    
-    // Invalidate user's document cache when validation fails
-    await cacheService.invalidateUserDocuments(userId);
-  }
-}
-
 module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+
+const { auth, requireOrgRole } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const paymentService = require('../services/paymentService');
+const retentionService = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// Joining only moves personal documents, rules and cases into the shared library when asked to
+const moveLibraryValidator = body('moveLibrary').optional().isBoolean().toBoolean();
+
+// Create an organization with the current user as owner
+router.post('/', [
+  body('name').trim().isLength({ min: 2, max: 200 }).withMessage('Organization name is required'),
+  moveLibraryValidator
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const organization = await organizationService.createOrganization(req.user, req.body.name, {
+      moveLibrary: req.body.moveLibrary === true
+    });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        tier: organization.tier
+      }
+    });
+  } catch (error) {
+    logger.error('Create organization error:', error);
+    sendError(res, error, 'Error creating organization');
+  }
+});
+
+// Pending invitations addressed to the current user
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await organizationService.getInvitationsForUser(req.user);
+
+    res.json({ invitations });
+  } catch (error) {
+    logger.error('Get invitations error:', error);
+    res.status(500).json({
+      error: 'Error fetching invitations'
+    });
+  }
+});
+
+// Accept an invitation
+router.post('/invitations/:invitationId/accept', [moveLibraryValidator], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    const organization = await organizationService.acceptInvitation(req.user, req.params.invitationId, {
+      moveLibrary: req.body.moveLibrary === true
+    });
+
+    res.json({
+      message: `You have joined ${organization.name}`,
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        tier: organization.tier
+      }
+    });
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+    sendError(res, error, 'Error accepting invitation');
+  }
+});
+
+// Current user's organization with members and shared usage
+router.get('/current', requireOrgRole(), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const members = await organizationService.getMembers(organization);
+    const usage = await paymentService.canUserValidate(req.user);
+    const canManage = ['owner', 'admin'].includes(req.user.organizationRole);
+
+    res.json({
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        ownerId: organization.ownerId,
+        tier: organization.tier,
+        subscriptionStatus: organization.subscriptionStatus,
+        requireTwoFactor: organization.requireTwoFactor,
+        createdAt: organization.createdAt
+      },
+      role: req.user.organizationRole,
+      members: members.map(member => ({
+        id: member._id,
+        firstName: member.firstName,
+        lastName: member.lastName,
+        email: member.email,
+        role: member.organizationRole,
+        twoFactorEnabled: member.twoFactorEnabled,
+        joinedAt: member.createdAt
+      })),
+      invitations: canManage
+        ? organization.invitations.filter(invitation => invitation.status === 'pending').map(serializeInvitation)
+        : [],
+      usage
+    });
+  } catch (error) {
+    logger.error('Get organization error:', error);
+    res.status(500).json({
+      error: 'Error fetching organization'
+    });
+  }
+});
+
+// Rename the organization or change its security policy
+router.put('/current', [
+  requireOrgRole('owner', 'admin'),
+  body('name').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Organization name is required'),
+  body('requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { name, requireTwoFactor } = req.body;
+
+    if (requireTwoFactor !== undefined) {
+      await organizationService.setTwoFactorRequirement(req.organization, req.user, requireTwoFactor);
+    }
+
+    if (name !== undefined) {
+      await organizationService.renameOrganization(req.organization, name);
+    }
+
+    res.json({
+      message: 'Organization updated successfully'
+    });
+  } catch (error) {
+    logger.error('Update organization error:', error);
+    sendError(res, error, 'Error updating organization');
+  }
+});
+
+// Retention policy for the organization library
+router.get('/current/retention-policy', requireOrgRole(), (req, res) => {
+  res.json({
+    retentionPolicy: retentionService.serializePolicy(req.organization.retentionPolicy),
+    canEdit: ['owner', 'admin'].includes(req.user.organizationRole)
+  });
+});
+
+router.put('/current/retention-policy', [
+  requireOrgRole('owner', 'admin'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const policy = await retentionService.updatePolicy(req.organization, req.user, req.body);
+
+    res.json({
+      message: 'Retention policy updated',
+      retentionPolicy: retentionService.serializePolicy(policy)
+    });
+  } catch (error) {
+    logger.error('Update organization retention policy error:', error);
+    sendError(res, error, 'Error updating retention policy');
+  }
+});
+
+// Invite a member by email
+router.post('/current/invitations', [
+  requireOrgRole('owner', 'admin'),
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('role').optional().isIn(['admin', 'member'])
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const invitation = await organizationService.inviteMember(req.organization, req.user, req.body);
+
+    res.status(201).json({
+      message: `Invitation sent to ${invitation.email}`,
+      invitation: serializeInvitation(invitation)
+    });
+  } catch (error) {
+    logger.error('Invite member error:', error);
+    sendError(res, error, 'Error sending invitation');
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/current/invitations/:invitationId', requireOrgRole('owner', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await organizationService.revokeInvitation(req.organization, req.params.invitationId);
+
+    res.json({
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    sendError(res, error, 'Error revoking invitation');
+  }
+});
+
+// Change a member's role (owner only)
+router.put('/current/members/:memberId/role', [
+  requireOrgRole('owner'),
+  body('role').isIn(['admin', 'member']).withMessage('Role must be admin or member')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.memberId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const member = await organizationService.updateMemberRole(req.organization, req.params.memberId, req.body.role);
+
+    res.json({
+      message: 'Member role updated',
+      member: {
+        id: member._id,
+        email: member.email,
+        role: member.organizationRole
+      }
+    });
+  } catch (error) {
+    logger.error('Update member role error:', error);
+    sendError(res, error, 'Error updating member role');
+  }
+});
+
+// Remove a member; any member may remove themselves (leave)
+router.delete('/current/members/:memberId', requireOrgRole(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.memberId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const isSelf = req.user._id.equals(req.params.memberId);
+    if (!isSelf && !['owner', 'admin'].includes(req.user.organizationRole)) {
+      return res.status(403).json({
+        error: 'Only organization owners and admins can remove members'
+      });
+    }
+
+    await organizationService.removeMember(req.organization, req.user, req.params.memberId);
+
+    res.json({
+      message: isSelf ? 'You have left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    logger.error('Remove member error:', error);
+    sendError(res, error, 'Error removing member');
+  }
+});
+
+module.exports = router;
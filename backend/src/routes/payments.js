@@ -51,6 +51,14 @@ router.post('/create-checkout-session', auth, async (req, res) => {
       });
     }
 
+    // Organization members share one subscription that only owners and admins manage
+    if (req.user.organizationId && !['owner', 'admin'].includes(req.user.organizationRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization owners and admins can change the subscription'
+      });
+    }
+
     const successUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard?session_id={CHECKOUT_SESSION_ID}&upgrade=success`;
     const cancelUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard?upgrade=canceled`;
 
@@ -58,7 +66,8 @@ router.post('/create-checkout-session', auth, async (req, res) => {
       userId,
       planType,
       successUrl,
-      cancelUrl
+      cancelUrl,
+      req.user.organizationId
     );
 
     res.json({
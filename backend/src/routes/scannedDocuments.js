@@ -2,6 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const { auth } = require('../middleware/auth');
 const imageProcessingService = require('../services/imageProcessingService');
+const encryptionService = require('../services/encryptionService');
+const piiDetection = require('../services/piiDetection');
 const Document = require('../models/Document');
 const logger = require('../utils/logger');
 const rateLimit = require('express-rate-limit');
@@ -109,9 +111,15 @@ router.post('/upload', uploadLimiter, auth, upload.single('document'), (err, req
       });
     }
 
+    // Extracted text is stored encrypted, next to a copy with personal information masked
+    const extractedText = processingResult.textExtraction?.extractedText || '';
+    const encryptedText = await encryptionService.encryptText(extractedText);
+    const { redactedText, pii } = piiDetection.detectInImage(extractedText, processingResult.textExtraction);
+
     // Create document record
     const documentData = {
       userId: req.user._id,
+      organizationId: req.user.organizationId || null,
       originalName: req.file.originalname,
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
@@ -120,7 +128,7 @@ router.post('/upload', uploadLimiter, auth, upload.single('document'), (err, req
       scannedDocumentData: {
         imageQuality: processingResult.imageQuality?.analysis,
         ocrResults: {
-          extractedText: processingResult.textExtraction?.extractedText || '',
+          extractedText: encryptedText,
           confidence: processingResult.textExtraction?.confidence || 0,
           language: processingOptions.ocr.language,
           processingTime: processingResult.textExtraction?.processingTime || 0,
@@ -131,7 +139,9 @@ router.post('/upload', uploadLimiter, auth, upload.single('document'), (err, req
         processingMetadata: processingResult.metadata,
         recommendations: processingResult.imageQuality?.analysis?.recommendations || []
       },
-      extractedText: processingResult.textExtraction?.extractedText || '',
+      extractedText: encryptedText,
+      redactedText,
+      pii,
       processingTime: processingResult.processingTime,
       caseId: req.body.caseId || null,
       notes: req.body.notes || '',
@@ -153,7 +163,8 @@ router.post('/upload', uploadLimiter, auth, upload.single('document'), (err, req
         status: document.status,
         createdAt: document.createdAt,
         processingTime: document.processingTime,
-        extractedTextLength: document.extractedText.length,
+        extractedTextLength: extractedText.length,
+        pii: piiDetection.summarize(pii),
         imageQuality: {
           overallScore: processingResult.imageQuality?.analysis?.overallScore,
           recommendations: documentData.scannedDocumentData.recommendations
@@ -335,7 +346,7 @@ router.get('/:id/details', auth, async (req, res) => {
   try {
     const document = await Document.findOne({
       _id: req.params.id,
-      userId: req.user._id,
+      ...Document.scopeFor(req.user),
       source: 'scanned'
     });
 
@@ -346,6 +357,11 @@ router.get('/:id/details', auth, async (req, res) => {
       });
     }
 
+    const { scannedDocumentData } = document.toObject();
+    if (scannedDocumentData?.ocrResults) {
+      scannedDocumentData.ocrResults.extractedText = await encryptionService.decryptText(scannedDocumentData.ocrResults.extractedText);
+    }
+
     const response = {
       success: true,
       document: {
@@ -356,11 +372,14 @@ router.get('/:id/details', auth, async (req, res) => {
         status: document.status,
         createdAt: document.createdAt,
         updatedAt: document.updatedAt,
-        extractedText: document.extractedText,
+        extractedText: await encryptionService.decryptText(document.extractedText),
+        redactedText: document.redactedText,
+        pii: piiDetection.summarize(document.pii),
         caseId: document.caseId,
         notes: document.notes,
         tags: document.tags,
-        scannedDocumentData: document.scannedDocumentData
+        retention: document.retention,
+        scannedDocumentData
       }
     };
 
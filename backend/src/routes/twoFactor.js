@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const twoFactorService = require('../services/twoFactorService');
+const { auth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const codeValidator = body('code').isString().trim().notEmpty().withMessage('Authentication code is required');
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Two-factor status for the signed-in user
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? user.twoFactorRecoveryCodes.filter(code => !code.usedAt).length
+        : 0,
+      requiredByOrganization: await twoFactorService.isRequiredByOrganization(user)
+    });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Error fetching two-factor status'
+    });
+  }
+});
+
+// Start enrollment: a new secret as a QR code for the authenticator app
+router.post('/setup', async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+    res.json(enrollment);
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Error starting two-factor setup'
+    });
+  }
+});
+
+// Finish enrollment with a code from the app; the recovery codes are only returned here
+router.post('/enable', codeValidator, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.completeEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid authentication code. Check the time on your device and try again.'
+      });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Error enabling two-factor authentication'
+    });
+  }
+});
+
+// Turn off 2FA; needs the password and a current code
+router.post('/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  codeValidator
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await twoFactorService.isRequiredByOrganization(req.user)) {
+      return res.status(403).json({
+        error: 'Your organization requires two-factor authentication'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        error: 'Incorrect password'
+      });
+    }
+
+    if (!(await twoFactorService.verify(user._id, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+
+    logger.info(`Two-factor authentication disabled: ${user.email}`);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Error disabling two-factor authentication'
+    });
+  }
+});
+
+// Replace all recovery codes; the old ones stop working
+router.post('/recovery-codes', codeValidator, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactorService.verify(req.user._id, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    logger.info(`Two-factor recovery codes regenerated: ${req.user.email}`);
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Two-factor recovery codes error:', error);
+    res.status(500).json({
+      error: 'Error generating recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const retentionService = require('../services/retentionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -67,6 +70,32 @@ router.put('/preferences', auth, async (req, res) => {
   }
 });
 
+// Retention policy for the user's personal documents (organization members follow the organization's)
+router.get('/retention-policy', auth, (req, res) => {
+  res.json({
+    retentionPolicy: retentionService.serializePolicy(req.user.retentionPolicy)
+  });
+});
+
+router.put('/retention-policy', auth, async (req, res) => {
+  try {
+    const policy = await retentionService.updatePolicy(req.user, req.user, req.body);
+
+    res.json({
+      message: 'Retention policy updated',
+      retentionPolicy: retentionService.serializePolicy(policy)
+    });
+  } catch (error) {
+    logger.error('Update retention policy error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Server error updating retention policy'
+    });
+  }
+});
+
 // Get user statistics
 router.get('/stats', auth, async (req, res) => {
   try {
@@ -119,4 +148,54 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Download everything held about the user as a zip: profile, account settings, and every
+// document they uploaded with its results, original file and validation report
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    await auditService.record(req, {
+      action: 'user.data_exported',
+      target: { type: 'user', id: req.user._id, label: req.user.email }
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${accountService.getExportFilename()}"`);
+
+    await accountService.writeExport(req.user, res);
+    res.end();
+
+  } catch (error) {
+    logger.error('Account export error:', error);
+    // Once the archive has started the client can only be told by cutting it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Server error exporting account data'
+    });
+  }
+});
+
+// Delete the account and everything held about the user; needs the password
+// (and a current code with two-factor authentication)
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    const result = await accountService.deleteAccount(req, { password, code });
+
+    res.json({
+      message: 'Account deleted',
+      deleted: result
+    });
+
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Server error deleting account'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { assertPublicUrl } = require('../utils/publicUrl');
+const { auth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Webhooks feed case management systems; available on every plan
+router.use(auth);
+
+const editableFields = ['url', 'description', 'events', 'enabled'];
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && process.env.NODE_ENV !== 'production');
+  } catch (error) {
+    return false;
+  }
+};
+
+const webhookValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('url').isString().trim().custom(isHttpUrl)
+      .withMessage(process.env.NODE_ENV === 'production' ? 'A valid https URL is required' : 'A valid http(s) URL is required')
+      .bail()
+      .custom(assertPublicUrl)
+      .withMessage('Webhook URL must resolve to a public address'),
+    field('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(Webhook.EVENTS).withMessage(`Events must be one of: ${Webhook.EVENTS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('enabled').optional().isBoolean()
+  ];
+};
+
+const pickWebhookFields = (source) => {
+  const data = {};
+  editableFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+const findWebhook = (req, withSecret = false) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.webhookId)) {
+    return null;
+  }
+  const lookup = Webhook.findOne({ _id: req.params.webhookId, ...Webhook.scopeFor(req.user) });
+  return withSecret ? lookup.select('+secret') : lookup;
+};
+
+// Organization webhooks are shared, so only organization owners and admins may change them
+const requireWebhookManager = (req, res, next) => {
+  if (req.user.organizationId && !['owner', 'admin'].includes(req.user.organizationRole)) {
+    return res.status(403).json({
+      error: 'Only organization owners and admins can manage webhooks'
+    });
+  }
+  next();
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+});
+
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(Webhook.scopeFor(req.user)).sort({ createdAt: 1 });
+
+    res.json({ webhooks, events: Webhook.EVENTS });
+  } catch (error) {
+    logger.error('Get webhooks error:', error);
+    res.status(500).json({
+      error: 'Error fetching webhooks'
+    });
+  }
+});
+
+// Create a webhook; the signing secret is only returned here and when rotated
+router.post('/', requireWebhookManager, webhookValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const webhook = new Webhook({
+      ...pickWebhookFields(req.body),
+      userId: req.user._id,
+      organizationId: req.user.organizationId || null
+    });
+    await webhook.save();
+
+    logger.info(`Webhook created: ${webhook.url} (${webhook.events.join(', ')}) by user ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('Create webhook error:', error);
+    res.status(500).json({
+      error: 'Error creating webhook'
+    });
+  }
+});
+
+// Get a webhook
+router.get('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({ webhook });
+  } catch (error) {
+    logger.error('Get webhook error:', error);
+    res.status(500).json({
+      error: 'Error fetching webhook'
+    });
+  }
+});
+
+// Update a webhook
+router.put('/:webhookId', requireWebhookManager, webhookValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    webhook.set(pickWebhookFields(req.body));
+    await webhook.save();
+
+    logger.info(`Webhook updated: ${webhook.url} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('Update webhook error:', error);
+    res.status(500).json({
+      error: 'Error updating webhook'
+    });
+  }
+});
+
+// Replace the signing secret
+router.post('/:webhookId/rotate-secret', requireWebhookManager, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, true);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    const secret = webhook.rotateSecret();
+    await webhook.save();
+
+    logger.info(`Webhook secret rotated: ${webhook.url} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      secret
+    });
+  } catch (error) {
+    logger.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Error rotating webhook secret'
+    });
+  }
+});
+
+// Send a 'webhook.test' event and report how the endpoint answered
+router.post('/:webhookId/test', requireWebhookManager, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, true);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    const delivery = await webhookService.sendTest(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event could not be delivered',
+      delivery
+    });
+  } catch (error) {
+    logger.error('Test webhook error:', error);
+    res.status(500).json({
+      error: 'Error sending test event'
+    });
+  }
+});
+
+// Delivery log, newest first
+router.get('/:webhookId/deliveries', [
+  query('status').optional().isIn(['pending', 'delivering', 'succeeded', 'failed']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 50);
+
+    res.json({ deliveries });
+  } catch (error) {
+    logger.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Error fetching webhook deliveries'
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:webhookId', requireWebhookManager, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    await Webhook.findByIdAndDelete(webhook._id);
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    logger.info(`Webhook deleted: ${webhook.url} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete webhook error:', error);
+    res.status(500).json({
+      error: 'Error deleting webhook'
+    });
+  }
+});
+
+module.exports = router;
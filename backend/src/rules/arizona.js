@@ -0,0 +1,68 @@
+// Arizona rule pack. A durable POA must be both witnessed and notarized.
+module.exports = {
+  code: 'AZ',
+  name: 'Arizona',
+  version: '1.0.0',
+  aliases: ['arizona'],
+
+  verbiage: {
+    requiredPhrases: [
+      'power of attorney',
+      'cremation',
+      'disposition of remains',
+      'authorize',
+      'durable power of attorney'
+    ],
+    cremationPhrases: [
+      'cremat',
+      'disposition of remains',
+      'final disposition',
+      'dispose of my remains'
+    ],
+    jurisdictionTerms: ['arizona', 'a.r.s.'],
+    citations: [
+      'A.R.S. § 14-5501 (durable power of attorney)',
+      'A.R.S. § 36-831 (right to control disposition of remains)'
+    ]
+  },
+
+  witnesses: {
+    required: 1,
+    prohibited: [
+      'agent',
+      'attorney-in-fact',
+      'spouse',
+      'child of the agent'
+    ],
+    citations: [
+      'A.R.S. § 14-5501(C) (witness may not be the agent, or the agent\'s spouse or child)'
+    ]
+  },
+
+  term: {
+    citations: [
+      'A.R.S. § 14-5501(A) (power effective on the principal\'s disability)',
+      'A.R.S. § 14-5502 (authority ends on notice of the principal\'s death)'
+    ]
+  },
+
+  identities: {
+    citations: [
+      'A.R.S. § 14-5501(C) (witness may not be the agent)',
+      'A.R.S. § 41-328 (notary may not act with an interest in the transaction)'
+    ]
+  },
+
+  notary: {
+    requireCommissionNumber: true,
+    requireCommissionExpiry: true,
+    requireSeal: true,
+    verificationApi: null,
+    registry: {
+      pathEnv: 'AZ_NOTARY_REGISTRY_PATH'
+    },
+    citations: [
+      'A.R.S. § 14-5501(C) (signature must be notarized)'
+    ]
+  }
+};
@@ -0,0 +1,77 @@
+// California rule pack. Mirrors the checks the validator has always applied.
+module.exports = {
+  code: 'CA',
+  name: 'California',
+  version: '1.0.0',
+  aliases: ['california', 'calif'],
+
+  verbiage: {
+    requiredPhrases: [
+      'power of attorney',
+      'cremation',
+      'disposition of remains',
+      'authorize',
+      'durable power of attorney'
+    ],
+    cremationPhrases: [
+      'cremat',
+      'disposition of remains',
+      'final disposition',
+      'dispose of my remains'
+    ],
+    jurisdictionTerms: ['california', 'ca'],
+    citations: [
+      'Cal. Prob. Code § 4124 (durable power of attorney language)',
+      'Cal. Health & Safety Code § 7100 (right to control disposition of remains)'
+    ]
+  },
+
+  witnesses: {
+    required: 1,
+    prohibited: [
+      'agent',
+      'attorney-in-fact',
+      'spouse',
+      'heir',
+      'beneficiary'
+    ],
+    citations: [
+      'Cal. Prob. Code § 4121 (execution formalities)',
+      'Cal. Prob. Code § 4122 (witness requirements)'
+    ]
+  },
+
+  term: {
+    citations: [
+      'Cal. Prob. Code § 4129 (springing power of attorney)',
+      'Cal. Prob. Code § 4152 (termination of attorney-in-fact\'s authority)',
+      'Cal. Prob. Code § 4153 (revocation of power of attorney)'
+    ]
+  },
+
+  identities: {
+    citations: [
+      'Cal. Prob. Code § 4122 (attorney-in-fact may not act as a witness)',
+      'Cal. Gov. Code § 8224 (notary may not act with an interest in the transaction)'
+    ]
+  },
+
+  notary: {
+    requireCommissionNumber: true,
+    requireCommissionExpiry: true,
+    // Acknowledgments must carry the notary's seal; checked on page images
+    requireSeal: true,
+    verificationApi: {
+      urlEnv: 'CA_NOTARY_API_URL',
+      keyEnv: 'CA_NOTARY_API_KEY'
+    },
+    // Local copy of the Secretary of State bulk download (see `npm run import:notaries`)
+    registry: {
+      pathEnv: 'CA_NOTARY_REGISTRY_PATH'
+    },
+    citations: [
+      'Cal. Civ. Code § 1189 (certificate of acknowledgment)',
+      'Cal. Gov. Code § 8207 (notary seal)'
+    ]
+  }
+};
@@ -0,0 +1,74 @@
+const california = require('./california');
+const nevada = require('./nevada');
+const arizona = require('./arizona');
+
+const DEFAULT_JURISDICTION = process.env.DEFAULT_JURISDICTION || 'CA';
+
+const rulePacks = new Map();
+
+/**
+ * Check that a rule pack has every section the validator reads
+ */
+const assertValidRulePack = (pack) => {
+  const missing = ['code', 'name', 'version', 'verbiage', 'witnesses', 'notary']
+    .filter(key => pack[key] === undefined);
+
+  if (missing.length > 0) {
+    throw new Error(`Invalid rule pack ${pack.code || '(unnamed)'}: missing ${missing.join(', ')}`);
+  }
+
+  if (!Array.isArray(pack.verbiage.requiredPhrases) || !Array.isArray(pack.witnesses.prohibited)) {
+    throw new Error(`Invalid rule pack ${pack.code}: requiredPhrases and prohibited witnesses must be arrays`);
+  }
+
+  if (typeof pack.witnesses.required !== 'number') {
+    throw new Error(`Invalid rule pack ${pack.code}: witnesses.required must be a number`);
+  }
+};
+
+/**
+ * Register a jurisdiction rule pack (replaces any pack with the same code)
+ */
+const registerRulePack = (pack) => {
+  assertValidRulePack(pack);
+  rulePacks.set(pack.code.toUpperCase(), pack);
+  return pack;
+};
+
+/**
+ * Look up a rule pack by code ('CA') or alias ('california'); null when unsupported
+ */
+const getRulePack = (jurisdiction) => {
+  if (!jurisdiction) return null;
+
+  const key = String(jurisdiction).trim();
+  const byCode = rulePacks.get(key.toUpperCase());
+  if (byCode) return byCode;
+
+  const lowerKey = key.toLowerCase();
+  for (const pack of rulePacks.values()) {
+    if ((pack.aliases || []).includes(lowerKey)) {
+      return pack;
+    }
+  }
+
+  return null;
+};
+
+const getDefaultRulePack = () => getRulePack(DEFAULT_JURISDICTION) || california;
+
+const listRulePacks = () => [...rulePacks.values()].map(pack => ({
+  code: pack.code,
+  name: pack.name,
+  version: pack.version
+}));
+
+[california, nevada, arizona].forEach(registerRulePack);
+
+module.exports = {
+  DEFAULT_JURISDICTION,
+  registerRulePack,
+  getRulePack,
+  getDefaultRulePack,
+  listRulePacks
+};
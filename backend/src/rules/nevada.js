@@ -0,0 +1,71 @@
+// Nevada rule pack. A health care POA may be notarized or signed before two witnesses.
+module.exports = {
+  code: 'NV',
+  name: 'Nevada',
+  version: '1.0.0',
+  aliases: ['nevada'],
+
+  verbiage: {
+    requiredPhrases: [
+      'power of attorney',
+      'cremation',
+      'disposition of remains',
+      'authorize'
+    ],
+    cremationPhrases: [
+      'cremat',
+      'disposition of remains',
+      'final disposition',
+      'dispose of my remains',
+      'disposition of my body'
+    ],
+    jurisdictionTerms: ['nevada', 'nrs'],
+    citations: [
+      'NRS 162A.790 (power of attorney for health care)',
+      'NRS 451.024 (right to order disposition of remains)'
+    ]
+  },
+
+  witnesses: {
+    required: 2,
+    requiredWhenNotarized: 0,
+    prohibited: [
+      'agent',
+      'attorney-in-fact',
+      'spouse',
+      'heir',
+      'beneficiary',
+      'provider of health care'
+    ],
+    citations: [
+      'NRS 162A.790 (two witnesses or acknowledgment before a notary public)'
+    ]
+  },
+
+  term: {
+    citations: [
+      'NRS 162A.260 (when power of attorney effective)',
+      'NRS 162A.270 (termination of power of attorney or agent\'s authority)'
+    ]
+  },
+
+  identities: {
+    citations: [
+      'NRS 162A.790 (agent may not act as a witness)',
+      'NRS 240.065 (notary may not act on a document that names or benefits them)'
+    ]
+  },
+
+  notary: {
+    requireCommissionNumber: true,
+    requireCommissionExpiry: true,
+    requireSeal: true,
+    verificationApi: null,
+    registry: {
+      pathEnv: 'NV_NOTARY_REGISTRY_PATH'
+    },
+    citations: [
+      'NRS 162A.220 (acknowledgment before a notary public)'
+    ]
+  }
+};
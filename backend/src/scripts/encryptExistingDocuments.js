@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../models/Document');
+const encryptionService = require('../services/encryptionService');
+
+/**
+ * Encrypt files and extracted text stored before encryption at rest was enabled.
+ * Safe to run more than once: anything already encrypted is left alone.
+ *
+ * Usage: npm run encrypt:documents [-- --dry-run]
+ */
+async function encryptExistingDocuments() {
+  const dryRun = process.argv.includes('--dry-run');
+  const counts = { documents: 0, files: 0, texts: 0, missingFiles: 0, failed: 0 };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cremation-poa-db');
+
+    const cursor = Document.find()
+      .select('filePath extractedText pages scannedDocumentData.ocrResults.extractedText')
+      .lean()
+      .cursor();
+
+    for await (const document of cursor) {
+      counts.documents += 1;
+
+      try {
+        if (document.filePath) {
+          const contents = await fs.readFile(document.filePath).catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+          });
+
+          if (!contents) {
+            counts.missingFiles += 1;
+          } else if (!encryptionService.isEncrypted(contents)) {
+            if (!dryRun) {
+              await encryptionService.encryptFile(document.filePath);
+            }
+            counts.files += 1;
+          }
+        }
+
+        const update = {};
+        if (document.extractedText && !encryptionService.isEncryptedText(document.extractedText)) {
+          update.extractedText = await encryptionService.encryptText(document.extractedText);
+        }
+        if (document.pages?.some(page => page.text && !encryptionService.isEncryptedText(page.text))) {
+          update.pages = await encryptionService.encryptPages(document.pages);
+        }
+        const ocrText = document.scannedDocumentData?.ocrResults?.extractedText;
+        if (ocrText && !encryptionService.isEncryptedText(ocrText)) {
+          update['scannedDocumentData.ocrResults.extractedText'] = await encryptionService.encryptText(ocrText);
+        }
+
+        if (Object.keys(update).length > 0) {
+          if (!dryRun) {
+            await Document.updateOne({ _id: document._id }, { $set: update }, { timestamps: false });
+          }
+          counts.texts += 1;
+        }
+      } catch (error) {
+        counts.failed += 1;
+        console.error(`Error encrypting document ${document._id}:`, error.message);
+      }
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Checked ${counts.documents} documents: encrypted ${counts.files} files and the text of ${counts.texts} documents`);
+    if (counts.missingFiles > 0) {
+      console.log(`${counts.missingFiles} documents point to files that no longer exist`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(counts.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error encrypting existing documents:', error);
+    process.exit(1);
+  }
+}
+
+encryptExistingDocuments();
@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseRegistry } = require('../services/notaryProviders/registryProvider');
+require('dotenv').config();
+
+/**
+ * Normalize a Secretary of State notary bulk download (CSV) into the JSON registry
+ * read by the registry notary provider.
+ *
+ * Usage: npm run import:notaries -- <bulk-download.csv> [output.json]
+ * The output defaults to CA_NOTARY_REGISTRY_PATH.
+ */
+async function importNotaryRegistry() {
+  const [source, destination = process.env.CA_NOTARY_REGISTRY_PATH] = process.argv.slice(2);
+
+  if (!source || !destination) {
+    console.error('Usage: npm run import:notaries -- <bulk-download.csv> [output.json]');
+    console.error('Set CA_NOTARY_REGISTRY_PATH or pass an output path.');
+    process.exit(1);
+  }
+
+  try {
+    const content = await fs.readFile(source, 'utf8');
+    const records = parseRegistry(content, path.extname(source).toLowerCase());
+
+    if (records.length === 0) {
+      console.error(`No notary records found in ${source}. Check that it has commission number and name columns.`);
+      process.exit(1);
+    }
+
+    await fs.mkdir(path.dirname(path.resolve(destination)), { recursive: true });
+    await fs.writeFile(destination, JSON.stringify({
+      importedAt: new Date().toISOString(),
+      source: path.basename(source),
+      records
+    }));
+
+    console.log(`Imported ${records.length} notary commissions into ${destination}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing notary registry:', error);
+    process.exit(1);
+  }
+}
+
+importNotaryRegistry();
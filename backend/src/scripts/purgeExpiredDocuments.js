@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const retentionService = require('../services/retentionService');
+
+/**
+ * Run the retention purge now instead of waiting for the scheduler.
+ * With --dry-run, lists what would be purged without changing anything.
+ *
+ * Usage: npm run purge:documents [-- --dry-run]
+ */
+async function purgeExpiredDocuments() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cremation-poa-db');
+
+    const run = await retentionService.runPurge({ trigger: 'manual', dryRun });
+    const { libraries, documentsChecked, originalsPurged, recordsPurged, skippedLegalHold, failed } = run.counts;
+
+    if (dryRun) {
+      run.items.forEach(item => console.log(`[dry run] would purge ${item.purged}: ${item.documentId} ${item.originalName}`));
+    }
+    console.log(`${dryRun ? '[dry run] ' : ''}Checked ${documentsChecked} documents in ${libraries} libraries: ${originalsPurged} originals and ${recordsPurged} records purged, ${skippedLegalHold} on legal hold, ${failed} failed`);
+    if (run.status === 'failed') {
+      console.error(`Purge failed: ${run.errorMessage}`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(run.status === 'failed' || failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error purging expired documents:', error);
+    process.exit(1);
+  }
+}
+
+purgeExpiredDocuments();
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const emailService = require('../services/emailService');
+
+/**
+ * Send last month's usage digests now instead of waiting for the scheduler.
+ * Users who already received this month's digest are skipped.
+ *
+ * Usage: npm run send:digests
+ */
+async function sendUsageDigests() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cremation-poa-db');
+
+    const sent = await emailService.sendMonthlyDigests();
+
+    console.log(`Sent ${sent} usage digest(s)`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error sending usage digests:', error);
+    process.exit(1);
+  }
+}
+
+sendUsageDigests();
@@ -2,12 +2,24 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const app = require('./app');
+const validationQueue = require('./services/validationQueue');
+const webhookService = require('./services/webhookService');
+const emailService = require('./services/emailService');
+const retentionService = require('./services/retentionService');
 const logger = require('./utils/logger');
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cremation-poa-db')
   .then(() => {
     logger.info('Connected to MongoDB');
+
+    // Run validation workers in the API process unless dedicated workers are deployed
+    if (process.env.NODE_ENV !== 'test' && process.env.VALIDATION_WORKERS_ENABLED !== 'false') {
+      validationQueue.start();
+      webhookService.start();
+      emailService.startDigestScheduler();
+      retentionService.startScheduler();
+    }
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const moment = require('moment');
+const ApiKey = require('../models/ApiKey');
+const Case = require('../models/Case');
+const CustomRule = require('../models/CustomRule');
+const Document = require('../models/Document');
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ValidationJob = require('../models/ValidationJob');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+const encryptionService = require('./encryptionService');
+const paymentService = require('./paymentService');
+const reportService = require('./reportGeneration');
+const twoFactorService = require('./twoFactorService');
+const ZipWriter = require('../utils/zipWriter');
+const logger = require('../utils/logger');
+
+const PROFILE_FIELDS = [
+  'email', 'firstName', 'lastName', 'phone', 'organization', 'organizationId', 'organizationRole', 'role',
+  'tier', 'isVerified', 'twoFactorEnabled', 'twoFactorEnabledAt', 'active', 'suspendedAt', 'suspensionReason',
+  'statusHistory', 'stripeCustomerId', 'stripeSubscriptionId', 'subscriptionStatus', 'subscriptionStartDate',
+  'lastPaymentDate', 'validationsThisMonth', 'preferences', 'retentionPolicy', 'onboardingCompleted',
+  'createdAt', 'updatedAt'
+];
+
+const accountError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// File names inside the archive; the original name can contain anything
+const safeFileName = (name, fallback) => {
+  const cleaned = String(name || '').replace(/[/\\:*?"<>|\x00-\x1f]/g, '_').trim();
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : fallback;
+};
+
+/**
+ * Everything held about a user: the full data export and account deletion
+ */
+class AccountService {
+  getExportFilename(now = new Date()) {
+    return `saygoodbye-export-${moment(now).format('YYYY-MM-DD')}.zip`;
+  }
+
+  /**
+   * Stream a zip of the user's profile, account settings and every document they uploaded
+   * (metadata and results, the original file and the validation report) to output
+   */
+  async writeExport(user, output) {
+    const zip = new ZipWriter(output);
+    const exportedAt = new Date();
+
+    const profile = await User.findById(user._id).select(PROFILE_FIELDS.join(' ')).lean();
+    await zip.addFile('profile.json', toJson({ exportedAt, profile }));
+
+    const [cases, customRules, webhooks, apiKeys, sessions] = await Promise.all([
+      Case.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      CustomRule.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      Webhook.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      ApiKey.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      Session.find({ userId: user._id }).sort({ createdAt: 1 }).lean()
+    ]);
+    await zip.addFile('cases.json', toJson(cases));
+    await zip.addFile('custom-rules.json', toJson(customRules));
+    await zip.addFile('webhooks.json', toJson(webhooks));
+    await zip.addFile('api-keys.json', toJson(apiKeys));
+    await zip.addFile('sessions.json', toJson(sessions));
+
+    const index = [];
+    const cursor = Document.find({ userId: user._id }).sort({ createdAt: 1 }).cursor();
+
+    for await (const document of cursor) {
+      if (zip.closed) break;
+      index.push(await this.addDocument(zip, document));
+    }
+
+    // Leaving the loop early also closes the cursor
+    if (zip.closed) {
+      logger.info(`Account export for user ${user.email} stopped after ${index.length} documents: the client disconnected`);
+      return { documents: index.length, completed: false };
+    }
+
+    await zip.addFile('documents.json', toJson(index));
+    await zip.finalize();
+
+    logger.info(`Account export: ${index.length} documents for user ${user.email}`);
+    return { documents: index.length, completed: true };
+  }
+
+  /**
+   * Add one document's folder to the archive and return its entry for documents.json
+   */
+  async addDocument(zip, document) {
+    const folder = `documents/${document._id}`;
+    const entry = {
+      id: document._id,
+      originalName: document.originalName,
+      status: document.status,
+      uploadedAt: document.createdAt,
+      files: [],
+      notes: []
+    };
+
+    const metadata = await Document.findById(document._id).select(Document.EXPORT_PROJECTION).lean();
+    await zip.addFile(`${folder}/metadata.json`, toJson(metadata));
+    entry.files.push(`${folder}/metadata.json`);
+
+    if (document.retention?.originalPurgedAt) {
+      entry.notes.push('The original file was purged under the retention policy');
+    } else {
+      try {
+        const fileName = `${folder}/${safeFileName(document.originalName, 'original')}`;
+        // Images and PDFs are already compressed
+        await zip.addFile(fileName, await encryptionService.readFile(document.filePath), {
+          date: document.createdAt,
+          compress: false
+        });
+        entry.files.push(fileName);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Account export: could not read ${document._id}:`, error);
+        }
+        entry.notes.push('The original file could not be read');
+      }
+    }
+
+    if (document.status === 'completed' && !document.retention?.recordPurgedAt) {
+      try {
+        const report = await reportService.generateValidationReport(document);
+        await zip.addFile(`${folder}/validation-report.pdf`, report);
+        entry.files.push(`${folder}/validation-report.pdf`);
+      } catch (error) {
+        logger.error(`Account export: could not generate report for ${document._id}:`, error);
+        entry.notes.push('The validation report could not be generated');
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Confirm the password (and a current code with two-factor authentication) before deletion
+   */
+  async verifyIdentity(user, { password, code }) {
+    const account = await User.findById(user._id);
+    if (!password || !(await account.comparePassword(password))) {
+      throw accountError('Incorrect password', 400);
+    }
+    if (account.twoFactorEnabled && !(await twoFactorService.verify(account._id, code))) {
+      throw accountError('Invalid authentication code', 400);
+    }
+    return account;
+  }
+
+  /**
+   * The organization deleted along with the account: only when the owner is its last member.
+   * Members' uploads stay with their organization, as when they leave it.
+   */
+  async getOrganizationToDelete(user) {
+    if (!user.organizationId || user.organizationRole !== 'owner') {
+      return null;
+    }
+
+    const otherMembers = await User.countDocuments({ organizationId: user.organizationId, _id: { $ne: user._id } });
+    if (otherMembers > 0) {
+      throw accountError('Remove the other members of your organization before deleting your account', 409);
+    }
+
+    return Organization.findById(user.organizationId);
+  }
+
+  /**
+   * Delete the account with its personal documents and files, cases, rules, webhooks, API keys
+   * and sessions, and the Stripe customer. The audit log keeps a record of the deletion.
+   */
+  async deleteAccount(req, credentials) {
+    const account = await this.verifyIdentity(req.user, credentials);
+    const organization = await this.getOrganizationToDelete(account);
+
+    const scopes = [{ userId: account._id, organizationId: null }];
+    if (organization) {
+      scopes.push({ organizationId: organization._id });
+    }
+    const owned = { $or: scopes };
+
+    const [heldDocument, heldCase] = await Promise.all([
+      Document.exists({ ...owned, 'legalHold.active': true }),
+      Case.exists({ ...owned, 'legalHold.active': true })
+    ]);
+    if (heldDocument || heldCase) {
+      throw accountError('Some of your documents are under legal hold and cannot be deleted until the hold is released', 409);
+    }
+
+    // Stripe first, so a failure there leaves the account intact
+    const stripeCustomersDeleted = [];
+    for (const customerId of [account.stripeCustomerId, organization?.stripeCustomerId]) {
+      if (customerId && await paymentService.deleteCustomer(customerId)) {
+        stripeCustomersDeleted.push(customerId);
+      }
+    }
+
+    const documents = await Document.find(owned).select('_id filePath').lean();
+    for (const document of documents) {
+      await this.removeFile(document.filePath);
+    }
+
+    const documentIds = documents.map(document => document._id);
+    const webhookIds = await Webhook.find(owned).distinct('_id');
+
+    const [deletedDocuments, deletedCases] = await Promise.all([
+      Document.deleteMany({ _id: { $in: documentIds } }),
+      Case.deleteMany(owned),
+      CustomRule.deleteMany(owned),
+      Webhook.deleteMany({ _id: { $in: webhookIds } }),
+      WebhookDelivery.deleteMany({ webhookId: { $in: webhookIds } }),
+      ValidationJob.deleteMany({ $or: [{ userId: account._id }, { documentId: { $in: documentIds } }] }),
+      ApiKey.deleteMany({ userId: account._id }),
+      Session.deleteMany({ userId: account._id })
+    ]);
+
+    await auditService.record(req, {
+      action: 'user.deleted',
+      target: { type: 'user', id: account._id, label: account.email },
+      before: {
+        email: account.email,
+        tier: account.tier,
+        organizationId: account.organizationId,
+        organizationRole: account.organizationRole
+      },
+      metadata: {
+        documents: deletedDocuments.deletedCount,
+        cases: deletedCases.deletedCount,
+        organizationDeleted: Boolean(organization),
+        stripeCustomerDeleted: stripeCustomersDeleted.length > 0
+      }
+    });
+
+    if (organization) {
+      await Organization.deleteOne({ _id: organization._id });
+      await cacheService.invalidateUserDocuments(organization._id);
+    }
+    await User.deleteOne({ _id: account._id });
+
+    await cacheService.invalidateUserDocuments(account._id);
+    await cacheService.invalidateUserStats(account._id);
+
+    logger.info(`Account deleted: ${account.email} (${deletedDocuments.deletedCount} documents${organization ? ', organization ' + organization.name : ''})`);
+
+    return {
+      documents: deletedDocuments.deletedCount,
+      cases: deletedCases.deletedCount,
+      organizationDeleted: Boolean(organization)
+    };
+  }
+
+  async removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Error deleting file ${filePath}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const apiKeyError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const KEY_PREFIX = 'sgk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Scoped API keys for Enterprise accounts. Keys act as their owner, limited to the granted scopes
+ * and to a per-key request rate; only a hash is stored.
+ */
+class ApiKeyService {
+  constructor() {
+    this.defaultRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+    this.maxKeysPerUser = parseInt(process.env.API_KEYS_PER_USER) || 10;
+    // lastUsedAt is written at most this often per key, so busy integrations don't write on every request
+    this.touchIntervalMs = 60 * 1000;
+  }
+
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Create a key for a user; returns the stored record and the plain key, which is not retrievable later
+   */
+  async createKey(user, { name, scopes, rateLimit, expiresInDays }) {
+    if (!user.getTierLimits().apiAccess) {
+      throw apiKeyError('API access requires the Enterprise plan', 403);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: user._id, revokedAt: null });
+    if (activeKeys >= this.maxKeysPerUser) {
+      throw apiKeyError(`You can have at most ${this.maxKeysPerUser} active API keys`, 400);
+    }
+
+    const key = this.generateKey();
+    const apiKey = await ApiKey.create({
+      userId: user._id,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimit: rateLimit || this.defaultRateLimit,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    logger.info(`API key created: ${apiKey.prefix} (${apiKey.scopes.join(', ')}) by user ${user.email}`);
+    return { apiKey, key };
+  }
+
+  async listKeys(userId) {
+    return ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async revokeKey(userId, keyId) {
+    return ApiKey.findOneAndUpdate(
+      { _id: keyId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resolve a key from the X-API-Key header to the key and its owner, or null when it is unknown, revoked or expired
+   */
+  async authenticate(key, ip = null) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.userId).select('-password');
+    if (!user) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > this.touchIntervalMs) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+        .catch(error => logger.warn(`Failed to record API key use for ${apiKey.prefix}:`, error));
+    }
+
+    return { apiKey, user };
+  }
+}
+
+module.exports = new ApiKeyService();
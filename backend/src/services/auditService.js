@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+const HASHED_FIELDS = [
+  'sequence', 'action', 'actorId', 'actorEmail', 'actorRole', 'apiKeyId', 'targetType', 'targetId',
+  'targetLabel', 'before', 'after', 'metadata', 'ip', 'userAgent', 'createdAt'
+];
+
+const CSV_COLUMNS = [
+  'sequence', 'createdAt', 'action', 'actorEmail', 'actorRole', 'actorId', 'apiKeyId', 'targetType',
+  'targetId', 'targetLabel', 'before', 'after', 'metadata', 'ip', 'userAgent', 'hash'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * JSON-safe copy with object keys sorted, so an entry hashes the same before and after it is stored
+ */
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined) {
+        result[key] = normalize(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const hashEntry = (entry, previousHash) => {
+  const payload = {};
+  HASHED_FIELDS.forEach(field => {
+    payload[field] = entry[field];
+  });
+  return crypto
+    .createHash('sha256')
+    .update(`${previousHash}\n${JSON.stringify(normalize(payload))}`)
+    .digest('hex');
+};
+
+// Quote values for CSV; a leading =, +, - or @ is escaped so spreadsheets don't run it as a formula
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+    ? JSON.stringify(value)
+    : String(value instanceof Date ? value.toISOString() : value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Tamper-evident audit trail of sensitive actions: admin changes to users,
+ * document deletions, retention purges, legal holds and downloads of originals and reports.
+ */
+class AuditService {
+  constructor() {
+    this.maxAppendAttempts = 5;
+    // Appends from this process run one at a time so each sees the previous entry
+    this.appendQueue = Promise.resolve();
+  }
+
+  /**
+   * Record an action taken by the requesting user. Never throws; a failed write is logged.
+   * target is { type, id, label }. Actions taken by the system (scheduled purges) pass an empty request.
+   */
+  async record(req, { action, target, before = null, after = null, metadata = null }) {
+    try {
+      return await this.append({
+        action,
+        actorId: req.user?._id || null,
+        actorEmail: req.user?.email || null,
+        actorRole: req.user?.role || null,
+        apiKeyId: req.apiKey?._id || null,
+        targetType: target.type,
+        targetId: new mongoose.Types.ObjectId(String(target.id)),
+        targetLabel: target.label || null,
+        before: normalize(before),
+        after: normalize(after),
+        metadata: normalize(metadata),
+        ip: req.ip || req.connection?.remoteAddress || null,
+        userAgent: req.get?.('User-Agent')?.slice(0, 500) || null
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log entry for ${action}:`, error);
+      return null;
+    }
+  }
+
+  append(fields) {
+    const run = this.appendQueue.then(() => this.insertEntry(fields));
+    this.appendQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Link the entry to the current end of the chain; the unique sequence makes concurrent writers retry
+  async insertEntry(fields) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash');
+      const entry = {
+        ...fields,
+        sequence: (last?.sequence || 0) + 1,
+        createdAt: new Date(),
+        previousHash: last?.hash || GENESIS_HASH
+      };
+      entry.hash = hashEntry(entry, entry.previousHash);
+
+      try {
+        return await AuditLog.create(entry);
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= this.maxAppendAttempts) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Recompute the chain from the first entry. Reports the first entry that was altered,
+   * removed or inserted out of order.
+   */
+  async verifyChain() {
+    let previousHash = GENESIS_HASH;
+    let expectedSequence = 1;
+    let entriesChecked = 0;
+
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      let problem = null;
+      if (entry.sequence !== expectedSequence) {
+        problem = `Expected entry ${expectedSequence} but found ${entry.sequence}; entries are missing`;
+      } else if (entry.previousHash !== previousHash) {
+        problem = 'Entry does not link to the previous entry';
+      } else if (hashEntry(entry, previousHash) !== entry.hash) {
+        problem = 'Entry contents do not match its hash';
+      }
+
+      if (problem) {
+        await cursor.close();
+        return { valid: false, entriesChecked, brokenAt: entry.sequence, reason: problem };
+      }
+
+      previousHash = entry.hash;
+      expectedSequence += 1;
+      entriesChecked += 1;
+    }
+
+    return { valid: true, entriesChecked, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Mongo filter from viewer filters: action, actor (email, partial), actorId, targetType, targetId, from, to
+   */
+  buildQuery({ action, actor, actorId, targetType, targetId, from, to } = {}) {
+    const query = {};
+    if (action) query.action = action;
+    if (actor) query.actorEmail = { $regex: escapeRegex(String(actor)), $options: 'i' };
+    if (actorId) query.actorId = actorId;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    return query;
+  }
+
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Write matching entries as CSV to a writable stream, oldest first
+   */
+  async exportCsv(filters, output) {
+    output.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    const cursor = AuditLog.find(this.buildQuery(filters)).sort({ sequence: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      output.write(`${CSV_COLUMNS.map(column => csvValue(entry[column])).join(',')}\n`);
+    }
+  }
+}
+
+const auditService = new AuditService();
+auditService.hashEntry = hashEntry;
+auditService.normalize = normalize;
+auditService.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = auditService;
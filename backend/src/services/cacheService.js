@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 class CacheService {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isEnabled = process.env.REDIS_URL || process.env.REDIS_HOST;
     this.defaultTTL = 300; // 5 minutes default
     
@@ -98,6 +99,45 @@ class CacheService {
     }
   }
 
+  async publish(channel, message) {
+    if (!this.isEnabled || !this.client) return false;
+    
+    try {
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      logger.error('Cache publish error:', error);
+      return false;
+    }
+  }
+
+  // Pub/sub needs its own connection; it is opened on the first subscription
+  async subscribe(channel, handler) {
+    if (!this.isEnabled || !this.client) return false;
+    
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => {
+          logger.error('Redis Subscriber Error:', err);
+        });
+        await this.subscriber.connect();
+      }
+      
+      await this.subscriber.subscribe(channel, (message) => {
+        try {
+          handler(JSON.parse(message));
+        } catch (error) {
+          logger.error('Cache subscription handler error:', error);
+        }
+      });
+      return true;
+    } catch (error) {
+      logger.error('Cache subscribe error:', error);
+      return false;
+    }
+  }
+
   // Document-specific caching methods
   async getDocumentList(userId, filters = {}) {
     const cacheKey = this.generateDocumentListKey(userId, filters);
@@ -0,0 +1,238 @@
+const Case = require('../models/Case');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const caseError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+const duplicateCaseError = (caseNumber) => caseError(`Case number ${caseNumber} already exists`, 400);
+
+class CaseService {
+  /**
+   * Roll up the validation state of every document filed under each case number
+   */
+  async getValidationSummaries(user, caseNumbers) {
+    const summaries = {};
+    caseNumbers.forEach(caseNumber => {
+      summaries[caseNumber] = this.emptySummary();
+    });
+
+    if (caseNumbers.length === 0) {
+      return summaries;
+    }
+
+    const groups = await Document.aggregate([
+      { $match: { ...Document.scopeFor(user), caseId: { $in: caseNumbers } } },
+      {
+        $group: {
+          _id: { caseId: '$caseId', status: '$status', overall: '$validationResults.overall' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    groups.forEach(({ _id, count }) => {
+      const summary = summaries[_id.caseId];
+      if (!summary) return;
+
+      summary.total += count;
+      if (_id.status === 'processing') {
+        summary.processing += count;
+      } else if (_id.status === 'failed') {
+        summary.errored += count;
+      } else if (['pass', 'warning', 'fail'].includes(_id.overall)) {
+        summary[_id.overall] += count;
+      }
+    });
+
+    Object.values(summaries).forEach(summary => {
+      summary.overall = this.calculateOverallStatus(summary);
+    });
+
+    return summaries;
+  }
+
+  async getValidationSummary(user, caseDoc) {
+    const summaries = await this.getValidationSummaries(user, [caseDoc.caseNumber]);
+    return summaries[caseDoc.caseNumber];
+  }
+
+  emptySummary() {
+    return { total: 0, processing: 0, errored: 0, pass: 0, warning: 0, fail: 0, overall: 'no_documents' };
+  }
+
+  /**
+   * Worst result wins; a case is only 'pass' when every document has passed
+   */
+  calculateOverallStatus(summary) {
+    if (summary.total === 0) return 'no_documents';
+    if (summary.processing > 0) return 'pending';
+    if (summary.fail > 0 || summary.errored > 0) return 'fail';
+    if (summary.warning > 0) return 'warning';
+    return 'pass';
+  }
+
+  async createCase(user, data) {
+    await this.assertCaseNumberAvailable(user, data.caseNumber);
+    await this.assertArrangerAllowed(user, data.assignedArranger);
+
+    const caseDoc = await this.saveCaseNumber(data.caseNumber, () => Case.create({
+      ...data,
+      userId: user._id,
+      organizationId: user.organizationId || null,
+      status: 'intake',
+      statusHistory: [{ status: 'intake', changedBy: user._id, note: 'Case opened' }]
+    }));
+
+    logger.info(`Case created: ${caseDoc.caseNumber} by user ${user.email}`);
+    return caseDoc;
+  }
+
+  async updateCase(user, caseDoc, data) {
+    const previousCaseNumber = caseDoc.caseNumber;
+
+    if (data.caseNumber && data.caseNumber !== previousCaseNumber) {
+      await this.assertCaseNumberAvailable(user, data.caseNumber);
+    }
+    if (data.assignedArranger !== undefined) {
+      await this.assertArrangerAllowed(user, data.assignedArranger);
+    }
+
+    // Partial decedent updates keep the fields that were not sent
+    if (data.decedent) {
+      data.decedent = { ...caseDoc.toObject().decedent, ...data.decedent };
+    }
+
+    caseDoc.set(data);
+    await this.saveCaseNumber(caseDoc.caseNumber, () => caseDoc.save());
+
+    // Keep filed documents attached when the case number changes
+    if (caseDoc.caseNumber !== previousCaseNumber) {
+      await Document.updateMany(
+        { ...Document.scopeFor(user), caseId: previousCaseNumber },
+        { $set: { caseId: caseDoc.caseNumber } }
+      );
+      await cacheService.invalidateUserDocuments(user.organizationId || user._id);
+    }
+
+    return caseDoc;
+  }
+
+  /**
+   * Move a case one step forward or back along the pipeline
+   */
+  async changeStatus(user, caseDoc, status, note) {
+    const currentIndex = Case.STATUSES.indexOf(caseDoc.status);
+    const targetIndex = Case.STATUSES.indexOf(status);
+
+    if (targetIndex === -1) {
+      throw caseError(`Invalid status: ${status}`, 400);
+    }
+    if (Math.abs(targetIndex - currentIndex) !== 1) {
+      throw caseError(`Cannot move a case from ${caseDoc.status} to ${status}`, 400);
+    }
+
+    // Cremation cannot be authorized on the strength of failing or unvalidated paperwork
+    if (status === 'authorized') {
+      const summary = await this.getValidationSummary(user, caseDoc);
+      if (['no_documents', 'pending', 'fail'].includes(summary.overall)) {
+        throw caseError(`Case documents must be validated without failures before authorization (current: ${summary.overall})`, 400);
+      }
+    }
+
+    caseDoc.status = status;
+    caseDoc.statusHistory.push({ status, changedBy: user._id, note });
+    await caseDoc.save();
+
+    logger.info(`Case ${caseDoc.caseNumber} moved to ${status} by user ${user.email}`);
+    return caseDoc;
+  }
+
+  async linkDocuments(user, caseDoc, documentIds) {
+    const result = await Document.updateMany(
+      { _id: { $in: documentIds }, ...Document.scopeFor(user) },
+      { $set: { caseId: caseDoc.caseNumber } }
+    );
+
+    if (result.matchedCount !== documentIds.length) {
+      logger.warn(`Case ${caseDoc.caseNumber}: ${documentIds.length - result.matchedCount} documents not found for linking`);
+    }
+
+    await cacheService.invalidateUserDocuments(user.organizationId || user._id);
+    return result.matchedCount;
+  }
+
+  async unlinkDocument(user, caseDoc, documentId) {
+    if (caseDoc.legalHold?.active) {
+      throw caseError('Case is under legal hold; its documents cannot be removed', 409);
+    }
+
+    const result = await Document.updateOne(
+      { _id: documentId, caseId: caseDoc.caseNumber, ...Document.scopeFor(user) },
+      { $set: { caseId: null } }
+    );
+
+    await cacheService.invalidateUserDocuments(user.organizationId || user._id);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Delete the case record; its documents are kept but no longer filed under it
+   */
+  async deleteCase(user, caseDoc) {
+    if (caseDoc.legalHold?.active) {
+      throw caseError('Case is under legal hold and cannot be deleted', 409);
+    }
+
+    await Document.updateMany(
+      { ...Document.scopeFor(user), caseId: caseDoc.caseNumber },
+      { $set: { caseId: null } }
+    );
+    await Case.findByIdAndDelete(caseDoc._id);
+    await cacheService.invalidateUserDocuments(user.organizationId || user._id);
+
+    logger.info(`Case deleted: ${caseDoc.caseNumber} by user ${user.email}`);
+  }
+
+  async assertCaseNumberAvailable(user, caseNumber) {
+    const existing = await Case.findOne({ ...Case.scopeFor(user), caseNumber }).select('_id');
+    if (existing) {
+      throw duplicateCaseError(caseNumber);
+    }
+  }
+
+  /**
+   * Another request can take the number between the check and the save; the unique index catches it
+   */
+  async saveCaseNumber(caseNumber, save) {
+    try {
+      return await save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw duplicateCaseError(caseNumber);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Arrangers must belong to the same organization (or be the user themselves)
+   */
+  async assertArrangerAllowed(user, arrangerId) {
+    if (!arrangerId) return;
+
+    if (!user.organizationId) {
+      if (!user._id.equals(arrangerId)) {
+        throw caseError('Assigned arranger must be a member of your organization', 400);
+      }
+      return;
+    }
+
+    const arranger = await User.findOne({ _id: arrangerId, organizationId: user.organizationId }).select('_id');
+    if (!arranger) {
+      throw caseError('Assigned arranger must be a member of your organization', 400);
+    }
+  }
+}
+
+module.exports = new CaseService();
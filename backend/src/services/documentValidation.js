@@ -1,59 +1,114 @@
 const fs = require('fs').promises;
 const path = require('path');
+const vm = require('vm');
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
 const natural = require('natural');
-const axios = require('axios');
 const logger = require('../utils/logger');
 const imageProcessingService = require('./imageProcessingService');
+const rules = require('../rules');
+const notaryProviders = require('./notaryProviders');
+const cacheService = require('./cacheService');
+const encryptionService = require('./encryptionService');
+const piiDetection = require('./piiDetection');
+const signatureDetection = require('./signatureDetection');
+const sealDetection = require('./sealDetection');
+
+// Minimum Jaro-Winkler similarity (per name part) for two names to be treated as the same person
+const NAME_MATCH_THRESHOLD = 0.9;
+
+// Capitalized words that show up next to names on POA forms but are never part of one
+const NON_NAME_WORDS = new Set([
+  'notary', 'public', 'commission', 'number', 'expires', 'county', 'state', 'california',
+  'nevada', 'arizona', 'power', 'attorney', 'durable', 'agent', 'principal', 'witness',
+  'witnesses', 'signature', 'signed', 'date', 'dated', 'health', 'care', 'cremation'
+]);
+
+// Dates as they appear in termination clauses: 12/31/2024, December 31, 2024, 31st day of December, 2024
+const TERM_DATE_PATTERN = '\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{2,4}|[A-Z][a-z]+\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+day\\s+of\\s+[A-Z][a-z]+,?\\s+\\d{4}';
+
+// Titles, suffixes and stray words ignored when comparing names
+const NAME_NOISE_TOKENS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'jr', 'sr', 'ii', 'iii', 'iv', 'esq']);
+
+// Text PDF pages with a notary acknowledgment are rendered at this resolution for the seal check
+const IMAGE_CHECK_DPI = 150;
+const STRAY_PAGE_IMAGE_PATTERN = /-page\.\d+\.png$/;
+const POINTS_PER_INCH = 72;
+
+// Custom regex rules run in a sandbox that is stopped after this long, in case a slow pattern got past the save check
+const REGEX_RULE_TIMEOUT_MS = 500;
+const REGEX_RULE_MAX_VALUES = 20;
+const REGEX_RULE_SCRIPT = new vm.Script(`
+  const values = [];
+  for (const match of text.matchAll(new RegExp(pattern, flags))) {
+    const value = (match[1] !== undefined ? match[1] : match[0]).trim();
+    if (value && !values.includes(value)) {
+      values.push(value);
+    }
+    if (values.length >= maxValues) break;
+  }
+  values;
+`);
 
 class DocumentValidationService {
   constructor() {
     this.stemmer = natural.PorterStemmer;
     this.tokenizer = new natural.WordTokenizer();
     this.imageProcessor = imageProcessingService;
+  }
+
+  /**
+   * Resolve the jurisdiction rule pack for a validation; defaults to California
+   */
+  resolveRulePack(jurisdiction) {
+    if (!jurisdiction) {
+      return rules.getDefaultRulePack();
+    }
     
-    // California Probate Code requirements
-    this.requiredPhrases = [
-      'power of attorney',
-      'cremation',
-      'disposition of remains',
-      'authorize',
-      'durable power of attorney'
-    ];
+    const rulePack = rules.getRulePack(jurisdiction);
+    if (!rulePack) {
+      throw new Error(`Unsupported jurisdiction: ${jurisdiction}`);
+    }
     
-    this.prohibitedWitnesses = [
-      'agent',
-      'attorney-in-fact',
-      'spouse',
-      'heir',
-      'beneficiary'
-    ];
+    return rulePack;
   }
 
-  async validateDocument(filePath, filename) {
+  async validateDocument(filePath, filename, options = {}) {
     const startTime = Date.now();
+    // Stage reporter, called as onProgress(stage, details)
+    const onProgress = options.onProgress || (() => {});
     
     try {
-      logger.info(`Starting validation for document: ${filename}`);
+      const rulePack = this.resolveRulePack(options.jurisdiction);
+      logger.info(`Starting validation for document: ${filename} (jurisdiction: ${rulePack.code})`);
       
       // Determine file type and extract text accordingly
       const fileExtension = path.extname(filename).toLowerCase();
       const isImage = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.webp'].includes(fileExtension);
       const isPdf = fileExtension === '.pdf';
       
-      let text, confidence;
+      let text, confidence, pages, words, imageChecks;
+      
+      if (isPdf || isImage) {
+        onProgress('extracting_text');
+      }
       
       if (isPdf) {
         // Extract text from PDF
-        const result = await this.extractTextFromPDF(filePath);
+        const result = await this.extractTextFromPDF(filePath, onProgress);
         text = result.text;
         confidence = result.confidence;
+        pages = result.pages;
+        words = result.words;
+        imageChecks = result.imageChecks;
       } else if (isImage) {
         // Extract text from image using OCR
-        const result = await this.extractTextFromImage(filePath);
+        const result = await this.extractTextFromImage(filePath, onProgress);
         text = result.text;
         confidence = result.confidence;
+        pages = result.pages;
+        words = result.words;
+        imageChecks = result.imageChecks;
       } else {
         throw new Error('Unsupported file format. Please upload a PDF or image file.');
       }
@@ -62,11 +117,36 @@ class DocumentValidationService {
         throw new Error('No text could be extracted from the document');
       }
       
+      // Find personal information before anything else sees the text
+      const { redactedText, pii } = piiDetection.detect(text, { pages, words });
+      
       // Perform validations
-      const notaryValidation = await this.validateNotary(text);
-      const witnessValidation = await this.validateWitnesses(text);
-      const verbiageValidation = await this.validateVerbiage(text);
-      const additionalChecks = await this.performAdditionalChecks(text);
+      onProgress('notary');
+      const notaryValidation = await this.validateNotary(text, rulePack);
+      this.checkNotarySeal(notaryValidation, imageChecks, rulePack);
+      onProgress('witnesses');
+      const witnessValidation = await this.validateWitnesses(text, rulePack, {
+        notarized: !!notaryValidation.notaryName
+      });
+      
+      // Conflicts of interest: neither the notary nor a witness may be the agent
+      const parties = this.extractParties(text);
+      this.crossCheckIdentities(parties, notaryValidation, witnessValidation, text, rulePack);
+      
+      onProgress('verbiage');
+      const verbiageValidation = await this.validateVerbiage(text, pages, rulePack);
+      onProgress('term');
+      const termValidation = await this.validateTerm(text, pages, rulePack);
+      const additionalChecks = await this.performAdditionalChecks(text, imageChecks?.signatures);
+      
+      // Enterprise custom rules run last so they can build on the built-in results
+      const hasCustomRules = options.customRules && options.customRules.length > 0;
+      if (hasCustomRules) {
+        onProgress('custom_rules');
+      }
+      const customRuleValidation = hasCustomRules
+        ? await this.validateCustomRules(text, options.customRules, { witnessValidation, pages })
+        : undefined;
       
       const processingTime = Date.now() - startTime;
       
@@ -74,9 +154,17 @@ class DocumentValidationService {
         notaryValidation,
         witnessValidation,
         verbiageValidation,
+        termValidation,
         additionalChecks,
+        customRuleValidation,
+        parties,
+        jurisdiction: rulePack.code,
+        rulePackVersion: rulePack.version,
         extractedText: text,
+        redactedText,
+        pii,
         ocrConfidence: confidence,
+        pages,
         processingTime
       };
       
@@ -90,18 +178,38 @@ class DocumentValidationService {
     }
   }
 
-  async extractTextFromPDF(filePath) {
+  async extractTextFromPDF(filePath, onProgress = () => {}) {
     try {
-      const dataBuffer = await fs.readFile(filePath);
+      const dataBuffer = await encryptionService.readFile(filePath);
       
       // Try PDF parsing first
       try {
-        const pdfData = await pdfParse(dataBuffer);
-        if (pdfData.text && pdfData.text.trim().length > 0) {
-          logger.info(`PDF text extraction successful: ${pdfData.text.length} characters`);
+        const pageResults = [];
+        await pdfParse(dataBuffer, {
+          pagerender: async (pageData) => {
+            const pageWords = [];
+            const pageText = await this.renderPdfPageText(pageData, pageWords);
+            const { width, height } = pageData.getViewport(1);
+            pageResults.push({
+              text: pageText,
+              confidence: 95,
+              words: pageWords,
+              lines: signatureDetection.linesFromWords(pageText, pageWords),
+              size: { width, height }
+            });
+            return pageText;
+          }
+        });
+
+        if (pageResults.some(pageResult => pageResult.text.trim().length > 0)) {
+          const { text, pages, words } = this.buildPageIndex(pageResults);
+          logger.info(`PDF text extraction successful: ${text.length} characters across ${pages.length} pages`);
           return { 
-            text: pdfData.text, 
-            confidence: 95 // High confidence for direct PDF text extraction
+            text, 
+            confidence: 95, // High confidence for direct PDF text extraction
+            pages,
+            words,
+            imageChecks: await this.analyzePdfPages(dataBuffer, pageResults)
           };
         }
       } catch (pdfError) {
@@ -111,12 +219,15 @@ class DocumentValidationService {
       // Try OCR on PDF by converting to images first
       logger.info('PDF text extraction failed, attempting OCR conversion...');
       try {
-        const ocrResult = await this.convertPdfToImageAndOCR(filePath);
+        const ocrResult = await this.convertPdfToImageAndOCR(filePath, onProgress, dataBuffer);
         if (ocrResult && ocrResult.text && ocrResult.text.trim().length > 0) {
-          logger.info(`PDF OCR successful: ${ocrResult.text.length} characters extracted`);
+          logger.info(`PDF OCR successful: ${ocrResult.text.length} characters extracted from ${ocrResult.pages.length} pages`);
           return {
             text: ocrResult.text,
-            confidence: ocrResult.confidence || 75 // Medium-high confidence for PDF OCR
+            confidence: ocrResult.confidence || 75, // Medium-high confidence for PDF OCR
+            pages: ocrResult.pages,
+            words: ocrResult.words,
+            imageChecks: ocrResult.imageChecks
           };
         }
       } catch (ocrError) {
@@ -132,42 +243,56 @@ class DocumentValidationService {
     }
   }
 
-  async convertPdfToImageAndOCR(filePath) {
+  async convertPdfToImageAndOCR(filePath, onProgress = () => {}, pdfBuffer = null) {
     try {
       const pdf2pic = require('pdf2pic');
-      const path = require('path');
-      const fs = require('fs').promises;
+      // Stored files are encrypted, so pages are rendered from the decrypted contents
+      const pdfData = pdfBuffer || await encryptionService.readFile(filePath);
       
-      // Convert first page of PDF to image
-      const convert = pdf2pic.fromPath(filePath, {
+      // Pages are rendered in memory: decrypted page images never touch the disk
+      const convert = pdf2pic.fromBuffer(pdfData, {
         density: 300,           // High quality for better OCR
-        saveFilename: "temp",
-        savePath: path.dirname(filePath),
         format: "png",
         width: 2000,
         height: 2000
       });
       
-      const convertedImage = await convert(1); // Convert first page
+      const convertedImages = await convert.bulk(-1, { responseType: 'buffer' });
       
-      if (!convertedImage || !convertedImage.path) {
+      if (!convertedImages || convertedImages.length === 0) {
         throw new Error('Failed to convert PDF to image');
       }
       
-      // Read the converted image as buffer
-      const imageBuffer = await fs.readFile(convertedImage.path);
-      
-      // Use image processing service for OCR
-      const ocrResult = await this.imageProcessor.extractTextFromImage(imageBuffer);
-      
-      // Clean up temporary image file
-      try {
-        await fs.unlink(convertedImage.path);
-      } catch (cleanupError) {
-        logger.warn('Failed to cleanup temporary image:', cleanupError);
+      // OCR pages one at a time; Tesseract is CPU bound
+      const pageResults = [];
+      const pageChecks = [];
+      const trackOcrProgress = this.createOcrProgressTracker(onProgress, convertedImages.length);
+      const sortedImages = convertedImages.sort((a, b) => a.page - b.page);
+      for (const [index, convertedImage] of sortedImages.entries()) {
+        const imageBuffer = convertedImage.buffer;
+        const ocrResult = await this.imageProcessor.extractTextFromImage(imageBuffer, {
+          onProgress: progress => trackOcrProgress(index, progress)
+        });
+        
+        if (!ocrResult.success) {
+          logger.warn(`OCR failed for page ${convertedImage.page}: ${ocrResult.error}`);
+        }
+        
+        pageResults.push({
+          text: ocrResult.extractedText || '',
+          confidence: ocrResult.confidence || 0,
+          words: piiDetection.locateOcrWords(ocrResult.extractedText || '', ocrResult.words, ocrResult.imageSize)
+        });
+        pageChecks.push(await this.analyzeOcrPage(imageBuffer, ocrResult, index + 1));
       }
       
-      return ocrResult;
+      const { text, pages, words } = this.buildPageIndex(pageResults);
+      const ocrPages = pages.filter(page => page.text.trim().length > 0);
+      const confidence = ocrPages.length > 0
+        ? Math.round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+        : 0;
+      
+      return { text, confidence, pages, words, imageChecks: this.mergeImageChecks(pageChecks) };
       
     } catch (error) {
       logger.error('PDF to image conversion error:', error);
@@ -175,16 +300,227 @@ class DocumentValidationService {
     }
   }
 
-  async extractTextFromImage(filePath) {
+  /**
+   * Earlier versions rendered OCR pages as plaintext PNGs next to the upload (<upload>-page.<n>.png)
+   * and could leave them behind on a crash; remove any that are left
+   */
+  async removeStrayPageImages(uploadDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(uploadDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const strays = entries.filter(name => STRAY_PAGE_IMAGE_PATTERN.test(name));
+    for (const name of strays) {
+      await fs.rm(path.join(uploadDir, name), { force: true });
+    }
+
+    if (strays.length > 0) {
+      logger.warn(`Removed ${strays.length} unencrypted page images left in ${uploadDir}`);
+    }
+    return strays.length;
+  }
+
+  /**
+   * Signatures and the notary seal on one page image. Image analysis problems are logged and never fail
+   * a validation; `sealPages` lists the acknowledgment pages that were searched for a seal.
+   */
+  async analyzePageImage(imageBuffer, lines, pageText, pageNumber, { signatures = true } = {}) {
+    const checks = { signatures: [], seals: [], sealPages: [] };
+
+    if (signatures) {
+      try {
+        checks.signatures = await signatureDetection.analyzePage(imageBuffer, lines, pageNumber);
+      } catch (error) {
+        logger.warn(`Signature detection failed for page ${pageNumber}: ${error.message}`);
+      }
+    }
+
+    if (sealDetection.hasAcknowledgment(pageText)) {
+      try {
+        checks.seals = await sealDetection.analyzePage(imageBuffer, lines, pageNumber);
+        checks.sealPages.push(pageNumber);
+      } catch (error) {
+        logger.warn(`Seal detection failed for page ${pageNumber}: ${error.message}`);
+      }
+    }
+
+    return checks;
+  }
+
+  /**
+   * Image checks for a scanned page, with its OCR lines placed on the page
+   */
+  async analyzeOcrPage(imageBuffer, ocrResult, pageNumber) {
+    const lines = signatureDetection.locateOcrLines(ocrResult.lines, ocrResult.imageSize);
+    return this.analyzePageImage(imageBuffer, lines, ocrResult.extractedText, pageNumber);
+  }
+
+  /**
+   * Seal checks for a text PDF, rendering only the acknowledgment pages. Signatures are left to the
+   * text check: text and e-signed PDFs carry typed signatures, not ink, so measuring ink would read them as blank.
+   */
+  async analyzePdfPages(pdfBuffer, pageResults) {
+    const pageChecks = [];
+
+    for (const [index, pageResult] of pageResults.entries()) {
+      if (!sealDetection.hasAcknowledgment(pageResult.text)) continue;
+
+      try {
+        const pdf2pic = require('pdf2pic');
+        const convert = pdf2pic.fromBuffer(pdfBuffer, {
+          density: IMAGE_CHECK_DPI,
+          format: 'png',
+          width: Math.round(pageResult.size.width * IMAGE_CHECK_DPI / POINTS_PER_INCH),
+          height: Math.round(pageResult.size.height * IMAGE_CHECK_DPI / POINTS_PER_INCH)
+        });
+        const page = await convert(index + 1, { responseType: 'buffer' });
+        pageChecks.push(await this.analyzePageImage(page.buffer, pageResult.lines, pageResult.text, index + 1, {
+          signatures: false
+        }));
+      } catch (error) {
+        logger.warn(`Could not render page ${index + 1} for image checks: ${error.message}`);
+      }
+    }
+
+    return this.mergeImageChecks(pageChecks);
+  }
+
+  mergeImageChecks(pageChecks) {
+    return {
+      signatures: pageChecks.flatMap(checks => checks.signatures),
+      seals: pageChecks.flatMap(checks => checks.seals),
+      sealPages: pageChecks.flatMap(checks => checks.sealPages)
+    };
+  }
+
+  /**
+   * Turn per-page Tesseract progress (0-1) into whole-document OCR percentages, reporting each change once
+   */
+  createOcrProgressTracker(onProgress, pageCount) {
+    let lastReported = -1;
+    
+    return (pageIndex, progress) => {
+      const ocrProgress = Math.round(((pageIndex + progress) / pageCount) * 100);
+      if (ocrProgress !== lastReported) {
+        lastReported = ocrProgress;
+        onProgress('ocr', { ocrProgress, page: pageIndex + 1, pageCount });
+      }
+    };
+  }
+
+  /**
+   * Same line-joining as pdf-parse's default renderer, but run per page so we keep page boundaries.
+   * When `words` is given, each word's offsets and box (as fractions of the page) are added to it.
+   */
+  async renderPdfPageText(pageData, words = null) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+    const viewport = words ? pageData.getViewport(1) : null;
+    
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+
+      if (words) {
+        words.push(...this.locatePdfTextItem(item, text.length - item.str.length, viewport));
+      }
+    }
+    
+    return text;
+  }
+
+  /**
+   * Words in a PDF text item, with x positions spread evenly over the item's width
+   */
+  locatePdfTextItem(item, offset, viewport) {
+    const [, , c, d, x, y] = item.transform;
+    // Font size from the text matrix; item.height is unreliable in the pdf.js bundled with pdf-parse
+    const height = Math.hypot(c, d);
+    const length = item.str.length;
+    if (!length || !item.width || !height) {
+      return [];
+    }
+
+    return Array.from(item.str.matchAll(/\S+/g), match => {
+      const left = x + item.width * (match.index / length);
+      const right = x + item.width * ((match.index + match[0].length) / length);
+      // Cover descenders below the baseline and the full glyph height above it
+      const corners = [
+        viewport.convertToViewportPoint(left, y - height * 0.25),
+        viewport.convertToViewportPoint(right, y + height)
+      ];
+
+      return {
+        start: offset + match.index,
+        end: offset + match.index + match[0].length,
+        bbox: {
+          x0: Math.min(corners[0][0], corners[1][0]) / viewport.width,
+          y0: Math.min(corners[0][1], corners[1][1]) / viewport.height,
+          x1: Math.max(corners[0][0], corners[1][0]) / viewport.width,
+          y1: Math.max(corners[0][1], corners[1][1]) / viewport.height
+        }
+      };
+    });
+  }
+
+  /**
+   * Join per-page text into one document string, recording where each page starts and ends
+   */
+  buildPageIndex(pageResults) {
+    const separator = '\n\n';
+    const pages = [];
+    const words = [];
+    let text = '';
+    
+    pageResults.forEach((pageResult, index) => {
+      if (index > 0) {
+        text += separator;
+      }
+      
+      const startOffset = text.length;
+      text += pageResult.text;
+      
+      pages.push({
+        pageNumber: index + 1,
+        text: pageResult.text,
+        confidence: pageResult.confidence,
+        startOffset,
+        endOffset: text.length
+      });
+
+      // Positioned words, with offsets moved from the page text into the whole text
+      (pageResult.words || []).forEach(word => {
+        words.push({ ...word, start: word.start + startOffset, end: word.end + startOffset, pageNumber: index + 1 });
+      });
+    });
+    
+    return { text, pages, words };
+  }
+
+  async extractTextFromImage(filePath, onProgress = () => {}) {
     try {
       logger.info(`Starting OCR text extraction from image: ${filePath}`);
       
-      // Read the image file as buffer
-      const fs = require('fs').promises;
-      const imageBuffer = await fs.readFile(filePath);
+      // Read and decrypt the stored image
+      const imageBuffer = await encryptionService.readFile(filePath);
       
       // Use the image processing service for OCR
-      const ocrResult = await this.imageProcessor.extractTextFromImage(imageBuffer);
+      const trackOcrProgress = this.createOcrProgressTracker(onProgress, 1);
+      const ocrResult = await this.imageProcessor.extractTextFromImage(imageBuffer, {
+        onProgress: progress => trackOcrProgress(0, progress)
+      });
       
       if (!ocrResult || !ocrResult.success || !ocrResult.extractedText || ocrResult.extractedText.trim().length === 0) {
         throw new Error('No text could be extracted from the image. The image may be unclear or contain no text.');
@@ -192,9 +528,19 @@ class DocumentValidationService {
       
       logger.info(`Image OCR successful: ${ocrResult.extractedText.length} characters extracted with ${ocrResult.confidence}% confidence`);
       
+      const confidence = ocrResult.confidence || 50; // Default to medium confidence if not provided
+      const { pages, words } = this.buildPageIndex([{
+        text: ocrResult.extractedText,
+        confidence,
+        words: piiDetection.locateOcrWords(ocrResult.extractedText, ocrResult.words, ocrResult.imageSize)
+      }]);
+      
       return {
         text: ocrResult.extractedText,
-        confidence: ocrResult.confidence || 50 // Default to medium confidence if not provided
+        confidence,
+        pages,
+        words,
+        imageChecks: await this.analyzeOcrPage(imageBuffer, ocrResult, 1)
       };
       
     } catch (error) {
@@ -203,13 +549,14 @@ class DocumentValidationService {
     }
   }
 
-  async validateNotary(text) {
+  async validateNotary(text, rulePack = rules.getDefaultRulePack()) {
     try {
+      const notaryRules = rulePack.notary;
       logger.info('Starting notary validation');
       
       const notaryPatterns = [
         /notary\s+public[:\s]*([^\n]+)/gi,
-        /commission\s+number[:\s]*([A-Z0-9\s-]+)/gi,
+        /commission\s+(?:number|no\.?|#)[:\s]*([A-Z0-9-]+)/gi,
         /commission\s+expires?[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi,
         /acknowledged\s+before\s+me[:\s]*([^\n]+)/gi
       ];
@@ -228,7 +575,7 @@ class DocumentValidationService {
               notaryName = matches[0].replace(/notary\s+public[:\s]*/gi, '').trim();
               break;
             case 1: // Commission number
-              commissionNumber = matches[0].replace(/commission\s+number[:\s]*/gi, '').trim();
+              commissionNumber = matches[0].replace(/commission\s+(?:number|no\.?|#)[:\s]*/gi, '').trim();
               break;
             case 2: // Commission expiry
               const dateMatch = matches[0].match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/);
@@ -245,21 +592,30 @@ class DocumentValidationService {
         issues.push('Notary name not found or not clearly visible');
       }
       
-      if (!commissionNumber) {
+      if (!commissionNumber && notaryRules.requireCommissionNumber) {
         issues.push('Notary commission number not found');
       }
       
       if (!commissionExpiry) {
-        issues.push('Notary commission expiry date not found');
+        if (notaryRules.requireCommissionExpiry) {
+          issues.push('Notary commission expiry date not found');
+        }
       } else if (commissionExpiry < new Date()) {
         issues.push('Notary commission has expired');
       }
       
-      // Check with California Secretary of State (if API available)
+      // Check the commission against the state registry (if a provider is configured for the jurisdiction)
       let isValid = false;
-      if (commissionNumber && process.env.CA_NOTARY_API_URL) {
+      let verification = null;
+      const provider = notaryProviders.getProvider(rulePack);
+      if (commissionNumber && provider) {
         try {
-          isValid = await this.validateNotaryWithState(commissionNumber, notaryName);
+          verification = await this.validateNotaryWithState(commissionNumber, this.getNotaryNameCandidates(text, notaryName), rulePack);
+          isValid = verification.status === 'verified';
+          const registryIssue = this.describeVerificationFailure(verification);
+          if (registryIssue) {
+            issues.push(registryIssue);
+          }
         } catch (apiError) {
           logger.warn('Notary API validation failed:', apiError.message);
           issues.push('Could not verify notary with state database - manual verification recommended');
@@ -268,7 +624,9 @@ class DocumentValidationService {
         issues.push('Notary validation requires manual verification');
       }
       
-      const status = issues.length === 0 ? 'pass' : (issues.length <= 2 ? 'warning' : 'fail');
+      // A registry that contradicts the document is a hard failure, not a warning
+      const registryRejected = verification && verification.status !== 'verified';
+      const status = registryRejected ? 'fail' : (issues.length === 0 ? 'pass' : (issues.length <= 2 ? 'warning' : 'fail'));
       
       return {
         status,
@@ -276,6 +634,8 @@ class DocumentValidationService {
         commissionNumber,
         commissionExpiry,
         isValid,
+        verification,
+        citations: notaryRules.citations || [],
         issues
       };
       
@@ -288,30 +648,119 @@ class DocumentValidationService {
     }
   }
 
-  async validateNotaryWithState(commissionNumber, notaryName) {
-    try {
-      // This would be the actual API call to California Secretary of State
-      // For now, this is a placeholder
-      const response = await axios.get(`${process.env.CA_NOTARY_API_URL}/verify`, {
-        params: {
-          commission: commissionNumber,
-          name: notaryName
-        },
-        headers: {
-          'Authorization': `Bearer ${process.env.CA_NOTARY_API_KEY}`
-        },
-        timeout: 5000
-      });
-      
-      return response.data.valid === true;
-    } catch (error) {
-      logger.error('State notary validation error:', error);
-      throw new Error('Failed to validate with state database');
+  /**
+   * Cross-check the seal impression against the acknowledgment, when its pages were analyzed as images.
+   * Rule packs that require a seal fail an acknowledgment without one.
+   */
+  checkNotarySeal(notaryValidation, imageChecks, rulePack = rules.getDefaultRulePack()) {
+    const hasAcknowledgment = notaryValidation.notaryName || notaryValidation.commissionNumber;
+    if (!hasAcknowledgment || !imageChecks?.sealPages?.length) {
+      return;
+    }
+
+    const { status, seal, issues } = sealDetection.compare(imageChecks.seals, notaryValidation);
+    if (!seal.found && !rulePack.notary.requireSeal) {
+      return;
+    }
+
+    notaryValidation.seal = seal;
+    notaryValidation.issues.push(...issues);
+    if (status === 'fail' || (status === 'warning' && notaryValidation.status === 'pass')) {
+      notaryValidation.status = status;
     }
   }
 
-  async validateWitnesses(text) {
+  /**
+   * Look up a commission with the jurisdiction's notary provider and score the name on the document
+   * against the registered holder. Registry records are cached per commission number.
+   */
+  async validateNotaryWithState(commissionNumber, notaryNames, rulePack = rules.getDefaultRulePack()) {
+    const provider = notaryProviders.getProvider(rulePack);
+    if (!provider) {
+      throw new Error(`No notary verification provider configured for ${rulePack.code}`);
+    }
+
+    const cacheKey = `notary:${provider.name}:${rulePack.code}:${commissionNumber.replace(/\s+/g, '').toUpperCase()}`;
+    let cached = await cacheService.get(cacheKey);
+    let record;
+
+    if (cached) {
+      record = cached.record;
+    } else {
+      record = await provider.lookup(commissionNumber, rulePack);
+      await cacheService.set(cacheKey, { record }, parseInt(process.env.NOTARY_CACHE_TTL) || 86400);
+    }
+
+    const verification = {
+      provider: provider.name,
+      status: 'not_found',
+      registeredName: null,
+      nameMatchConfidence: null,
+      commissionExpiry: null,
+      registryStatus: null,
+      cached: !!cached,
+      checkedAt: new Date()
+    };
+
+    if (!record) {
+      return verification;
+    }
+
+    const names = [].concat(notaryNames || []).filter(Boolean);
+    const confidence = names.length > 0
+      ? Math.max(...names.map(name => this.nameSimilarity(name, record.name)))
+      : null;
+
+    verification.registeredName = record.name;
+    verification.nameMatchConfidence = confidence === null ? null : Math.round(confidence * 100) / 100;
+    verification.commissionExpiry = record.commissionExpiry ? new Date(record.commissionExpiry) : null;
+    verification.registryStatus = record.status;
+
+    if (record.status && record.status !== 'active') {
+      verification.status = 'inactive';
+    } else if (verification.commissionExpiry && verification.commissionExpiry < new Date()) {
+      verification.status = 'expired';
+    } else if (confidence !== null && confidence < NAME_MATCH_THRESHOLD) {
+      verification.status = 'name_mismatch';
+    } else {
+      verification.status = 'verified';
+    }
+
+    return verification;
+  }
+
+  describeVerificationFailure(verification) {
+    switch (verification.status) {
+      case 'not_found':
+        return 'Notary commission number not found in the state registry';
+      case 'inactive':
+        return `Notary commission is ${verification.registryStatus} according to the state registry`;
+      case 'expired':
+        return 'Notary commission has expired according to the state registry';
+      case 'name_mismatch':
+        return `Notary name does not match the registered commission holder '${verification.registeredName}' (confidence ${verification.nameMatchConfidence})`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Names the notary may appear under: "Notary Public: Jane Doe" and "Jane Doe, Notary Public"
+   */
+  getNotaryNameCandidates(text, notaryName) {
+    const candidates = [
+      ...[...text.matchAll(/([^\n,]+),\s*notary\s+public/gi)].map(match => match[1]),
+      notaryName
+    ]
+      .map(candidate => this.extractPersonName(candidate))
+      .filter(Boolean);
+
+    return [...new Set(candidates)];
+  }
+
+  async validateWitnesses(text, rulePack = rules.getDefaultRulePack(), context = {}) {
     try {
+      const witnessRules = rulePack.witnesses;
       logger.info('Starting witness validation');
       
       const witnessPatterns = [
@@ -340,8 +789,10 @@ class DocumentValidationService {
       const uniqueWitnesses = [...new Set(witnessNames)];
       const witnessCount = uniqueWitnesses.length;
       
-      // California Probate Code typically requires 1-2 witnesses depending on POA type
-      const requiredWitnesses = 1; // Can be adjusted based on specific requirements
+      // Some jurisdictions accept notarization in place of (some) witnesses
+      const requiredWitnesses = context.notarized && witnessRules.requiredWhenNotarized !== undefined
+        ? witnessRules.requiredWhenNotarized
+        : witnessRules.required;
       
       if (witnessCount < requiredWitnesses) {
         issues.push(`Insufficient witnesses found. Required: ${requiredWitnesses}, Found: ${witnessCount}`);
@@ -350,7 +801,7 @@ class DocumentValidationService {
       // Check for prohibited witnesses
       uniqueWitnesses.forEach(witness => {
         const lowerWitness = witness.toLowerCase();
-        this.prohibitedWitnesses.forEach(prohibited => {
+        witnessRules.prohibited.forEach(prohibited => {
           if (lowerWitness.includes(prohibited)) {
             issues.push(`Prohibited witness detected: ${witness} (contains '${prohibited}')`);
           }
@@ -364,6 +815,7 @@ class DocumentValidationService {
         witnessCount,
         requiredWitnesses,
         witnessNames: uniqueWitnesses,
+        citations: witnessRules.citations || [],
         issues
       };
       
@@ -376,8 +828,153 @@ class DocumentValidationService {
     }
   }
 
-  async validateVerbiage(text) {
+  /**
+   * Pull the principal's and agents' names out of the document text
+   */
+  extractParties(text) {
+    const principalPatterns = [
+      /\bprincipal\s*:\s*([^\n]+)/gi,
+      /\bI,\s+([^,\n]+),/g
+    ];
+    const agentPatterns = [
+      /\b(?:(?:successor|alternate)\s+)?(?:agent|attorney[\s-]in[\s-]fact)(?:\s*\d+)?\s*:\s*([^\n]+)/gi,
+      /\b(?:appoint|designate)s?\s+([^\n,]+)/gi,
+      /\bpower\s+of\s+attorney\s+to\s+([^\n,]+)/gi
+    ];
+
+    const principalName = this.collectNames(text, principalPatterns)[0] || null;
+
+    // The principal's own name can follow "appoint"-style phrasing ("I, John Doe, appoint myself...")
+    const agentNames = this.collectNames(text, agentPatterns)
+      .filter(name => !principalName || this.nameSimilarity(name, principalName) < NAME_MATCH_THRESHOLD);
+
+    return { principalName, agentNames };
+  }
+
+  collectNames(text, patterns) {
+    const names = [];
+
+    patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        const name = this.extractPersonName(match[1]);
+        if (name && !names.some(existing => this.nameSimilarity(existing, name) >= NAME_MATCH_THRESHOLD)) {
+          names.push(name);
+        }
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * First run of two to four capitalized words in a text fragment that looks like a person's name
+   */
+  extractPersonName(fragment) {
+    if (!fragment) return null;
+
+    const cleaned = fragment
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/\b(?:agent|attorney[\s-]in[\s-]fact|witness|notary\s+public|principal)\b/gi, ' ');
+    const namePattern = /[A-Z][a-zA-Z'-]+(?:\s+(?:[A-Z][a-zA-Z'-]+|[A-Z]\.?)){1,3}/g;
+
+    for (const [candidate] of cleaned.matchAll(namePattern)) {
+      const words = candidate.split(/\s+/);
+      if (!words.some(word => NON_NAME_WORDS.has(word.toLowerCase().replace(/\./g, '')))) {
+        return candidate.trim();
+      }
+    }
+
+    return null;
+  }
+
+  normalizeName(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z\s'-]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1 && !NAME_NOISE_TOKENS.has(token));
+  }
+
+  /**
+   * Fuzzy name comparison tolerant of OCR slips and middle names/initials:
+   * first and last names are scored separately and the weaker score wins
+   */
+  nameSimilarity(a, b) {
+    const left = this.normalizeName(a);
+    const right = this.normalizeName(b);
+
+    if (left.length === 0 || right.length === 0) return 0;
+
+    if (left.length < 2 || right.length < 2) {
+      return natural.JaroWinklerDistance(left.join(' '), right.join(' '));
+    }
+
+    return Math.min(
+      natural.JaroWinklerDistance(left[0], right[0]),
+      natural.JaroWinklerDistance(left[left.length - 1], right[right.length - 1])
+    );
+  }
+
+  findMatchingAgent(name, agentNames) {
+    let best = null;
+
+    agentNames.forEach(agentName => {
+      const similarity = this.nameSimilarity(name, agentName);
+      if (similarity >= NAME_MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { agentName, similarity: Math.round(similarity * 100) / 100 };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Fail the notary/witness checks when either party is one of the agents, citing the rule pack's identity rules
+   */
+  crossCheckIdentities(parties, notaryValidation, witnessValidation, text = '', rulePack = rules.getDefaultRulePack()) {
+    notaryValidation.conflicts = [];
+    witnessValidation.conflicts = [];
+
+    if (parties.agentNames.length === 0) {
+      return;
+    }
+
+    // The principal can be named on the acknowledgment line ("...Notary Public, personally appeared John Doe")
+    const notaryCandidates = this.getNotaryNameCandidates(text, notaryValidation.notaryName)
+      .filter(name => !(parties.principalName && this.nameSimilarity(name, parties.principalName) >= NAME_MATCH_THRESHOLD));
+
+    const notaryName = notaryCandidates.find(name => this.findMatchingAgent(name, parties.agentNames));
+    if (notaryName) {
+      const match = this.findMatchingAgent(notaryName, parties.agentNames);
+      notaryValidation.conflicts.push({ name: notaryName, ...match });
+      notaryValidation.issues.push(`Notary cannot be agent: notary '${notaryName}' matches agent '${match.agentName}'`);
+      notaryValidation.status = 'fail';
+      this.addIdentityCitations(notaryValidation, rulePack);
+    }
+
+    (witnessValidation.witnessNames || []).forEach(witness => {
+      const witnessName = this.extractPersonName(witness.replace(/^\s*\d+\s*[:.)-]\s*/, ''));
+      const match = witnessName && this.findMatchingAgent(witnessName, parties.agentNames);
+      if (match && !witnessValidation.conflicts.some(conflict => conflict.name === witnessName)) {
+        witnessValidation.conflicts.push({ name: witnessName, ...match });
+        witnessValidation.issues.push(`Witness cannot be agent: witness '${witnessName}' matches agent '${match.agentName}'`);
+      }
+    });
+
+    if (witnessValidation.conflicts.length > 0) {
+      witnessValidation.status = 'fail';
+      this.addIdentityCitations(witnessValidation, rulePack);
+    }
+  }
+
+  addIdentityCitations(validation, rulePack) {
+    const citations = rulePack.identities?.citations || [];
+    validation.citations = [...new Set([...(validation.citations || []), ...citations])];
+  }
+
+  async validateVerbiage(text, pages = null, rulePack = rules.getDefaultRulePack()) {
     try {
+      const verbiageRules = rulePack.verbiage;
       logger.info('Starting verbiage validation');
       
       const lowerText = text.toLowerCase();
@@ -385,12 +982,12 @@ class DocumentValidationService {
       const requiredPhrases = [];
       
       // Check for required phrases
-      this.requiredPhrases.forEach(phrase => {
+      verbiageRules.requiredPhrases.forEach(phrase => {
         const found = lowerText.includes(phrase.toLowerCase());
         requiredPhrases.push({
           phrase,
           found,
-          location: found ? this.findPhraseLocation(text, phrase) : null
+          location: found ? this.findPhraseLocation(text, phrase, pages) : null
         });
         
         if (!found) {
@@ -399,14 +996,7 @@ class DocumentValidationService {
       });
       
       // Check for cremation authority
-      const cremationPhrases = [
-        'cremat',
-        'disposition of remains',
-        'final disposition',
-        'dispose of my remains'
-      ];
-      
-      const hasCremationAuthority = cremationPhrases.some(phrase => 
+      const hasCremationAuthority = verbiageRules.cremationPhrases.some(phrase => 
         lowerText.includes(phrase)
       );
       
@@ -422,9 +1012,9 @@ class DocumentValidationService {
         poaType = 'non-durable';
       }
       
-      // Check for California-specific requirements
-      if (!lowerText.includes('california') && !lowerText.includes('ca')) {
-        issues.push('Document may not be California-specific');
+      // Check that the document references the selected jurisdiction
+      if (!verbiageRules.jurisdictionTerms.some(term => lowerText.includes(term))) {
+        issues.push(`Document may not be ${rulePack.name}-specific`);
       }
       
       const status = issues.length === 0 ? 'pass' : (hasCremationAuthority ? 'warning' : 'fail');
@@ -434,6 +1024,7 @@ class DocumentValidationService {
         hasCremationAuthority,
         poaType,
         requiredPhrases,
+        citations: verbiageRules.citations || [],
         issues
       };
       
@@ -446,11 +1037,344 @@ class DocumentValidationService {
     }
   }
 
-  async performAdditionalChecks(text) {
+  /**
+   * Evaluate organization-defined rules (required/forbidden phrases, regex extractors, witness minimums)
+   */
+  async validateCustomRules(text, customRules, context = {}) {
+    const ruleResults = customRules.map(rule => {
+      try {
+        return this.evaluateCustomRule(text, rule, context);
+      } catch (error) {
+        logger.error(`Custom rule evaluation error (${rule.name}):`, error);
+        return {
+          ruleId: rule._id,
+          name: rule.name,
+          type: rule.type,
+          status: 'fail',
+          message: 'Error evaluating rule: ' + error.message
+        };
+      }
+    });
+    
+    const statuses = ruleResults.map(result => result.status);
+    let status = 'pass';
+    if (statuses.includes('fail')) {
+      status = 'fail';
+    } else if (statuses.includes('warning')) {
+      status = 'warning';
+    }
+    
+    return {
+      status,
+      rules: ruleResults,
+      issues: ruleResults
+        .filter(result => result.status !== 'pass')
+        .map(result => `${result.name}: ${result.message}`)
+    };
+  }
+
+  evaluateCustomRule(text, rule, context = {}) {
+    const severity = rule.severity || 'fail';
+    const result = {
+      ruleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      status: 'pass'
+    };
+    
+    switch (rule.type) {
+      case 'required_phrase':
+      case 'forbidden_phrase': {
+        const haystack = rule.caseSensitive ? text : text.toLowerCase();
+        const needle = rule.caseSensitive ? rule.phrase : rule.phrase.toLowerCase();
+        const found = haystack.includes(needle);
+        
+        if (rule.type === 'required_phrase') {
+          result.status = found ? 'pass' : severity;
+          result.message = found
+            ? `Found "${rule.phrase}" at ${this.findPhraseLocation(text, rule.phrase, context.pages)}`
+            : `Required phrase not found: "${rule.phrase}"`;
+        } else {
+          result.status = found ? severity : 'pass';
+          result.message = found
+            ? `Forbidden phrase found: "${rule.phrase}" at ${this.findPhraseLocation(text, rule.phrase, context.pages)}`
+            : `Forbidden phrase not present: "${rule.phrase}"`;
+        }
+        break;
+      }
+      
+      case 'regex_extractor': {
+        const fieldName = rule.fieldName || rule.name;
+        let values;
+        
+        try {
+          values = this.extractPatternValues(text, rule.pattern, rule.flags);
+        } catch (error) {
+          if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+          logger.warn(`Custom rule ${rule._id} timed out after ${REGEX_RULE_TIMEOUT_MS}ms`);
+          result.extractedValues = [];
+          result.status = severity;
+          result.message = 'Pattern took too long to run';
+          break;
+        }
+        
+        result.extractedValues = values;
+        result.status = values.length > 0 ? 'pass' : severity;
+        result.message = values.length > 0
+          ? `${fieldName}: ${values.join(', ')}`
+          : `${fieldName} not found in document`;
+        break;
+      }
+      
+      case 'min_witnesses': {
+        const witnessCount = context.witnessValidation?.witnessCount || 0;
+        result.status = witnessCount >= rule.minWitnesses ? 'pass' : severity;
+        result.message = `Witnesses required: ${rule.minWitnesses}, Found: ${witnessCount}`;
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown rule type: ${rule.type}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Distinct values of the pattern's first capture group (or whole match), computed in a
+   * sandbox with a time limit so one pathological pattern cannot block the worker
+   */
+  extractPatternValues(text, pattern, flags) {
+    const values = REGEX_RULE_SCRIPT.runInNewContext({
+      text,
+      pattern,
+      flags: (flags || '').replace('g', '') + 'g',
+      maxValues: REGEX_RULE_MAX_VALUES
+    }, { timeout: REGEX_RULE_TIMEOUT_MS });
+
+    return Array.from(values);
+  }
+
+  /**
+   * Detect when the POA's authority begins and ends: dated termination clauses, springing
+   * (effective-upon-incapacity) language and revocations. An expired or revoked POA fails.
+   */
+  async validateTerm(text, pages = null, rulePack = rules.getDefaultRulePack()) {
+    try {
+      logger.info('Starting POA term validation');
+
+      const issues = [];
+      const now = new Date();
+      const termination = this.findTerminationClauses(text, pages);
+      const springing = this.findSpringingClause(text, pages);
+      const revocations = this.findRevocationClauses(text, pages);
+      let failed = false;
+
+      termination.forEach(clause => {
+        if (!clause.date) {
+          issues.push(`Termination condition requires manual review: "${clause.clause}"`);
+        } else if (clause.date < now) {
+          failed = true;
+          issues.push(`POA expired on ${clause.date.toISOString().slice(0, 10)}: "${clause.clause}"`);
+        }
+      });
+
+      if (springing) {
+        if (springing.effectiveDate && springing.effectiveDate > now) {
+          issues.push(`POA is not effective until ${springing.effectiveDate.toISOString().slice(0, 10)}: "${springing.clause}"`);
+        } else if (!springing.effectiveDate) {
+          issues.push(`Springing POA: authority begins only on the principal's incapacity - confirm the required declaration is on file: "${springing.clause}"`);
+        }
+      }
+
+      revocations.filter(revocation => revocation.type === 'revokes_this').forEach(revocation => {
+        failed = true;
+        issues.push(`POA has been revoked: "${revocation.clause}"`);
+      });
+
+      const datedTerminations = termination.filter(clause => clause.date);
+      const status = failed ? 'fail' : (issues.length === 0 ? 'pass' : 'warning');
+
+      return {
+        status,
+        terminationDate: datedTerminations.length > 0
+          ? new Date(Math.min(...datedTerminations.map(clause => clause.date)))
+          : null,
+        isExpired: datedTerminations.some(clause => clause.date < now),
+        terminationClauses: termination,
+        springing: {
+          detected: !!springing,
+          clause: springing?.clause || null,
+          effectiveDate: springing?.effectiveDate || null,
+          location: springing?.location || null
+        },
+        revocationClauses: revocations,
+        citations: rulePack.term?.citations || [],
+        issues
+      };
+    } catch (error) {
+      logger.error('POA term validation error:', error);
+      return {
+        status: 'fail',
+        issues: ['Error during POA term validation: ' + error.message]
+      };
+    }
+  }
+
+  findTerminationClauses(text, pages = null) {
+    const date = TERM_DATE_PATTERN;
+    const patterns = [
+      new RegExp(`\\b(?:power\\s+of\\s+attorney|authority|appointment|document)\\b[^.;\\n]{0,80}?\\b(?:terminate|expire|end|cease)s?\\b(?:\\s+(?:on|at|upon|as\\s+of|after))?(?:\\s+midnight(?:\\s+on)?)?\\s+(${date})`, 'gi'),
+      new RegExp(`\\b(?:remain|be|continue)\\s+in\\s+(?:full\\s+)?(?:force|effect)[^.;\\n]{0,60}?\\b(?:until|through)\\s+(${date})`, 'gi'),
+      new RegExp(`\\b(?:expiration|termination)\\s+date\\s*[:\\-]?\\s*(${date})`, 'gi'),
+      // Event-based termination ("shall terminate upon my recovery"); durable "shall not terminate" language is excluded
+      /\b(?:power\s+of\s+attorney|authority)\b[^.;\n]{0,80}?\bshall\s+(?:terminate|expire|cease)\s+(?:upon|when|if)\s+[^.;\n]+/gi
+    ];
+
+    const clauses = [];
+    patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        if (/\bnot\b/i.test(match[0]) || clauses.some(existing => existing.index === match.index)) {
+          continue;
+        }
+
+        const parsedDate = match[1] ? this.parseClauseDate(match[1]) : null;
+        // Only keep an undated clause if no dated clause already covers that sentence
+        if (!parsedDate && clauses.some(existing => existing.clause === this.quoteClause(text, match.index))) {
+          continue;
+        }
+
+        clauses.push({
+          index: match.index,
+          clause: this.quoteClause(text, match.index),
+          date: parsedDate,
+          location: this.findPhraseLocation(text, match[0], pages)
+        });
+      }
+    });
+
+    return clauses.map(({ index, ...clause }) => clause);
+  }
+
+  findSpringingClause(text, pages = null) {
+    const patterns = [
+      /\b(?:shall\s+)?(?:become|becomes|be)\s+effective\s+(?:only\s+)?(?:upon|when|if|at\s+such\s+time\s+as|in\s+the\s+event)\b[^.;\n]{0,120}?\b(?:incapacit|incompeten|disab|unable\s+to)/gi,
+      /\bspringing\s+power\s+of\s+attorney\b/gi,
+      new RegExp(`\\b(?:shall\\s+)?(?:become|becomes|be)\\s+effective\\s+(?:on|as\\s+of)\\s+(${TERM_DATE_PATTERN})`, 'gi')
+    ];
+
+    for (const pattern of patterns) {
+      const match = pattern.exec(text);
+      if (match) {
+        return {
+          clause: this.quoteClause(text, match.index),
+          effectiveDate: match[1] ? this.parseClauseDate(match[1]) : null,
+          location: this.findPhraseLocation(text, match[0], pages)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Revocation language, classified: revoking earlier POAs, reserving the right to revoke and
+   * section headings are routine; only language that actually revokes this POA invalidates it
+   */
+  findRevocationClauses(text, pages = null) {
+    const clauses = [];
+
+    for (const match of text.matchAll(/\brevo(?:ke|kes|ked|cation)\b/gi)) {
+      const clause = this.quoteClause(text, match.index);
+      if (clauses.some(existing => existing.clause === clause)) {
+        continue;
+      }
+
+      let type;
+      if (/\b(?:prior|previous|earlier|other|former|all\s+powers)\b/i.test(clause)) {
+        type = 'prior';
+      } else if (/\b(?:may|can|right\s+to|at\s+any\s+time|until)\b/i.test(clause)) {
+        type = 'right_to_revoke';
+      } else if (/\b(?:(?:is|are|been|hereby)\s+(?:hereby\s+)?revoked|hereby\s+revokes?)\b/i.test(clause)) {
+        type = 'revokes_this';
+      } else {
+        // Headings and passing references ("Revocation", "notice of revocation")
+        type = 'mention';
+      }
+
+      clauses.push({ type, clause, location: this.findPhraseLocation(text, match[0], pages) });
+    }
+
+    return clauses;
+  }
+
+  parseClauseDate(value) {
+    const cleaned = value
+      .replace(/(\d+)(?:st|nd|rd|th)\b/gi, '$1')
+      .replace(/\bday\s+of\s+/i, '')
+      .replace(/,/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // "15 January 2024" (from "15th day of January, 2024") is not understood by Date
+    const dayFirst = cleaned.match(/^(\d{1,2}) ([A-Za-z]+) (\d{4})$/);
+    const date = new Date(dayFirst ? `${dayFirst[2]} ${dayFirst[1]} ${dayFirst[3]}` : cleaned);
+
+    return isNaN(date) ? null : date;
+  }
+
+  /**
+   * The sentence around an offset, whitespace-collapsed and trimmed for quoting in issues.
+   * Lines are joined only where a sentence wraps (the next line starts in lower case),
+   * so headings above a clause are not quoted with it.
+   */
+  quoteClause(text, index) {
+    const lineStart = (offset) => text.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = (offset) => {
+      const end = text.indexOf('\n', offset);
+      return end === -1 ? text.length : end;
+    };
+    const continues = (line) => /^\s*[a-z]/.test(line);
+    const ended = (line) => /[.;:]\s*$/.test(line);
+
+    let start = lineStart(index);
+    let end = lineEnd(index);
+
+    while (start > 0 && continues(text.slice(start, end))) {
+      const previousStart = lineStart(start - 1);
+      if (ended(text.slice(previousStart, start - 1))) break;
+      start = previousStart;
+    }
+
+    while (end < text.length && !ended(text.slice(start, end))) {
+      const nextEnd = lineEnd(end + 1);
+      if (!continues(text.slice(end + 1, nextEnd))) break;
+      end = nextEnd;
+    }
+
+    // Narrow the block down to the sentence containing the offset
+    const block = text.slice(start, end);
+    const offset = index - start;
+    let sentenceStart = 0;
+    let sentenceEnd = block.length;
+    for (const match of block.matchAll(/[.;](?=\s)/g)) {
+      if (match.index < offset) {
+        sentenceStart = match.index + 1;
+      } else {
+        sentenceEnd = match.index + 1;
+        break;
+      }
+    }
+
+    const clause = block.slice(sentenceStart, sentenceEnd).replace(/\s+/g, ' ').trim();
+    return clause.length > 200 ? `${clause.slice(0, 197)}...` : clause;
+  }
+
+  async performAdditionalChecks(text, signatures = []) {
     try {
       const additionalChecks = {
         dateValidation: await this.validateDates(text),
-        signatureValidation: await this.validateSignatures(text)
+        signatureValidation: await this.validateSignatures(text, signatures)
       };
       
       return additionalChecks;
@@ -514,7 +1438,11 @@ class DocumentValidationService {
     }
   }
 
-  async validateSignatures(text) {
+  /**
+   * Signatures found on the page images are reported as signed, blank or illegible; without any,
+   * the text is searched for signature wording
+   */
+  async validateSignatures(text, signatures = []) {
     try {
       const signaturePatterns = [
         /principal[:\s]*signature/gi,
@@ -543,6 +1471,10 @@ class DocumentValidationService {
       
       // Note: Agent signature is typically not required on the POA document itself
       
+      if (signatures && signatures.length > 0) {
+        return { ...signatureDetection.evaluate(signatures), agentSigned };
+      }
+      
       const status = issues.length === 0 ? 'pass' : 'warning';
       
       return {
@@ -559,13 +1491,25 @@ class DocumentValidationService {
     }
   }
 
-  findPhraseLocation(text, phrase) {
+  findPhraseLocation(text, phrase, pages = null) {
     const index = text.toLowerCase().indexOf(phrase.toLowerCase());
     if (index === -1) return null;
     
+    const page = this.findPageForOffset(pages, index);
+    if (page) {
+      const pageLines = text.substring(page.startOffset, index).split('\n');
+      return `Page ${page.pageNumber}, line ${pageLines.length}`;
+    }
+    
     const lines = text.substring(0, index).split('\n');
     return `Line ${lines.length}`;
   }
+
+  findPageForOffset(pages, offset) {
+    if (!pages || pages.length === 0) return null;
+    
+    return pages.find(page => offset >= page.startOffset && offset < page.endOffset) || null;
+  }
 }
 
 module.exports = new DocumentValidationService();
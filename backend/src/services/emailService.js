@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const emailTemplates = require('./emailTemplates');
+const logger = require('../utils/logger');
+
+const OVERALL_LABELS = {
+  pass: 'passed',
+  warning: 'needs attention',
+  fail: 'failed'
+};
+
+const ISSUE_LIMIT = 10;
+
+class EmailService {
+  constructor() {
+    // smtp in production; file (.eml files in EMAIL_OUTBOX_DIR) or console (recipient and subject only) for development
+    this.transportType = process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'console');
+    this.from = process.env.EMAIL_FROM || `"Say Goodbye" <${process.env.EMAIL_USER || 'no-reply@localhost'}>`;
+    this.outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../logs/emails');
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.digestInterval = parseInt(process.env.EMAIL_DIGEST_CHECK_MS) || 60 * 60 * 1000; // 1 hour
+
+    this.transport = null;
+    this.digestTimer = null;
+  }
+
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    // Messages carry password-reset and verification links, so production never falls back to a local transport
+    if (this.transportType !== 'smtp' && process.env.NODE_ENV === 'production') {
+      throw new Error(`Email transport ${this.transportType} is not allowed in production; configure EMAIL_HOST for SMTP`);
+    }
+
+    switch (this.transportType) {
+      case 'smtp': {
+        const port = parseInt(process.env.EMAIL_PORT) || 587;
+        this.transport = nodemailer.createTransport({
+          host: process.env.EMAIL_HOST,
+          port,
+          secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+          auth: process.env.EMAIL_USER
+            ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+            : undefined
+        });
+        break;
+      }
+      case 'file':
+        this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        break;
+      case 'console':
+        this.transport = nodemailer.createTransport({ jsonTransport: true });
+        break;
+      default:
+        throw new Error(`Unknown email transport: ${this.transportType}`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Render a template and send it. Never throws: a failed email must not fail the action that sent it.
+   */
+  async send(template, to, data = {}) {
+    try {
+      const message = await emailTemplates.render(template, { ...this.getCommonData(), ...data });
+      const info = await this.getTransport().sendMail({ from: this.from, to, ...message });
+
+      if (this.transportType === 'file') {
+        await fs.mkdir(this.outboxDir, { recursive: true });
+        const filePath = path.join(this.outboxDir, `${Date.now()}-${template}.eml`);
+        await fs.writeFile(filePath, info.message);
+        logger.info(`Email written to ${filePath}`);
+      } else if (this.transportType === 'console') {
+        // Bodies hold account links; use the file transport to read them
+        logger.info(`Email to ${to}: ${message.subject}`);
+      }
+
+      logger.info(`Email sent: ${template} to ${to}`);
+      return true;
+    } catch (error) {
+      logger.error(`Email send error (${template} to ${to}):`, error);
+      return false;
+    }
+  }
+
+  getCommonData() {
+    return {
+      appName: 'Say Goodbye',
+      frontendUrl: this.frontendUrl,
+      profileUrl: `${this.frontendUrl}/profile`
+    };
+  }
+
+  /**
+   * Validation results for the uploader, unless they turned email notifications off
+   */
+  async notifyValidationCompleted(document) {
+    const user = await this.findNotifiableUser(document.userId);
+    if (!user) return false;
+
+    const results = document.validationResults || {};
+    const issues = [
+      results.notaryValidation,
+      results.witnessValidation,
+      results.verbiageValidation,
+      results.termValidation,
+      results.customRuleValidation
+    ].flatMap(check => check?.issues || []);
+
+    return this.send('validation-completed', user.email, {
+      user: this.describeUser(user),
+      document: this.describeDocument(document),
+      overall: results.overall,
+      overallLabel: OVERALL_LABELS[results.overall] || results.overall,
+      summary: document.validationSummary || { passed: 0, warnings: 0, failed: 0, total: 0 },
+      issues: issues.slice(0, ISSUE_LIMIT),
+      documentUrl: `${this.frontendUrl}/documents/${document._id}`
+    });
+  }
+
+  async notifyValidationFailed(document, errorMessage) {
+    const user = await this.findNotifiableUser(document.userId);
+    if (!user) return false;
+
+    return this.send('validation-failed', user.email, {
+      user: this.describeUser(user),
+      document: this.describeDocument(document),
+      error: errorMessage || document.errorMessage,
+      documentUrl: `${this.frontendUrl}/documents/${document._id}`,
+      uploadUrl: `${this.frontendUrl}/documents/upload`
+    });
+  }
+
+  async sendPasswordReset(user, resetUrl, expiresInMinutes) {
+    return this.send('password-reset', user.email, {
+      user: this.describeUser(user),
+      resetUrl,
+      expiresInMinutes
+    });
+  }
+
+  async sendEmailVerification(user, verifyUrl, expiresInHours) {
+    return this.send('email-verification', user.email, {
+      user: this.describeUser(user),
+      verifyUrl,
+      expiresInHours
+    });
+  }
+
+  /**
+   * Billing problems go to the account holder (the owner for organizations) regardless of preferences
+   */
+  async notifyPaymentFailed(invoice, { user, organization = null }) {
+    if (!user) return false;
+
+    const currency = (invoice.currency || 'usd').toUpperCase();
+    const amountDue = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+      .format((invoice.amount_due || 0) / 100);
+
+    return this.send('payment-failed', user.email, {
+      user: this.describeUser(user),
+      organizationName: organization?.name || null,
+      amountDue,
+      invoiceUrl: invoice.hosted_invoice_url || null,
+      billingUrl: `${this.frontendUrl}/billing`
+    });
+  }
+
+  /**
+   * Send last month's digest to every user who has not had one this month.
+   * Each user is claimed atomically, so several processes can run this safely.
+   */
+  async sendMonthlyDigests(now = new Date()) {
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const periodStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    let sent = 0;
+
+    for (;;) {
+      const user = await User.findOneAndUpdate(
+        {
+          'preferences.emailNotifications': true,
+          createdAt: { $lt: monthStart },
+          $or: [{ lastUsageDigestAt: null }, { lastUsageDigestAt: { $lt: monthStart } }]
+        },
+        { $set: { lastUsageDigestAt: now } },
+        { new: true }
+      );
+      if (!user) break;
+
+      if (await this.sendUsageDigest(user, periodStart, monthStart)) {
+        sent++;
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Usage digests sent: ${sent}`);
+    }
+    return sent;
+  }
+
+  /**
+   * Digest of the documents a user uploaded between start and end; skipped when there was no activity
+   */
+  async sendUsageDigest(user, start, end) {
+    const counts = await Document.aggregate([
+      { $match: { userId: user._id, createdAt: { $gte: start, $lt: end } } },
+      { $group: { _id: { status: '$status', overall: '$validationResults.overall' }, count: { $sum: 1 } } }
+    ]);
+
+    const totals = { uploaded: 0, pass: 0, warning: 0, fail: 0, errored: 0 };
+    counts.forEach(({ _id, count }) => {
+      totals.uploaded += count;
+      if (_id.status === 'failed') {
+        totals.errored += count;
+      } else if (_id.status === 'completed' && totals[_id.overall] !== undefined) {
+        totals[_id.overall] += count;
+      }
+    });
+
+    if (totals.uploaded === 0) return false;
+
+    const limits = user.getTierLimits() || {};
+    return this.send('usage-digest', user.email, {
+      user: this.describeUser(user),
+      period: start.toLocaleString('en-US', { month: 'long', year: 'numeric' }),
+      totals,
+      plan: user.tier.charAt(0).toUpperCase() + user.tier.slice(1),
+      limitLabel: limits.validationsPerMonth === -1
+        ? 'unlimited validations'
+        : `${limits.validationsPerMonth} validations per month`,
+      dashboardUrl: `${this.frontendUrl}/dashboard`
+    });
+  }
+
+  /**
+   * Check hourly for digests that are due; the first run after the 1st of the month sends them
+   */
+  startDigestScheduler() {
+    if (this.digestTimer || process.env.EMAIL_DIGEST_ENABLED === 'false') return;
+
+    const run = () => this.sendMonthlyDigests().catch(error => logger.error('Usage digest error:', error));
+    this.digestTimer = setInterval(run, this.digestInterval);
+    run();
+  }
+
+  stopDigestScheduler() {
+    clearInterval(this.digestTimer);
+    this.digestTimer = null;
+  }
+
+  async findNotifiableUser(userId) {
+    try {
+      const user = await User.findById(userId).select('firstName lastName email preferences');
+      return user && user.preferences?.emailNotifications !== false ? user : null;
+    } catch (error) {
+      logger.error('Email recipient lookup error:', error);
+      return null;
+    }
+  }
+
+  describeUser(user) {
+    return { firstName: user.firstName, lastName: user.lastName, email: user.email };
+  }
+
+  describeDocument(document) {
+    return { id: document._id, originalName: document.originalName, caseId: document.caseId || null };
+  }
+}
+
+module.exports = new EmailService();
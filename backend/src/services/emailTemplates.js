@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const EmailTemplate = require('../models/EmailTemplate');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+const CONTENT_MARKER = '\u0000content\u0000';
+
+// Built-in templates, with sample data used for previews and syntax checks
+const TEMPLATES = {
+  'validation-completed': {
+    description: 'Validation finished, with the overall result and issues',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      document: { originalName: 'smith-poa.pdf', caseId: 'FH-2024-001' },
+      overall: 'warning',
+      overallLabel: 'needs attention',
+      summary: { passed: 3, warnings: 1, failed: 0, total: 4 },
+      issues: ['Notary validation requires manual verification'],
+      documentUrl: 'http://localhost:3000/documents/123'
+    }
+  },
+  'validation-failed': {
+    description: 'A document could not be validated',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      document: { originalName: 'smith-poa.pdf', caseId: null },
+      error: 'No text could be extracted from the document',
+      documentUrl: 'http://localhost:3000/documents/123',
+      uploadUrl: 'http://localhost:3000/documents/upload'
+    }
+  },
+  'password-reset': {
+    description: 'Link to choose a new password',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      resetUrl: 'http://localhost:3000/reset-password?token=sample',
+      expiresInMinutes: 60
+    }
+  },
+  'email-verification': {
+    description: 'Link to confirm an email address',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      verifyUrl: 'http://localhost:3000/verify-email?token=sample',
+      expiresInHours: 24
+    }
+  },
+  'payment-failed': {
+    description: 'A subscription payment could not be collected',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      organizationName: null,
+      amountDue: '$29.00',
+      invoiceUrl: 'https://invoice.stripe.com/i/sample',
+      billingUrl: 'http://localhost:3000/billing'
+    }
+  },
+  'usage-digest': {
+    description: 'Monthly summary of validation activity',
+    sample: {
+      user: { firstName: 'Jane', email: 'jane@example.com' },
+      period: 'September 2026',
+      totals: { uploaded: 12, pass: 8, warning: 2, fail: 1, errored: 1 },
+      plan: 'Professional',
+      limitLabel: 'unlimited validations',
+      dashboardUrl: 'http://localhost:3000/dashboard'
+    }
+  }
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const lookup = (data, keyPath) => keyPath.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  data
+);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Minimal mustache-style rendering:
+ *   {{name}} / {{user.firstName}}      value (HTML-escaped in HTML bodies)
+ *   {{#if name}}...{{else}}...{{/if}}  conditional
+ *   {{#each list}}...{{/each}}         loop; {{this}} is the item, object items also expose their fields
+ * Blocks of the same kind cannot be nested.
+ */
+const render = (source, data, escape = false) => {
+  let output = source.replace(/\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, keyPath, block) => {
+    const items = lookup(data, keyPath);
+    if (!Array.isArray(items)) return '';
+
+    return items.map(item => {
+      const scope = item && typeof item === 'object' ? { ...data, ...item, this: item } : { ...data, this: item };
+      return render(block, scope, escape);
+    }).join('');
+  });
+
+  output = output.replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g, (match, keyPath, truthy, falsy = '') => {
+    return render(isTruthy(lookup(data, keyPath)) ? truthy : falsy, data, escape);
+  });
+
+  return output.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+    const value = keyPath === 'this' ? data.this : lookup(data, keyPath);
+    if (value === null || value === undefined) return '';
+    return escape ? escapeHtml(String(value)) : String(value);
+  });
+};
+
+/**
+ * Unbalanced or unknown block tags, as an error message (null when the source is valid)
+ */
+const checkSyntax = (source) => {
+  const unknown = source.match(/\{\{[#/](?!if\b|each\b)[^}]*\}\}/);
+  if (unknown) {
+    return `Unknown block tag ${unknown[0]}`;
+  }
+
+  for (const block of ['if', 'each']) {
+    const opened = (source.match(new RegExp(`\\{\\{#${block}\\b`, 'g')) || []).length;
+    const closed = (source.match(new RegExp(`\\{\\{/${block}\\}\\}`, 'g')) || []).length;
+    if (opened !== closed) {
+      return `Unbalanced {{#${block}}} blocks (${opened} opened, ${closed} closed)`;
+    }
+  }
+
+  return null;
+};
+
+class EmailTemplates {
+  constructor() {
+    this.defaults = new Map();
+  }
+
+  list() {
+    return Object.entries(TEMPLATES).map(([name, { description }]) => ({ name, description }));
+  }
+
+  exists(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+  }
+
+  getSample(name) {
+    return TEMPLATES[name]?.sample || {};
+  }
+
+  /**
+   * Built-in template files, read once per process
+   */
+  async getDefault(name) {
+    if (!this.exists(name)) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    if (!this.defaults.has(name)) {
+      const read = (file) => fs.readFile(path.join(TEMPLATE_DIR, name, file), 'utf8');
+      const [subject, html, text] = await Promise.all([read('subject.txt'), read('body.html'), read('body.txt')]);
+      this.defaults.set(name, { name, subject: subject.trim(), html, text });
+    }
+
+    return this.defaults.get(name);
+  }
+
+  async getLayout() {
+    if (!this.layout) {
+      this.layout = await fs.readFile(path.join(TEMPLATE_DIR, 'layout.html'), 'utf8');
+    }
+    return this.layout;
+  }
+
+  /**
+   * The admin override when there is one, otherwise the built-in template
+   */
+  async getTemplate(name) {
+    const override = await EmailTemplate.findOne({ name }).lean();
+    if (override) {
+      return { name, subject: override.subject, html: override.html, text: override.text, overridden: true, updatedAt: override.updatedAt };
+    }
+
+    return { ...(await this.getDefault(name)), overridden: false };
+  }
+
+  /**
+   * Render subject, HTML (wrapped in the layout) and text bodies
+   */
+  async render(name, data, template = null) {
+    const source = template || await this.getTemplate(name);
+    const layout = await this.getLayout();
+
+    const body = render(source.html, data, true);
+    const html = render(layout, { ...data, content: CONTENT_MARKER }, true).replace(CONTENT_MARKER, body);
+
+    return {
+      subject: render(source.subject, data).replace(/\s+/g, ' ').trim(),
+      html,
+      text: render(source.text, data)
+    };
+  }
+
+  validate({ subject, html, text }) {
+    const errors = [];
+    Object.entries({ subject, html, text }).forEach(([field, source]) => {
+      const error = checkSyntax(source || '');
+      if (error) {
+        errors.push({ path: field, msg: error });
+      }
+    });
+    return errors;
+  }
+}
+
+const emailTemplates = new EmailTemplates();
+emailTemplates.renderString = render;
+
+module.exports = emailTemplates;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const keyProviders = require('./keyProviders');
+
+// Encrypted blobs start with MAGIC and a length-prefixed JSON header naming the provider,
+// master key and wrapped data key. AES-256-GCM ciphertext follows, then the 16-byte auth tag.
+const MAGIC = Buffer.from('SGE1');
+const TAG_LENGTH = 16;
+
+// Encrypted string fields are stored as TEXT_PREFIX + base64 blob
+const TEXT_PREFIX = 'enc:v1:';
+
+/**
+ * Envelope encryption for stored POA files and their extracted text. Every file or field gets
+ * its own random data key, which is wrapped by the configured key provider and stored with the data.
+ * Reads accept unencrypted data so documents stored before encryption keep working until migrated.
+ */
+class EncryptionService {
+  /**
+   * New data key and the header to store in front of the data it encrypts
+   */
+  async createDataKey() {
+    const provider = keyProviders.getProvider();
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const { keyId, wrappedKey } = await provider.wrapKey(dataKey);
+
+    const header = Buffer.from(JSON.stringify({
+      provider: provider.name,
+      keyId,
+      wrappedKey: wrappedKey.toString('base64'),
+      iv: iv.toString('base64')
+    }));
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(header.length);
+
+    return { dataKey, iv, header: Buffer.concat([MAGIC, length, header]) };
+  }
+
+  // The header is authenticated along with the data so it can't be swapped between blobs
+  createCipher({ dataKey, iv, header }) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    cipher.setAAD(header);
+    return cipher;
+  }
+
+  isEncrypted(data) {
+    return Buffer.isBuffer(data) && data.length > MAGIC.length + 2 && data.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  async encrypt(plaintext) {
+    const envelope = await this.createDataKey();
+    const cipher = this.createCipher(envelope);
+
+    return Buffer.concat([envelope.header, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  async decrypt(data) {
+    if (!this.isEncrypted(data)) {
+      return data;
+    }
+
+    const headerEnd = MAGIC.length + 2 + data.readUInt16BE(MAGIC.length);
+    const header = JSON.parse(data.subarray(MAGIC.length + 2, headerEnd).toString());
+    const provider = keyProviders.getProviderByName(header.provider);
+    if (!provider) {
+      throw new Error(`Unknown encryption key provider: ${header.provider}`);
+    }
+
+    const dataKey = await provider.unwrapKey(Buffer.from(header.wrappedKey, 'base64'), header.keyId);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(header.iv, 'base64'));
+    decipher.setAAD(data.subarray(0, headerEnd));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+    return Buffer.concat([decipher.update(data.subarray(headerEnd, data.length - TAG_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * Contents of a stored file, decrypted
+   */
+  async readFile(filePath) {
+    return this.decrypt(await fs.promises.readFile(filePath));
+  }
+
+  /**
+   * Encrypt a plaintext file in place. Returns false if it was already encrypted.
+   */
+  async encryptFile(filePath) {
+    const contents = await fs.promises.readFile(filePath);
+    if (this.isEncrypted(contents)) {
+      return false;
+    }
+
+    const temporaryPath = `${filePath}.encrypting`;
+    await fs.promises.writeFile(temporaryPath, await this.encrypt(contents), { mode: 0o600 });
+    await fs.promises.rename(temporaryPath, filePath);
+    return true;
+  }
+
+  isEncryptedText(value) {
+    return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+  }
+
+  async encryptText(text) {
+    if (typeof text !== 'string' || text.length === 0 || this.isEncryptedText(text)) {
+      return text;
+    }
+
+    const encrypted = await this.encrypt(Buffer.from(text, 'utf8'));
+    return `${TEXT_PREFIX}${encrypted.toString('base64')}`;
+  }
+
+  async decryptText(value) {
+    if (!this.isEncryptedText(value)) {
+      return value;
+    }
+
+    const decrypted = await this.decrypt(Buffer.from(value.slice(TEXT_PREFIX.length), 'base64'));
+    return decrypted.toString('utf8');
+  }
+
+  // Per-page text with the page text encrypted; offsets and confidence stay readable
+  async encryptPages(pages) {
+    if (!Array.isArray(pages)) {
+      return pages;
+    }
+
+    return Promise.all(pages.map(async page => ({ ...page, text: await this.encryptText(page.text) })));
+  }
+
+  async decryptPages(pages) {
+    if (!Array.isArray(pages)) {
+      return pages;
+    }
+
+    return Promise.all(pages.map(async page => {
+      const plain = typeof page.toObject === 'function' ? page.toObject() : page;
+      return { ...plain, text: await this.decryptText(plain.text) };
+    }));
+  }
+
+  /**
+   * Multer storage engine with the same options as multer.diskStorage that encrypts uploads
+   * as they are written, so plaintext never reaches the disk. `size` is the plaintext size.
+   */
+  diskStorage({ destination, filename }) {
+    const getDestination = promisify(destination);
+    const getFilename = promisify(filename);
+
+    return {
+      _handleFile: async (req, file, cb) => {
+        try {
+          const folder = await getDestination(req, file);
+          const name = await getFilename(req, file);
+          const finalPath = path.join(folder, name);
+          const envelope = await this.createDataKey();
+          const cipher = this.createCipher(envelope);
+          const output = fs.createWriteStream(finalPath, { mode: 0o600 });
+          let size = 0;
+
+          output.on('error', cb);
+          output.on('finish', () => cb(null, { destination: folder, filename: name, path: finalPath, size }));
+
+          output.write(envelope.header);
+          file.stream.on('data', chunk => {
+            size += chunk.length;
+          });
+          cipher.on('end', () => output.end(cipher.getAuthTag()));
+          file.stream.pipe(cipher).pipe(output, { end: false });
+        } catch (error) {
+          cb(error);
+        }
+      },
+
+      _removeFile: (req, file, cb) => {
+        const filePath = file.path;
+        delete file.destination;
+        delete file.filename;
+        delete file.path;
+        fs.unlink(filePath, cb);
+      }
+    };
+  }
+}
+
+const encryptionService = new EncryptionService();
+encryptionService.TEXT_PREFIX = TEXT_PREFIX;
+
+module.exports = encryptionService;
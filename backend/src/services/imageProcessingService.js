@@ -143,7 +143,8 @@ class ImageProcessingService {
         language = 'eng',
         oem = 1, // LSTM OCR Engine Mode
         psm = 3, // Automatic page segmentation
-        preprocessImage = true
+        preprocessImage = true,
+        onProgress = null // called with the recognition progress (0-1)
       } = options;
 
       let processBuffer = imageBuffer;
@@ -161,6 +162,9 @@ class ImageProcessingService {
         logger: m => {
           if (m.status === 'recognizing text') {
             logger.info(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+            if (onProgress) {
+              onProgress(m.progress);
+            }
           }
         },
         tessedit_ocr_engine_mode: oem,
@@ -169,6 +173,9 @@ class ImageProcessingService {
       });
 
       const processingTime = Date.now() - startTime;
+
+      // Size of the image Tesseract read, so word boxes can be placed on the page
+      const { width, height } = await sharp(processBuffer).metadata().catch(() => ({}));
       
       const result = {
         success: true,
@@ -184,6 +191,7 @@ class ImageProcessingService {
           confidence: line.confidence,
           bbox: line.bbox
         })) || [],
+        imageSize: width && height ? { width, height } : null,
         processingTime,
         language,
         ocrEngine: 'Tesseract.js'
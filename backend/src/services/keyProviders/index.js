@@ -0,0 +1,45 @@
+const localKeyProvider = require('./localKeyProvider');
+
+const providers = new Map();
+
+/**
+ * Register a key provider (replaces any provider with the same name).
+ * Providers implement `isConfigured()`, `wrapKey(dataKey)` resolving to `{ keyId, wrappedKey }`,
+ * and `unwrapKey(wrappedKey, keyId)` resolving to the data key. A KMS provider wraps and
+ * unwraps remotely so the master key never leaves it.
+ */
+const registerProvider = (provider) => {
+  if (!provider.name || typeof provider.wrapKey !== 'function' || typeof provider.unwrapKey !== 'function') {
+    throw new Error(`Invalid key provider ${provider.name || '(unnamed)'}: name, wrapKey and unwrapKey are required`);
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+const getProviderByName = (name) => providers.get(name) || null;
+
+/**
+ * Provider used for new data keys: ENCRYPTION_KEY_PROVIDER, defaulting to the local key file
+ */
+const getProvider = () => {
+  const name = process.env.ENCRYPTION_KEY_PROVIDER || 'local';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown encryption key provider: ${name}`);
+  }
+  if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) {
+    throw new Error(`Encryption key provider ${name} is not configured`);
+  }
+
+  return provider;
+};
+
+[localKeyProvider].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  getProviderByName,
+  getProvider
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '../../../keys/master.key');
+
+// Short, stable identifier for a master key, stored with each wrapped data key
+const keyIdFor = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+/**
+ * Master keys read from a local file (ENCRYPTION_KEY_FILE): one base64-encoded 32-byte key per line.
+ * The first key wraps new data keys; keys below it are kept so data wrapped before a rotation
+ * can still be read. Outside production a key file is created on first use.
+ */
+class LocalKeyProvider {
+  constructor() {
+    this.name = 'local';
+    this.keys = null;
+  }
+
+  get keyFile() {
+    return process.env.ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE;
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' || fs.existsSync(this.keyFile);
+  }
+
+  loadKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`Encryption key file not found: ${this.keyFile}`);
+      }
+
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+      fs.writeFileSync(this.keyFile, `${crypto.randomBytes(32).toString('base64')}\n`, { mode: 0o600 });
+      logger.warn(`Generated a new encryption key at ${this.keyFile}. Back it up: files encrypted with it cannot be read without it.`);
+    }
+
+    const keys = fs.readFileSync(this.keyFile, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => Buffer.from(line, 'base64'));
+
+    if (keys.length === 0 || keys.some(key => key.length !== 32)) {
+      throw new Error(`Encryption key file ${this.keyFile} must contain base64-encoded 32-byte keys, one per line`);
+    }
+
+    this.keys = new Map(keys.map(key => [keyIdFor(key), key]));
+    return this.keys;
+  }
+
+  // Pick up a rotated key file without restarting
+  reload() {
+    this.keys = null;
+    return this.loadKeys();
+  }
+
+  async wrapKey(dataKey) {
+    const [[keyId, masterKey]] = this.loadKeys();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped])
+    };
+  }
+
+  async unwrapKey(wrappedKey, keyId) {
+    const masterKey = this.loadKeys().get(keyId);
+    if (!masterKey) {
+      throw new Error(`Encryption key ${keyId} is not in ${this.keyFile}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrappedKey.subarray(0, 12));
+    decipher.setAuthTag(wrappedKey.subarray(12, 28));
+    return Buffer.concat([decipher.update(wrappedKey.subarray(28)), decipher.final()]);
+  }
+}
+
+module.exports = new LocalKeyProvider();
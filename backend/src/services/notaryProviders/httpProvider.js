@@ -0,0 +1,53 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * Remote verification API configured per rule pack (`notary.verificationApi`)
+ */
+class HttpProvider {
+  constructor() {
+    this.name = 'http';
+  }
+
+  isConfigured(rulePack) {
+    const verificationApi = rulePack.notary.verificationApi;
+    return !!(verificationApi && process.env[verificationApi.urlEnv]);
+  }
+
+  async lookup(commissionNumber, rulePack) {
+    const verificationApi = rulePack.notary.verificationApi;
+
+    try {
+      const response = await axios.get(`${process.env[verificationApi.urlEnv]}/verify`, {
+        params: {
+          commission: commissionNumber
+        },
+        headers: {
+          'Authorization': `Bearer ${process.env[verificationApi.keyEnv]}`
+        },
+        timeout: 5000
+      });
+
+      const notary = response.data.notary || response.data;
+      if (notary.found === false || !notary.name) {
+        return null;
+      }
+
+      return {
+        commissionNumber: notary.commissionNumber || commissionNumber,
+        name: notary.name,
+        commissionExpiry: notary.commissionExpiry || null,
+        county: notary.county || null,
+        status: (notary.status || 'active').toLowerCase()
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error('State notary validation error:', error);
+      throw new Error('Failed to validate with state database');
+    }
+  }
+}
+
+module.exports = new HttpProvider();
@@ -0,0 +1,47 @@
+const registryProvider = require('./registryProvider');
+const httpProvider = require('./httpProvider');
+const mockProvider = require('./mockProvider');
+
+const providers = new Map();
+
+/**
+ * Register a notary verification provider (replaces any provider with the same name).
+ * Providers implement `isConfigured(rulePack)` and `lookup(commissionNumber, rulePack)`,
+ * resolving to `{ commissionNumber, name, commissionExpiry, county, status }` or null.
+ */
+const registerProvider = (provider) => {
+  if (!provider.name || typeof provider.lookup !== 'function' || typeof provider.isConfigured !== 'function') {
+    throw new Error(`Invalid notary provider ${provider.name || '(unnamed)'}: name, lookup and isConfigured are required`);
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+const getProviderByName = (name) => providers.get(name) || null;
+
+/**
+ * Provider for a jurisdiction: NOTARY_PROVIDER when set, otherwise the HTTP API
+ * if configured, then the local registry; null means manual verification
+ */
+const getProvider = (rulePack) => {
+  const preferred = process.env.NOTARY_PROVIDER;
+  const candidates = preferred ? [preferred] : ['http', 'registry'];
+
+  for (const name of candidates) {
+    const provider = providers.get(name);
+    if (provider && provider.isConfigured(rulePack)) {
+      return provider;
+    }
+  }
+
+  return null;
+};
+
+[registryProvider, httpProvider, mockProvider].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  getProviderByName,
+  getProvider
+};
@@ -0,0 +1,35 @@
+const { normalizeCommissionNumber } = require('./registryProvider');
+
+/**
+ * In-memory registry for tests and local development (NOTARY_PROVIDER=mock)
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.reset();
+  }
+
+  // Never in production, where it would verify any commission it was seeded with
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  setRecords(records) {
+    this.records = new Map(records.map(record => [
+      normalizeCommissionNumber(record.commissionNumber),
+      { status: 'active', county: null, commissionExpiry: null, ...record }
+    ]));
+  }
+
+  reset() {
+    this.records = new Map();
+    this.lookups = 0;
+  }
+
+  async lookup(commissionNumber) {
+    this.lookups++;
+    return this.records.get(normalizeCommissionNumber(commissionNumber)) || null;
+  }
+}
+
+module.exports = new MockProvider();
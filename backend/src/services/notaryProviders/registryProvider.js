@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Header names seen in Secretary of State bulk downloads, mapped to registry fields
+const HEADER_ALIASES = {
+  commissionNumber: ['commission number', 'commission no', 'commission #', 'commission', 'commissionnumber'],
+  name: ['name', 'notary name', 'full name', 'notaryname'],
+  firstName: ['first name', 'firstname'],
+  lastName: ['last name', 'lastname'],
+  commissionExpiry: ['commission expiration date', 'commission expires', 'expiration date', 'expiry', 'commissionexpiry'],
+  county: ['county', 'county of residence'],
+  status: ['status', 'commission status']
+};
+
+/**
+ * Split CSV text into rows, honouring quoted fields with embedded commas, quotes and newlines
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+const normalizeCommissionNumber = (value) => String(value || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+
+/**
+ * Map one raw record (CSV row object or JSON entry) onto the registry shape
+ */
+const normalizeRecord = (raw) => {
+  const lookup = {};
+  Object.keys(raw).forEach(key => {
+    lookup[key.trim().toLowerCase()] = raw[key];
+  });
+
+  const pick = (field) => {
+    const alias = HEADER_ALIASES[field].find(name => lookup[name] !== undefined && lookup[name] !== '');
+    return alias ? String(lookup[alias]).trim() : null;
+  };
+
+  const commissionNumber = normalizeCommissionNumber(pick('commissionNumber'));
+  let name = pick('name') || [pick('firstName'), pick('lastName')].filter(Boolean).join(' ');
+
+  // Bulk downloads list names as "Last, First Middle"
+  const [last, first] = name.split(',').map(part => part.trim());
+  if (first) {
+    name = `${first} ${last}`;
+  }
+  if (!commissionNumber || !name) {
+    return null;
+  }
+
+  const expiry = pick('commissionExpiry');
+  const commissionExpiry = expiry && !isNaN(new Date(expiry)) ? new Date(expiry).toISOString() : null;
+
+  return {
+    commissionNumber,
+    name,
+    commissionExpiry,
+    county: pick('county'),
+    status: (pick('status') || 'active').toLowerCase()
+  };
+};
+
+/**
+ * Parse a registry file (SOS bulk CSV or previously imported JSON) into normalized records
+ */
+const parseRegistry = (content, format) => {
+  let rawRecords;
+
+  if (format === '.json') {
+    const parsed = JSON.parse(content);
+    rawRecords = Array.isArray(parsed) ? parsed : parsed.records || [];
+  } else {
+    const [header, ...rows] = parseCsv(content);
+    rawRecords = rows.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index] || ''])));
+  }
+
+  return rawRecords.map(normalizeRecord).filter(Boolean);
+};
+
+/**
+ * Local notary registry imported from the Secretary of State's bulk download.
+ * The file is loaded once per path and reloaded when it changes on disk.
+ */
+class RegistryProvider {
+  constructor() {
+    this.name = 'registry';
+    this.registries = new Map();
+  }
+
+  getRegistryPath(rulePack) {
+    const pathEnv = rulePack.notary.registry?.pathEnv;
+    return pathEnv ? process.env[pathEnv] : null;
+  }
+
+  isConfigured(rulePack) {
+    return !!this.getRegistryPath(rulePack);
+  }
+
+  async loadRegistry(registryPath) {
+    const stats = await fs.stat(registryPath);
+    const cached = this.registries.get(registryPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.records;
+    }
+
+    const content = await fs.readFile(registryPath, 'utf8');
+    const records = new Map();
+    parseRegistry(content, path.extname(registryPath).toLowerCase()).forEach(record => {
+      records.set(record.commissionNumber, record);
+    });
+
+    this.registries.set(registryPath, { mtimeMs: stats.mtimeMs, records });
+    logger.info(`Loaded notary registry ${registryPath}: ${records.size} commissions`);
+    return records;
+  }
+
+  async lookup(commissionNumber, rulePack) {
+    const records = await this.loadRegistry(this.getRegistryPath(rulePack));
+    return records.get(normalizeCommissionNumber(commissionNumber)) || null;
+  }
+}
+
+const registryProvider = new RegistryProvider();
+
+module.exports = registryProvider;
+module.exports.parseRegistry = parseRegistry;
+module.exports.normalizeCommissionNumber = normalizeCommissionNumber;
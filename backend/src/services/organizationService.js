@@ -0,0 +1,328 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const CustomRule = require('../models/CustomRule');
+const Case = require('../models/Case');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const organizationError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class OrganizationService {
+  constructor() {
+    this.invitationTtlDays = parseInt(process.env.ORG_INVITATION_TTL_DAYS) || 7;
+  }
+
+  /**
+   * Create an organization owned by the user; the owner's plan becomes the shared plan
+   */
+  async createOrganization(user, name, { moveLibrary = false } = {}) {
+    if (user.organizationId) {
+      throw organizationError('You already belong to an organization', 400);
+    }
+
+    const organization = await Organization.create({
+      name,
+      ownerId: user._id,
+      tier: user.tier,
+      stripeCustomerId: user.stripeCustomerId,
+      stripeSubscriptionId: user.stripeSubscriptionId,
+      subscriptionStatus: user.subscriptionStatus,
+      subscriptionStartDate: user.subscriptionStartDate,
+      validationsUsedThisMonth: user.validationsUsedThisMonth || 0
+    });
+
+    // The owner's subscription becomes the organization's, so no personal plan is left
+    await this.addMember(organization, user, 'owner', { moveLibrary, personalTier: 'free' });
+
+    logger.info(`Organization created: ${organization.name} by user ${user.email}`);
+    return organization;
+  }
+
+  async renameOrganization(organization, name) {
+    organization.name = name;
+    await organization.save();
+
+    // Keep the display name on member profiles in step
+    await User.updateMany({ organizationId: organization._id }, { $set: { organization: name } });
+    return organization;
+  }
+
+  /**
+   * Require two-factor authentication for every member. Whoever turns it on must already use it,
+   * so they cannot lock themselves out of the setting.
+   */
+  async setTwoFactorRequirement(organization, actor, required) {
+    if (required && !actor.twoFactorEnabled) {
+      throw organizationError('Enable two-factor authentication on your own account before requiring it', 400);
+    }
+
+    organization.requireTwoFactor = required;
+    await organization.save();
+
+    logger.info(`Organization ${organization._id} two-factor requirement ${required ? 'enabled' : 'disabled'} by ${actor.email}`);
+    return organization;
+  }
+
+  /**
+   * Invite someone by email; re-inviting a pending address refreshes the invitation
+   */
+  async inviteMember(organization, inviter, { email, role = 'member' }) {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingMember = await User.findOne({
+      email: normalizedEmail,
+      organizationId: organization._id
+    }).select('_id');
+    if (existingMember) {
+      throw organizationError('User is already a member of this organization', 400);
+    }
+
+    const expiresAt = new Date(Date.now() + this.invitationTtlDays * 24 * 60 * 60 * 1000);
+    let invitation = organization.getPendingInvitation(normalizedEmail);
+
+    if (invitation) {
+      invitation.role = role;
+      invitation.expiresAt = expiresAt;
+      invitation.invitedBy = inviter._id;
+    } else {
+      organization.invitations.push({
+        email: normalizedEmail,
+        role,
+        invitedBy: inviter._id,
+        expiresAt
+      });
+      invitation = organization.invitations[organization.invitations.length - 1];
+    }
+
+    await organization.save();
+
+    logger.info(`Organization invitation: ${normalizedEmail} invited to ${organization.name} as ${role} by ${inviter.email}`);
+    return invitation;
+  }
+
+  /**
+   * Pending, unexpired invitations addressed to the user's email
+   */
+  async getInvitationsForUser(user) {
+    const organizations = await Organization.find({
+      invitations: {
+        $elemMatch: { email: user.email, status: 'pending', expiresAt: { $gt: new Date() } }
+      }
+    }).select('name invitations');
+
+    return organizations.map(organization => {
+      const invitation = organization.getPendingInvitation(user.email);
+      return {
+        id: invitation._id,
+        organizationId: organization._id,
+        organizationName: organization.name,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      };
+    });
+  }
+
+  async acceptInvitation(user, invitationId, { moveLibrary = false } = {}) {
+    if (user.organizationId) {
+      throw organizationError('You already belong to an organization', 400);
+    }
+
+    const organization = await Organization.findOne({ 'invitations._id': invitationId });
+    const invitation = organization?.invitations.id(invitationId);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expiresAt <= new Date()) {
+      throw organizationError('Invitation not found or expired', 404);
+    }
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw organizationError('This invitation was sent to a different email address', 403);
+    }
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    await organization.save();
+
+    await this.addMember(organization, user, invitation.role, { moveLibrary });
+
+    logger.info(`Organization invitation accepted: ${user.email} joined ${organization.name}`);
+    return organization;
+  }
+
+  async revokeInvitation(organization, invitationId) {
+    const invitation = organization.invitations.id(invitationId);
+
+    if (!invitation || invitation.status !== 'pending') {
+      throw organizationError('Invitation not found', 404);
+    }
+
+    invitation.status = 'revoked';
+    await organization.save();
+
+    return invitation;
+  }
+
+  async getMembers(organization) {
+    return User.find({ organizationId: organization._id })
+      .select('firstName lastName email organizationRole twoFactorEnabled createdAt')
+      .sort({ createdAt: 1 });
+  }
+
+  async updateMemberRole(organization, memberId, role) {
+    const member = await User.findOne({ _id: memberId, organizationId: organization._id });
+
+    if (!member) {
+      throw organizationError('Member not found', 404);
+    }
+    if (member.organizationRole === 'owner') {
+      throw organizationError('The organization owner role cannot be changed', 400);
+    }
+
+    member.organizationRole = role;
+    await member.save({ validateBeforeSave: false });
+
+    return member;
+  }
+
+  /**
+   * Remove a member (or let a member leave); documents they uploaded stay with the organization
+   */
+  async removeMember(organization, actor, memberId) {
+    const member = await User.findOne({ _id: memberId, organizationId: organization._id });
+
+    if (!member) {
+      throw organizationError('Member not found', 404);
+    }
+    if (member.organizationRole === 'owner') {
+      throw organizationError('The organization owner cannot be removed', 400);
+    }
+
+    const isSelf = member._id.equals(actor._id);
+    if (!isSelf && actor.organizationRole === 'admin' && member.organizationRole === 'admin') {
+      throw organizationError('Only the owner can remove an admin', 403);
+    }
+
+    member.organizationId = null;
+    member.organizationRole = null;
+    member.tier = member.personalTier || 'free';
+    member.personalTier = null;
+    await member.save({ validateBeforeSave: false });
+
+    await cacheService.invalidateUserDocuments(member._id);
+
+    logger.info(`Organization member removed: ${member.email} from ${organization.name}`);
+    return member;
+  }
+
+  /**
+   * Attach a user to the organization. Their personal documents, rules and cases stay personal
+   * (and out of view until they leave) unless they chose to move them into the shared library.
+   * Their own plan is kept as the personal tier.
+   */
+  async addMember(organization, user, role, { moveLibrary = false, personalTier = user.tier } = {}) {
+    await User.findByIdAndUpdate(user._id, {
+      organizationId: organization._id,
+      organizationRole: role,
+      organization: organization.name,
+      personalTier,
+      tier: User.effectiveTier(organization.tier, personalTier)
+    });
+
+    if (moveLibrary) {
+      await this.moveLibrary(organization, user);
+    }
+
+    await cacheService.invalidateUserDocuments(user._id);
+    await cacheService.invalidateUserDocuments(organization._id);
+  }
+
+  async moveLibrary(organization, user) {
+    await this.renameCollidingCases(organization, user);
+
+    const moved = await Document.updateMany(
+      { userId: user._id, organizationId: null },
+      { $set: { organizationId: organization._id } }
+    );
+    await CustomRule.updateMany(
+      { userId: user._id, organizationId: null },
+      { $set: { organizationId: organization._id } }
+    );
+    await Case.updateMany(
+      { userId: user._id, organizationId: null },
+      { $set: { organizationId: organization._id } }
+    );
+
+    logger.info(`Personal library of ${user.email} moved into ${organization.name} (${moved.modifiedCount} documents)`);
+  }
+
+  /**
+   * Personal cases whose number the organization already uses get a numbered suffix
+   * (C-100 becomes C-100-2), and their documents follow, so nothing is filed under the wrong case
+   */
+  async renameCollidingCases(organization, user) {
+    const personalCases = await Case.find({ userId: user._id, organizationId: null }).select('caseNumber');
+    const organizationNumbers = new Set(await Case.distinct('caseNumber', { organizationId: organization._id }));
+    const taken = new Set([...organizationNumbers, ...personalCases.map(caseDoc => caseDoc.caseNumber)]);
+
+    for (const caseDoc of personalCases) {
+      const original = caseDoc.caseNumber;
+      if (!organizationNumbers.has(original)) {
+        continue;
+      }
+
+      let suffix = 2;
+      while (taken.has(`${original}-${suffix}`)) {
+        suffix++;
+      }
+      const renamed = `${original}-${suffix}`;
+      taken.add(renamed);
+
+      await Case.updateOne({ _id: caseDoc._id }, { $set: { caseNumber: renamed } });
+      await Document.updateMany(
+        { userId: user._id, organizationId: null, caseId: original },
+        { $set: { caseId: renamed } }
+      );
+      logger.info(`Case ${original} of ${user.email} renamed to ${renamed}; ${organization.name} already has that number`);
+    }
+  }
+
+  /**
+   * Keep every member's tier in step with the organization's subscription and their own plan
+   */
+  async syncMemberTiers(organization) {
+    const members = await User.find({ organizationId: organization._id }).select('tier personalTier');
+
+    let modified = 0;
+    for (const member of members) {
+      const tier = User.effectiveTier(organization.tier, member.personalTier);
+      if (member.tier !== tier) {
+        await User.updateOne({ _id: member._id }, { $set: { tier } });
+        modified++;
+      }
+    }
+
+    logger.info(`Organization ${organization._id} tier synced to ${organization.tier} for ${modified} members`);
+    return modified;
+  }
+
+  /**
+   * Fields that change a user's own plan. Inside an organization the plan is kept as the
+   * personal tier and only applies when it is better than the organization's.
+   */
+  async personalTierUpdate(user, tier) {
+    if (!user.organizationId) {
+      return { tier };
+    }
+
+    const organization = await Organization.findById(user.organizationId).select('tier');
+    return { personalTier: tier, tier: User.effectiveTier(organization?.tier || 'free', tier) };
+  }
+
+  async incrementUsage(organizationId) {
+    await Organization.findByIdAndUpdate(organizationId, {
+      $inc: { validationsUsedThisMonth: 1 }
+    });
+  }
+}
+
+module.exports = new OrganizationService();
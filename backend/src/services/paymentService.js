@@ -54,7 +54,7 @@ class PaymentService {
   /**
    * Create a checkout session for subscription upgrade
    */
-  async createCheckoutSession(userId, planType, successUrl, cancelUrl) {
+  async createCheckoutSession(userId, planType, successUrl, cancelUrl, organizationId = null) {
     try {
       if (!this.stripe) {
         throw new Error('Stripe is not configured');
@@ -79,7 +79,8 @@ class PaymentService {
         client_reference_id: userId,
         metadata: {
           userId: userId,
-          planType: planType
+          planType: planType,
+          ...(organizationId && { organizationId: organizationId.toString() })
         },
         allow_promotion_codes: true,
         billing_address_collection: 'required',
@@ -183,10 +184,32 @@ class PaymentService {
       const customerId = session.customer;
       const subscriptionId = session.subscription;
 
+      // Organization checkouts upgrade the shared subscription for every member
+      if (session.metadata.organizationId) {
+        const Organization = require('../models/Organization');
+        const organizationService = require('./organizationService');
+        const organization = await Organization.findByIdAndUpdate(session.metadata.organizationId, {
+          tier: planType,
+          stripeCustomerId: customerId,
+          stripeSubscriptionId: subscriptionId,
+          subscriptionStatus: 'active',
+          subscriptionStartDate: new Date(),
+          validationsUsedThisMonth: 0
+        }, { new: true });
+
+        if (organization) {
+          await organizationService.syncMemberTiers(organization);
+          logger.info(`Subscription activated for organization ${organization._id}: ${planType}`);
+          return;
+        }
+      }
+
       // Update user subscription in database
       const User = require('../models/User');
+      const organizationService = require('./organizationService');
+      const user = await User.findById(userId).select('organizationId');
       await User.findByIdAndUpdate(userId, {
-        tier: planType,
+        ...(user ? await organizationService.personalTierUpdate(user, planType) : { tier: planType }),
         stripeCustomerId: customerId,
         stripeSubscriptionId: subscriptionId,
         subscriptionStatus: 'active',
@@ -209,6 +232,15 @@ class PaymentService {
     try {
       const customerId = subscription.customer;
       
+      const organization = await this.findOrganizationByCustomer(customerId);
+      if (organization) {
+        organization.subscriptionStatus = subscription.status;
+        organization.stripeSubscriptionId = subscription.id;
+        await organization.save();
+        logger.info(`Subscription updated for organization ${organization._id}: ${subscription.status}`);
+        return;
+      }
+      
       // Find user by customer ID
       const User = require('../models/User');
       const user = await User.findOne({ stripeCustomerId: customerId });
@@ -239,6 +271,20 @@ class PaymentService {
     try {
       const customerId = subscription.customer;
       
+      const organization = await this.findOrganizationByCustomer(customerId);
+      if (organization) {
+        organization.tier = 'free';
+        organization.subscriptionStatus = 'canceled';
+        organization.stripeSubscriptionId = null;
+        organization.validationsUsedThisMonth = 0;
+        await organization.save();
+
+        const organizationService = require('./organizationService');
+        await organizationService.syncMemberTiers(organization);
+        logger.info(`Subscription canceled for organization ${organization._id}, downgraded to free tier`);
+        return;
+      }
+      
       // Find user by customer ID
       const User = require('../models/User');
       const user = await User.findOne({ stripeCustomerId: customerId });
@@ -249,8 +295,9 @@ class PaymentService {
       }
 
       // Downgrade to free tier
+      const organizationService = require('./organizationService');
       await User.findByIdAndUpdate(user._id, {
-        tier: 'free',
+        ...await organizationService.personalTierUpdate(user, 'free'),
         subscriptionStatus: 'canceled',
         stripeSubscriptionId: null,
         validationsUsedThisMonth: 0 // Reset counter
@@ -271,6 +318,16 @@ class PaymentService {
     try {
       const customerId = invoice.customer;
       
+      const organization = await this.findOrganizationByCustomer(customerId);
+      if (organization) {
+        organization.validationsUsedThisMonth = 0;
+        organization.usagePeriodStart = new Date();
+        organization.lastPaymentDate = new Date();
+        await organization.save();
+        logger.info(`Payment succeeded for organization ${organization._id}, usage counter reset`);
+        return;
+      }
+      
       // Find user by customer ID
       const User = require('../models/User');
       const user = await User.findOne({ stripeCustomerId: customerId });
@@ -299,10 +356,19 @@ class PaymentService {
    */
   async handlePaymentFailed(invoice) {
     try {
+      const User = require('../models/User');
+      const emailService = require('./emailService');
       const customerId = invoice.customer;
       
+      const organization = await this.findOrganizationByCustomer(customerId);
+      if (organization) {
+        logger.warn(`Payment failed for organization ${organization._id}`);
+        const owner = await User.findById(organization.ownerId);
+        await emailService.notifyPaymentFailed(invoice, { user: owner, organization });
+        return;
+      }
+      
       // Find user by customer ID
-      const User = require('../models/User');
       const user = await User.findOne({ stripeCustomerId: customerId });
       
       if (!user) {
@@ -312,6 +378,7 @@ class PaymentService {
 
       // Could implement grace period logic here
       logger.warn(`Payment failed for user ${user._id}`);
+      await emailService.notifyPaymentFailed(invoice, { user });
 
     } catch (error) {
       logger.error('Error handling payment failure:', error);
@@ -319,6 +386,35 @@ class PaymentService {
     }
   }
 
+  /**
+   * Delete a Stripe customer, which also cancels their subscriptions; used when an account is deleted
+   */
+  async deleteCustomer(customerId) {
+    if (!this.stripe || !customerId) {
+      return false;
+    }
+
+    try {
+      await this.stripe.customers.del(customerId);
+      logger.info(`Stripe customer deleted: ${customerId}`);
+      return true;
+    } catch (error) {
+      // Already deleted on the Stripe side
+      if (error.code === 'resource_missing') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the organization billed under a Stripe customer, if any
+   */
+  async findOrganizationByCustomer(customerId) {
+    const Organization = require('../models/Organization');
+    return Organization.findOne({ stripeCustomerId: customerId });
+  }
+
   /**
    * Get subscription plans for frontend
    */
@@ -330,7 +426,16 @@ class PaymentService {
    * Check if user can perform more validations
    */
   async canUserValidate(user) {
-    const plan = this.subscriptionPlans[user.tier] || this.subscriptionPlans.free;
+    // Organization members share the organization's plan and monthly usage
+    let organization = null;
+    if (user.organizationId) {
+      const Organization = require('../models/Organization');
+      organization = await Organization.findById(user.organizationId);
+    }
+
+    const User = require('../models/User');
+    const tier = organization ? User.effectiveTier(organization.tier, user.personalTier) : user.tier;
+    const plan = this.subscriptionPlans[tier] || this.subscriptionPlans.free;
     
     // Unlimited validations for paid tiers
     if (plan.validationsPerMonth === -1) {
@@ -338,7 +443,9 @@ class PaymentService {
     }
 
     // Check monthly limit for free tier
-    const used = user.validationsUsedThisMonth || 0;
+    const used = organization
+      ? await organization.getMonthlyUsage()
+      : (user.validationsUsedThisMonth || 0);
     const remaining = plan.validationsPerMonth - used;
     
     return {
@@ -355,10 +462,16 @@ class PaymentService {
   async incrementValidationUsage(userId) {
     try {
       const User = require('../models/User');
-      await User.findByIdAndUpdate(userId, {
+      const user = await User.findByIdAndUpdate(userId, {
         $inc: { validationsUsedThisMonth: 1 }
       });
 
+      // Count against the shared organization allowance as well
+      if (user && user.organizationId) {
+        const organizationService = require('./organizationService');
+        await organizationService.incrementUsage(user.organizationId);
+      }
+
     } catch (error) {
       logger.error('Error incrementing validation usage:', error);
       throw error;
@@ -0,0 +1,216 @@
+// Kinds of personal information detected, in priority order for overlapping matches
+const PII_TYPES = ['ssn', 'drivers_license', 'routing_number', 'bank_account', 'dob', 'phone'];
+
+const PII_LABELS = {
+  ssn: 'Social Security number',
+  drivers_license: "Driver's license number",
+  routing_number: 'Bank routing number',
+  bank_account: 'Bank account number',
+  dob: 'Date of birth',
+  phone: 'Phone number'
+};
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|(?:${MONTHS})\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\s+(?:${MONTHS})\\.?,?\\s+\\d{4})`;
+
+// Each detector matches a value; `group` picks the capture holding it when a label comes first
+const DETECTORS = [
+  {
+    type: 'ssn',
+    pattern: /\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g
+  },
+  {
+    // Undelimited SSNs only next to a label, otherwise any 9-digit number would match
+    type: 'ssn',
+    pattern: /\b(?:ssn|soc(?:ial)?\.?\s+sec(?:urity)?\.?(?:\s+(?:no\.?|number|#))?)\s*[:#]?\s*((?!000|666|9\d\d)\d{9})\b/gi,
+    group: 1
+  },
+  {
+    type: 'drivers_license',
+    pattern: /\b(?:driver'?s?\s+licen[cs]e|d\.?l\.?|licen[cs]e)\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z]{0,2}\d{5,12})\b/gi,
+    group: 1
+  },
+  {
+    type: 'routing_number',
+    pattern: /\b(?:routing|aba|rtn|transit)(?:\s+(?:no\.?|number|#))?\s*[:#]?\s*(\d{9})\b/gi,
+    group: 1,
+    validate: value => isValidRoutingNumber(value)
+  },
+  {
+    type: 'bank_account',
+    pattern: /\b(?:(?:bank\s+)?account|acct\.?)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d[\d -]{4,22}\d)\b/gi,
+    group: 1,
+    validate: value => value.replace(/\D/g, '').length >= 6
+  },
+  {
+    type: 'dob',
+    pattern: new RegExp(`\\b(?:d\\.?o\\.?b\\.?|date\\s+of\\s+birth|birth\\s*date|born(?:\\s+on)?)\\s*[:#]?\\s*(${DATE})`, 'gi'),
+    group: 1
+  },
+  {
+    type: 'phone',
+    pattern: /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g
+  }
+];
+
+/**
+ * ABA routing number checksum: 3, 7, 1 weights over the nine digits
+ */
+const isValidRoutingNumber = (value) => {
+  const digits = value.split('').map(Number);
+  const sum = [0, 3, 6].reduce((total, i) => total + 3 * digits[i] + 7 * digits[i + 1] + digits[i + 2], 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Finds personal information in extracted text, masks it and locates it on the page
+ * so redacted copies of the original can be produced.
+ */
+class PiiDetectionService {
+  /**
+   * Matches in text as { type, start, end }, overlapping matches resolved by PII_TYPES order
+   */
+  findSpans(text) {
+    if (!text) {
+      return [];
+    }
+
+    const matches = [];
+    for (const detector of DETECTORS) {
+      for (const match of text.matchAll(detector.pattern)) {
+        const value = detector.group ? match[detector.group] : match[0];
+        if (!value || (detector.validate && !detector.validate(value))) {
+          continue;
+        }
+        const start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+        matches.push({ type: detector.type, start, end: start + value.length });
+      }
+    }
+
+    matches.sort((a, b) => PII_TYPES.indexOf(a.type) - PII_TYPES.indexOf(b.type) || a.start - b.start);
+
+    const spans = [];
+    for (const match of matches) {
+      if (!spans.some(span => match.start < span.end && span.start < match.end)) {
+        spans.push(match);
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Text with every letter and digit inside a span replaced by '*'. Separators are kept,
+   * so offsets (and page offsets) still line up with the original text.
+   */
+  redact(text, spans) {
+    if (!text || spans.length === 0) {
+      return text;
+    }
+
+    let redacted = '';
+    let cursor = 0;
+    for (const span of spans) {
+      redacted += text.slice(cursor, span.start) + text.slice(span.start, span.end).replace(/[A-Za-z0-9]/g, '*');
+      cursor = span.end;
+    }
+    return redacted + text.slice(cursor);
+  }
+
+  /**
+   * Detect PII in extracted text. `words` are positioned words from extraction,
+   * { start, end, pageNumber, bbox: { x0, y0, x1, y1 } } with offsets into text and the
+   * box as fractions of the page size; spans covered by them get page regions to black out.
+   */
+  detect(text, { pages = [], words = [] } = {}) {
+    const spans = this.findSpans(text).map(span => {
+      const page = pages.find(item => span.start >= item.startOffset && span.start < item.endOffset);
+      const regions = words
+        .filter(word => word.bbox && word.start < span.end && span.start < word.end)
+        .map(word => ({ pageNumber: word.pageNumber, ...word.bbox }));
+
+      return { ...span, pageNumber: page?.pageNumber || (regions[0]?.pageNumber ?? null), regions };
+    });
+
+    return {
+      redactedText: this.redact(text, spans),
+      pii: {
+        detectedAt: new Date(),
+        spans
+      }
+    };
+  }
+
+  /**
+   * detect() for text read from a single image by OCR
+   */
+  detectInImage(text, ocrResult) {
+    const words = this.locateOcrWords(text || '', ocrResult?.words, ocrResult?.imageSize)
+      .map(word => ({ ...word, pageNumber: 1 }));
+
+    return this.detect(text, {
+      pages: [{ pageNumber: 1, startOffset: 0, endOffset: (text || '').length }],
+      words
+    });
+  }
+
+  /**
+   * Counts by type for API responses and reports; never includes the values
+   */
+  summarize(pii) {
+    const spans = pii?.spans || [];
+    const byType = {};
+    spans.forEach(span => {
+      byType[span.type] = (byType[span.type] || 0) + 1;
+    });
+
+    return {
+      detected: spans.length > 0,
+      total: spans.length,
+      byType,
+      // Spans that couldn't be matched to positioned words can't be blacked out on the original
+      unlocated: spans.filter(span => !span.regions || span.regions.length === 0).length,
+      detectedAt: pii?.detectedAt || null
+    };
+  }
+
+  /**
+   * Positioned words from an OCR result: Tesseract word boxes in pixels become page fractions,
+   * and each word is found in the page text to get its offsets
+   */
+  locateOcrWords(pageText, ocrWords = [], imageSize = null) {
+    if (!imageSize?.width || !imageSize?.height) {
+      return [];
+    }
+
+    const words = [];
+    let cursor = 0;
+    for (const word of ocrWords) {
+      const wordText = word.text?.trim();
+      if (!wordText || !word.bbox) continue;
+
+      const start = pageText.indexOf(wordText, cursor);
+      if (start === -1) continue;
+      cursor = start + wordText.length;
+
+      words.push({
+        start,
+        end: cursor,
+        bbox: {
+          x0: word.bbox.x0 / imageSize.width,
+          y0: word.bbox.y0 / imageSize.height,
+          x1: word.bbox.x1 / imageSize.width,
+          y1: word.bbox.y1 / imageSize.height
+        }
+      });
+    }
+    return words;
+  }
+}
+
+const piiDetection = new PiiDetectionService();
+piiDetection.PII_TYPES = PII_TYPES;
+piiDetection.PII_LABELS = PII_LABELS;
+piiDetection.isValidRoutingNumber = isValidRoutingNumber;
+
+module.exports = piiDetection;
@@ -0,0 +1,137 @@
+const { EventEmitter } = require('events');
+const os = require('os');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'document-progress';
+
+// Overall progress (percent) reached when each stage starts; OCR fills the range up to 'notary'
+const STAGES = {
+  queued: 0,
+  extracting_text: 5,
+  ocr: 10,
+  notary: 65,
+  witnesses: 75,
+  verbiage: 85,
+  term: 90,
+  custom_rules: 95,
+  done: 100,
+  failed: 100
+};
+
+const TERMINAL_STAGES = ['done', 'failed'];
+
+class ProgressService {
+  constructor() {
+    this.origin = `${os.hostname()}:${process.pid}`;
+    this.stateTTL = parseInt(process.env.PROGRESS_STATE_TTL) || 60 * 60; // 1 hour
+    this.heartbeatInterval = parseInt(process.env.PROGRESS_HEARTBEAT_MS) || 15 * 1000; // 15 seconds
+
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.latest = new Map();
+    this.relaying = false;
+  }
+
+  /**
+   * Record a validation stage for a document and notify its subscribers in every process
+   */
+  publish(documentId, stage, details = {}) {
+    if (!(stage in STAGES)) {
+      throw new Error(`Unknown progress stage: ${stage}`);
+    }
+
+    const event = {
+      documentId: String(documentId),
+      stage,
+      percent: this.getPercent(stage, details.ocrProgress),
+      ...details,
+      at: new Date().toISOString()
+    };
+
+    this.dispatch(event);
+
+    // Workers may run in their own processes; Redis carries the event to the API processes
+    cacheService.set(this.stateKey(event.documentId), event, this.stateTTL);
+    cacheService.publish(CHANNEL, { origin: this.origin, event });
+
+    return event;
+  }
+
+  /**
+   * Listen for a document's progress events; returns a function that stops listening
+   */
+  subscribe(documentId, listener) {
+    this.startRelay();
+
+    const eventName = String(documentId);
+    this.emitter.on(eventName, listener);
+    return () => this.emitter.off(eventName, listener);
+  }
+
+  /**
+   * Most recent event for a document still being validated
+   */
+  async getLatest(documentId) {
+    return this.latest.get(String(documentId)) || cacheService.get(this.stateKey(documentId));
+  }
+
+  /**
+   * Progress event matching a document's stored status, for documents without live events
+   */
+  describeDocument(document) {
+    const base = { documentId: String(document._id), at: new Date().toISOString() };
+
+    switch (document.status) {
+      case 'completed':
+        return { ...base, stage: 'done', percent: 100, overall: document.validationResults?.overall };
+      case 'failed':
+        return { ...base, stage: 'failed', percent: 100, error: document.errorMessage };
+      default:
+        return { ...base, stage: 'queued', percent: 0 };
+    }
+  }
+
+  isTerminal(stage) {
+    return TERMINAL_STAGES.includes(stage);
+  }
+
+  getPercent(stage, ocrProgress) {
+    if (stage === 'ocr' && typeof ocrProgress === 'number') {
+      const span = STAGES.notary - STAGES.ocr;
+      return STAGES.ocr + Math.round(span * Math.min(Math.max(ocrProgress, 0), 100) / 100);
+    }
+    return STAGES[stage];
+  }
+
+  dispatch(event) {
+    if (this.isTerminal(event.stage)) {
+      this.latest.delete(event.documentId);
+    } else {
+      this.latest.set(event.documentId, event);
+    }
+
+    this.emitter.emit(event.documentId, event);
+  }
+
+  startRelay() {
+    if (this.relaying) return;
+    this.relaying = true;
+
+    cacheService.subscribe(CHANNEL, ({ origin, event }) => {
+      if (origin !== this.origin) {
+        this.dispatch(event);
+      }
+    }).then(subscribed => {
+      if (subscribed) {
+        logger.info('Relaying validation progress from other processes');
+      }
+    });
+  }
+
+  stateKey(documentId) {
+    return `progress:${documentId}`;
+  }
+}
+
+module.exports = new ProgressService();
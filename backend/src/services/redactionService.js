@@ -0,0 +1,139 @@
+const path = require('path');
+const sharp = require('sharp');
+const pdfParse = require('pdf-parse');
+const { jsPDF } = require('jspdf');
+const encryptionService = require('./encryptionService');
+const logger = require('../utils/logger');
+
+// Pages are rasterized so no text layer survives underneath the boxes
+const RENDER_DPI = 150;
+const POINTS_PER_INCH = 72;
+// Margin added around each box, as a fraction of the page size
+const REGION_PADDING = 0.003;
+
+const statusError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Produces copies of uploaded documents with detected personal information blacked out,
+ * using the page regions stored by PII detection.
+ */
+class RedactionService {
+  /**
+   * Redacted copy of a document's original file as { buffer, mimeType, filename }
+   */
+  async renderRedacted(document) {
+    if (!document.pii?.detectedAt) {
+      throw statusError(409, 'This document was processed before personal information detection was available. Upload it again to get a redacted copy.');
+    }
+
+    const spans = document.pii.spans || [];
+    if (spans.some(span => !span.regions || span.regions.length === 0)) {
+      throw statusError(422, 'Some personal information could not be located on the page, so this document cannot be redacted automatically');
+    }
+
+    const regions = spans.flatMap(span => span.regions);
+    const contents = await encryptionService.readFile(document.filePath);
+    const baseName = path.parse(document.originalName).name;
+
+    if (document.mimeType === 'application/pdf') {
+      return {
+        buffer: await this.redactPdf(contents, regions),
+        mimeType: 'application/pdf',
+        filename: `redacted-${baseName}.pdf`
+      };
+    }
+
+    return {
+      buffer: await this.redactImage(contents, regions),
+      mimeType: 'image/png',
+      filename: `redacted-${baseName}.png`
+    };
+  }
+
+  /**
+   * Sharp composite inputs for black boxes over regions (page fractions) on a width x height image
+   */
+  getBoxes(regions, width, height) {
+    return regions
+      .map(region => {
+        const left = Math.max(0, Math.floor((region.x0 - REGION_PADDING) * width));
+        const top = Math.max(0, Math.floor((region.y0 - REGION_PADDING) * height));
+        const right = Math.min(width, Math.ceil((region.x1 + REGION_PADDING) * width));
+        const bottom = Math.min(height, Math.ceil((region.y1 + REGION_PADDING) * height));
+        return { left, top, width: right - left, height: bottom - top };
+      })
+      .filter(box => box.width > 0 && box.height > 0)
+      .map(box => ({
+        input: { create: { width: box.width, height: box.height, channels: 3, background: '#000000' } },
+        left: box.left,
+        top: box.top
+      }));
+  }
+
+  async redactImage(imageBuffer, regions) {
+    // OCR boxes are relative to the upright image, so apply EXIF orientation first
+    const { data, info } = await sharp(imageBuffer).rotate().toBuffer({ resolveWithObject: true });
+
+    return sharp(data)
+      .composite(this.getBoxes(regions, info.width, info.height))
+      .png()
+      .toBuffer();
+  }
+
+  async redactPdf(pdfBuffer, regions) {
+    const pdf2pic = require('pdf2pic');
+    const pageSizes = await this.getPdfPageSizes(pdfBuffer);
+    let output = null;
+
+    for (const [index, size] of pageSizes.entries()) {
+      const pageNumber = index + 1;
+      const orientation = size.width > size.height ? 'landscape' : 'portrait';
+      const convert = pdf2pic.fromBuffer(pdfBuffer, {
+        density: RENDER_DPI,
+        format: 'png',
+        width: Math.round(size.width * RENDER_DPI / POINTS_PER_INCH),
+        height: Math.round(size.height * RENDER_DPI / POINTS_PER_INCH)
+      });
+      const page = await convert(pageNumber, { responseType: 'buffer' });
+      const { width, height } = await sharp(page.buffer).metadata();
+
+      const image = await sharp(page.buffer)
+        .composite(this.getBoxes(regions.filter(region => region.pageNumber === pageNumber), width, height))
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+
+      if (output) {
+        output.addPage([size.width, size.height], orientation);
+      } else {
+        output = new jsPDF({ unit: 'pt', format: [size.width, size.height], orientation });
+      }
+      output.addImage(new Uint8Array(image), 'JPEG', 0, 0, size.width, size.height);
+    }
+
+    if (!output) {
+      throw new Error('PDF has no pages to redact');
+    }
+
+    logger.info(`Redacted ${regions.length} regions across ${pageSizes.length} pages`);
+    return Buffer.from(output.output('arraybuffer'));
+  }
+
+  // Page sizes in points, in page order, as displayed (rotation applied)
+  async getPdfPageSizes(pdfBuffer) {
+    const sizes = [];
+    await pdfParse(pdfBuffer, {
+      pagerender: pageData => {
+        const viewport = pageData.getViewport(1);
+        sizes[pageData.pageIndex] = { width: viewport.width, height: viewport.height };
+        return '';
+      }
+    });
+    return sizes.filter(Boolean);
+  }
+}
+
+const redactionService = new RedactionService();
+redactionService.RENDER_DPI = RENDER_DPI;
+
+module.exports = redactionService;
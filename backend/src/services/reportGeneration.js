@@ -1,6 +1,7 @@
 const { jsPDF } = require('jspdf');
 const moment = require('moment');
 const logger = require('../utils/logger');
+const piiDetection = require('./piiDetection');
 
 class ReportGenerationService {
   constructor() {
@@ -27,6 +28,9 @@ class ReportGenerationService {
       // Validation Summary
       this.addValidationSummary(pdf, document);
       
+      // Personal information found in the text (counts only)
+      this.addPiiSummary(pdf, document);
+      
       // Detailed Results
       this.addDetailedResults(pdf, document);
       
@@ -86,6 +90,10 @@ class ReportGenerationService {
       info.push(`Case ID: ${document.caseId}`);
     }
     
+    if (document.validationResults?.jurisdiction) {
+      info.push(`Jurisdiction: ${document.validationResults.jurisdiction} (rule pack ${document.validationResults.rulePackVersion || 'N/A'})`);
+    }
+    
     info.forEach(line => {
       pdf.text(line, this.margin, this.currentY);
       this.currentY += this.lineHeight;
@@ -115,11 +123,35 @@ class ReportGenerationService {
     pdf.setFontSize(12);
     pdf.setFont(undefined, 'bold');
     const overallStatus = results.overall || 'Unknown';
-    const statusColor = this.getStatusColor(overallStatus);
-    pdf.setTextColor(statusColor.r, statusColor.g, statusColor.b);
-    pdf.text(`Overall Status: ${overallStatus.toUpperCase()}`, this.margin, this.currentY);
-    pdf.setTextColor(0, 0, 0); // Reset to black
-    this.currentY += 10;
+    const review = document.review;
+    
+    if (review?.humanReviewed) {
+      const automatedStatus = review.automatedOverall || 'Unknown';
+      const automatedColor = this.getStatusColor(automatedStatus);
+      pdf.setTextColor(automatedColor.r, automatedColor.g, automatedColor.b);
+      pdf.text(`Automated Result: ${automatedStatus.toUpperCase()}`, this.margin, this.currentY);
+      this.currentY += 7;
+      
+      const reviewedColor = this.getStatusColor(overallStatus);
+      pdf.setTextColor(reviewedColor.r, reviewedColor.g, reviewedColor.b);
+      pdf.text(`Reviewed Result: ${overallStatus.toUpperCase()} (human reviewed)`, this.margin, this.currentY);
+      pdf.setTextColor(0, 0, 0); // Reset to black
+      this.currentY += 6;
+      
+      if (review.reviewedAt) {
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(`Reviewed on ${moment(review.reviewedAt).format('MMMM DD, YYYY hh:mm A')}`, this.margin, this.currentY);
+        this.currentY += this.lineHeight;
+      }
+      this.currentY += 4;
+    } else {
+      const statusColor = this.getStatusColor(overallStatus);
+      pdf.setTextColor(statusColor.r, statusColor.g, statusColor.b);
+      pdf.text(`Overall Status: ${overallStatus.toUpperCase()}`, this.margin, this.currentY);
+      pdf.setTextColor(0, 0, 0); // Reset to black
+      this.currentY += 10;
+    }
     
     // Summary statistics
     if (summary) {
@@ -136,28 +168,72 @@ class ReportGenerationService {
     }
   }
 
+  addPiiSummary(pdf, document) {
+    if (!document.pii?.detectedAt) return;
+    
+    const summary = piiDetection.summarize(document.pii);
+    
+    pdf.setFontSize(14);
+    pdf.setFont(undefined, 'bold');
+    pdf.text('Sensitive Information', this.margin, this.currentY);
+    this.currentY += 8;
+    
+    pdf.setFontSize(10);
+    pdf.setFont(undefined, 'normal');
+    
+    if (!summary.detected) {
+      pdf.text('No personal information detected', this.margin, this.currentY);
+      this.currentY += 10;
+      return;
+    }
+    
+    // Values are never printed, only what kind of information was found
+    Object.entries(summary.byType).forEach(([type, count]) => {
+      pdf.text(`${piiDetection.PII_LABELS[type] || type}: ${count}`, this.margin, this.currentY);
+      this.currentY += this.lineHeight;
+    });
+    
+    if (summary.unlocated > 0) {
+      pdf.text(`${summary.unlocated} item(s) could not be located on the page for redaction`, this.margin, this.currentY);
+      this.currentY += this.lineHeight;
+    }
+    
+    this.currentY += 4;
+  }
+
   addDetailedResults(pdf, document) {
     const results = document.validationResults;
     
     if (!results) return;
     
+    const decision = (check) => document.getReviewDecision(check);
+    
     // Notary Validation
-    this.addValidationSection(pdf, 'Notary Validation', results.notaryValidation);
+    this.addValidationSection(pdf, 'Notary Validation', results.notaryValidation, decision('notary'));
     
     // Witness Validation
-    this.addValidationSection(pdf, 'Witness Validation', results.witnessValidation);
+    this.addValidationSection(pdf, 'Witness Validation', results.witnessValidation, decision('witness'));
     
     // Verbiage Validation
-    this.addValidationSection(pdf, 'Verbiage Validation', results.verbiageValidation);
+    this.addValidationSection(pdf, 'Verbiage Validation', results.verbiageValidation, decision('verbiage'));
+    
+    // POA Term
+    this.addValidationSection(pdf, 'POA Term', results.termValidation, decision('term'));
     
     // Additional Checks
     if (results.additionalChecks) {
-      this.addValidationSection(pdf, 'Date Validation', results.additionalChecks.dateValidation);
-      this.addValidationSection(pdf, 'Signature Validation', results.additionalChecks.signatureValidation);
+      this.addValidationSection(pdf, 'Date Validation', results.additionalChecks.dateValidation, decision('dates'));
+      this.addValidationSection(pdf, 'Signature Validation', results.additionalChecks.signatureValidation, decision('signatures'));
     }
+    
+    // Custom Rules
+    this.addValidationSection(pdf, 'Custom Rules', results.customRuleValidation);
+    
+    // Reviewer decisions, including ones superseded by later reviews
+    this.addReviewHistory(pdf, document.review?.history);
   }
 
-  addValidationSection(pdf, title, validation) {
+  addValidationSection(pdf, title, validation, reviewDecision = null) {
     if (!validation) return;
     
     // Check if we need a new page
@@ -177,10 +253,27 @@ class ReportGenerationService {
     pdf.setFont(undefined, 'bold');
     const statusColor = this.getStatusColor(validation.status);
     pdf.setTextColor(statusColor.r, statusColor.g, statusColor.b);
-    pdf.text(`Status: ${validation.status?.toUpperCase() || 'UNKNOWN'}`, this.margin + 5, this.currentY);
+    const statusLabel = reviewDecision ? 'Automated Status' : 'Status';
+    pdf.text(`${statusLabel}: ${validation.status?.toUpperCase() || 'UNKNOWN'}`, this.margin + 5, this.currentY);
     pdf.setTextColor(0, 0, 0); // Reset to black
     this.currentY += 6;
     
+    if (reviewDecision) {
+      const reviewedColor = this.getStatusColor(reviewDecision.status);
+      pdf.setTextColor(reviewedColor.r, reviewedColor.g, reviewedColor.b);
+      pdf.text(`Reviewed Status: ${reviewDecision.status.toUpperCase()} (${reviewDecision.decision})`, this.margin + 5, this.currentY);
+      pdf.setTextColor(0, 0, 0); // Reset to black
+      this.currentY += 6;
+      
+      pdf.setFont(undefined, 'normal');
+      const reviewer = `Reviewed by ${reviewDecision.reviewerName || 'unknown reviewer'} on ${moment(reviewDecision.reviewedAt).format('MM/DD/YYYY')}`;
+      const reviewText = reviewDecision.reason ? `${reviewer}: ${reviewDecision.reason}` : reviewer;
+      this.wrapText(pdf, reviewText, this.pageWidth - this.margin * 2 - 5).forEach(line => {
+        pdf.text(line, this.margin + 5, this.currentY);
+        this.currentY += this.lineHeight;
+      });
+    }
+    
     pdf.setFont(undefined, 'normal');
     
     // Specific details based on validation type
@@ -199,6 +292,19 @@ class ReportGenerationService {
       this.currentY += this.lineHeight;
     }
     
+    if (validation.seal) {
+      const seal = validation.seal;
+      const sealDetails = [
+        seal.commissionNumber && `Commission #${seal.commissionNumber}`,
+        seal.commissionExpiry && `expires ${moment(seal.commissionExpiry).format('MM/DD/YYYY')}`
+      ].filter(Boolean).join(', ');
+      const sealText = seal.found
+        ? `Notary Seal: Found on page ${seal.pageNumber}${sealDetails ? ` (${sealDetails})` : ''}`
+        : 'Notary Seal: Not found';
+      pdf.text(sealText, this.margin + 5, this.currentY);
+      this.currentY += this.lineHeight;
+    }
+    
     if (validation.witnessCount !== undefined) {
       pdf.text(`Witnesses Found: ${validation.witnessCount}`, this.margin + 5, this.currentY);
       this.currentY += this.lineHeight;
@@ -214,6 +320,31 @@ class ReportGenerationService {
       this.currentY += this.lineHeight;
     }
     
+    if (validation.signatures && validation.signatures.length > 0) {
+      validation.signatures.forEach(signature => {
+        pdf.text(`${signature.label} (page ${signature.pageNumber}): ${signature.state}`, this.margin + 5, this.currentY);
+        this.currentY += this.lineHeight;
+      });
+    }
+
+    if (validation.rules && validation.rules.length > 0) {
+      validation.rules.forEach(rule => {
+        const wrappedText = this.wrapText(pdf, `${rule.name} [${rule.status?.toUpperCase()}]: ${rule.message}`, this.pageWidth - this.margin * 2 - 5);
+        wrappedText.forEach(line => {
+          pdf.text(line, this.margin + 5, this.currentY);
+          this.currentY += this.lineHeight;
+        });
+      });
+    }
+
+    if (validation.citations && validation.citations.length > 0) {
+      const wrappedText = this.wrapText(pdf, `Authority: ${validation.citations.join('; ')}`, this.pageWidth - this.margin * 2 - 5);
+      wrappedText.forEach(line => {
+        pdf.text(line, this.margin + 5, this.currentY);
+        this.currentY += this.lineHeight;
+      });
+    }
+    
     // Issues
     if (validation.issues && validation.issues.length > 0) {
       pdf.setFont(undefined, 'bold');
@@ -233,6 +364,42 @@ class ReportGenerationService {
     this.currentY += 5;
   }
 
+  addReviewHistory(pdf, history) {
+    if (!history || history.length === 0) return;
+    
+    if (this.currentY > this.pageHeight - 50) {
+      pdf.addPage();
+      this.currentY = this.margin;
+    }
+    
+    pdf.setFontSize(12);
+    pdf.setFont(undefined, 'bold');
+    pdf.text('Review History', this.margin, this.currentY);
+    this.currentY += 8;
+    
+    pdf.setFontSize(10);
+    pdf.setFont(undefined, 'normal');
+    history.forEach(entry => {
+      if (this.currentY > this.pageHeight - 20) {
+        pdf.addPage();
+        this.currentY = this.margin;
+      }
+      
+      const change = `${entry.previousStatus?.toUpperCase() || 'UNKNOWN'} -> ${entry.status?.toUpperCase()}`;
+      let line = `${moment(entry.reviewedAt).format('MM/DD/YYYY hh:mm A')} - ${entry.check} ${entry.decision} (${change}) by ${entry.reviewerName || 'unknown reviewer'}`;
+      if (entry.reason) {
+        line += `: ${entry.reason}`;
+      }
+      
+      this.wrapText(pdf, `• ${line}`, this.pageWidth - this.margin * 2 - 5).forEach(wrapped => {
+        pdf.text(wrapped, this.margin + 5, this.currentY);
+        this.currentY += this.lineHeight;
+      });
+    });
+    
+    this.currentY += 5;
+  }
+
   addFooter(pdf) {
     const pageCount = pdf.internal.getNumberOfPages();
     
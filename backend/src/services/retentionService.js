@@ -0,0 +1,448 @@
+const fs = require('fs').promises;
+const Case = require('../models/Case');
+const Document = require('../models/Document');
+const Organization = require('../models/Organization');
+const PurgeRun = require('../models/PurgeRun');
+const User = require('../models/User');
+const { RETENTION_START_EVENTS } = require('../models/retentionSchemas');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purge reports list at most this many documents; counts are always complete
+const MAX_REPORT_ITEMS = 1000;
+
+// Everything derived from the file's contents, removed along with the original
+const CONTENT_FIELDS = ['extractedText', 'redactedText', 'pages', 'pii', 'ocrConfidence', 'scannedDocumentData.ocrResults'];
+
+// Removed when the record is purged, leaving the tombstone
+const RECORD_FIELDS = ['validationResults', 'review', 'notes', 'tags', 'errorMessage', 'processingTime', 'scannedDocumentData'];
+
+const retentionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// $unset for the fields, skipping any inside another listed field (Mongo rejects overlapping paths)
+const unsetFields = (fields) => fields
+  .filter(field => !fields.some(other => field.startsWith(`${other}.`)))
+  .reduce((unset, field) => ({ ...unset, [field]: '' }), {});
+
+/**
+ * Retention policies, legal holds and the scheduled purge. Documents are purged in two steps:
+ * the original file and its extracted text first, then the validation record, leaving a tombstone.
+ */
+class RetentionService {
+  constructor() {
+    this.checkInterval = parseInt(process.env.RETENTION_CHECK_MS) || DAY_MS;
+    this.timer = null;
+  }
+
+  /**
+   * Validate a policy update; only the given fields change
+   */
+  normalizePolicy(current, updates) {
+    const policy = {
+      enabled: current?.enabled || false,
+      startFrom: current?.startFrom || 'upload',
+      originalFileDays: current?.originalFileDays ?? null,
+      recordDays: current?.recordDays ?? null
+    };
+
+    if (updates.enabled !== undefined) {
+      policy.enabled = updates.enabled === true || updates.enabled === 'true';
+    }
+    if (updates.startFrom !== undefined) {
+      if (!RETENTION_START_EVENTS.includes(updates.startFrom)) {
+        throw retentionError(`startFrom must be one of: ${RETENTION_START_EVENTS.join(', ')}`, 400);
+      }
+      policy.startFrom = updates.startFrom;
+    }
+    ['originalFileDays', 'recordDays'].forEach(field => {
+      if (updates[field] === undefined) return;
+      if (updates[field] === null || updates[field] === '') {
+        policy[field] = null;
+        return;
+      }
+      const days = Number(updates[field]);
+      if (!Number.isInteger(days) || days < 1) {
+        throw retentionError(`${field} must be a whole number of days (1 or more), or null to keep forever`, 400);
+      }
+      policy[field] = days;
+    });
+
+    // The file can't outlive the record that describes it
+    if (policy.originalFileDays && policy.recordDays && policy.recordDays < policy.originalFileDays) {
+      throw retentionError('recordDays must be at least originalFileDays', 400);
+    }
+    if (policy.enabled && !policy.originalFileDays && !policy.recordDays) {
+      throw retentionError('An enabled policy needs originalFileDays or recordDays', 400);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Set the policy for an organization or a user's personal documents
+   */
+  async updatePolicy(owner, actor, updates) {
+    const policy = this.normalizePolicy(owner.retentionPolicy, updates);
+
+    owner.retentionPolicy = { ...policy, updatedBy: actor._id, updatedAt: new Date() };
+    await owner.save();
+
+    logger.info(`Retention policy for ${owner.constructor.modelName} ${owner._id} updated by ${actor.email}: ${JSON.stringify(policy)}`);
+    return owner.retentionPolicy;
+  }
+
+  serializePolicy(policy) {
+    return {
+      enabled: policy?.enabled || false,
+      startFrom: policy?.startFrom || 'upload',
+      originalFileDays: policy?.originalFileDays ?? null,
+      recordDays: policy?.recordDays ?? null,
+      updatedAt: policy?.updatedAt || null
+    };
+  }
+
+  // Organization libraries are managed by owners and admins; personal libraries by their user
+  canManage(user) {
+    return !user.organizationId || ['owner', 'admin'].includes(user.organizationRole);
+  }
+
+  /**
+   * Place or release a legal hold on a document or case
+   */
+  async setLegalHold(req, record, { active, reason }) {
+    if (!this.canManage(req.user)) {
+      throw retentionError('Only organization owners and admins can change legal holds', 403);
+    }
+    if (active && !reason?.trim()) {
+      throw retentionError('A reason is required to place a legal hold', 400);
+    }
+
+    const wasActive = Boolean(record.legalHold?.active);
+    record.legalHold = active
+      ? { active: true, reason: reason.trim(), placedBy: req.user._id, placedAt: new Date() }
+      : { active: false };
+    await record.save();
+
+    if (wasActive !== Boolean(active)) {
+      const isCase = record.constructor.modelName === 'Case';
+      await auditService.record(req, {
+        action: `${isCase ? 'case' : 'document'}.legal_hold_${active ? 'placed' : 'released'}`,
+        target: {
+          type: isCase ? 'case' : 'document',
+          id: record._id,
+          label: isCase ? record.caseNumber : record.originalName
+        },
+        metadata: active ? { reason: reason.trim() } : null
+      });
+    }
+
+    return record.legalHold;
+  }
+
+  /**
+   * Refuse to delete a document that is on hold itself or filed under a held case
+   */
+  async assertNotHeld(user, document) {
+    if (document.legalHold?.active) {
+      throw retentionError('Document is under legal hold and cannot be deleted', 409);
+    }
+    if (document.caseId) {
+      const heldCase = await Case.exists({ ...Case.scopeFor(user), caseNumber: document.caseId, 'legalHold.active': true });
+      if (heldCase) {
+        throw retentionError(`Case ${document.caseId} is under legal hold; its documents cannot be deleted`, 409);
+      }
+    }
+  }
+
+  /**
+   * Libraries with an enabled policy: organizations, then users' personal documents
+   */
+  async getLibraries() {
+    const [organizations, users] = await Promise.all([
+      Organization.find({ 'retentionPolicy.enabled': true }).select('name retentionPolicy'),
+      User.find({ 'retentionPolicy.enabled': true }).select('email retentionPolicy')
+    ]);
+
+    return [
+      ...organizations.map(organization => ({
+        label: `organization ${organization.name}`,
+        policy: organization.retentionPolicy,
+        scope: { organizationId: organization._id },
+        cacheKey: organization._id
+      })),
+      ...users.map(user => ({
+        label: `user ${user.email}`,
+        policy: user.retentionPolicy,
+        scope: { userId: user._id, organizationId: null },
+        cacheKey: user._id
+      }))
+    ];
+  }
+
+  /**
+   * When the document's retention clock started, or null if it hasn't (its case is still open)
+   */
+  getStartDate(document, policy, caseRecord) {
+    if (policy.startFrom !== 'case_closed' || !document.caseId) {
+      return document.createdAt;
+    }
+    return caseRecord?.getClosedAt() || null;
+  }
+
+  /**
+   * What is due for the document now: 'record', 'original' or null
+   */
+  getDueAction(document, policy, startDate, now) {
+    if (!startDate) return null;
+
+    const isDue = (days) => days && startDate.getTime() + days * DAY_MS <= now.getTime();
+
+    if (isDue(policy.recordDays)) {
+      return 'record';
+    }
+    if (isDue(policy.originalFileDays) && !document.retention?.originalPurgedAt) {
+      return 'original';
+    }
+    return null;
+  }
+
+  /**
+   * Run the purge over every library with an enabled policy. A dry run reports what
+   * would be purged without changing anything or saving a report.
+   */
+  async runPurge({ now = new Date(), trigger = 'scheduled', triggeredBy = null, dryRun = false, report: claimed = null } = {}) {
+    const report = claimed || new PurgeRun({ trigger, triggeredBy, startedAt: now });
+
+    try {
+      const libraries = await this.getLibraries();
+      if (!dryRun) {
+        await report.save();
+      }
+
+      for (const library of libraries) {
+        report.counts.libraries += 1;
+        await this.purgeLibrary(library, now, report, dryRun);
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      logger.error('Retention purge error:', error);
+      report.status = 'failed';
+      report.errorMessage = error.message;
+    }
+
+    report.finishedAt = new Date();
+    if (!dryRun) {
+      await report.save();
+    }
+
+    const { originalsPurged, recordsPurged, skippedLegalHold, failed } = report.counts;
+    if (originalsPurged || recordsPurged || failed) {
+      logger.info(`Retention purge${dryRun ? ' (dry run)' : ''}: ${originalsPurged} originals and ${recordsPurged} records purged, ${skippedLegalHold} held, ${failed} failed`);
+    }
+    return report;
+  }
+
+  async purgeLibrary(library, now, report, dryRun) {
+    const { policy, scope } = library;
+    const days = [policy.originalFileDays, policy.recordDays].filter(Boolean);
+    if (days.length === 0) return;
+
+    // Nothing uploaded after the shortest period can be due, whatever the start event
+    const cutoff = new Date(now.getTime() - Math.min(...days) * DAY_MS);
+    const cases = new Map();
+    let purgedAny = false;
+
+    const cursor = Document.find({
+      ...scope,
+      status: { $ne: 'processing' },
+      createdAt: { $lte: cutoff },
+      'retention.recordPurgedAt': null
+    })
+      .select('_id originalName caseId userId organizationId filePath createdAt legalHold retention')
+      .cursor();
+
+    for await (const document of cursor) {
+      report.counts.documentsChecked += 1;
+
+      let caseRecord = null;
+      if (document.caseId) {
+        if (!cases.has(document.caseId)) {
+          cases.set(document.caseId, await Case.findOne({ ...scope, caseNumber: document.caseId }));
+        }
+        caseRecord = cases.get(document.caseId);
+      }
+
+      const action = this.getDueAction(document, policy, this.getStartDate(document, policy, caseRecord), now);
+      if (!action) continue;
+
+      if (document.legalHold?.active || caseRecord?.legalHold?.active) {
+        report.counts.skippedLegalHold += 1;
+        continue;
+      }
+
+      try {
+        const purged = dryRun || (action === 'record'
+          ? await this.purgeRecord(document, now, report._id)
+          : await this.purgeOriginal(document, now, report._id));
+        if (!purged) continue;
+
+        purgedAny = true;
+        report.counts[action === 'record' ? 'recordsPurged' : 'originalsPurged'] += 1;
+        if (report.items.length < MAX_REPORT_ITEMS) {
+          report.items.push({
+            documentId: document._id,
+            originalName: document.originalName,
+            caseId: document.caseId,
+            userId: document.userId,
+            organizationId: document.organizationId,
+            purged: action,
+            purgedAt: now
+          });
+        } else {
+          report.itemsTruncated = true;
+        }
+      } catch (error) {
+        logger.error(`Retention purge failed for document ${document._id} (${library.label}):`, error);
+        report.counts.failed += 1;
+        if (report.failures.length < MAX_REPORT_ITEMS) {
+          report.failures.push({ documentId: document._id, message: error.message });
+        }
+      }
+    }
+
+    if (purgedAny && !dryRun) {
+      await cacheService.invalidateUserDocuments(library.cacheKey);
+    }
+  }
+
+  /**
+   * Delete the original file and extracted text. The update is conditional, so a document
+   * placed on hold meanwhile, or purged by another process, is left alone.
+   */
+  async purgeOriginal(document, now, runId) {
+    const result = await Document.updateOne(
+      { _id: document._id, 'retention.originalPurgedAt': null, 'legalHold.active': { $ne: true } },
+      { $set: { 'retention.originalPurgedAt': now }, $unset: unsetFields(CONTENT_FIELDS) }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await this.removeFile(document.filePath);
+    await this.recordPurge(document, 'original', runId);
+    return true;
+  }
+
+  /**
+   * Reduce the document to a tombstone, removing the original too if it is still there
+   */
+  async purgeRecord(document, now, runId) {
+    const result = await Document.updateOne(
+      { _id: document._id, 'retention.recordPurgedAt': null, 'legalHold.active': { $ne: true } },
+      {
+        $set: {
+          'retention.originalPurgedAt': document.retention?.originalPurgedAt || now,
+          'retention.recordPurgedAt': now
+        },
+        $unset: unsetFields([...CONTENT_FIELDS, ...RECORD_FIELDS])
+      }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    if (!document.retention?.originalPurgedAt) {
+      await this.removeFile(document.filePath);
+    }
+    await this.recordPurge(document, 'record', runId);
+    return true;
+  }
+
+  async removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  recordPurge(document, purged, runId) {
+    return auditService.record({}, {
+      action: 'document.purged',
+      target: { type: 'document', id: document._id, label: document.originalName },
+      metadata: { purged, runId }
+    });
+  }
+
+  async listRuns({ page = 1, limit = 20 } = {}) {
+    const [runs, total] = await Promise.all([
+      PurgeRun.find()
+        .select('-items -failures')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('triggeredBy', 'email'),
+      PurgeRun.countDocuments()
+    ]);
+
+    return {
+      runs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Documents and cases currently on hold, for the purge report
+   */
+  async getHoldCounts() {
+    const [documents, cases] = await Promise.all([
+      Document.countDocuments({ 'legalHold.active': true }),
+      Case.countDocuments({ 'legalHold.active': true })
+    ]);
+    return { documents, cases };
+  }
+
+  /**
+   * Scheduled purge for the check interval that `now` falls in. The API and worker processes all
+   * run the scheduler; the first to save the period's report runs it and the others return null.
+   */
+  async runScheduledPurge(now = new Date()) {
+    const period = Math.floor(now.getTime() / this.checkInterval);
+
+    let report;
+    try {
+      report = await PurgeRun.create({ trigger: 'scheduled', period, startedAt: now });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    return this.runPurge({ now, report });
+  }
+
+  /**
+   * Run the purge on a timer (daily by default)
+   */
+  startScheduler() {
+    if (this.timer || process.env.RETENTION_PURGE_ENABLED === 'false') return;
+
+    const run = () => this.runScheduledPurge().catch(error => logger.error('Retention purge error:', error));
+    this.timer = setInterval(run, this.checkInterval);
+    run();
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const retentionService = new RetentionService();
+retentionService.MAX_REPORT_ITEMS = MAX_REPORT_ITEMS;
+
+module.exports = retentionService;
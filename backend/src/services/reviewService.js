@@ -0,0 +1,123 @@
+const Document = require('../models/Document');
+const cacheService = require('./cacheService');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+
+const reviewError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class ReviewService {
+  /**
+   * Automated and reviewed outcome of every check a reviewer can rule on
+   */
+  getReviewSummary(document) {
+    const checks = Object.keys(Document.REVIEW_CHECKS)
+      .map(check => {
+        const automated = document.getCheckResult(check);
+        const decision = document.getReviewDecision(check);
+
+        if (!automated && !decision) return null;
+
+        return {
+          check,
+          automatedStatus: automated?.status || null,
+          issues: automated?.issues || [],
+          decision: decision?.decision || null,
+          reviewedStatus: decision?.status || null,
+          reason: decision?.reason || null,
+          reviewerName: decision?.reviewerName || null,
+          reviewedAt: decision?.reviewedAt || null
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      humanReviewed: !!document.review?.humanReviewed,
+      automatedOverall: document.review?.automatedOverall || document.validationResults?.overall,
+      overall: document.validationResults?.overall,
+      reviewedAt: document.review?.reviewedAt || null,
+      checks,
+      history: document.review?.history || []
+    };
+  }
+
+  /**
+   * Apply reviewer decisions ({ check, decision, status, reason }) and recompute the overall result
+   */
+  async submitReview(user, document, decisions) {
+    if (document.status !== 'completed' || !document.validationResults) {
+      throw reviewError('Only completed validations can be reviewed', 400);
+    }
+
+    if (!document.review) {
+      document.review = {};
+    }
+    if (!document.review.automatedOverall) {
+      document.review.automatedOverall = document.validationResults.overall;
+    }
+
+    const reviewedAt = new Date();
+    const reviewerName = `${user.firstName} ${user.lastName}`;
+
+    decisions.forEach(({ check, decision, status, reason }) => {
+      const automated = document.getCheckResult(check);
+      if (!automated) {
+        throw reviewError(`No automated result to review for check: ${check}`, 400);
+      }
+
+      const automatedStatus = automated.status;
+      const previous = document.getReviewDecision(check);
+      let reviewedStatus = automatedStatus;
+
+      if (decision === 'overridden') {
+        if (!status) {
+          throw reviewError(`A status is required to override the ${check} check`, 400);
+        }
+        if (!reason || !reason.trim()) {
+          throw reviewError(`A reason is required to override the ${check} check`, 400);
+        }
+        reviewedStatus = status;
+      } else if (!['pass', 'warning', 'fail'].includes(automatedStatus)) {
+        throw reviewError(`The ${check} check has no result to confirm; override it with a status instead`, 400);
+      }
+
+      const entry = {
+        check,
+        decision,
+        automatedStatus,
+        status: reviewedStatus,
+        reason: reason?.trim(),
+        reviewedBy: user._id,
+        reviewerName,
+        reviewedAt
+      };
+
+      document.review.checks = (document.review.checks || []).filter(existing => existing.check !== check);
+      document.review.checks.push(entry);
+      document.review.history.push({
+        ...entry,
+        previousStatus: previous?.status || automatedStatus
+      });
+    });
+
+    document.review.humanReviewed = true;
+    document.review.reviewedBy = user._id;
+    document.review.reviewedAt = reviewedAt;
+
+    // The pre-save hook recomputes validationResults.overall with the reviewed statuses
+    await document.save();
+    await cacheService.invalidateUserDocuments(document.organizationId || document.userId);
+
+    logger.info(`Document ${document._id} reviewed by ${user.email}: ${document.review.automatedOverall} -> ${document.validationResults.overall}`);
+
+    // The decision history can be long; receivers get the current outcome per check
+    const review = this.getReviewSummary(document);
+    delete review.history;
+    await webhookService.dispatch('document.reviewed', document, {
+      review: { ...review, reviewerName }
+    });
+
+    return document;
+  }
+}
+
+module.exports = new ReviewService();
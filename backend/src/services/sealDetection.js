@@ -0,0 +1,418 @@
+const sharp = require('sharp');
+const moment = require('moment');
+const imageProcessingService = require('./imageProcessingService');
+const logger = require('../utils/logger');
+
+const SEAL_SHAPES = ['rectangle', 'circle'];
+
+// Pages with a notary acknowledgment are searched for the seal
+const ACKNOWLEDGMENT_PATTERN = /acknowledged\s+before\s+me|notary\s+public/i;
+
+// Pages are searched at about 100 DPI for a letter page; seal borders survive, fine text doesn't matter
+const ANALYSIS_WIDTH = 850;
+// Ink is darker than this share of the paper brightness
+const INK_LEVEL = 0.75;
+
+// Seal impressions are roughly half an inch to three and a half inches across (fractions of the page width)
+const MIN_SEAL_SIZE = 0.06;
+const MAX_SEAL_SIZE = 0.4;
+const MAX_ASPECT_RATIO = 4;
+
+// A rectangular seal is a border: ink along all four edges and little inside the border band
+const BORDER_BAND = 0.12;
+const MIN_EDGE_COVERAGE = 0.6;
+const MIN_BORDER_COVERAGE = 0.8;
+const MAX_INTERIOR_SHARE = 0.35;
+
+// A round seal is a ring: most ink near the ellipse inside its bounds, all the way around
+const RING_TOLERANCE = 0.15;
+const MIN_RING_SHARE = 0.6;
+const MIN_RING_COVERAGE = 0.85;
+const RING_SECTORS = 36;
+
+// Seal text is small; crops are enlarged before OCR
+const SEAL_OCR_SCALE = 2;
+const SEAL_CROP_MARGIN = 0.1;
+
+const MONTHS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec';
+const COMMISSION_NUMBER_PATTERNS = [
+  /\bcomm(?:ission)?\.?\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z]?\d[\d -]{3,10}\d)\b/i,
+  /#\s*([A-Z]?\d{5,9})\b/
+];
+const EXPIRY_PATTERN = new RegExp(
+  `\\bexp(?:ires?|iration|\\.)?\\s*[:.]?\\s*(\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|(?:${MONTHS})[a-z]*\\.?\\s+\\d{1,2},?\\s+\\d{4})`,
+  'i'
+);
+const EXPIRY_FORMATS = ['M/D/YYYY', 'MM/DD/YYYY', 'M/D/YY', 'MM/DD/YY', 'MMM D YYYY', 'MMMM D YYYY'];
+
+// Characters OCR confuses with digits in commission numbers
+const DIGIT_LOOKALIKES = { O: '0', Q: '0', D: '0', I: '1', L: '1', S: '5', B: '8', Z: '2' };
+
+const normalizeCommissionNumber = (value) => {
+  const cleaned = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  // A leading letter can be part of the number; the rest should be digits
+  return cleaned.replace(/(?!^)[A-Z]/g, letter => DIGIT_LOOKALIKES[letter] || letter);
+};
+
+const sameDay = (a, b) => moment(a).format('YYYY-MM-DD') === moment(b).format('YYYY-MM-DD');
+
+const center = (bbox) => ({ x: (bbox.x0 + bbox.x1) / 2, y: (bbox.y0 + bbox.y1) / 2 });
+
+const contains = (outer, inner) =>
+  inner.x0 >= outer.x0 && inner.x1 <= outer.x1 && inner.y0 >= outer.y0 && inner.y1 <= outer.y1;
+
+const containsPoint = (bbox, { x, y }) => x >= bbox.x0 && x <= bbox.x1 && y >= bbox.y0 && y <= bbox.y1;
+
+/**
+ * Finds notary seal impressions (rectangular or round stamp borders) on page images, reads their text
+ * and cross-checks the commission number and expiry against the acknowledgment
+ */
+class SealDetectionService {
+  /**
+   * Whether a page holds a notary acknowledgment, so it should carry the seal
+   */
+  hasAcknowledgment(pageText) {
+    return ACKNOWLEDGMENT_PATTERN.test(pageText || '');
+  }
+
+  /**
+   * Seals on one page image, nearest the acknowledgment first, with the commission details read from each.
+   * Lines are the page's text lines as page fractions.
+   */
+  async analyzePage(imageBuffer, lines = [], pageNumber = 1) {
+    const page = await this.loadPage(imageBuffer);
+    const candidates = this.findSealCandidates(page);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const anchor = lines.find(line => /acknowledged\s+before\s+me/i.test(line.text))
+      || lines.find(line => ACKNOWLEDGMENT_PATTERN.test(line.text));
+    if (anchor) {
+      const distance = (bbox) => Math.hypot(center(bbox).x - center(anchor.bbox).x, center(bbox).y - center(anchor.bbox).y);
+      candidates.sort((a, b) => distance(a.bbox) - distance(b.bbox));
+    }
+
+    const seals = [];
+    for (const candidate of candidates) {
+      const details = await this.readSeal(imageBuffer, candidate.bbox, lines);
+      seals.push({ pageNumber, shape: candidate.shape, bbox: candidate.bbox, ...details });
+    }
+    return seals;
+  }
+
+  /**
+   * Commission number and expiry printed on a seal, from the page's text lines inside it or,
+   * when those don't have them, by reading the enlarged seal on its own
+   */
+  async readSeal(imageBuffer, bbox, lines) {
+    const lineText = lines
+      .filter(line => line.bbox && containsPoint(bbox, center(line.bbox)))
+      .map(line => line.text)
+      .join('\n');
+
+    let details = this.parseSealText(lineText);
+    if (details.commissionNumber) {
+      return details;
+    }
+
+    try {
+      const crop = await this.cropSeal(imageBuffer, bbox);
+      const ocrResult = await imageProcessingService.extractTextFromImage(crop);
+      if (ocrResult?.success && ocrResult.extractedText) {
+        const read = this.parseSealText(ocrResult.extractedText);
+        details = {
+          commissionNumber: read.commissionNumber || details.commissionNumber,
+          commissionExpiry: read.commissionExpiry || details.commissionExpiry
+        };
+      }
+    } catch (error) {
+      logger.warn(`Could not read notary seal text: ${error.message}`);
+    }
+    return details;
+  }
+
+  async cropSeal(imageBuffer, bbox) {
+    const metadata = await sharp(imageBuffer).metadata();
+    // EXIF orientations 5-8 turn the image on its side
+    const turned = metadata.orientation >= 5;
+    const width = turned ? metadata.height : metadata.width;
+    const height = turned ? metadata.width : metadata.height;
+    const marginX = (bbox.x1 - bbox.x0) * SEAL_CROP_MARGIN;
+    const marginY = (bbox.y1 - bbox.y0) * SEAL_CROP_MARGIN;
+    const left = Math.max(0, Math.floor((bbox.x0 - marginX) * width));
+    const top = Math.max(0, Math.floor((bbox.y0 - marginY) * height));
+    const right = Math.min(width, Math.ceil((bbox.x1 + marginX) * width));
+    const bottom = Math.min(height, Math.ceil((bbox.y1 + marginY) * height));
+
+    return sharp(imageBuffer)
+      .rotate()
+      .extract({ left, top, width: right - left, height: bottom - top })
+      .resize({ width: (right - left) * SEAL_OCR_SCALE })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Commission number and expiry from seal text like "COMM. #2345678 ... MY COMM. EXPIRES JAN. 12, 2027"
+   */
+  parseSealText(text) {
+    const source = (text || '').replace(/\s+/g, ' ');
+
+    const numberMatch = COMMISSION_NUMBER_PATTERNS.map(pattern => source.match(pattern)).find(Boolean);
+    const expiryMatch = source.match(EXPIRY_PATTERN);
+    let commissionExpiry = null;
+    if (expiryMatch) {
+      const value = expiryMatch[1]
+        .replace(/(\d)[.-](?=\d)/g, '$1/')
+        .replace(/,/g, ' ')
+        .replace(/([a-z])\./gi, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+      const parsed = moment(value, EXPIRY_FORMATS, true);
+      commissionExpiry = parsed.isValid() ? parsed.toDate() : null;
+    }
+
+    return {
+      commissionNumber: numberMatch ? normalizeCommissionNumber(numberMatch[1]) : null,
+      commissionExpiry
+    };
+  }
+
+  /**
+   * Cross-check the seal against the acknowledgment's commission number and expiry. A missing seal
+   * or a seal that disagrees with the certificate fails; a seal whose text can't be read is a warning.
+   */
+  compare(seals, { commissionNumber, commissionExpiry } = {}) {
+    if (!seals || seals.length === 0) {
+      return {
+        status: 'fail',
+        seal: { found: false },
+        issues: ['Notary seal not found on the acknowledgment']
+      };
+    }
+
+    // The seal nearest the acknowledgment, unless only another one could be read
+    const best = seals.find(seal => seal.commissionNumber || seal.commissionExpiry) || seals[0];
+    const seal = {
+      found: true,
+      shape: best.shape,
+      pageNumber: best.pageNumber,
+      bbox: best.bbox,
+      commissionNumber: best.commissionNumber || null,
+      commissionExpiry: best.commissionExpiry || null,
+      commissionNumberMatches: null,
+      commissionExpiryMatches: null
+    };
+    const issues = [];
+    let status = 'pass';
+
+    if (!seal.commissionNumber && !seal.commissionExpiry) {
+      issues.push('Notary seal text could not be read - verify the commission number on the seal');
+      status = 'warning';
+    }
+
+    if (seal.commissionNumber && commissionNumber) {
+      seal.commissionNumberMatches = normalizeCommissionNumber(commissionNumber) === seal.commissionNumber;
+      if (!seal.commissionNumberMatches) {
+        issues.push(`Commission number on the notary seal (${seal.commissionNumber}) does not match the certificate (${commissionNumber})`);
+        status = 'fail';
+      }
+    }
+
+    if (seal.commissionExpiry && commissionExpiry) {
+      seal.commissionExpiryMatches = sameDay(seal.commissionExpiry, commissionExpiry);
+      if (!seal.commissionExpiryMatches) {
+        issues.push(`Commission expiry on the notary seal (${moment(seal.commissionExpiry).format('MM/DD/YYYY')}) does not match the certificate (${moment(commissionExpiry).format('MM/DD/YYYY')})`);
+        status = 'fail';
+      }
+    }
+
+    return { status, seal, issues };
+  }
+
+  /**
+   * Ink mask of a page at the analysis resolution, thickened by a pixel so breaks in scanned borders close
+   */
+  async loadPage(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const pixels = width * height;
+
+    // Pages are mostly paper, so the median brightness is the paper
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < pixels; i++) {
+      histogram[data[i * channels]]++;
+    }
+    let paper = 255;
+    for (let level = 0, seen = 0; level < 256; level++) {
+      seen += histogram[level];
+      if (seen >= pixels / 2) {
+        paper = level;
+        break;
+      }
+    }
+
+    const inkLevel = Math.max(paper, 1) * INK_LEVEL;
+    const ink = new Uint8Array(pixels);
+    for (let i = 0; i < pixels; i++) {
+      ink[i] = data[i * channels] < inkLevel ? 1 : 0;
+    }
+
+    const mask = new Uint8Array(pixels);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!ink[y * width + x]) continue;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+              mask[ny * width + nx] = 1;
+            }
+          }
+        }
+      }
+    }
+
+    return { mask, width, height };
+  }
+
+  /**
+   * Connected ink shapes the size of a seal whose outline is a rectangle or a ring,
+   * leaving out inner borders of double-bordered seals
+   */
+  findSealCandidates(page) {
+    const { mask, width, height } = page;
+    const labels = new Int32Array(width * height);
+    const candidates = [];
+    const stack = [];
+    let nextLabel = 0;
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || labels[start]) continue;
+
+      nextLabel++;
+      labels[start] = nextLabel;
+      stack.push(start);
+      const component = { label: nextLabel, minX: width, minY: height, maxX: 0, maxY: 0, count: 0 };
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        component.count++;
+        if (x < component.minX) component.minX = x;
+        if (x > component.maxX) component.maxX = x;
+        if (y < component.minY) component.minY = y;
+        if (y > component.maxY) component.maxY = y;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            const neighbor = ny * width + nx;
+            if (mask[neighbor] && !labels[neighbor]) {
+              labels[neighbor] = nextLabel;
+              stack.push(neighbor);
+            }
+          }
+        }
+      }
+
+      const boxWidth = (component.maxX - component.minX + 1) / width;
+      const boxHeight = (component.maxY - component.minY + 1) / width;
+      const aspect = Math.max(boxWidth, boxHeight) / Math.min(boxWidth, boxHeight);
+      if (Math.min(boxWidth, boxHeight) < MIN_SEAL_SIZE || Math.max(boxWidth, boxHeight) > MAX_SEAL_SIZE
+        || aspect > MAX_ASPECT_RATIO) {
+        continue;
+      }
+
+      const shape = this.classifyShape(labels, width, component);
+      if (shape) {
+        candidates.push({
+          shape,
+          bbox: {
+            x0: component.minX / width,
+            y0: component.minY / height,
+            x1: (component.maxX + 1) / width,
+            y1: (component.maxY + 1) / height
+          }
+        });
+      }
+    }
+
+    return candidates.filter(candidate =>
+      !candidates.some(other => other !== candidate && contains(other.bbox, candidate.bbox)));
+  }
+
+  /**
+   * 'rectangle' or 'circle' when a component's pixels trace that outline, otherwise null
+   */
+  classifyShape(labels, width, { label, minX, minY, maxX, maxY, count }) {
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const band = Math.max(1, Math.round(Math.min(boxWidth, boxHeight) * BORDER_BAND));
+
+    const top = new Uint8Array(boxWidth);
+    const bottom = new Uint8Array(boxWidth);
+    const left = new Uint8Array(boxHeight);
+    const right = new Uint8Array(boxHeight);
+    const sectors = new Uint8Array(RING_SECTORS);
+    let interior = 0;
+    let ring = 0;
+
+    const cx = boxWidth / 2;
+    const cy = boxHeight / 2;
+    for (let y = 0; y < boxHeight; y++) {
+      for (let x = 0; x < boxWidth; x++) {
+        if (labels[(minY + y) * width + minX + x] !== label) continue;
+
+        const nearTop = y < band;
+        const nearBottom = y >= boxHeight - band;
+        const nearLeft = x < band;
+        const nearRight = x >= boxWidth - band;
+        if (nearTop) top[x] = 1;
+        if (nearBottom) bottom[x] = 1;
+        if (nearLeft) left[y] = 1;
+        if (nearRight) right[y] = 1;
+        if (!nearTop && !nearBottom && !nearLeft && !nearRight) interior++;
+
+        const dx = (x + 0.5 - cx) / cx;
+        const dy = (y + 0.5 - cy) / cy;
+        if (Math.abs(Math.hypot(dx, dy) - 1) < RING_TOLERANCE) {
+          ring++;
+          const angle = Math.atan2(dy, dx) + Math.PI;
+          sectors[Math.min(RING_SECTORS - 1, Math.floor((angle / (2 * Math.PI)) * RING_SECTORS))] = 1;
+        }
+      }
+    }
+
+    const coverage = (hits) => hits.reduce((sum, hit) => sum + hit, 0) / hits.length;
+    const edges = [top, bottom, left, right].map(coverage);
+    const borderCoverage = edges.reduce((sum, edge) => sum + edge, 0) / edges.length;
+    if (Math.min(...edges) >= MIN_EDGE_COVERAGE && borderCoverage >= MIN_BORDER_COVERAGE
+      && interior / count <= MAX_INTERIOR_SHARE) {
+      return 'rectangle';
+    }
+
+    if (ring / count >= MIN_RING_SHARE && coverage(sectors) >= MIN_RING_COVERAGE) {
+      return 'circle';
+    }
+    return null;
+  }
+}
+
+const sealDetection = new SealDetectionService();
+sealDetection.SEAL_SHAPES = SEAL_SHAPES;
+sealDetection.normalizeCommissionNumber = normalizeCommissionNumber;
+
+module.exports = sealDetection;
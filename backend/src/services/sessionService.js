@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const sessionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Short-lived access tokens (JWTs carrying the session id) backed by server-side sessions
+ * with rotating refresh tokens, so signing out, password changes and suspensions take effect.
+ */
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRE || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    // A refresh token replaced this recently is treated as a race between tabs rather than theft
+    this.reuseGraceMs = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS) || 30 * 1000;
+  }
+
+  /**
+   * Start a session for a user who has just signed in
+   */
+  async createSession(user, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = this.generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      userId: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      ...this.describeClient(req),
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      session,
+      accessToken: this.generateAccessToken(user._id, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Presenting a token that was already rotated out revokes the session, since it may have been stolen.
+   */
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw sessionError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive()) {
+      throw sessionError('Session expired or revoked', 401);
+    }
+
+    const nextToken = this.generateRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextToken),
+          lastUsedAt: new Date(),
+          ...this.describeClient(req)
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      if (Date.now() - session.lastUsedAt.getTime() > this.reuseGraceMs) {
+        await this.revoke(session._id, 'token_reuse');
+        logger.warn(`Refresh token reuse detected, session ${session._id} revoked for user ${session.userId}`);
+      }
+      throw sessionError('Refresh token has already been used', 401);
+    }
+
+    const user = await User.findById(rotated.userId);
+    if (!user || user.active === false) {
+      await this.revoke(rotated._id, 'revoked');
+      throw sessionError('Session expired or revoked', 401);
+    }
+
+    return {
+      user,
+      session: rotated,
+      accessToken: this.generateAccessToken(user._id, rotated._id),
+      refreshToken: nextToken
+    };
+  }
+
+  /**
+   * Whether a verified access token still belongs to a live session.
+   * Tokens issued before sessions existed are checked against the user's last revoke-all instead.
+   */
+  async isAccessTokenActive(decoded, user) {
+    if (decoded.sid) {
+      return !!(await Session.exists({
+        _id: decoded.sid,
+        userId: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }));
+    }
+
+    return !user.sessionsRevokedAt || decoded.iat >= Math.floor(user.sessionsRevokedAt.getTime() / 1000);
+  }
+
+  async listSessions(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  async revoke(sessionId, reason = 'revoked', userId = null) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) {
+      filter.userId = userId;
+    }
+    return Session.findOneAndUpdate(filter, { revokedAt: new Date(), revokedReason: reason }, { new: true });
+  }
+
+  /**
+   * Sign out the session a refresh token belongs to; unknown or stale tokens are ignored
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return Session.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping the one making the request
+   */
+  async revokeAll(userId, reason, { exceptSessionId = null } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    await User.findByIdAndUpdate(userId, { sessionsRevokedAt: new Date() });
+
+    logger.info(`Revoked ${result.modifiedCount} session(s) for user ${userId}: ${reason}`);
+    return result.modifiedCount;
+  }
+
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  // The session id prefix lets a refresh be resolved with one lookup; the random part is the secret
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  describeClient(req) {
+    const userAgent = (req?.get?.('User-Agent') || '').slice(0, 500);
+    return {
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip: req?.ip || req?.connection?.remoteAddress || null
+    };
+  }
+
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,437 @@
+const sharp = require('sharp');
+
+// What a signature area can hold, as reported per signer
+const SIGNATURE_STATES = ['signed', 'blank', 'illegible'];
+
+const ROLE_LABELS = {
+  principal: 'Principal',
+  witness: 'Witness',
+  notary: 'Notary'
+};
+
+// Notary blocks often mention the principal, so the notary is matched first
+const ROLE_PATTERNS = [
+  { role: 'notary', pattern: /\bnotary\b/i },
+  { role: 'witness', pattern: /\bwitness(?:es)?\b/i },
+  { role: 'principal', pattern: /\b(?:principal|declarant|grantor)\b/i }
+];
+
+// A typed signature line
+const RULE_PATTERN = /_{4,}/g;
+const hasRule = (text) => /_{4,}/.test(text);
+
+// A typed (conformed) signature such as "/s/ Jane Doe", as printed from e-signed documents
+const TYPED_SIGNATURE_PATTERN = /(?:^|\s)\/s\/\s*\S/i;
+
+// Lines under a rule that ask for something other than a signature
+const NOT_SIGNATURE_PATTERN = /\b(?:print(?:ed)?\s+name|name\s+printed|date|address|title|commission)\b/i;
+const SIGNATURE_WORD_PATTERN = /\bsign(?:ature|ed)?\b/i;
+
+// Longer lines are body text that happens to mention a signer, not a label
+const MAX_LABEL_WORDS = 8;
+
+// Space above a signature line that a signature normally fills, in text line heights
+const AREA_LINE_HEIGHTS = 3;
+// Labels without a typed rule (the line is drawn) get at least this share of the page width
+const MIN_AREA_WIDTH = 0.3;
+// Used when a page has no text lines to measure
+const DEFAULT_LINE_HEIGHT = 0.015;
+// Tesseract reads handwriting with low confidence; only confident lines are printed text
+const PRINTED_LINE_CONFIDENCE = 80;
+
+// Ink is darker than the paper; dark ink is what a pen stroke leaves, grey is blur, smudge or faint marks
+const INK_LEVEL = 0.75;
+const DARK_LEVEL = 0.45;
+// Rows inked across more than this share of the area are the printed rule, not a signature
+const RULE_ROW_COVERAGE = 0.5;
+const RULE_ROW_MARGIN = 2;
+const MIN_AREA_PIXELS = 4;
+
+// Scanner noise in an empty area stays under this share of inked pixels
+const BLANK_INK_DENSITY = 0.005;
+// A pen stroke has a dark core; blurred, smudged or faded marks are mostly grey
+const MIN_CRISPNESS = 0.25;
+// Areas this full of ink are scribbled over or blotted
+const MAX_INK_DENSITY = 0.4;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const overlaps = (bbox, x0, x1) => bbox.x0 < x1 && bbox.x1 > x0;
+
+const wordCount = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Finds signature areas on rendered pages from their text lines and measures the ink in each,
+ * so signatures on scanned documents are reported as signed, blank or illegible
+ */
+class SignatureDetectionService {
+  /**
+   * States of the signature areas on one page image, for lines given as page fractions
+   */
+  async analyzePage(imageBuffer, lines, pageNumber = 1) {
+    const areas = this.findSignatureAreas(lines);
+    if (areas.length === 0) {
+      return [];
+    }
+
+    const page = await this.loadPage(imageBuffer);
+    return areas
+      .map(area => ({ area, measurement: area.typedSignature ? null : this.measureInk(page, area.bbox) }))
+      .filter(({ area, measurement }) => area.typedSignature || measurement)
+      .map(({ area, measurement }) => ({
+        role: area.role,
+        pageNumber,
+        state: area.typedSignature ? 'signed' : this.classify(measurement),
+        inkDensity: measurement ? Math.round(measurement.inkDensity * 10000) / 10000 : null,
+        bbox: area.bbox
+      }));
+  }
+
+  /**
+   * Signature areas from a page's text lines ({ text, confidence, bbox } in page fractions): the space
+   * above each typed signature line, or above a label like "Signature of Principal" when the line is drawn.
+   * Areas holding a typed "/s/ Name" signature are marked typedSignature, since there is no ink to measure.
+   */
+  findSignatureAreas(lines = []) {
+    const textLines = lines.filter(line => line.text?.trim() && line.bbox);
+    const lineHeight = this.getLineHeight(textLines);
+    const usedLabels = new Set();
+    const areas = [];
+
+    for (const line of textLines) {
+      const length = line.text.length;
+      const width = line.bbox.x1 - line.bbox.x0;
+      let previousEnd = 0;
+
+      for (const match of line.text.matchAll(RULE_PATTERN)) {
+        const x0 = line.bbox.x0 + width * (match.index / length);
+        const x1 = line.bbox.x0 + width * ((match.index + match[0].length) / length);
+        const prefix = line.text.slice(previousEnd, match.index);
+        previousEnd = match.index + match[0].length;
+
+        // "Witness: ______" names the signer on the same line, otherwise the label is printed below
+        let role = this.getRole(prefix);
+        if (!role) {
+          const label = this.findLabelBelow(textLines, line, x0, x1, lineHeight);
+          if (label) {
+            usedLabels.add(label.line);
+            role = label.role;
+          }
+        }
+        if (!role) continue;
+
+        const bbox = this.getAreaAbove(textLines, line, { x0, x1, y1: line.bbox.y1 }, lineHeight);
+        areas.push({
+          role,
+          bbox,
+          typedSignature: TYPED_SIGNATURE_PATTERN.test(prefix) || this.hasTypedSignature(textLines, bbox)
+        });
+      }
+    }
+
+    for (const line of textLines) {
+      if (usedLabels.has(line) || hasRule(line.text) || !SIGNATURE_WORD_PATTERN.test(line.text)) {
+        continue;
+      }
+      const role = this.getRole(line.text);
+      if (!role) continue;
+
+      const x1 = Math.min(1, Math.max(line.bbox.x1, line.bbox.x0 + MIN_AREA_WIDTH));
+      const bbox = this.getAreaAbove(textLines, line, { x0: line.bbox.x0, x1, y1: line.bbox.y0 }, lineHeight);
+      areas.push({ role, bbox, typedSignature: this.hasTypedSignature(textLines, bbox) });
+    }
+
+    return areas.sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+  }
+
+  /**
+   * The signer a label names, if it reads like a signature label
+   */
+  getRole(text) {
+    const label = (text || '').replace(/_/g, ' ').trim();
+    if (!label || wordCount(label) > MAX_LABEL_WORDS) {
+      return null;
+    }
+    if (NOT_SIGNATURE_PATTERN.test(label) && !SIGNATURE_WORD_PATTERN.test(label)) {
+      return null;
+    }
+    return ROLE_PATTERNS.find(({ pattern }) => pattern.test(label))?.role || null;
+  }
+
+  /**
+   * The nearest label under a signature line, using the part of the label line beneath the rule
+   */
+  findLabelBelow(lines, rule, x0, x1, lineHeight) {
+    const candidates = lines
+      .filter(line => line !== rule
+        && line.bbox.y0 >= rule.bbox.y1 - lineHeight * 0.5
+        && line.bbox.y0 <= rule.bbox.y1 + lineHeight * 2
+        && overlaps(line.bbox, x0, x1))
+      .sort((a, b) => a.bbox.y0 - b.bbox.y0)
+      .slice(0, 2);
+
+    for (const line of candidates) {
+      const role = this.getRole(this.getTextBetween(line, x0, x1));
+      if (role) {
+        return { line, role };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Characters of a line within a horizontal range, assuming evenly spaced characters
+   */
+  getTextBetween(line, x0, x1) {
+    const width = line.bbox.x1 - line.bbox.x0;
+    if (width <= 0) {
+      return line.text;
+    }
+    const start = Math.max(0, Math.floor(((x0 - line.bbox.x0) / width) * line.text.length));
+    const end = Math.min(line.text.length, Math.ceil(((x1 - line.bbox.x0) / width) * line.text.length));
+    return line.text.slice(start, end);
+  }
+
+  /**
+   * Space above a signature line, stopping at the printed text above it (a typed signature is part of the area)
+   */
+  getAreaAbove(lines, line, { x0, x1, y1 }, lineHeight) {
+    let y0 = Math.max(0, y1 - lineHeight * AREA_LINE_HEIGHTS);
+
+    for (const other of lines) {
+      if (other === line || other.bbox.y1 > line.bbox.y0 + lineHeight * 0.25 || !overlaps(other.bbox, x0, x1)) {
+        continue;
+      }
+      if (TYPED_SIGNATURE_PATTERN.test(other.text)) {
+        continue;
+      }
+      // Handwriting read as text mustn't cut the area short
+      const printed = (other.confidence ?? 100) >= PRINTED_LINE_CONFIDENCE || hasRule(other.text);
+      if (printed && other.bbox.y1 > y0) {
+        y0 = other.bbox.y1;
+      }
+    }
+
+    return { x0, y0, x1, y1 };
+  }
+
+  hasTypedSignature(lines, bbox) {
+    return lines.some(line => TYPED_SIGNATURE_PATTERN.test(line.text)
+      && overlaps(line.bbox, bbox.x0, bbox.x1)
+      && line.bbox.y1 > bbox.y0
+      && line.bbox.y0 < bbox.y1);
+  }
+
+  /**
+   * Typical printed line height, ignoring signature lines and handwriting
+   */
+  getLineHeight(lines) {
+    const heights = lines
+      .filter(line => !hasRule(line.text) && (line.confidence ?? 100) >= PRINTED_LINE_CONFIDENCE)
+      .map(line => line.bbox.y1 - line.bbox.y0)
+      .filter(height => height > 0);
+    return heights.length > 0 ? median(heights) : DEFAULT_LINE_HEIGHT;
+  }
+
+  /**
+   * Greyscale pixels of a page with its paper brightness, read once for all of its areas
+   */
+  async loadPage(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Pages are mostly paper, so the median brightness is the paper
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += info.channels) {
+      histogram[data[i]]++;
+    }
+    const half = (data.length / info.channels) / 2;
+    let paper = 255;
+    for (let level = 0, seen = 0; level < 256; level++) {
+      seen += histogram[level];
+      if (seen >= half) {
+        paper = level;
+        break;
+      }
+    }
+
+    return { data, width: info.width, height: info.height, channels: info.channels, paper: Math.max(paper, 1) };
+  }
+
+  /**
+   * Share of inked pixels in an area (leaving out the printed rule), and how much of that ink is dark
+   */
+  measureInk(page, bbox) {
+    const left = Math.max(0, Math.floor(bbox.x0 * page.width));
+    const right = Math.min(page.width, Math.ceil(bbox.x1 * page.width));
+    const top = Math.max(0, Math.floor(bbox.y0 * page.height));
+    const bottom = Math.min(page.height, Math.ceil(bbox.y1 * page.height));
+    const areaWidth = right - left;
+    if (areaWidth < MIN_AREA_PIXELS || bottom - top < MIN_AREA_PIXELS) {
+      return null;
+    }
+
+    const inkLevel = page.paper * INK_LEVEL;
+    const darkLevel = page.paper * DARK_LEVEL;
+    const rows = [];
+    for (let y = top; y < bottom; y++) {
+      let ink = 0;
+      let dark = 0;
+      for (let x = left; x < right; x++) {
+        const value = page.data[(y * page.width + x) * page.channels];
+        if (value < inkLevel) {
+          ink++;
+          if (value < darkLevel) dark++;
+        }
+      }
+      rows.push({ ink, dark });
+    }
+
+    const ruleRows = new Set();
+    rows.forEach((row, index) => {
+      if (row.ink > areaWidth * RULE_ROW_COVERAGE) {
+        for (let i = index - RULE_ROW_MARGIN; i <= index + RULE_ROW_MARGIN; i++) {
+          ruleRows.add(i);
+        }
+      }
+    });
+
+    let ink = 0;
+    let dark = 0;
+    let counted = 0;
+    rows.forEach((row, index) => {
+      if (ruleRows.has(index)) return;
+      ink += row.ink;
+      dark += row.dark;
+      counted++;
+    });
+    if (counted === 0) {
+      return null;
+    }
+
+    return {
+      inkDensity: ink / (counted * areaWidth),
+      crispness: ink > 0 ? dark / ink : 0
+    };
+  }
+
+  classify({ inkDensity, crispness }) {
+    if (inkDensity < BLANK_INK_DENSITY) {
+      return 'blank';
+    }
+    if (crispness < MIN_CRISPNESS || inkDensity > MAX_INK_DENSITY) {
+      return 'illegible';
+    }
+    return 'signed';
+  }
+
+  /**
+   * Signature check result from the areas found across the document. Illegible signatures and a blank
+   * principal signature fail; blank witness and notary lines are warnings, since the witness and notary
+   * checks decide which of them the document needs.
+   */
+  evaluate(signatures) {
+    const counts = {};
+    signatures.forEach(signature => {
+      counts[signature.role] = (counts[signature.role] || 0) + 1;
+    });
+
+    const seen = {};
+    const labelled = signatures.map(signature => {
+      seen[signature.role] = (seen[signature.role] || 0) + 1;
+      const label = counts[signature.role] > 1
+        ? `${ROLE_LABELS[signature.role]} ${seen[signature.role]}`
+        : ROLE_LABELS[signature.role];
+      return { ...signature, label };
+    });
+
+    const principal = labelled.filter(signature => signature.role === 'principal');
+    const illegible = labelled.some(signature => signature.state === 'illegible');
+    const issues = [];
+
+    if (illegible) {
+      issues.push('Illegible signatures, please verify');
+    }
+    labelled
+      .filter(signature => signature.state !== 'signed')
+      .forEach(signature => issues.push(`${signature.label} signature is ${signature.state}`));
+    if (principal.length === 0) {
+      issues.push('Principal signature line not found');
+    }
+
+    let status = 'pass';
+    if (illegible || principal.some(signature => signature.state === 'blank')) {
+      status = 'fail';
+    } else if (issues.length > 0) {
+      status = 'warning';
+    }
+
+    return {
+      status,
+      analyzed: true,
+      principalSigned: principal.some(signature => signature.state === 'signed'),
+      signatures: labelled,
+      issues
+    };
+  }
+
+  /**
+   * Text lines of a page from its positioned words, one per line of the page text
+   */
+  linesFromWords(pageText, words = []) {
+    const lines = [];
+    let start = 0;
+    for (const text of pageText.split('\n')) {
+      const end = start + text.length;
+      const lineWords = words.filter(word => word.start >= start && word.end <= end);
+      if (lineWords.length > 0) {
+        lines.push({
+          text,
+          bbox: {
+            x0: Math.min(...lineWords.map(word => word.bbox.x0)),
+            y0: Math.min(...lineWords.map(word => word.bbox.y0)),
+            x1: Math.max(...lineWords.map(word => word.bbox.x1)),
+            y1: Math.max(...lineWords.map(word => word.bbox.y1))
+          }
+        });
+      }
+      start = end + 1;
+    }
+    return lines;
+  }
+
+  /**
+   * Tesseract line boxes in pixels as page fractions
+   */
+  locateOcrLines(ocrLines = [], imageSize = null) {
+    if (!imageSize?.width || !imageSize?.height) {
+      return [];
+    }
+
+    return ocrLines
+      .filter(line => line.text?.trim() && line.bbox)
+      .map(line => ({
+        text: line.text.replace(/\n+$/, ''),
+        confidence: line.confidence,
+        bbox: {
+          x0: line.bbox.x0 / imageSize.width,
+          y0: line.bbox.y0 / imageSize.height,
+          x1: line.bbox.x1 / imageSize.width,
+          y1: line.bbox.y1 / imageSize.height
+        }
+      }));
+  }
+}
+
+const signatureDetection = new SignatureDetectionService();
+signatureDetection.SIGNATURE_STATES = SIGNATURE_STATES;
+signatureDetection.ROLE_LABELS = ROLE_LABELS;
+
+module.exports = signatureDetection;
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ISSUER = 'Say Goodbye';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  const bits = value.toUpperCase().replace(/[\s=-]/g, '').split('').map(char => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    return index.toString(2).padStart(5, '0');
+  }).join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Recovery codes are random, so a fast hash is enough; formatting is ignored when comparing
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps.
+ */
+class TwoFactorService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30;
+    // Steps either side of now that are still accepted, for clock drift
+    this.window = parseInt(process.env.TWO_FACTOR_WINDOW) || 1;
+    this.recoveryCodeCount = 10;
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / this.period);
+  }
+
+  generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * The time step a code belongs to, or null when it does not match the secret.
+   * Codes from steps at or before lastUsedStep are rejected so a code cannot be replayed.
+   */
+  matchCode(secret, code, { lastUsedStep = null, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.getStep(time);
+    for (let step = current - this.window; step <= current + this.window; step++) {
+      if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  getOtpauthUrl(secret, email) {
+    // Spaces must be %20 rather than '+', which some authenticator apps show literally
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = Object.entries({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: this.digits,
+      period: this.period
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  generateQrCode(otpauthUrl) {
+    return QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 });
+  }
+
+  /**
+   * New one-time recovery codes: the plain codes to show the user once, and the hashes to store
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return {
+      codes,
+      records: codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  /**
+   * Start enrollment: store a pending secret until the user proves their app has it
+   */
+  async beginEnrollment(user) {
+    const secret = this.generateSecret();
+    await User.findByIdAndUpdate(user._id, { twoFactorPendingSecret: secret });
+
+    const otpauthUrl = this.getOtpauthUrl(secret, user.email);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await this.generateQrCode(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret; returns the recovery codes, or null for a wrong code
+   */
+  async completeEnrollment(userId, code) {
+    const user = await User.findById(userId).select('+twoFactorPendingSecret');
+    const step = this.matchCode(user?.twoFactorPendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, records } = this.generateRecoveryCodes();
+    await User.findByIdAndUpdate(user._id, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: records
+      },
+      $unset: { twoFactorPendingSecret: 1 }
+    });
+
+    logger.info(`Two-factor authentication enabled: ${user.email}`);
+    return codes;
+  }
+
+  async disable(userId) {
+    await User.findByIdAndUpdate(userId, {
+      $set: { twoFactorEnabled: false, twoFactorRecoveryCodes: [] },
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorLastUsedStep: 1, twoFactorEnabledAt: 1 }
+    });
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const { codes, records } = this.generateRecoveryCodes();
+    await User.findByIdAndUpdate(userId, { twoFactorRecoveryCodes: records });
+    return codes;
+  }
+
+  /**
+   * Check an authenticator code or an unused recovery code for an enrolled user.
+   * Returns 'totp', 'recovery' or null. Accepted codes are consumed atomically, so each works once.
+   */
+  async verify(userId, code) {
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorLastUsedStep');
+    if (!user?.twoFactorEnabled) {
+      return null;
+    }
+
+    const step = this.matchCode(user.twoFactorSecret, code, { lastUsedStep: user.twoFactorLastUsedStep ?? null });
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const codeHash = hashRecoveryCode(code);
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+      { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount === 1) {
+      logger.warn(`Recovery code used for two-factor login: ${user.email}`);
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the user's organization requires two-factor authentication they have not set up yet
+   */
+  async isSetupRequired(user) {
+    return !user.twoFactorEnabled && this.isRequiredByOrganization(user);
+  }
+
+  async isRequiredByOrganization(user) {
+    if (!user.organizationId) {
+      return false;
+    }
+
+    const Organization = require('../models/Organization');
+    return !!(await Organization.exists({ _id: user.organizationId, requireTwoFactor: true }));
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.base32Encode = base32Encode;
+twoFactorService.base32Decode = base32Decode;
+
+module.exports = twoFactorService;
@@ -0,0 +1,444 @@
+const os = require('os');
+const path = require('path');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const ValidationJob = require('../models/ValidationJob');
+const CustomRule = require('../models/CustomRule');
+const documentValidationService = require('./documentValidation');
+const cacheService = require('./cacheService');
+const progressService = require('./progressService');
+const webhookService = require('./webhookService');
+const emailService = require('./emailService');
+const encryptionService = require('./encryptionService');
+const logger = require('../utils/logger');
+
+const STALE_LOCK_ERROR = 'Validation worker stopped responding';
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+class ValidationQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.VALIDATION_WORKER_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.VALIDATION_QUEUE_POLL_MS) || 2000;
+    this.maxAttempts = parseInt(process.env.VALIDATION_JOB_MAX_ATTEMPTS) || 3;
+    this.backoffBase = parseInt(process.env.VALIDATION_JOB_BACKOFF_MS) || 30 * 1000; // 30 seconds
+    this.lockTimeout = parseInt(process.env.VALIDATION_JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+    this.heartbeatInterval = Math.floor(this.lockTimeout / 4);
+
+    this.running = false;
+    this.polling = false;
+    this.activeJobs = new Set();
+    this.pollTimer = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Persist a validation job for a freshly uploaded document
+   */
+  async enqueue(document) {
+    const job = await ValidationJob.create({
+      documentId: document._id,
+      userId: document.userId,
+      filePath: document.filePath,
+      originalName: document.originalName,
+      jurisdiction: document.jurisdiction,
+      maxAttempts: this.maxAttempts
+    });
+
+    logger.info(`Validation job queued: ${job._id} for document ${document._id}`);
+    progressService.publish(document._id, 'queued');
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (this.running) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Drop the jobs of deleted documents. A worker running one of them loses its lock,
+   * so its results are discarded instead of ending up in the dead-letter queue.
+   */
+  async removeJobs(documentIds) {
+    const result = await ValidationJob.deleteMany({ documentId: { $in: documentIds } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Start polling for jobs in this process
+   */
+  async start() {
+    if (this.running) return;
+
+    this.running = true;
+    await this.recoverOrphans();
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.sweepTimer = setInterval(() => {
+      this.requeueStaleJobs().catch(error => logger.error('Stale job sweep error:', error));
+    }, this.lockTimeout);
+
+    logger.info(`Validation worker ${this.workerId} started (concurrency: ${this.concurrency})`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to settle
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.sweepTimer);
+    this.pollTimer = null;
+    this.sweepTimer = null;
+
+    await Promise.allSettled([...this.activeJobs]);
+    logger.info(`Validation worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.activeJobs.delete(run);
+        });
+        this.activeJobs.add(run);
+      }
+    } catch (error) {
+      logger.error('Validation queue poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the next due job so that concurrent workers never share one
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return ValidationJob.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now } },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    // Keep the lock fresh while validating so the stale-job sweep never hands a long run to another worker
+    const heartbeat = setInterval(() => {
+      this.renewLock(job).catch(error => logger.error(`Validation job ${job._id} lock renewal error:`, error));
+    }, this.heartbeatInterval);
+
+    try {
+      await this.processJob(job);
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Filter matching the job only while this worker still holds its lock
+   */
+  ownedBy(job) {
+    return { _id: job._id, status: 'running', lockedBy: this.workerId };
+  }
+
+  /**
+   * Complete the job if this worker still holds it. Only the worker that completes the job
+   * stores its results, so a job handed to a second worker is never finished twice.
+   */
+  async completeJob(job) {
+    const completed = await ValidationJob.findOneAndUpdate(this.ownedBy(job), {
+      $set: { status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null }
+    });
+    if (!completed) {
+      logger.warn(`Validation job ${job._id} finished after worker ${this.workerId} lost its lock; results discarded`);
+    }
+    return !!completed;
+  }
+
+  /**
+   * Take a job completed by this worker back, so a failure while storing its results is retried
+   */
+  async reopenJob(job) {
+    await ValidationJob.updateOne({ _id: job._id, status: 'completed' }, {
+      $set: { status: 'running', completedAt: null, lockedAt: new Date(), lockedBy: this.workerId }
+    });
+  }
+
+  async renewLock(job) {
+    const result = await ValidationJob.updateOne(this.ownedBy(job), { $set: { lockedAt: new Date() } });
+    return result.modifiedCount > 0;
+  }
+
+  async handleFailure(job, error) {
+    const failure = {
+      attempt: job.attempts,
+      message: error.message,
+      failedAt: new Date()
+    };
+
+    if (job.attempts >= job.maxAttempts) {
+      const dead = await ValidationJob.findOneAndUpdate(this.ownedBy(job), {
+        $set: { status: 'dead', lastError: error.message, lockedAt: null, lockedBy: null },
+        $push: { failures: failure }
+      });
+      if (!dead) {
+        logger.warn(`Validation job ${job._id} failed after worker ${this.workerId} lost its lock: ${error.message}`);
+        return;
+      }
+
+      await this.failDocument(job, error.message);
+
+      logger.error(`Validation job ${job._id} moved to dead-letter after ${job.attempts} attempts: ${error.message}`);
+      return;
+    }
+
+    const delay = this.getBackoffDelay(job.attempts);
+
+    const requeued = await ValidationJob.findOneAndUpdate(this.ownedBy(job), {
+      $set: {
+        status: 'queued',
+        runAt: new Date(Date.now() + delay),
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null
+      },
+      $push: { failures: failure }
+    });
+    if (!requeued) {
+      logger.warn(`Validation job ${job._id} failed after worker ${this.workerId} lost its lock: ${error.message}`);
+      return;
+    }
+
+    progressService.publish(job.documentId, 'queued', {
+      attempt: job.attempts,
+      retryAt: new Date(Date.now() + delay).toISOString(),
+      error: error.message
+    });
+
+    logger.warn(`Validation job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+  }
+
+  /**
+   * Mark the document of a dead-lettered job as failed and tell its owner
+   */
+  async failDocument(job, message) {
+    const document = await Document.findByIdAndUpdate(job.documentId, {
+      status: 'failed',
+      errorMessage: message
+    }, { new: true });
+
+    await cacheService.invalidateUserDocuments(document?.organizationId || job.userId);
+    progressService.publish(job.documentId, 'failed', { error: message });
+    if (document) {
+      await webhookService.dispatch('document.failed', document);
+      await emailService.notifyValidationFailed(document, message);
+    }
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ...
+   */
+  getBackoffDelay(attempts) {
+    return this.backoffBase * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Run the validation for a job and store the results on the document
+   */
+  async processJob(job) {
+    const { documentId, filePath, originalName, userId, jurisdiction } = job;
+
+    const user = await User.findById(userId);
+    const customRules = await this.getCustomRules(user);
+
+    const validationResults = await documentValidationService.validateDocument(filePath, originalName, {
+      jurisdiction,
+      customRules,
+      onProgress: (stage, details) => progressService.publish(documentId, stage, details)
+    });
+
+    validationResults.overall = Document.calculateOverallStatus(validationResults);
+
+    if (!(await this.completeJob(job))) {
+      return;
+    }
+
+    let document;
+    try {
+      document = await this.storeResults(documentId, validationResults);
+    } catch (error) {
+      await this.reopenJob(job);
+      throw error;
+    }
+
+    // Increment user's validation count
+    if (user) {
+      await user.incrementValidations();
+    }
+
+    // Invalidate user's document cache when validation completes
+    await cacheService.invalidateUserDocuments(document?.organizationId || userId);
+    progressService.publish(documentId, 'done', { overall: validationResults.overall });
+
+    logger.info(`Document validation completed: ${originalName}`);
+
+    if (document) {
+      await webhookService.dispatch('document.completed', document);
+      await emailService.notifyValidationCompleted(document);
+    }
+  }
+
+  /**
+   * Store the validation results on the document; earlier reviewer decisions no longer apply
+   */
+  async storeResults(documentId, validationResults) {
+    return Document.findByIdAndUpdate(documentId, {
+      status: 'completed',
+      validationResults,
+      extractedText: await encryptionService.encryptText(validationResults.extractedText),
+      redactedText: validationResults.redactedText,
+      pii: validationResults.pii,
+      ocrConfidence: validationResults.ocrConfidence,
+      pages: await encryptionService.encryptPages(validationResults.pages),
+      processingTime: validationResults.processingTime,
+      errorMessage: null,
+      // The review history is kept
+      'review.automatedOverall': validationResults.overall,
+      'review.humanReviewed': false,
+      'review.checks': []
+    }, { new: true });
+  }
+
+  /**
+   * Enabled custom rules for users whose plan includes them
+   */
+  async getCustomRules(user) {
+    if (!user || !user.getTierLimits()?.customRules) {
+      return [];
+    }
+
+    return CustomRule.find({ ...CustomRule.scopeFor(user), enabled: true }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Startup sweep: release jobs held by dead workers, queue documents that were left
+   * in 'processing' without any job (e.g. uploaded before a restart) and remove stray page images
+   */
+  async recoverOrphans() {
+    try {
+      await documentValidationService.removeStrayPageImages(UPLOAD_DIR);
+      const requeued = await this.requeueStaleJobs();
+
+      const pendingJobDocumentIds = await ValidationJob.distinct('documentId', {
+        status: { $in: ['queued', 'running'] }
+      });
+
+      const orphans = await Document.find({
+        status: 'processing',
+        source: { $ne: 'scanned' },
+        filePath: { $exists: true, $ne: null },
+        _id: { $nin: pendingJobDocumentIds }
+      }).select('_id userId filePath originalName jurisdiction');
+
+      for (const document of orphans) {
+        await this.enqueue(document);
+      }
+
+      if (requeued > 0 || orphans.length > 0) {
+        logger.info(`Validation queue recovery: ${requeued} stale jobs requeued, ${orphans.length} orphaned documents queued`);
+      }
+
+      return { requeued, orphaned: orphans.length };
+    } catch (error) {
+      logger.error('Validation queue recovery error:', error);
+      return { requeued: 0, orphaned: 0 };
+    }
+  }
+
+  /**
+   * Put 'running' jobs whose lock has expired back in the queue, or dead-letter
+   * them when the lost run was their last attempt
+   */
+  async requeueStaleJobs() {
+    const stale = { status: 'running', lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) } };
+
+    const exhausted = await ValidationJob.find({ ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    for (const job of exhausted) {
+      const dead = await ValidationJob.findOneAndUpdate({ _id: job._id, ...stale }, {
+        $set: { status: 'dead', lastError: STALE_LOCK_ERROR, lockedAt: null, lockedBy: null },
+        $push: { failures: { attempt: job.attempts, message: STALE_LOCK_ERROR, failedAt: new Date() } }
+      });
+
+      if (dead) {
+        await this.failDocument(job, STALE_LOCK_ERROR);
+        logger.error(`Validation job ${job._id} moved to dead-letter: its worker stopped on the last attempt`);
+      }
+    }
+
+    const result = await ValidationJob.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $set: { status: 'queued', runAt: new Date(), lastError: STALE_LOCK_ERROR, lockedAt: null, lockedBy: null } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Move a dead-lettered job back into the queue with a fresh attempt budget
+   */
+  async retry(jobId) {
+    const job = await ValidationJob.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date() } },
+      { new: true }
+    );
+
+    if (!job) return null;
+
+    const document = await Document.findByIdAndUpdate(job.documentId, {
+      status: 'processing',
+      errorMessage: null
+    });
+    await cacheService.invalidateUserDocuments(document?.organizationId || job.userId);
+    progressService.publish(job.documentId, 'queued');
+
+    if (this.running) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Queue counters for health checks and the admin dashboard
+   */
+  async getStats() {
+    const counts = await ValidationJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { queued: 0, running: 0, completed: 0, dead: 0 };
+    counts.forEach(item => {
+      stats[item._id] = item.count;
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new ValidationQueue();
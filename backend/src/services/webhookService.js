@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('../utils/publicUrl');
+
+// Only the start of the endpoint's answer is kept, enough to recognise an error page
+const RESPONSE_EXCERPT_LIMIT = 200;
+
+class WebhookService {
+  constructor() {
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000; // 10 seconds
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.backoffBase = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 60 * 1000; // 1 minute
+    this.pollInterval = parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || 30 * 1000; // 30 seconds
+    this.lockTimeout = 5 * 60 * 1000; // 5 minutes
+
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it and attempt delivery right away.
+   * Never throws: webhook problems must not fail the validation or review that raised the event.
+   */
+  async dispatch(event, document, data = {}) {
+    try {
+      const webhooks = await Webhook.find({
+        ...Webhook.scopeForDocument(document),
+        enabled: true,
+        events: event
+      });
+
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        const delivery = await this.createDelivery(webhook, event, {
+          document: this.serializeDocument(document),
+          ...data
+        }, document._id);
+        deliveries.push(delivery);
+
+        this.send(delivery, webhook).catch(error => logger.error('Webhook delivery error:', error));
+      }
+
+      if (deliveries.length > 0) {
+        logger.info(`Webhook event ${event} for document ${document._id} queued for ${deliveries.length} webhook(s)`);
+      }
+
+      return deliveries;
+    } catch (error) {
+      logger.error(`Webhook dispatch error for ${event}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Deliver a 'webhook.test' event once, without retries, and return the delivery
+   */
+  async sendTest(webhook) {
+    const delivery = await this.createDelivery(webhook, 'webhook.test', {
+      message: 'Test event from Say Goodbye',
+      webhook: { id: webhook._id, url: webhook.url, events: webhook.events }
+    }, null, 1);
+
+    return this.send(delivery);
+  }
+
+  async createDelivery(webhook, event, data, documentId = null, maxAttempts = this.maxAttempts) {
+    const delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      event,
+      documentId,
+      maxAttempts,
+      // The first attempt is made immediately by the creating process
+      status: 'delivering',
+      attempts: 1,
+      lockedAt: new Date()
+    });
+
+    // The delivery id doubles as the event id so receivers can drop duplicates
+    delivery.payload = JSON.stringify({
+      id: delivery._id,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * POST the signed payload and record the attempt; failures are rescheduled with exponential backoff
+   */
+  async send(delivery, webhook = null) {
+    const target = webhook?.secret
+      ? webhook
+      : await Webhook.findById(delivery.webhookId).select('+secret');
+
+    const attempt = {
+      attempt: delivery.attempts,
+      attemptedAt: new Date()
+    };
+    const startTime = Date.now();
+    let succeeded = false;
+
+    if (!target) {
+      attempt.error = 'Webhook no longer exists';
+      return this.recordAttempt(delivery, attempt, false, true);
+    }
+
+    try {
+      // Checked on every attempt: the host may have been re-pointed since the webhook was saved
+      await assertPublicUrl(target.url);
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const response = await axios.post(target.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SayGoodbye-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(target.secret, timestamp, delivery.payload)
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        // The agents re-check the address the socket actually connects to
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        // Send and record bodies exactly as they are; the signature covers the raw payload
+        transformRequest: [data => data],
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.responseExcerpt = typeof response.data === 'string'
+        ? response.data.slice(0, RESPONSE_EXCERPT_LIMIT)
+        : undefined;
+      succeeded = response.status >= 200 && response.status < 300;
+      if (!succeeded) {
+        attempt.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.duration = Date.now() - startTime;
+    return this.recordAttempt(delivery, attempt, succeeded);
+  }
+
+  async recordAttempt(delivery, attempt, succeeded, final = false) {
+    const update = {
+      lockedAt: null,
+      lastResponseStatus: attempt.responseStatus,
+      lastError: succeeded ? null : attempt.error
+    };
+
+    if (succeeded) {
+      update.status = 'succeeded';
+      update.deliveredAt = new Date();
+    } else if (final || delivery.attempts >= delivery.maxAttempts) {
+      update.status = 'failed';
+    } else {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(delivery.attempts));
+    }
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: update,
+      $push: { attemptLog: attempt }
+    }, { new: true });
+
+    await Webhook.findByIdAndUpdate(delivery.webhookId, {
+      lastDeliveryAt: attempt.attemptedAt,
+      lastDeliveryStatus: succeeded ? 'succeeded' : 'failed'
+    });
+
+    if (succeeded) {
+      logger.info(`Webhook delivery ${delivery._id} (${delivery.event}) succeeded on attempt ${delivery.attempts}`);
+    } else if (update.status === 'failed') {
+      logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) failed permanently after ${delivery.attempts} attempt(s): ${attempt.error}`);
+    } else {
+      logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retrying at ${update.nextAttemptAt.toISOString()}: ${attempt.error}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Signature over "<timestamp>.<body>" so a captured request cannot be replayed with a new timestamp
+   */
+  sign(secret, timestamp, payload) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ...
+   */
+  getBackoffDelay(attempts) {
+    return this.backoffBase * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
+  serializeDocument(document) {
+    return {
+      id: document._id,
+      originalName: document.originalName,
+      caseId: document.caseId || null,
+      jurisdiction: document.validationResults?.jurisdiction || document.jurisdiction || null,
+      status: document.status,
+      overall: document.validationResults?.overall || null,
+      automatedOverall: document.review?.automatedOverall || document.validationResults?.overall || null,
+      humanReviewed: !!document.review?.humanReviewed,
+      summary: document.validationSummary || null,
+      errorMessage: document.errorMessage || null,
+      updatedAt: document.updatedAt
+    };
+  }
+
+  /**
+   * Start retrying failed deliveries in this process
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    logger.info('Webhook retry worker started');
+  }
+
+  stop() {
+    this.running = false;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.requeueStaleDeliveries();
+
+      while (this.running) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+        await this.send(delivery);
+      }
+    } catch (error) {
+      logger.error('Webhook retry poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the next due retry so that concurrent processes never send it twice
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: 'delivering', lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Put deliveries whose process died mid-attempt back in the retry queue
+   */
+  async requeueStaleDeliveries() {
+    const staleBefore = new Date(Date.now() - this.lockTimeout);
+
+    const result = await WebhookDelivery.updateMany(
+      { status: 'delivering', lockedAt: { $lt: staleBefore } },
+      { $set: { status: 'pending', nextAttemptAt: new Date(), lockedAt: null } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,90 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses outbound requests must never reach: this host, private networks and cloud metadata endpoints
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], // Unspecified and loopback
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Local development may point webhooks at services on the same machine
+const allowPrivate = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' && process.env.NODE_ENV !== 'production';
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (address) => Object.assign(
+  new Error(`Refusing to connect to non-public address ${address}`),
+  { code: 'EADDRBLOCKED', statusCode: 400 }
+);
+
+/**
+ * Resolve the URL's host and reject it unless every address it resolves to is public
+ */
+const assertPublicUrl = async (value) => {
+  if (allowPrivate()) {
+    return true;
+  }
+
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw blockedError(blocked.address);
+  }
+  return true;
+};
+
+/**
+ * dns.lookup replacement for outbound sockets. The address is checked at connect time,
+ * so a host that re-resolves to a private address after validation is still refused.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || allowPrivate()) {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(blockedError(blocked.address));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isBlockedAddress,
+  assertPublicUrl,
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, as stored in zip headers (local time, 2-second precision)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const STORE = 0;
+
+// Versions needed to extract: 2.0 for deflate, 4.5 once Zip64 fields are present
+const VERSION = 20;
+const ZIP64_VERSION = 45;
+
+// Field values that mean "see the Zip64 record"
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+// Zip64 extended information extra field: the given 8-byte values, in order
+const zip64Extra = (values) => {
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  return extra;
+};
+
+const uint32 = (value) => Math.min(value, MAX_UINT32);
+
+/**
+ * Writes a zip archive to a stream one file at a time, so large exports never sit in memory whole.
+ * Zip64 records are added when the archive passes 4 GB or 65,535 entries.
+ */
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+    this.closed = false;
+
+    // The client went away; callers check this to stop producing entries
+    output.once('close', () => {
+      this.closed = true;
+    });
+  }
+
+  async write(buffer) {
+    if (this.closed) return;
+
+    this.offset += buffer.length;
+    if (this.output.write(buffer)) return;
+
+    // Wait for the client to catch up, or give up if it went away
+    await new Promise(resolve => {
+      const done = () => {
+        this.output.off('drain', done);
+        this.output.off('close', done);
+        resolve();
+      };
+      this.output.on('drain', done);
+      this.output.on('close', done);
+    });
+  }
+
+  /**
+   * Add a file; strings are written as UTF-8. Already compressed formats can skip deflate.
+   */
+  async addFile(name, contents, { date = new Date(), compress = true } = {}) {
+    const data = Buffer.isBuffer(contents) ? contents : Buffer.from(String(contents), 'utf8');
+    const fileName = Buffer.from(name, 'utf8');
+    const compressed = compress ? zlib.deflateRawSync(data) : data;
+    // Keep the smaller of the two
+    const method = compress && compressed.length < data.length ? DEFLATE : STORE;
+    const body = method === DEFLATE ? compressed : data;
+    const { time, date: day } = dosDateTime(date);
+
+    const entry = {
+      fileName,
+      method,
+      time,
+      day,
+      crc: crc32(data),
+      compressedSize: body.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    const zip64 = entry.size >= MAX_UINT32 || entry.compressedSize >= MAX_UINT32;
+    const extra = zip64 ? zip64Extra([entry.size, entry.compressedSize]) : Buffer.alloc(0);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(zip64 ? ZIP64_VERSION : VERSION, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(zip64 ? MAX_UINT32 : entry.compressedSize, 18);
+    header.writeUInt32LE(zip64 ? MAX_UINT32 : entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+
+    this.entries.push(entry);
+    await this.write(Buffer.concat([header, fileName, extra]));
+    await this.write(body);
+  }
+
+  /**
+   * Write the central directory; the archive is complete once this resolves
+   */
+  async finalize() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      // Only the values that do not fit move to the Zip64 field, in this order
+      const large = [entry.size, entry.compressedSize, entry.offset].filter(value => value >= MAX_UINT32);
+      const extra = large.length > 0 ? zip64Extra(large) : Buffer.alloc(0);
+      const version = large.length > 0 ? ZIP64_VERSION : VERSION;
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(version, 4);
+      header.writeUInt16LE(version, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.day, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(uint32(entry.compressedSize), 20);
+      header.writeUInt32LE(uint32(entry.size), 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt16LE(extra.length, 30);
+      header.writeUInt32LE(uint32(entry.offset), 42);
+      await this.write(Buffer.concat([header, entry.fileName, extra]));
+    }
+
+    const count = this.entries.length;
+    const size = this.offset - start;
+
+    if (count >= MAX_UINT16 || size >= MAX_UINT32 || start >= MAX_UINT32) {
+      const zip64EndOffset = this.offset;
+
+      const zip64End = Buffer.alloc(56);
+      zip64End.writeUInt32LE(0x06064b50, 0);
+      zip64End.writeBigUInt64LE(44n, 4); // Size of the rest of this record
+      zip64End.writeUInt16LE(ZIP64_VERSION, 12);
+      zip64End.writeUInt16LE(ZIP64_VERSION, 14);
+      zip64End.writeBigUInt64LE(BigInt(count), 24);
+      zip64End.writeBigUInt64LE(BigInt(count), 32);
+      zip64End.writeBigUInt64LE(BigInt(size), 40);
+      zip64End.writeBigUInt64LE(BigInt(start), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16); // Total number of disks
+
+      await this.write(Buffer.concat([zip64End, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(count, MAX_UINT16), 8);
+    end.writeUInt16LE(Math.min(count, MAX_UINT16), 10);
+    end.writeUInt32LE(uint32(size), 12);
+    end.writeUInt32LE(uint32(start), 16);
+    await this.write(end);
+  }
+}
+
+module.exports = ZipWriter;
+module.exports.crc32 = crc32;
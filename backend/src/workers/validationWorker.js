@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const validationQueue = require('../services/validationQueue');
+const webhookService = require('../services/webhookService');
+const emailService = require('../services/emailService');
+const retentionService = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+// Standalone validation worker, run alongside the API with VALIDATION_WORKERS_ENABLED=false
+const shutdown = async (signal) => {
+  logger.info(`Validation worker received ${signal}, shutting down`);
+  await validationQueue.stop();
+  webhookService.stop();
+  emailService.stopDigestScheduler();
+  retentionService.stopScheduler();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cremation-poa-db')
+  .then(async () => {
+    logger.info('Validation worker connected to MongoDB');
+    await validationQueue.start();
+    webhookService.start();
+    emailService.startDigestScheduler();
+    retentionService.startScheduler();
+  })
+  .catch((error) => {
+    logger.error('Validation worker MongoDB connection error:', error);
+    process.exit(1);
+  });
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,358 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const Case = require('../src/models/Case');
+const Organization = require('../src/models/Organization');
+const Session = require('../src/models/Session');
+const Webhook = require('../src/models/Webhook');
+const AuditLog = require('../src/models/AuditLog');
+const paymentService = require('../src/services/paymentService');
+const ZipWriter = require('../src/utils/zipWriter');
+const { readZip } = require('./utils/readZip');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('ZipWriter', () => {
+  it('should write an archive that reads back', async () => {
+    const output = new PassThrough();
+    const archive = collect(output);
+    const zip = new ZipWriter(output);
+
+    await zip.addFile('profile.json', JSON.stringify({ name: 'x'.repeat(500) }));
+    await zip.addFile('documents/1/poa é.pdf', Buffer.from('%PDF-1.4'), { compress: false });
+    await zip.finalize();
+    output.end();
+
+    const files = readZip(await archive);
+    expect(Object.keys(files)).toEqual(['profile.json', 'documents/1/poa é.pdf']);
+    expect(JSON.parse(files['profile.json']).name).toHaveLength(500);
+    expect(files['documents/1/poa é.pdf'].toString()).toBe('%PDF-1.4');
+  });
+
+  it('should add Zip64 records past 65,535 entries', async () => {
+    const output = new PassThrough();
+    const archive = collect(output);
+    const zip = new ZipWriter(output);
+
+    for (let i = 0; i < 70000; i++) {
+      await zip.addFile(`documents/${i}.txt`, String(i), { compress: false });
+    }
+    await zip.finalize();
+    output.end();
+
+    const buffer = await archive;
+    const files = readZip(buffer);
+    expect(Object.keys(files)).toHaveLength(70000);
+    expect(files['documents/69999.txt'].toString()).toBe('69999');
+    expect(buffer.indexOf(Buffer.from([0x50, 0x4b, 0x06, 0x06]))).toBeGreaterThan(-1);
+  });
+
+  it('should move offsets past 4 GB to the Zip64 extra field', async () => {
+    const output = new PassThrough();
+    const archive = collect(output);
+    const zip = new ZipWriter(output);
+    // As if 4 GB of earlier entries had already been streamed
+    const earlierBytes = 2 ** 32 + 100;
+    zip.offset = earlierBytes;
+
+    await zip.addFile('profile.json', '{}');
+    await zip.finalize();
+    output.end();
+
+    const buffer = await archive;
+    const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    const nameLength = buffer.readUInt16LE(central + 28);
+    const extra = central + 46 + nameLength;
+
+    expect(buffer.readUInt32LE(central + 42)).toBe(0xffffffff);
+    expect(buffer.readUInt16LE(extra)).toBe(0x0001);
+    expect(Number(buffer.readBigUInt64LE(extra + 4))).toBe(earlierBytes);
+
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const zip64End = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x06, 0x06]));
+    expect(buffer.readUInt32LE(end + 16)).toBe(0xffffffff);
+    expect(Number(buffer.readBigUInt64LE(zip64End + 48))).toBe(earlierBytes + central);
+  });
+
+  it('should stop writing once the client disconnects', async () => {
+    const output = new PassThrough();
+    const zip = new ZipWriter(output);
+    const write = jest.spyOn(output, 'write');
+
+    output.destroy();
+    await new Promise(resolve => setImmediate(resolve));
+    await zip.addFile('profile.json', '{}');
+
+    expect(zip.closed).toBe(true);
+    expect(write).not.toHaveBeenCalled();
+  });
+});
+
+describe('Account Data', () => {
+  let user;
+  let token;
+  let tempDir;
+
+  const signToken = (account) => jwt.sign({ id: account._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  const createDocument = async (overrides = {}) => {
+    const filePath = path.join(tempDir, `${Date.now()}-${Math.random()}.pdf`);
+    await fs.writeFile(filePath, '%PDF-1.4 durable power of attorney');
+
+    return Document.create({
+      userId: user._id,
+      filename: path.basename(filePath),
+      originalName: 'smith-poa.pdf',
+      fileSize: 1024,
+      filePath,
+      mimeType: 'application/pdf',
+      status: 'completed',
+      extractedText: 'Principal SSN 123-45-6789',
+      redactedText: 'Principal SSN ***-**-****',
+      validationResults: { overall: 'pass' },
+      ...overrides
+    });
+  };
+
+  const createCase = (overrides = {}) => Case.create({
+    userId: user._id,
+    caseNumber: 'C-100',
+    decedent: { firstName: 'Mary', lastName: 'Smith' },
+    ...overrides
+  });
+
+  const exportAccount = () => request(app)
+    .get('/api/users/me/export')
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .parse(binaryParser);
+
+  const deleteAccount = (body = { password: 'password123' }) => request(app)
+    .delete('/api/users/me')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await AuditLog.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-account-'));
+
+    user = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'account@example.com',
+      password: 'password123'
+    });
+    token = signToken(user);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/users/me/export', () => {
+    it('should export the profile, documents, original files and reports as a zip', async () => {
+      const document = await createDocument();
+      await createCase();
+
+      const response = await exportAccount();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/saygoodbye-export-\d{4}-\d{2}-\d{2}\.zip/);
+
+      const files = readZip(response.body);
+      const folder = `documents/${document._id}`;
+
+      const { profile } = JSON.parse(files['profile.json']);
+      expect(profile.email).toBe('account@example.com');
+      expect(profile.password).toBeUndefined();
+
+      expect(JSON.parse(files['cases.json'])[0].caseNumber).toBe('C-100');
+
+      const metadata = JSON.parse(files[`${folder}/metadata.json`]);
+      expect(metadata.validationResults.overall).toBe('pass');
+      expect(metadata.redactedText).toBe('Principal SSN ***-**-****');
+      expect(metadata.extractedText).toBeUndefined();
+      expect(metadata.filePath).toBeUndefined();
+
+      expect(files[`${folder}/smith-poa.pdf`].toString()).toBe('%PDF-1.4 durable power of attorney');
+      expect(files[`${folder}/validation-report.pdf`].subarray(0, 4).toString()).toBe('%PDF');
+
+      const [entry] = JSON.parse(files['documents.json']);
+      expect(entry.files).toHaveLength(3);
+    });
+
+    it('should leave out secrets', async () => {
+      await Webhook.create({
+        userId: user._id,
+        url: 'https://cases.example.com/hooks/poa',
+        events: ['document.completed']
+      });
+
+      const response = await exportAccount();
+      const files = readZip(response.body);
+
+      const [webhook] = JSON.parse(files['webhooks.json']);
+      expect(webhook.url).toBe('https://cases.example.com/hooks/poa');
+      expect(webhook.secret).toBeUndefined();
+      expect(JSON.parse(files['profile.json']).profile.twoFactorSecret).toBeUndefined();
+    });
+
+    it('should note purged originals instead of failing', async () => {
+      const document = await createDocument({ retention: { originalPurgedAt: new Date() } });
+
+      const response = await exportAccount();
+      const files = readZip(response.body);
+
+      expect(files[`documents/${document._id}/smith-poa.pdf`]).toBeUndefined();
+      const [entry] = JSON.parse(files['documents.json']);
+      expect(entry.notes).toContain('The original file was purged under the retention policy');
+    });
+
+    it('should record the export in the audit log', async () => {
+      await exportAccount();
+
+      const entry = await AuditLog.findOne({ action: 'user.data_exported' });
+      expect(entry.targetId.toString()).toBe(user._id.toString());
+    });
+  });
+
+  describe('DELETE /api/users/me', () => {
+    it('should require the password', async () => {
+      const response = await deleteAccount({ password: 'wrong-password' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Incorrect password');
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+    });
+
+    it('should delete the account, documents, files, cases and sessions', async () => {
+      const document = await createDocument();
+      await createCase();
+      await Session.create({
+        userId: user._id,
+        refreshTokenHash: 'hash',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(200);
+      expect(response.body.deleted).toEqual({ documents: 1, cases: 1, organizationDeleted: false });
+      expect(await User.exists({ _id: user._id })).toBeNull();
+      expect(await Document.exists({ _id: document._id })).toBeNull();
+      expect(await Case.countDocuments({ userId: user._id })).toBe(0);
+      expect(await Session.countDocuments({ userId: user._id })).toBe(0);
+      expect(await fileExists(document.filePath)).toBe(false);
+    });
+
+    it('should delete the Stripe customer', async () => {
+      await User.findByIdAndUpdate(user._id, { stripeCustomerId: 'cus_123' });
+      const deleteCustomer = jest.spyOn(paymentService, 'deleteCustomer').mockResolvedValue(true);
+
+      await deleteAccount();
+
+      expect(deleteCustomer).toHaveBeenCalledWith('cus_123');
+    });
+
+    it('should write an audit record of the deletion', async () => {
+      await createDocument();
+
+      await deleteAccount();
+
+      const entry = await AuditLog.findOne({ action: 'user.deleted' });
+      expect(entry.targetLabel).toBe('account@example.com');
+      expect(entry.metadata.documents).toBe(1);
+    });
+
+    it('should refuse while a document is under legal hold', async () => {
+      const document = await createDocument({ legalHold: { active: true, reason: 'Litigation' } });
+
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(409);
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+      expect(await fileExists(document.filePath)).toBe(true);
+    });
+
+    it('should keep documents uploaded to an organization library', async () => {
+      const owner = await User.create({
+        firstName: 'Org',
+        lastName: 'Owner',
+        email: 'owner@example.com',
+        password: 'password123'
+      });
+      const organization = await Organization.create({ name: 'Smith Funeral Home', ownerId: owner._id });
+      await User.findByIdAndUpdate(owner._id, { organizationId: organization._id, organizationRole: 'owner' });
+      await User.findByIdAndUpdate(user._id, { organizationId: organization._id, organizationRole: 'member' });
+      const document = await createDocument({ organizationId: organization._id });
+
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(200);
+      expect(await Document.exists({ _id: document._id })).toBeTruthy();
+      expect(await Organization.exists({ _id: organization._id })).toBeTruthy();
+    });
+
+    it('should refuse an organization owner with other members', async () => {
+      const organization = await Organization.create({ name: 'Smith Funeral Home', ownerId: user._id });
+      await User.findByIdAndUpdate(user._id, { organizationId: organization._id, organizationRole: 'owner' });
+      await User.create({
+        firstName: 'Org',
+        lastName: 'Member',
+        email: 'member@example.com',
+        password: 'password123',
+        organizationId: organization._id,
+        organizationRole: 'member'
+      });
+
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(409);
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+    });
+
+    it('should delete an organization whose owner is its last member', async () => {
+      const organization = await Organization.create({ name: 'Smith Funeral Home', ownerId: user._id });
+      await User.findByIdAndUpdate(user._id, { organizationId: organization._id, organizationRole: 'owner' });
+      const document = await createDocument({ organizationId: organization._id });
+
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(200);
+      expect(response.body.deleted.organizationDeleted).toBe(true);
+      expect(await Organization.exists({ _id: organization._id })).toBeNull();
+      expect(await Document.exists({ _id: document._id })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const ApiKey = require('../src/models/ApiKey');
+const Document = require('../src/models/Document');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('API Keys', () => {
+  let authToken;
+  let testUser;
+
+  const createKey = (body) => request(app)
+    .post('/api/api-keys')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ name: 'Intake system', scopes: ['documents:read'], ...body });
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'apikeys@example.com',
+      password: 'password123',
+      tier: 'enterprise'
+    });
+
+    authToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  describe('Management', () => {
+    it('should return the key once and store only its hash', async () => {
+      const response = await createKey().expect(201);
+
+      expect(response.body.key).toMatch(/^sgk_/);
+      expect(response.body.apiKey.prefix).toBe(response.body.key.slice(0, 12));
+
+      const stored = await ApiKey.findById(response.body.apiKey.id).select('+keyHash');
+      expect(stored.keyHash).not.toBe(response.body.key);
+
+      const list = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.keys).toHaveLength(1);
+      expect(list.body.keys[0]).not.toHaveProperty('key');
+      expect(list.body.scopes).toEqual(ApiKey.SCOPES);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await createKey({ scopes: ['admin:write'] }).expect(400);
+    });
+
+    it('should require the Enterprise plan', async () => {
+      await User.findByIdAndUpdate(testUser._id, { tier: 'professional' });
+
+      await createKey().expect(403);
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should authenticate scoped requests and record the last use', async () => {
+      const { body } = await createKey();
+      await Document.create({
+        userId: testUser._id,
+        filename: 'poa.pdf',
+        originalName: 'poa.pdf',
+        fileSize: 1024,
+        filePath: '/tmp/poa.pdf',
+        mimeType: 'application/pdf'
+      });
+
+      const response = await request(app)
+        .get('/api/documents')
+        .set('X-API-Key', body.key)
+        .expect(200);
+
+      expect(response.body.documents).toHaveLength(1);
+
+      // lastUsedAt is written without holding up the request
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const stored = await ApiKey.findById(body.apiKey.id);
+      expect(stored.lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('should refuse keys without the required scope', async () => {
+      const { body } = await createKey();
+
+      const response = await request(app)
+        .delete('/api/documents/507f1f77bcf86cd799439011')
+        .set('X-API-Key', body.key)
+        .expect(403);
+
+      expect(response.body.requiredScope).toBe('documents:write');
+    });
+
+    it('should refuse keys on endpoints that do not accept them', async () => {
+      const { body } = await createKey();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('X-API-Key', body.key)
+        .expect(403);
+
+      await request(app)
+        .get('/api/api-keys')
+        .set('X-API-Key', body.key)
+        .expect(403);
+    });
+
+    it('should refuse revoked and unknown keys', async () => {
+      const { body } = await createKey();
+
+      await request(app)
+        .delete(`/api/api-keys/${body.apiKey.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/documents')
+        .set('X-API-Key', body.key)
+        .expect(401);
+
+      await request(app)
+        .get('/api/documents')
+        .set('X-API-Key', 'sgk_not-a-real-key')
+        .expect(401);
+    });
+
+    it('should enforce the per-key rate limit', async () => {
+      const { body } = await createKey({ rateLimit: 2 });
+
+      await request(app).get('/api/documents/jurisdictions').set('X-API-Key', body.key).expect(200);
+      await request(app).get('/api/documents/jurisdictions').set('X-API-Key', body.key).expect(200);
+      await request(app).get('/api/documents/jurisdictions').set('X-API-Key', body.key).expect(429);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const AuditLog = require('../src/models/AuditLog');
+const auditService = require('../src/services/auditService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Audit Log', () => {
+  let adminToken;
+  let admin;
+  let testUser;
+
+  const changeTier = (tier) => request(app)
+    .put(`/api/admin/users/${testUser._id}/tier`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ tier });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await AuditLog.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'audited@example.com',
+      password: 'password123'
+    });
+
+    adminToken = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  describe('Recording', () => {
+    it('should record admin tier changes with before and after values', async () => {
+      await changeTier('enterprise').expect(200);
+
+      const [entry] = await AuditLog.find();
+      expect(entry.action).toBe('user.tier_changed');
+      expect(entry.actorEmail).toBe('admin@example.com');
+      expect(entry.targetLabel).toBe('audited@example.com');
+      expect(entry.before).toEqual({ tier: 'free' });
+      expect(entry.after).toEqual({ tier: 'enterprise' });
+      expect(entry.ip).toBeTruthy();
+      expect(entry.sequence).toBe(1);
+      expect(entry.previousHash).toBe(auditService.GENESIS_HASH);
+    });
+
+    it('should record suspensions', async () => {
+      await request(app)
+        .put(`/api/admin/users/${testUser._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ active: false, reason: 'Fraud review' })
+        .expect(200);
+
+      const [entry] = await AuditLog.find();
+      expect(entry.action).toBe('user.suspended');
+      expect(entry.before).toEqual({ active: true, suspensionReason: null });
+      expect(entry.after).toEqual({ active: false, suspensionReason: 'Fraud review' });
+    });
+
+    it('should record document deletions by the owner', async () => {
+      const document = await Document.create({
+        userId: testUser._id,
+        filename: 'poa.pdf',
+        originalName: 'poa.pdf',
+        fileSize: 1024,
+        filePath: '/tmp/does-not-exist.pdf',
+        mimeType: 'application/pdf',
+        caseId: 'FH-2024-001'
+      });
+      const userToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      await request(app)
+        .delete(`/api/documents/${document._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const [entry] = await AuditLog.find({ action: 'document.deleted' });
+      expect(entry.actorEmail).toBe('audited@example.com');
+      expect(String(entry.targetId)).toBe(String(document._id));
+      expect(entry.before.caseId).toBe('FH-2024-001');
+    });
+  });
+
+  describe('Integrity', () => {
+    it('should chain entries and verify them', async () => {
+      await changeTier('professional').expect(200);
+      await changeTier('enterprise').expect(200);
+
+      const entries = await AuditLog.find().sort({ sequence: 1 });
+      expect(entries[1].previousHash).toBe(entries[0].hash);
+
+      const response = await request(app)
+        .get('/api/admin/audit-logs/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ valid: true, entriesChecked: 2 });
+    });
+
+    it('should detect an edited entry', async () => {
+      await changeTier('professional').expect(200);
+      await changeTier('enterprise').expect(200);
+
+      // Bypass the model to simulate tampering directly in the database
+      await AuditLog.collection.updateOne({ sequence: 1 }, { $set: { after: { tier: 'free' } } });
+
+      const result = await auditService.verifyChain();
+      expect(result).toMatchObject({ valid: false, brokenAt: 1 });
+    });
+
+    it('should detect a deleted entry', async () => {
+      await changeTier('professional').expect(200);
+      await changeTier('enterprise').expect(200);
+      await changeTier('free').expect(200);
+
+      await AuditLog.collection.deleteOne({ sequence: 2 });
+
+      const result = await auditService.verifyChain();
+      expect(result).toMatchObject({ valid: false, brokenAt: 3 });
+    });
+
+    it('should refuse updates through the model', async () => {
+      await changeTier('professional').expect(200);
+
+      await expect(AuditLog.updateOne({ sequence: 1 }, { actorEmail: 'someone@example.com' })).rejects.toThrow(/immutable/);
+      await expect(AuditLog.deleteMany({})).rejects.toThrow(/immutable/);
+    });
+
+    it('should keep the chain intact under concurrent writes', async () => {
+      await Promise.all(['professional', 'enterprise', 'free', 'professional'].map(tier => changeTier(tier)));
+
+      const result = await auditService.verifyChain();
+      expect(result).toMatchObject({ valid: true, entriesChecked: 4 });
+    });
+  });
+
+  describe('Viewer', () => {
+    it('should filter entries and export them as CSV', async () => {
+      await changeTier('enterprise').expect(200);
+      await request(app)
+        .put(`/api/admin/users/${testUser._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ active: false, reason: '=HYPERLINK("http://example.com")' })
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/admin/audit-logs')
+        .query({ action: 'user.suspended' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.entries).toHaveLength(1);
+      expect(list.body.pagination.total).toBe(1);
+
+      const csv = await request(app)
+        .get('/api/admin/audit-logs/export')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const lines = csv.text.trim().split('\n');
+      expect(lines[0]).toMatch(/^sequence,createdAt,action,/);
+      expect(lines).toHaveLength(3);
+      expect(lines[2]).toContain('user.suspended');
+    });
+
+    it('should reject unknown filters', async () => {
+      await request(app)
+        .get('/api/admin/audit-logs')
+        .query({ action: 'user.deleted_everything' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should be admin only', async () => {
+      const userToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      await request(app)
+        .get('/api/admin/audit-logs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const jwt = require('jsonwebtoken');
+const emailService = require('../src/services/emailService');
 const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
 
 describe('Authentication API', () => {
@@ -181,4 +182,222 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('error', 'Invalid token.');
     });
   });
+
+  describe('Email verification', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email: 'verify@example.com',
+        password: 'password123'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should email a verification link on registration', async () => {
+      const sendSpy = jest.spyOn(emailService, 'sendEmailVerification').mockResolvedValue(true);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ firstName: 'New', lastName: 'User', email: 'new@example.com', password: 'password123' })
+        .expect(201);
+
+      const [user, verifyUrl] = sendSpy.mock.calls[0];
+      expect(user.email).toBe('new@example.com');
+      expect(verifyUrl).toMatch(/\/verify-email\?token=/);
+    });
+
+    it('should verify the email with a valid token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: testUser.createAccountToken('verify-email') })
+        .expect(200);
+
+      expect(response.body.message).toBe('Email verified successfully');
+      expect((await User.findById(testUser._id)).isVerified).toBe(true);
+    });
+
+    it('should reject tokens for another purpose or a changed email', async () => {
+      const resetToken = testUser.createAccountToken('password-reset');
+      const verifyToken = testUser.createAccountToken('verify-email');
+      await User.findByIdAndUpdate(testUser._id, { email: 'changed@example.com' });
+
+      await request(app).post('/api/auth/verify-email').send({ token: resetToken }).expect(400);
+      await request(app).post('/api/auth/verify-email').send({ token: verifyToken }).expect(400);
+    });
+
+    it('should not accept verification tokens as session tokens', async () => {
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${testUser.createAccountToken('verify-email')}`)
+        .expect(401);
+    });
+
+    it('should block validations until verified when the policy is enabled', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      const authToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const response = await request(app)
+        .post('/api/documents/validate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.emailVerificationRequired).toBe(true);
+    });
+  });
+
+  describe('Password reset', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email: 'reset@example.com',
+        password: 'password123'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should email a reset link without revealing whether the account exists', async () => {
+      const sendSpy = jest.spyOn(emailService, 'sendPasswordReset').mockResolvedValue(true);
+
+      const existing = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' })
+        .expect(200);
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(existing.body.message).toBe(unknown.body.message);
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      expect(sendSpy.mock.calls[0][1]).toMatch(/\/reset-password\?token=/);
+    });
+
+    it('should reset the password once per link', async () => {
+      const token = testUser.createAccountToken('password-reset');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'newpassword123' })
+        .expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword123' })
+        .expect(400);
+
+      expect(reused.body.error).toBe('This password reset link is invalid or has expired');
+    });
+
+    it('should reject short passwords', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: testUser.createAccountToken('password-reset'), password: 'short' })
+        .expect(400);
+    });
+  });
+
+  describe('Account suspension', () => {
+    let testUser;
+    let adminToken;
+
+    const setStatus = (body) => request(app)
+      .put(`/api/admin/users/${testUser._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email: 'suspended@example.com',
+        password: 'password123'
+      });
+
+      const admin = await User.create({
+        firstName: 'Admin',
+        lastName: 'User',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      adminToken = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    it('should record the suspension with its reason and history', async () => {
+      const response = await setStatus({ active: false, reason: 'Chargeback under review' }).expect(200);
+
+      expect(response.body.user.active).toBe(false);
+      expect(response.body.user.suspensionReason).toBe('Chargeback under review');
+      expect(response.body.user.suspendedAt).toBeDefined();
+
+      await setStatus({ active: true }).expect(200);
+
+      const user = await User.findById(testUser._id);
+      expect(user.active).toBe(true);
+      expect(user.suspensionReason).toBeNull();
+      expect(user.statusHistory.map(entry => entry.active)).toEqual([false, true]);
+      expect(user.statusHistory[0].reason).toBe('Chargeback under review');
+    });
+
+    it('should reject suspended users at login and on existing tokens', async () => {
+      const userToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      await setStatus({ active: false }).expect(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'suspended@example.com', password: 'password123' })
+        .expect(403);
+      expect(login.body.accountSuspended).toBe(true);
+
+      // A wrong password gets the usual response, so suspension isn't revealed
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'suspended@example.com', password: 'wrong-password' })
+        .expect(401);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(me.body.accountSuspended).toBe(true);
+    });
+
+    it('should let suspended users sign in again once reactivated', async () => {
+      await setStatus({ active: false }).expect(200);
+      await setStatus({ active: true }).expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'suspended@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should not let admins suspend themselves', async () => {
+      const { id } = jwt.decode(adminToken);
+
+      await request(app)
+        .put(`/api/admin/users/${id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ active: false })
+        .expect(400);
+    });
+  });
 });
@@ -0,0 +1,209 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const Case = require('../src/models/Case');
+const caseService = require('../src/services/caseService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Cases', () => {
+  let authToken;
+  let testUser;
+
+  const newCase = {
+    caseNumber: 'FH-2024-001',
+    decedent: { firstName: 'Margaret', lastName: 'Hill' },
+    dateOfDeath: '2024-03-02',
+    nextOfKin: [{ name: 'Daniel Hill', relationship: 'Son', email: 'daniel@example.com' }]
+  };
+
+  const createDocument = (overrides = {}) => Document.create({
+    userId: testUser._id,
+    filename: 'poa.pdf',
+    originalName: 'poa.pdf',
+    fileSize: 1024,
+    filePath: '/tmp/poa.pdf',
+    mimeType: 'application/pdf',
+    status: 'completed',
+    caseId: newCase.caseNumber,
+    ...overrides
+  });
+
+  const createCase = async () => {
+    const response = await request(app)
+      .post('/api/cases')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(newCase)
+      .expect(201);
+    return response.body.case;
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Case.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'Arranger',
+      email: 'cases@example.com',
+      password: 'password123',
+      tier: 'professional'
+    });
+
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET || 'test-secret',
+      { expiresIn: '1h' }
+    );
+  });
+
+  describe('Aggregate validation status', () => {
+    it('should take the worst document result', () => {
+      const summary = { total: 3, processing: 0, errored: 0, pass: 1, warning: 1, fail: 1 };
+      expect(caseService.calculateOverallStatus(summary)).toBe('fail');
+    });
+
+    it('should stay pending while documents are processing', () => {
+      const summary = { total: 2, processing: 1, errored: 0, pass: 1, warning: 0, fail: 0 };
+      expect(caseService.calculateOverallStatus(summary)).toBe('pending');
+    });
+
+    it('should report cases without documents', () => {
+      expect(caseService.calculateOverallStatus(caseService.emptySummary())).toBe('no_documents');
+    });
+  });
+
+  describe('CRUD API', () => {
+    it('should create a case in intake', async () => {
+      const created = await createCase();
+
+      expect(created.status).toBe('intake');
+      expect(created.statusHistory).toHaveLength(1);
+    });
+
+    it('should reject duplicate case numbers', async () => {
+      await createCase();
+
+      await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(newCase)
+        .expect(400);
+    });
+
+    it('should reject duplicate case numbers created at the same time', async () => {
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(newCase)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await Case.countDocuments({ caseNumber: newCase.caseNumber })).toBe(1);
+    });
+
+    it('should return linked documents with the aggregate status', async () => {
+      const created = await createCase();
+      await createDocument({ validationResults: { overall: 'pass' } });
+      await createDocument({ validationResults: { overall: 'warning' } });
+
+      const response = await request(app)
+        .get(`/api/cases/${created._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.documents).toHaveLength(2);
+      expect(response.body.validationSummary.overall).toBe('warning');
+      expect(response.body.case.decedentName).toBe('Margaret Hill');
+    });
+
+    it('should move linked documents when the case number changes', async () => {
+      const created = await createCase();
+      const document = await createDocument();
+
+      await request(app)
+        .put(`/api/cases/${created._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ caseNumber: 'FH-2024-002' })
+        .expect(200);
+
+      const updated = await Document.findById(document._id);
+      expect(updated.caseId).toBe('FH-2024-002');
+    });
+
+    it('should file existing documents under a case', async () => {
+      const created = await createCase();
+      const document = await createDocument({ caseId: null });
+
+      const response = await request(app)
+        .post(`/api/cases/${created._id}/documents`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ documentIds: [document._id.toString()] })
+        .expect(200);
+
+      expect(response.body.linked).toBe(1);
+    });
+
+    it('should unfile documents when a case is deleted', async () => {
+      const created = await createCase();
+      const document = await createDocument();
+
+      await request(app)
+        .delete(`/api/cases/${created._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await Case.countDocuments()).toBe(0);
+      expect((await Document.findById(document._id)).caseId).toBeNull();
+    });
+  });
+
+  describe('Status pipeline', () => {
+    it('should only move one step at a time', async () => {
+      const created = await createCase();
+
+      await request(app)
+        .put(`/api/cases/${created._id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'cremated' })
+        .expect(400);
+    });
+
+    it('should block authorization while documents are failing', async () => {
+      const created = await createCase();
+      await createDocument({ validationResults: { overall: 'fail' } });
+      await Case.findByIdAndUpdate(created._id, { status: 'poa_review' });
+
+      const response = await request(app)
+        .put(`/api/cases/${created._id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'authorized' })
+        .expect(400);
+
+      expect(response.body.error).toContain('fail');
+    });
+
+    it('should authorize a case whose documents passed', async () => {
+      const created = await createCase();
+      await createDocument({ validationResults: { overall: 'pass' } });
+      await Case.findByIdAndUpdate(created._id, { status: 'poa_review' });
+
+      const response = await request(app)
+        .put(`/api/cases/${created._id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'authorized', note: 'POA verified' })
+        .expect(200);
+
+      expect(response.body.case.status).toBe('authorized');
+      expect(response.body.case.statusHistory).toHaveLength(2);
+    });
+  });
+});
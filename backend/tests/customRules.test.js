@@ -0,0 +1,211 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const CustomRule = require('../src/models/CustomRule');
+const documentValidationService = require('../src/services/documentValidation');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Custom Validation Rules', () => {
+  let authToken;
+  let testUser;
+
+  const signToken = (user) => jwt.sign(
+    { id: user._id },
+    process.env.JWT_SECRET || 'test-secret',
+    { expiresIn: '1h' }
+  );
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = new User({
+      firstName: 'Enterprise',
+      lastName: 'User',
+      email: 'enterprise@example.com',
+      password: 'password123',
+      tier: 'enterprise'
+    });
+    await testUser.save();
+
+    authToken = signToken(testUser);
+  });
+
+  describe('Rule evaluation', () => {
+    const text = `
+      DURABLE POWER OF ATTORNEY
+      Case Reference: FH-2024-0091
+      Witness: Mary Jones
+    `;
+
+    it('should pass required phrases that are present and fail missing ones', async () => {
+      const result = await documentValidationService.validateCustomRules(text, [
+        { _id: 'r1', name: 'Case reference', type: 'required_phrase', phrase: 'case reference' },
+        { _id: 'r2', name: 'Funeral home name', type: 'required_phrase', phrase: 'Sunset Funeral Home' }
+      ]);
+
+      expect(result.status).toBe('fail');
+      expect(result.rules[0].status).toBe('pass');
+      expect(result.rules[1].status).toBe('fail');
+      expect(result.issues).toContain('Funeral home name: Required phrase not found: "Sunset Funeral Home"');
+    });
+
+    it('should report forbidden phrases with the configured severity', async () => {
+      const result = await documentValidationService.validateCustomRules(text, [
+        { _id: 'r1', name: 'No durable POAs', type: 'forbidden_phrase', phrase: 'durable', severity: 'warning' }
+      ]);
+
+      expect(result.status).toBe('warning');
+      expect(result.rules[0].message).toContain('Forbidden phrase found');
+    });
+
+    it('should honour case-sensitive phrase matching', async () => {
+      const result = await documentValidationService.validateCustomRules(text, [
+        { _id: 'r1', name: 'Upper case title', type: 'required_phrase', phrase: 'durable power', caseSensitive: true }
+      ]);
+
+      expect(result.status).toBe('fail');
+    });
+
+    it('should extract regex fields from the first capture group', async () => {
+      const result = await documentValidationService.validateCustomRules(text, [
+        { _id: 'r1', name: 'Case number', type: 'regex_extractor', pattern: 'case reference:\\s*([A-Z]{2}-\\d{4}-\\d+)', flags: 'i', fieldName: 'Case Number' }
+      ]);
+
+      expect(result.status).toBe('pass');
+      expect(result.rules[0].extractedValues).toEqual(['FH-2024-0091']);
+      expect(result.rules[0].message).toBe('Case Number: FH-2024-0091');
+    });
+
+    it('should stop a regex that runs too long', async () => {
+      const result = await documentValidationService.validateCustomRules(`${'a'.repeat(40)}!`, [
+        { _id: 'r1', name: 'Slow', type: 'regex_extractor', pattern: '(a+)+$', severity: 'warning' }
+      ]);
+
+      expect(result.status).toBe('warning');
+      expect(result.rules[0].message).toBe('Pattern took too long to run');
+    });
+
+    it('should compare the minimum witness count against the built-in witness check', async () => {
+      const result = await documentValidationService.validateCustomRules(text, [
+        { _id: 'r1', name: 'Three witnesses', type: 'min_witnesses', minWitnesses: 3 }
+      ], { witnessValidation: { witnessCount: 2 } });
+
+      expect(result.status).toBe('fail');
+      expect(result.rules[0].message).toBe('Witnesses required: 3, Found: 2');
+    });
+  });
+
+  describe('CRUD API', () => {
+    it('should create and list rules for enterprise users', async () => {
+      const created = await request(app)
+        .post('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Case reference', type: 'required_phrase', phrase: 'Case Reference' })
+        .expect(201);
+
+      expect(created.body.rule).toHaveProperty('_id');
+      expect(created.body.rule.severity).toBe('fail');
+
+      const listed = await request(app)
+        .get('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(listed.body.rules).toHaveLength(1);
+    });
+
+    it('should reject rules missing their type-specific settings', async () => {
+      const response = await request(app)
+        .post('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Witnesses', type: 'min_witnesses' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    it('should reject invalid regular expressions', async () => {
+      await request(app)
+        .post('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Broken', type: 'regex_extractor', pattern: '([A-Z' })
+        .expect(400);
+    });
+
+    it('should reject patterns with catastrophic backtracking', async () => {
+      const response = await request(app)
+        .post('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Slow', type: 'regex_extractor', pattern: '(\\w+\\s?)*:' })
+        .expect(400);
+
+      expect(response.body.details[0].msg).toBe('Pattern may take too long to run; avoid nested repetition such as (a+)+');
+    });
+
+    it('should update and delete a rule', async () => {
+      const rule = await CustomRule.create({
+        userId: testUser._id,
+        name: 'Witnesses',
+        type: 'min_witnesses',
+        minWitnesses: 2
+      });
+
+      const updated = await request(app)
+        .put(`/api/custom-rules/${rule._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ minWitnesses: 3, severity: 'warning' })
+        .expect(200);
+
+      expect(updated.body.rule.minWitnesses).toBe(3);
+      expect(updated.body.rule.severity).toBe('warning');
+
+      await request(app)
+        .delete(`/api/custom-rules/${rule._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await CustomRule.countDocuments()).toBe(0);
+    });
+
+    it('should not expose rules owned by another user', async () => {
+      const otherUser = await User.create({
+        firstName: 'Other',
+        lastName: 'User',
+        email: 'other@example.com',
+        password: 'password123',
+        tier: 'enterprise'
+      });
+      const rule = await CustomRule.create({
+        userId: otherUser._id,
+        name: 'Private',
+        type: 'required_phrase',
+        phrase: 'secret'
+      });
+
+      await request(app)
+        .get(`/api/custom-rules/${rule._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should require the enterprise tier', async () => {
+      await User.findByIdAndUpdate(testUser._id, { tier: 'professional' });
+
+      const response = await request(app)
+        .get('/api/custom-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.requiredTier).toBe('enterprise');
+    });
+  });
+});
@@ -2,6 +2,9 @@ const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Document = require('../src/models/Document');
+const ValidationJob = require('../src/models/ValidationJob');
+const validationQueue = require('../src/services/validationQueue');
+const progressService = require('../src/services/progressService');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs');
@@ -285,4 +288,84 @@ describe('Document API', () => {
       expect(response.body).toHaveProperty('error', 'Document validation not completed');
     });
   });
+
+  describe('GET /api/documents/:documentId/progress', () => {
+    const heartbeatInterval = progressService.heartbeatInterval;
+
+    afterEach(() => {
+      progressService.heartbeatInterval = heartbeatInterval;
+    });
+
+    it('should end the stream when the stored status finishes without a progress event', async () => {
+      // As when the worker runs in another process and there is no Redis to relay its events
+      progressService.heartbeatInterval = 20;
+      const processingDoc = await Document.create({
+        userId: testUser._id,
+        filename: 'processing.pdf',
+        originalName: 'processing.pdf',
+        fileSize: 1024,
+        filePath: '/fake/path/processing.pdf',
+        mimeType: 'application/pdf',
+        status: 'processing'
+      });
+      setTimeout(() => Document.findByIdAndUpdate(processingDoc._id, {
+        status: 'completed',
+        'validationResults.overall': 'pass'
+      }).exec(), 50);
+
+      const response = await request(app)
+        .get(`/api/documents/${processingDoc._id}/progress`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      const stages = response.body.match(/"stage":"\w+"/g);
+      expect(stages[0]).toBe('"stage":"queued"');
+      expect(stages[stages.length - 1]).toBe('"stage":"done"');
+    });
+  });
+
+  describe('DELETE /api/documents/:documentId', () => {
+    const createQueuedDocument = async () => {
+      const document = await Document.create({
+        userId: testUser._id,
+        filename: 'queued.pdf',
+        originalName: 'queued.pdf',
+        fileSize: 1024,
+        filePath: '/fake/path/queued.pdf',
+        mimeType: 'application/pdf',
+        status: 'processing'
+      });
+      await validationQueue.enqueue(document);
+      return document;
+    };
+
+    it('should remove the validation jobs of a deleted document', async () => {
+      const document = await createQueuedDocument();
+
+      await request(app)
+        .delete(`/api/documents/${document._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await ValidationJob.countDocuments({ documentId: document._id })).toBe(0);
+    });
+
+    it('should remove the validation jobs of bulk-deleted documents', async () => {
+      const documents = [await createQueuedDocument(), await createQueuedDocument()];
+
+      await request(app)
+        .post('/api/documents/bulk-action')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'delete', documentIds: documents.map(document => document._id.toString()) })
+        .expect(200);
+
+      expect(await ValidationJob.countDocuments()).toBe(0);
+    });
+  });
 });
@@ -1,4 +1,5 @@
 const documentValidationService = require('../src/services/documentValidation');
+const rules = require('../src/rules');
 const fs = require('fs').promises;
 const path = require('path');
 const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
@@ -104,6 +105,81 @@ describe('Document Validation Service', () => {
     });
   });
 
+  describe('Identity Cross-Checks', () => {
+    const crossCheck = async (text, rulePack = rules.getDefaultRulePack()) => {
+      const notaryValidation = await documentValidationService.validateNotary(text, rulePack);
+      const witnessValidation = await documentValidationService.validateWitnesses(text, rulePack);
+      const parties = documentValidationService.extractParties(text);
+      documentValidationService.crossCheckIdentities(parties, notaryValidation, witnessValidation, text, rulePack);
+      return { parties, notaryValidation, witnessValidation };
+    };
+
+    it('should extract the principal and agent names', () => {
+      const parties = documentValidationService.extractParties(
+        'I, John Doe, hereby appoint Jane Smith as my agent.\nAlternate Agent: Peter Parker'
+      );
+
+      expect(parties.principalName).toBe('John Doe');
+      expect(parties.agentNames).toHaveLength(2);
+      expect(parties.agentNames).toEqual(expect.arrayContaining(['Jane Smith', 'Peter Parker']));
+    });
+
+    it('should fail when the notary is the agent', async () => {
+      const { notaryValidation } = await crossCheck(`
+        I, John Doe, hereby appoint Jane Smith as my agent.
+        Notary Public: Jane M. Smith
+        Commission Number: 12345678
+        Witness 1: Robert Wilson
+      `);
+
+      expect(notaryValidation.status).toBe('fail');
+      expect(notaryValidation.conflicts[0]).toMatchObject({ name: 'Jane M. Smith', agentName: 'Jane Smith' });
+      expect(notaryValidation.issues).toContain("Notary cannot be agent: notary 'Jane M. Smith' matches agent 'Jane Smith'");
+    });
+
+    it('should fail when a witness is the agent despite OCR misspellings', async () => {
+      const { witnessValidation } = await crossCheck(`
+        Principal: John Doe
+        Agent: Robert Wilson
+        Notary Public: Mary Johnson
+        Witness 1: Robert Wllson
+        Witness 2: Susan Davis
+      `);
+
+      expect(witnessValidation.status).toBe('fail');
+      expect(witnessValidation.conflicts).toHaveLength(1);
+      expect(witnessValidation.issues.some(issue => issue.includes("'Robert Wllson' matches agent 'Robert Wilson'"))).toBe(true);
+    });
+
+    it('should cite the identity rules of the selected jurisdiction', async () => {
+      const { witnessValidation } = await crossCheck(`
+        Principal: John Doe
+        Agent: Robert Wilson
+        Witness 1: Robert Wilson
+      `, rules.getRulePack('NV'));
+
+      expect(witnessValidation.citations).toEqual(expect.arrayContaining(rules.getRulePack('NV').identities.citations));
+      expect(witnessValidation.citations.some(citation => citation.startsWith('Cal.'))).toBe(false);
+    });
+
+    it('should not flag unrelated notaries and witnesses', async () => {
+      const { notaryValidation, witnessValidation } = await crossCheck(`
+        I, John Doe, hereby grant power of attorney to Jane Smith
+        On January 5, 2025 before me, Mary Johnson, Notary Public, personally appeared John Doe
+        Witness 1: Robert Wilson
+        Witness 2: Susan Davis
+      `);
+
+      expect(notaryValidation.conflicts).toHaveLength(0);
+      expect(witnessValidation.conflicts).toHaveLength(0);
+    });
+
+    it('should tell similar but different names apart', () => {
+      expect(documentValidationService.nameSimilarity('Jane Smith', 'John Smith')).toBeLessThan(0.9);
+      expect(documentValidationService.nameSimilarity('Dr. Jane Q. Smith Jr.', 'jane smith')).toBe(1);
+    });
+  });
+
   describe('Verbiage Validation', () => {
     it('should validate proper POA cremation language', async () => {
       const mockText = `
@@ -156,6 +232,132 @@ describe('Document Validation Service', () => {
     });
   });
 
+  describe('POA Term Validation', () => {
+    it('should fail a POA whose termination date has passed, quoting the clause', async () => {
+      const mockText = `
+        Durable Power of Attorney
+        This power of attorney shall terminate on December 31, 2024.
+        I hereby revoke all prior powers of attorney.
+      `;
+
+      const result = await documentValidationService.validateTerm(mockText);
+
+      expect(result.status).toBe('fail');
+      expect(result.isExpired).toBe(true);
+      expect(result.issues[0]).toContain('POA expired on 2024-12-31');
+      expect(result.issues[0]).toContain('"This power of attorney shall terminate on December 31, 2024."');
+      expect(result.revocationClauses[0].type).toBe('prior');
+    });
+
+    it('should accept termination dates in the future', async () => {
+      const mockText = 'This Power of Attorney shall remain in full force and effect until 12/31/2099.';
+
+      const result = await documentValidationService.validateTerm(mockText);
+
+      expect(result.status).toBe('pass');
+      expect(result.terminationDate.getFullYear()).toBe(2099);
+    });
+
+    it('should parse written-out termination dates', async () => {
+      const result = await documentValidationService.validateTerm('Expiration Date: 15th day of March, 2023');
+
+      expect(result.status).toBe('fail');
+      expect(result.terminationDate.toISOString().slice(0, 10)).toBe('2023-03-15');
+    });
+
+    it('should warn about springing powers', async () => {
+      const mockText = 'This power of attorney shall become effective upon my incapacity as determined by my physician.';
+
+      const result = await documentValidationService.validateTerm(mockText);
+
+      expect(result.status).toBe('warning');
+      expect(result.springing.detected).toBe(true);
+      expect(result.issues[0]).toContain('Springing POA');
+    });
+
+    it('should not mistake durable language for termination', async () => {
+      const mockText = 'This power of attorney shall not be affected by subsequent incapacity of the principal and shall not terminate upon my incapacity.';
+
+      const result = await documentValidationService.validateTerm(mockText);
+
+      expect(result.status).toBe('pass');
+      expect(result.terminationClauses).toHaveLength(0);
+    });
+
+    it('should fail a revoked POA but not the right to revoke', async () => {
+      const revoked = await documentValidationService.validateTerm(
+        'NOTICE OF REVOCATION\nThe power of attorney executed by John Doe on 01/05/2020 is hereby revoked.'
+      );
+      const revocable = await documentValidationService.validateTerm(
+        'I may revoke this power of attorney at any time.'
+      );
+
+      expect(revoked.status).toBe('fail');
+      expect(revoked.issues[0]).toContain('POA has been revoked');
+      expect(revocable.status).toBe('pass');
+      expect(revocable.revocationClauses[0].type).toBe('right_to_revoke');
+    });
+  });
+
+  describe('Page Boundaries', () => {
+    it('should record page offsets when joining page text', () => {
+      const { text, pages } = documentValidationService.buildPageIndex([
+        { text: 'Durable Power of Attorney', confidence: 90 },
+        { text: 'I authorize cremation', confidence: 80 }
+      ]);
+
+      expect(pages).toHaveLength(2);
+      expect(text.substring(pages[1].startOffset, pages[1].endOffset)).toBe('I authorize cremation');
+      expect(pages[1]).toMatchObject({ pageNumber: 2, confidence: 80 });
+    });
+
+    it('should report page and line for a phrase', () => {
+      const { text, pages } = documentValidationService.buildPageIndex([
+        { text: 'Durable Power of Attorney\nPrincipal: John Smith', confidence: 95 },
+        { text: 'Section 1\nSection 2\nI authorize cremation of my remains', confidence: 95 }
+      ]);
+
+      expect(documentValidationService.findPhraseLocation(text, 'cremation', pages)).toBe('Page 2, line 3');
+      expect(documentValidationService.findPhraseLocation(text, 'principal', pages)).toBe('Page 1, line 2');
+    });
+
+    it('should fall back to a document line number without pages', () => {
+      const text = 'Line one\nLine two mentions cremation';
+
+      expect(documentValidationService.findPhraseLocation(text, 'cremation')).toBe('Line 2');
+    });
+
+    it('should OCR every page of a scanned PDF', async () => {
+      jest.doMock('pdf2pic', () => ({
+        fromBuffer: () => ({
+          bulk: jest.fn().mockResolvedValue([
+            { page: 2, path: '/tmp/scan-page.2.png' },
+            { page: 1, path: '/tmp/scan-page.1.png' }
+          ])
+        })
+      }));
+      jest.spyOn(fs, 'readFile').mockImplementation(async (imagePath) => Buffer.from(imagePath));
+      jest.spyOn(fs, 'unlink').mockResolvedValue();
+      jest.spyOn(documentValidationService.imageProcessor, 'extractTextFromImage')
+        .mockImplementation(async (buffer) => ({
+          success: true,
+          extractedText: buffer.toString().includes('page.1') ? 'Power of Attorney' : 'Notary Public: Jane Doe',
+          confidence: buffer.toString().includes('page.1') ? 90 : 70
+        }));
+
+      const result = await documentValidationService.convertPdfToImageAndOCR('/tmp/scan.pdf');
+
+      expect(result.pages).toHaveLength(2);
+      expect(result.pages[0].text).toBe('Power of Attorney');
+      expect(result.pages[1].text).toBe('Notary Public: Jane Doe');
+      expect(result.confidence).toBe(80);
+      expect(fs.unlink).toHaveBeenCalledTimes(2);
+
+      jest.restoreAllMocks();
+      jest.dontMock('pdf2pic');
+    });
+  });
+
   describe('Overall Validation Integration', () => {
     it('should handle complete valid POA document', async () => {
       const mockPDFPath = path.join(__dirname, 'fixtures', 'valid-poa.pdf');
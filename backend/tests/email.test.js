@@ -0,0 +1,173 @@
+const User = require('../src/models/User');
+const EmailTemplate = require('../src/models/EmailTemplate');
+const emailService = require('../src/services/emailService');
+const emailTemplates = require('../src/services/emailTemplates');
+const logger = require('../src/utils/logger');
+
+describe('Email', () => {
+  let sendMail;
+
+  const mockQuery = (value) => ({
+    select: () => Promise.resolve(value),
+    lean: () => Promise.resolve(value)
+  });
+
+  beforeEach(() => {
+    sendMail = jest.fn().mockResolvedValue({ messageId: 'test' });
+    jest.spyOn(emailService, 'getTransport').mockReturnValue({ sendMail });
+    jest.spyOn(EmailTemplate, 'findOne').mockReturnValue(mockQuery(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Rendering', () => {
+    const { renderString } = emailTemplates;
+
+    it('should substitute nested values and escape HTML', () => {
+      const data = { user: { firstName: '<Jane>' } };
+
+      expect(renderString('Hi {{user.firstName}}', data)).toBe('Hi <Jane>');
+      expect(renderString('Hi {{ user.firstName }}', data, true)).toBe('Hi &lt;Jane&gt;');
+      expect(renderString('Hi {{user.lastName}}', data)).toBe('Hi ');
+    });
+
+    it('should render conditionals and loops', () => {
+      const source = '{{#if issues}}Issues:{{#each issues}} [{{this}}]{{/each}}{{else}}No issues{{/if}}';
+
+      expect(renderString(source, { issues: ['Missing seal', 'One witness'] })).toBe('Issues: [Missing seal] [One witness]');
+      expect(renderString(source, { issues: [] })).toBe('No issues');
+    });
+
+    it('should report unbalanced and unknown block tags', () => {
+      expect(emailTemplates.validate({ subject: 'Hi', html: '{{#if a}}open', text: '{{#unless a}}{{/unless}}' })).toEqual([
+        { path: 'html', msg: 'Unbalanced {{#if}} blocks (1 opened, 0 closed)' },
+        { path: 'text', msg: 'Unknown block tag {{#unless a}}' }
+      ]);
+    });
+
+    it('should render every built-in template with its sample data', async () => {
+      for (const { name } of emailTemplates.list()) {
+        const template = await emailTemplates.getDefault(name);
+        expect(emailTemplates.validate(template)).toEqual([]);
+
+        const message = await emailTemplates.render(name, { appName: 'Say Goodbye', ...emailTemplates.getSample(name) });
+        expect(message.subject).not.toMatch(/\{\{|\n/);
+        expect(message.html).toContain('Say Goodbye');
+        expect(message.html).not.toContain('{{');
+        expect(message.text).not.toContain('{{');
+      }
+    });
+
+    it('should prefer an admin override over the built-in template', async () => {
+      EmailTemplate.findOne.mockReturnValue(mockQuery({
+        subject: 'Reset for {{user.firstName}}',
+        html: '<p>{{resetUrl}}</p>',
+        text: '{{resetUrl}}'
+      }));
+
+      const message = await emailTemplates.render('password-reset', emailTemplates.getSample('password-reset'));
+
+      expect(message.subject).toBe('Reset for Jane');
+      expect(message.text).toBe('http://localhost:3000/reset-password?token=sample');
+    });
+  });
+
+  describe('Notifications', () => {
+    const document = {
+      _id: '64b000000000000000000001',
+      userId: '64b000000000000000000002',
+      originalName: 'smith-poa.pdf',
+      caseId: 'FH-2024-001',
+      validationResults: {
+        overall: 'fail',
+        notaryValidation: { status: 'fail', issues: ['Notary seal not found'] },
+        witnessValidation: { status: 'pass', issues: [] }
+      },
+      validationSummary: { passed: 1, warnings: 0, failed: 1, total: 2 }
+    };
+
+    const recipient = (preferences = { emailNotifications: true }) => ({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      preferences
+    });
+
+    it('should email the validation result with a link to the document', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(recipient()));
+
+      expect(await emailService.notifyValidationCompleted(document)).toBe(true);
+
+      const [message] = sendMail.mock.calls[0];
+      expect(message.to).toBe('jane@example.com');
+      expect(message.subject).toContain('smith-poa.pdf');
+      expect(message.text).toContain('Notary seal not found');
+      expect(message.html).toContain(`/documents/${document._id}`);
+      expect(message.text).toContain('Download Report');
+    });
+
+    it('should respect the email notification preference', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(recipient({ emailNotifications: false })));
+
+      expect(await emailService.notifyValidationCompleted(document)).toBe(false);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should format the amount due on failed payments', async () => {
+      await emailService.notifyPaymentFailed(
+        { amount_due: 2900, currency: 'usd', hosted_invoice_url: 'https://invoice.stripe.com/i/1' },
+        { user: recipient() }
+      );
+
+      const [message] = sendMail.mock.calls[0];
+      expect(message.text).toContain('$29.00');
+      expect(message.text).toContain('https://invoice.stripe.com/i/1');
+    });
+
+    it('should not throw when the transport fails', async () => {
+      sendMail.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(emailService.sendPasswordReset(recipient(), 'http://localhost:3000/reset', 60)).resolves.toBe(false);
+    });
+  });
+
+  describe('Transports', () => {
+    const originalEnv = process.env.NODE_ENV;
+    const user = { firstName: 'Jane', email: 'jane@example.com' };
+
+    beforeEach(() => {
+      emailService.getTransport.mockRestore();
+      emailService.transportType = 'console';
+      emailService.transport = null;
+    });
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+      emailService.transportType = 'console';
+      emailService.transport = null;
+    });
+
+    it('should log only the recipient and subject to the console', async () => {
+      const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+      expect(await emailService.sendPasswordReset(user, 'http://localhost:3000/reset?token=secret', 60)).toBe(true);
+
+      const logged = info.mock.calls.map(([message]) => message).join('\n');
+      expect(logged).toContain('jane@example.com');
+      expect(logged).not.toContain('token=secret');
+    });
+
+    it('should refuse to send without SMTP in production', async () => {
+      process.env.NODE_ENV = 'production';
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+      expect(await emailService.sendPasswordReset(user, 'http://localhost:3000/reset?token=secret', 60)).toBe(false);
+
+      expect(error.mock.calls[0][1].message).toContain('not allowed in production');
+      expect(info.mock.calls.flat().join('\n')).not.toContain('token=secret');
+    });
+  });
+});
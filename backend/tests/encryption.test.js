@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const encryptionService = require('../src/services/encryptionService');
+const keyProviders = require('../src/services/keyProviders');
+const localKeyProvider = require('../src/services/keyProviders/localKeyProvider');
+const pdf2pic = require('pdf2pic');
+const documentValidationService = require('../src/services/documentValidation');
+
+jest.mock('pdf2pic', () => ({ fromBuffer: jest.fn() }));
+
+describe('Encryption at Rest', () => {
+  let tempDir;
+  const newKey = () => crypto.randomBytes(32).toString('base64');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-encryption-'));
+    process.env.ENCRYPTION_KEY_FILE = path.join(tempDir, 'master.key');
+    localKeyProvider.reload();
+  });
+
+  afterEach(async () => {
+    delete process.env.ENCRYPTION_KEY_FILE;
+    delete process.env.ENCRYPTION_KEY_PROVIDER;
+    localKeyProvider.keys = null;
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Envelope encryption', () => {
+    it('should round-trip data with a fresh data key each time', async () => {
+      const plaintext = Buffer.from('%PDF-1.4 Principal SSN 123-45-6789');
+
+      const first = await encryptionService.encrypt(plaintext);
+      const second = await encryptionService.encrypt(plaintext);
+
+      expect(encryptionService.isEncrypted(first)).toBe(true);
+      expect(first.includes(plaintext)).toBe(false);
+      expect(first.equals(second)).toBe(false);
+      expect((await encryptionService.decrypt(first)).equals(plaintext)).toBe(true);
+    });
+
+    it('should reject modified data', async () => {
+      const encrypted = await encryptionService.encrypt(Buffer.from('Power of Attorney'));
+      encrypted[encrypted.length - 20] ^= 1;
+
+      await expect(encryptionService.decrypt(encrypted)).rejects.toThrow();
+    });
+
+    it('should pass unencrypted data through', async () => {
+      const legacy = Buffer.from('%PDF-1.4 stored before encryption');
+
+      expect(await encryptionService.decrypt(legacy)).toBe(legacy);
+      expect(await encryptionService.decryptText('plain text')).toBe('plain text');
+    });
+
+    it('should encrypt text fields and page text', async () => {
+      const encrypted = await encryptionService.encryptText('Agent: Jane Doe');
+      const pages = await encryptionService.encryptPages([{ pageNumber: 1, text: 'Agent: Jane Doe', startOffset: 0, endOffset: 15 }]);
+
+      expect(encrypted.startsWith(encryptionService.TEXT_PREFIX)).toBe(true);
+      expect(encrypted).not.toContain('Jane');
+      expect(await encryptionService.encryptText(encrypted)).toBe(encrypted);
+      expect(await encryptionService.decryptText(encrypted)).toBe('Agent: Jane Doe');
+      expect(pages[0]).toMatchObject({ pageNumber: 1, startOffset: 0, endOffset: 15 });
+      expect((await encryptionService.decryptPages(pages))[0].text).toBe('Agent: Jane Doe');
+    });
+  });
+
+  describe('Key file provider', () => {
+    it('should create a key file outside production', async () => {
+      const stats = await fs.stat(process.env.ENCRYPTION_KEY_FILE);
+
+      expect(stats.mode & 0o777).toBe(0o600);
+      expect(localKeyProvider.loadKeys().size).toBe(1);
+    });
+
+    it('should read data wrapped with an older key after rotation', async () => {
+      const encrypted = await encryptionService.encrypt(Buffer.from('before rotation'));
+      const oldKey = (await fs.readFile(process.env.ENCRYPTION_KEY_FILE, 'utf8')).trim();
+
+      await fs.writeFile(process.env.ENCRYPTION_KEY_FILE, `${newKey()}\n${oldKey}\n`);
+      localKeyProvider.reload();
+
+      expect((await encryptionService.decrypt(encrypted)).toString()).toBe('before rotation');
+    });
+
+    it('should refuse data whose key was removed', async () => {
+      const encrypted = await encryptionService.encrypt(Buffer.from('orphaned'));
+
+      await fs.writeFile(process.env.ENCRYPTION_KEY_FILE, `${newKey()}\n`);
+      localKeyProvider.reload();
+
+      await expect(encryptionService.decrypt(encrypted)).rejects.toThrow(/is not in/);
+    });
+
+    it('should reject an unknown provider', async () => {
+      process.env.ENCRYPTION_KEY_PROVIDER = 'kms';
+
+      await expect(encryptionService.encrypt(Buffer.from('x'))).rejects.toThrow(/Unknown encryption key provider: kms/);
+    });
+
+    it('should use a registered provider', async () => {
+      const provider = keyProviders.registerProvider({
+        name: 'test-kms',
+        wrapKey: jest.fn(async dataKey => ({ keyId: 'kms-1', wrappedKey: Buffer.from(dataKey).reverse() })),
+        unwrapKey: jest.fn(async wrappedKey => Buffer.from(wrappedKey).reverse())
+      });
+      process.env.ENCRYPTION_KEY_PROVIDER = 'test-kms';
+
+      const encrypted = await encryptionService.encrypt(Buffer.from('via kms'));
+      delete process.env.ENCRYPTION_KEY_PROVIDER;
+
+      expect((await encryptionService.decrypt(encrypted)).toString()).toBe('via kms');
+      expect(provider.unwrapKey).toHaveBeenCalledWith(expect.any(Buffer), 'kms-1');
+    });
+  });
+
+  describe('Stored files', () => {
+    it('should encrypt uploads as they are written', async () => {
+      const storage = encryptionService.diskStorage({
+        destination: (req, file, cb) => cb(null, tempDir),
+        filename: (req, file, cb) => cb(null, 'upload.pdf')
+      });
+      const contents = Buffer.from('%PDF-1.4 '.repeat(5000));
+
+      const info = await new Promise((resolve, reject) => {
+        storage._handleFile({}, { stream: Readable.from([contents.subarray(0, 1000), contents.subarray(1000)]) }, (error, result) => (
+          error ? reject(error) : resolve(result)
+        ));
+      });
+
+      const stored = await fs.readFile(info.path);
+      expect(info.size).toBe(contents.length);
+      expect(encryptionService.isEncrypted(stored)).toBe(true);
+      expect((await encryptionService.readFile(info.path)).equals(contents)).toBe(true);
+    });
+
+    it('should encrypt an existing file in place once', async () => {
+      const filePath = path.join(tempDir, 'legacy.pdf');
+      await fs.writeFile(filePath, 'legacy upload');
+
+      expect(await encryptionService.encryptFile(filePath)).toBe(true);
+      expect(await encryptionService.encryptFile(filePath)).toBe(false);
+      expect((await encryptionService.readFile(filePath)).toString()).toBe('legacy upload');
+    });
+
+    it('should decrypt stored images before OCR', async () => {
+      const filePath = path.join(tempDir, 'scan.png');
+      await fs.writeFile(filePath, await encryptionService.encrypt(Buffer.from('image bytes')));
+      const ocr = jest.spyOn(documentValidationService.imageProcessor, 'extractTextFromImage')
+        .mockResolvedValue({ success: true, extractedText: 'Power of Attorney', confidence: 90 });
+
+      await documentValidationService.extractTextFromImage(filePath);
+
+      expect(ocr.mock.calls[0][0].toString()).toBe('image bytes');
+    });
+
+    it('should render PDF pages for OCR in memory', async () => {
+      const filePath = path.join(tempDir, 'scan.pdf');
+      await fs.writeFile(filePath, await encryptionService.encrypt(Buffer.from('%PDF-1.4')));
+      const bulk = jest.fn().mockResolvedValue([{ page: 1, buffer: Buffer.from('page image') }]);
+      pdf2pic.fromBuffer.mockReturnValue({ bulk });
+      const ocr = jest.spyOn(documentValidationService.imageProcessor, 'extractTextFromImage')
+        .mockResolvedValue({ success: true, extractedText: 'Power of Attorney', confidence: 90 });
+      jest.spyOn(documentValidationService, 'analyzeOcrPage').mockResolvedValue({ signatures: [], seals: [], sealPages: [] });
+
+      const result = await documentValidationService.convertPdfToImageAndOCR(filePath);
+
+      expect(result.text).toContain('Power of Attorney');
+      expect(pdf2pic.fromBuffer.mock.calls[0][0].toString()).toBe('%PDF-1.4');
+      expect(pdf2pic.fromBuffer.mock.calls[0][1]).not.toHaveProperty('savePath');
+      expect(bulk).toHaveBeenCalledWith(-1, { responseType: 'buffer' });
+      expect(ocr.mock.calls[0][0].toString()).toBe('page image');
+    });
+
+    it('should remove page images earlier versions left next to uploads', async () => {
+      await fs.writeFile(path.join(tempDir, 'upload-page.1.png'), 'page image');
+      await fs.writeFile(path.join(tempDir, 'upload.png'), 'encrypted upload');
+
+      expect(await documentValidationService.removeStrayPageImages(tempDir)).toBe(1);
+
+      expect(await fs.readdir(tempDir)).toContain('upload.png');
+      expect(await fs.readdir(tempDir)).not.toContain('upload-page.1.png');
+      expect(await documentValidationService.removeStrayPageImages(path.join(tempDir, 'missing'))).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const rules = require('../src/rules');
+const notaryProviders = require('../src/services/notaryProviders');
+const registryProvider = require('../src/services/notaryProviders/registryProvider');
+const mockProvider = require('../src/services/notaryProviders/mockProvider');
+const cacheService = require('../src/services/cacheService');
+const documentValidationService = require('../src/services/documentValidation');
+
+describe('Notary Verification', () => {
+  const california = rules.getRulePack('CA');
+  const notarySection = (name, commissionNumber = '2345678') => `
+    Notary Public: ${name}
+    Commission Number: ${commissionNumber}
+    Commission Expires: 12/31/2099
+  `;
+
+  afterEach(() => {
+    delete process.env.NOTARY_PROVIDER;
+    delete process.env.CA_NOTARY_REGISTRY_PATH;
+    mockProvider.reset();
+    jest.restoreAllMocks();
+  });
+
+  describe('Provider selection', () => {
+    it('should fall back to manual verification when nothing is configured', async () => {
+      expect(notaryProviders.getProvider(california)).toBeNull();
+
+      const result = await documentValidationService.validateNotary(notarySection('Jane Smith'));
+
+      expect(result.verification).toBeNull();
+      expect(result.issues).toContain('Notary validation requires manual verification');
+    });
+
+    it('should use the local registry when its path is configured', () => {
+      process.env.CA_NOTARY_REGISTRY_PATH = '/tmp/registry.json';
+
+      expect(notaryProviders.getProvider(california).name).toBe('registry');
+      expect(notaryProviders.getProvider(rules.getRulePack('NV'))).toBeNull();
+    });
+
+    it('should honour NOTARY_PROVIDER', () => {
+      process.env.NOTARY_PROVIDER = 'mock';
+
+      expect(notaryProviders.getProvider(california).name).toBe('mock');
+    });
+
+    it('should not use the mock provider in production', () => {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      process.env.NOTARY_PROVIDER = 'mock';
+
+      try {
+        expect(notaryProviders.getProvider(california)).toBeNull();
+      } finally {
+        process.env.NODE_ENV = originalEnv;
+      }
+    });
+
+    it('should reject providers without a lookup', () => {
+      expect(() => notaryProviders.registerProvider({ name: 'broken' })).toThrow('Invalid notary provider broken');
+    });
+  });
+
+  describe('Registry import', () => {
+    it('should parse Secretary of State CSV downloads', () => {
+      const csv = [
+        'Commission Number,Name,County,Commission Expiration Date,Status',
+        '"2345678","Smith, Jane",Los Angeles,12/31/2099,Active',
+        '"CA-1234567","Doe, John ""Jack""",Orange,01/01/2020,Inactive'
+      ].join('\r\n');
+
+      const records = registryProvider.parseRegistry(csv, '.csv');
+
+      expect(records).toHaveLength(2);
+      expect(records[0]).toMatchObject({ commissionNumber: '2345678', name: 'Jane Smith', county: 'Los Angeles', status: 'active' });
+      expect(records[1]).toMatchObject({ commissionNumber: 'CA1234567', name: 'John "Jack" Doe', status: 'inactive' });
+    });
+
+    it('should look commissions up from a JSON registry file', async () => {
+      const registryPath = path.join(os.tmpdir(), `notary-registry-${Date.now()}.json`);
+      await fs.writeFile(registryPath, JSON.stringify({
+        records: [{ commissionNumber: '2345678', name: 'Jane Smith', commissionExpiry: '2099-12-31' }]
+      }));
+      process.env.CA_NOTARY_REGISTRY_PATH = registryPath;
+
+      try {
+        const result = await documentValidationService.validateNotary(notarySection('Jane Smith'));
+
+        expect(result.verification.provider).toBe('registry');
+        expect(result.verification.status).toBe('verified');
+        expect(result.isValid).toBe(true);
+        expect(result.status).toBe('pass');
+      } finally {
+        await fs.unlink(registryPath);
+      }
+    });
+  });
+
+  describe('Verification results', () => {
+    beforeEach(() => {
+      process.env.NOTARY_PROVIDER = 'mock';
+      mockProvider.setRecords([
+        { commissionNumber: '2345678', name: 'Jane Smith', commissionExpiry: '2099-12-31' },
+        { commissionNumber: '1111111', name: 'Robert Brown', commissionExpiry: '2020-01-01' },
+        { commissionNumber: '2222222', name: 'Mary Johnson', status: 'revoked' }
+      ]);
+    });
+
+    it('should record the name-match confidence for a verified notary', async () => {
+      const result = await documentValidationService.validateNotary(notarySection('Jane M. Smith'));
+
+      expect(result.verification).toMatchObject({
+        provider: 'mock',
+        status: 'verified',
+        registeredName: 'Jane Smith',
+        nameMatchConfidence: 1
+      });
+      expect(result.issues).not.toContain('Notary validation requires manual verification');
+    });
+
+    it('should fail unknown commission numbers', async () => {
+      const result = await documentValidationService.validateNotary(notarySection('Jane Smith', '9999999'));
+
+      expect(result.status).toBe('fail');
+      expect(result.verification.status).toBe('not_found');
+      expect(result.issues).toContain('Notary commission number not found in the state registry');
+    });
+
+    it('should fail when the name does not match the registered holder', async () => {
+      const result = await documentValidationService.validateNotary(notarySection('Susan Davis'));
+
+      expect(result.status).toBe('fail');
+      expect(result.verification.status).toBe('name_mismatch');
+      expect(result.verification.nameMatchConfidence).toBeLessThan(0.9);
+    });
+
+    it('should fail expired and revoked commissions', async () => {
+      const expired = await documentValidationService.validateNotary(notarySection('Robert Brown', '1111111'));
+      const revoked = await documentValidationService.validateNotary(notarySection('Mary Johnson', '2222222'));
+
+      expect(expired.verification.status).toBe('expired');
+      expect(revoked.verification.status).toBe('inactive');
+      expect(revoked.issues).toContain('Notary commission is revoked according to the state registry');
+    });
+
+    it('should reuse cached lookups per commission number', async () => {
+      jest.spyOn(cacheService, 'get').mockResolvedValue({
+        record: { commissionNumber: '2345678', name: 'Jane Smith', status: 'active' }
+      });
+
+      const result = await documentValidationService.validateNotaryWithState('2345678', ['Jane Smith'], california);
+
+      expect(result.cached).toBe(true);
+      expect(result.status).toBe('verified');
+      expect(mockProvider.lookups).toBe(0);
+    });
+
+    it('should cache fresh lookups, including misses', async () => {
+      jest.spyOn(cacheService, 'get').mockResolvedValue(null);
+      const setSpy = jest.spyOn(cacheService, 'set').mockResolvedValue(true);
+
+      await documentValidationService.validateNotaryWithState('9999999', ['Jane Smith'], california);
+
+      expect(mockProvider.lookups).toBe(1);
+      expect(setSpy).toHaveBeenCalledWith('notary:mock:CA:9999999', { record: null }, 86400);
+    });
+  });
+});
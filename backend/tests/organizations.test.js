@@ -0,0 +1,343 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const Organization = require('../src/models/Organization');
+const Case = require('../src/models/Case');
+const paymentService = require('../src/services/paymentService');
+const organizationService = require('../src/services/organizationService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Organizations', () => {
+  let owner;
+  let ownerToken;
+  let arranger;
+  let arrangerToken;
+
+  const signToken = (user) => jwt.sign(
+    { id: user._id },
+    process.env.JWT_SECRET || 'test-secret',
+    { expiresIn: '1h' }
+  );
+
+  const createDocument = (user, overrides = {}) => Document.create({
+    userId: user._id,
+    filename: 'poa.pdf',
+    originalName: 'poa.pdf',
+    fileSize: 1024,
+    filePath: '/tmp/poa.pdf',
+    mimeType: 'application/pdf',
+    status: 'completed',
+    ...overrides
+  });
+
+  const createOrganization = async () => {
+    const response = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Sunset Funeral Home' })
+      .expect(201);
+    return Organization.findById(response.body.organization.id);
+  };
+
+  const inviteAndJoin = async (user, token, role = 'member') => {
+    const invite = await request(app)
+      .post('/api/organizations/current/invitations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: user.email, role })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/organizations/invitations/${invite.body.invitation.id}/accept`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Case.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    owner = await User.create({
+      firstName: 'Olivia',
+      lastName: 'Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      tier: 'enterprise'
+    });
+    arranger = await User.create({
+      firstName: 'Alex',
+      lastName: 'Arranger',
+      email: 'arranger@example.com',
+      password: 'password123'
+    });
+
+    ownerToken = signToken(owner);
+    arrangerToken = signToken(arranger);
+  });
+
+  it('should make the creator the owner and share their plan', async () => {
+    const organization = await createOrganization();
+    const updatedOwner = await User.findById(owner._id);
+
+    expect(organization.tier).toBe('enterprise');
+    expect(updatedOwner.organizationId.toString()).toBe(organization._id.toString());
+    expect(updatedOwner.organizationRole).toBe('owner');
+  });
+
+  it('should let an invited user accept and inherit the organization tier', async () => {
+    await createOrganization();
+
+    const pending = await request(app)
+      .get('/api/organizations/invitations')
+      .set('Authorization', `Bearer ${arrangerToken}`);
+    expect(pending.body.invitations).toHaveLength(0);
+
+    await inviteAndJoin(arranger, arrangerToken);
+
+    const member = await User.findById(arranger._id);
+    expect(member.organizationRole).toBe('member');
+    expect(member.tier).toBe('enterprise');
+  });
+
+  it('should reject invitations accepted by a different email address', async () => {
+    await createOrganization();
+    const outsider = await User.create({
+      firstName: 'Out',
+      lastName: 'Sider',
+      email: 'outsider@example.com',
+      password: 'password123'
+    });
+
+    const invite = await request(app)
+      .post('/api/organizations/current/invitations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: arranger.email })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/organizations/invitations/${invite.body.invitation.id}/accept`)
+      .set('Authorization', `Bearer ${signToken(outsider)}`)
+      .expect(403);
+  });
+
+  it('should only let owners and admins invite members', async () => {
+    await createOrganization();
+    await inviteAndJoin(arranger, arrangerToken);
+
+    await request(app)
+      .post('/api/organizations/current/invitations')
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .send({ email: 'someone@example.com' })
+      .expect(403);
+  });
+
+  it('should share the document library across members', async () => {
+    await createOrganization();
+    await inviteAndJoin(arranger, arrangerToken);
+
+    const member = await User.findById(arranger._id);
+    await createDocument(owner, { organizationId: member.organizationId, caseId: 'CASE-42' });
+
+    const response = await request(app)
+      .get('/api/documents')
+      .query({ search: 'CASE-42' })
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(200);
+
+    expect(response.body.documents).toHaveLength(1);
+    expect(response.body.documents[0].caseId).toBe('CASE-42');
+  });
+
+  it('should keep personal documents private to non-members', async () => {
+    await createOrganization();
+    await createDocument(arranger);
+
+    const ownerView = await request(app)
+      .get('/api/documents')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(ownerView.body.documents).toHaveLength(0);
+  });
+
+  it('should keep a new member\'s personal library personal unless they move it', async () => {
+    await createOrganization();
+    const personal = await createDocument(arranger);
+    await inviteAndJoin(arranger, arrangerToken);
+
+    const ownerView = await request(app)
+      .get('/api/documents')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect(ownerView.body.documents).toHaveLength(0);
+
+    await request(app)
+      .delete(`/api/organizations/current/members/${arranger._id}`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(200);
+
+    const unchanged = await Document.findById(personal._id);
+    expect(unchanged.organizationId).toBeNull();
+  });
+
+  it('should move the personal library when joining with moveLibrary', async () => {
+    const organization = await createOrganization();
+    const personal = await createDocument(arranger);
+    const invite = await request(app)
+      .post('/api/organizations/current/invitations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: arranger.email })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/organizations/invitations/${invite.body.invitation.id}/accept`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .send({ moveLibrary: true })
+      .expect(200);
+
+    const moved = await Document.findById(personal._id);
+    expect(moved.organizationId.toString()).toBe(organization._id.toString());
+  });
+
+  it('should renumber personal cases whose number the organization already uses', async () => {
+    const organization = await createOrganization();
+    const decedent = { firstName: 'John', lastName: 'Smith' };
+    await Case.create({ userId: owner._id, organizationId: organization._id, caseNumber: 'C-100', decedent });
+    const personalCase = await Case.create({ userId: arranger._id, caseNumber: 'C-100', decedent });
+    const personal = await createDocument(arranger, { caseId: 'C-100' });
+    const invite = await request(app)
+      .post('/api/organizations/current/invitations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: arranger.email })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/organizations/invitations/${invite.body.invitation.id}/accept`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .send({ moveLibrary: true })
+      .expect(200);
+
+    const moved = await Case.findById(personalCase._id);
+    expect(moved.organizationId.toString()).toBe(organization._id.toString());
+    expect(moved.caseNumber).toBe('C-100-2');
+    expect((await Document.findById(personal._id)).caseId).toBe('C-100-2');
+  });
+
+  it('should only let the uploader or an owner or admin delete shared documents', async () => {
+    const organization = await createOrganization();
+    await inviteAndJoin(arranger, arrangerToken);
+    const ownersDocument = await createDocument(owner, { organizationId: organization._id });
+    const arrangersDocument = await createDocument(arranger, { organizationId: organization._id });
+
+    await request(app)
+      .delete(`/api/documents/${ownersDocument._id}`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/documents/${arrangersDocument._id}`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(200);
+
+    const bulk = await request(app)
+      .post('/api/documents/bulk-action')
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .send({ action: 'delete', documentIds: [String(ownersDocument._id)] })
+      .expect(403);
+    expect(bulk.body.error).toBe('Only the uploader or an organization owner or admin can delete this document');
+
+    await request(app)
+      .delete(`/api/documents/${ownersDocument._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+  });
+
+  it('should count usage against the organization allowance', async () => {
+    const organization = await createOrganization();
+    await Organization.findByIdAndUpdate(organization._id, { tier: 'free', validationsUsedThisMonth: 5 });
+    await inviteAndJoin(arranger, arrangerToken);
+    const originalPlans = paymentService.subscriptionPlans;
+    paymentService.subscriptionPlans = { free: { validationsPerMonth: 5 } };
+
+    const member = await User.findById(arranger._id);
+    const usage = await paymentService.canUserValidate(member);
+    paymentService.subscriptionPlans = originalPlans;
+
+    expect(usage.canValidate).toBe(false);
+    expect(usage.used).toBe(5);
+  });
+
+  it('should reset the member tier when they leave', async () => {
+    await createOrganization();
+    await inviteAndJoin(arranger, arrangerToken);
+
+    await request(app)
+      .delete(`/api/organizations/current/members/${arranger._id}`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(200);
+
+    const former = await User.findById(arranger._id);
+    expect(former.organizationId).toBeNull();
+    expect(former.tier).toBe('free');
+  });
+
+  it('should keep a paid member\'s own plan while they belong and restore it when they leave', async () => {
+    const organization = await createOrganization();
+    await User.findByIdAndUpdate(arranger._id, {
+      tier: 'professional',
+      stripeCustomerId: 'cus_arranger',
+      stripeSubscriptionId: 'sub_arranger'
+    });
+    await inviteAndJoin(arranger, arrangerToken);
+
+    const member = await User.findById(arranger._id);
+    expect(member.tier).toBe('enterprise');
+    expect(member.personalTier).toBe('professional');
+
+    // The organization's plan lapsing does not take away the plan the member pays for
+    organization.tier = 'free';
+    await organization.save();
+    await organizationService.syncMemberTiers(organization);
+    expect((await User.findById(arranger._id)).tier).toBe('professional');
+
+    await request(app)
+      .delete(`/api/organizations/current/members/${arranger._id}`)
+      .set('Authorization', `Bearer ${arrangerToken}`)
+      .expect(200);
+
+    const former = await User.findById(arranger._id);
+    expect(former.tier).toBe('professional');
+    expect(former.personalTier).toBeNull();
+    expect(former.stripeSubscriptionId).toBe('sub_arranger');
+  });
+
+  it('should apply a member\'s own subscription changes to their personal tier', async () => {
+    await createOrganization();
+    await inviteAndJoin(arranger, arrangerToken);
+    await User.findByIdAndUpdate(arranger._id, { stripeCustomerId: 'cus_arranger' });
+
+    await paymentService.handleSubscriptionCanceled({ customer: 'cus_arranger' });
+
+    const member = await User.findById(arranger._id);
+    expect(member.tier).toBe('enterprise');
+    expect(member.personalTier).toBe('free');
+  });
+
+  it('should not allow the owner to be removed', async () => {
+    await createOrganization();
+
+    await request(app)
+      .delete(`/api/organizations/current/members/${owner._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const piiDetection = require('../src/services/piiDetection');
+const redactionService = require('../src/services/redactionService');
+const encryptionService = require('../src/services/encryptionService');
+const localKeyProvider = require('../src/services/keyProviders/localKeyProvider');
+const documentValidationService = require('../src/services/documentValidation');
+
+describe('PII Detection and Redaction', () => {
+  const types = (text) => piiDetection.findSpans(text).map(span => span.type);
+
+  describe('Detection', () => {
+    it('should detect SSNs with or without separators', () => {
+      expect(types('Principal SSN: 123-45-6789')).toEqual(['ssn']);
+      expect(types('Social Security No. 123456789')).toEqual(['ssn']);
+      expect(types('Case 123456789 was filed')).toEqual([]);
+      expect(types('Number 000-12-3456')).toEqual([]);
+    });
+
+    it('should detect labeled license, bank and birth date values', () => {
+      expect(types("Driver's License No. D1234567")).toEqual(['drivers_license']);
+      expect(types('Bank Account # 0012 3456 789')).toEqual(['bank_account']);
+      expect(types('Date of Birth: March 4, 1948')).toEqual(['dob']);
+      expect(types('DOB 03/04/1948')).toEqual(['dob']);
+      expect(types('Call (555) 123-4567 for questions')).toEqual(['phone']);
+    });
+
+    it('should only accept routing numbers with a valid checksum', () => {
+      expect(piiDetection.isValidRoutingNumber('021000021')).toBe(true);
+      expect(piiDetection.isValidRoutingNumber('021000022')).toBe(false);
+      expect(types('Routing Number: 021000021')).toEqual(['routing_number']);
+      expect(types('Routing Number: 021000022')).toEqual([]);
+    });
+
+    it('should mask values without moving any other text', () => {
+      const text = 'Agent: Jane Doe\nSSN: 123-45-6789\nPhone: 555-123-4567';
+
+      const { redactedText, pii } = piiDetection.detect(text);
+
+      expect(redactedText).toBe('Agent: Jane Doe\nSSN: ***-**-****\nPhone: ***-***-****');
+      expect(redactedText.length).toBe(text.length);
+      expect(pii.spans.map(span => text.slice(span.start, span.end))).toEqual(['123-45-6789', '555-123-4567']);
+    });
+
+    it('should summarize counts without the values', () => {
+      const { pii } = piiDetection.detect('SSN 123-45-6789, spouse SSN 487-65-4320, DOB 1/2/1950');
+
+      const summary = piiDetection.summarize(pii);
+
+      expect(summary).toMatchObject({ detected: true, total: 3, byType: { ssn: 2, dob: 1 }, unlocated: 3 });
+      expect(JSON.stringify(summary)).not.toContain('6789');
+    });
+  });
+
+  describe('Locating values on the page', () => {
+    it('should map spans to OCR word boxes', () => {
+      const text = 'Principal SSN 123-45-6789';
+      const ocrResult = {
+        imageSize: { width: 1000, height: 500 },
+        words: [
+          { text: 'Principal', bbox: { x0: 100, y0: 50, x1: 300, y1: 80 } },
+          { text: 'SSN', bbox: { x0: 320, y0: 50, x1: 400, y1: 80 } },
+          { text: '123-45-6789', bbox: { x0: 420, y0: 50, x1: 700, y1: 80 } }
+        ]
+      };
+
+      const { pii } = piiDetection.detectInImage(text, ocrResult);
+
+      expect(pii.spans).toHaveLength(1);
+      expect(pii.spans[0].regions).toEqual([{ pageNumber: 1, x0: 0.42, y0: 0.1, x1: 0.7, y1: 0.16 }]);
+    });
+
+    it('should use page offsets from PDF text', () => {
+      const text = 'Page one\n\nSSN 123-45-6789';
+      const pages = [
+        { pageNumber: 1, startOffset: 0, endOffset: 8 },
+        { pageNumber: 2, startOffset: 10, endOffset: text.length }
+      ];
+      const words = [{ start: 14, end: 25, pageNumber: 2, bbox: { x0: 0.2, y0: 0.3, x1: 0.4, y1: 0.32 } }];
+
+      const { pii } = piiDetection.detect(text, { pages, words });
+
+      expect(pii.spans[0]).toMatchObject({ type: 'ssn', pageNumber: 2, regions: [{ pageNumber: 2, x0: 0.2 }] });
+    });
+  });
+
+  describe('Redacted copies', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-redaction-'));
+      process.env.ENCRYPTION_KEY_FILE = path.join(tempDir, 'master.key');
+      localKeyProvider.reload();
+    });
+
+    afterEach(async () => {
+      delete process.env.ENCRYPTION_KEY_FILE;
+      localKeyProvider.keys = null;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const storeImage = async () => {
+      const filePath = path.join(tempDir, 'scan.png');
+      const image = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } }).png().toBuffer();
+      await fs.writeFile(filePath, await encryptionService.encrypt(image));
+      return filePath;
+    };
+
+    it('should black out located regions of an image', async () => {
+      const document = {
+        filePath: await storeImage(),
+        originalName: 'scan.png',
+        mimeType: 'image/png',
+        pii: {
+          detectedAt: new Date(),
+          spans: [{ type: 'ssn', start: 0, end: 11, regions: [{ pageNumber: 1, x0: 0.1, y0: 0.2, x1: 0.5, y1: 0.6 }] }]
+        }
+      };
+
+      const redacted = await redactionService.renderRedacted(document);
+      const { data, info } = await sharp(redacted.buffer).raw().toBuffer({ resolveWithObject: true });
+      const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+
+      expect(redacted).toMatchObject({ mimeType: 'image/png', filename: 'redacted-scan.png' });
+      expect(pixel(60, 40)).toBe(0);
+      expect(pixel(150, 80)).toBe(255);
+    });
+
+    it('should refuse when a value could not be located', async () => {
+      const document = {
+        filePath: await storeImage(),
+        originalName: 'scan.png',
+        mimeType: 'image/png',
+        pii: { detectedAt: new Date(), spans: [{ type: 'ssn', start: 0, end: 11, regions: [] }] }
+      };
+
+      await expect(redactionService.renderRedacted(document)).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should refuse documents processed before detection existed', async () => {
+      const document = { filePath: await storeImage(), originalName: 'scan.png', mimeType: 'image/png' };
+
+      await expect(redactionService.renderRedacted(document)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('Validation results', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should include redacted text and PII spans', async () => {
+      jest.spyOn(documentValidationService, 'extractTextFromPDF').mockResolvedValue({
+        text: 'DURABLE POWER OF ATTORNEY\nPrincipal SSN: 123-45-6789',
+        confidence: 100,
+        pages: [],
+        words: []
+      });
+
+      const results = await documentValidationService.validateDocument('/tmp/poa.pdf', 'poa.pdf');
+
+      expect(results.redactedText).toContain('SSN: ***-**-****');
+      expect(results.pii.spans).toEqual([expect.objectContaining({ type: 'ssn' })]);
+    });
+  });
+});
@@ -0,0 +1,355 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const Case = require('../src/models/Case');
+const PurgeRun = require('../src/models/PurgeRun');
+const AuditLog = require('../src/models/AuditLog');
+const retentionService = require('../src/services/retentionService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Data Retention', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+  let user;
+  let token;
+  let admin;
+  let adminToken;
+  let tempDir;
+
+  const signToken = (account) => jwt.sign({ id: account._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  const setPolicy = (policy) => request(app)
+    .put('/api/users/retention-policy')
+    .set('Authorization', `Bearer ${token}`)
+    .send(policy);
+
+  const createDocument = async (overrides = {}) => {
+    const filePath = path.join(tempDir, `${Date.now()}-${Math.random()}.pdf`);
+    await fs.writeFile(filePath, '%PDF-1.4 Principal SSN 123-45-6789');
+
+    return Document.create({
+      userId: user._id,
+      filename: path.basename(filePath),
+      originalName: 'smith-poa.pdf',
+      fileSize: 1024,
+      filePath,
+      mimeType: 'application/pdf',
+      status: 'completed',
+      extractedText: 'Principal SSN 123-45-6789',
+      redactedText: 'Principal SSN ***-**-****',
+      validationResults: { overall: 'pass' },
+      notes: 'Spoke with the agent',
+      ...overrides
+    });
+  };
+
+  const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await AuditLog.init();
+    await PurgeRun.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-retention-'));
+
+    user = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'retention@example.com',
+      password: 'password123'
+    });
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    token = signToken(user);
+    adminToken = signToken(admin);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Policies', () => {
+    it('should save a personal retention policy', async () => {
+      const response = await setPolicy({ enabled: true, startFrom: 'case_closed', originalFileDays: 90, recordDays: 2555 })
+        .expect(200);
+
+      expect(response.body.retentionPolicy).toMatchObject({
+        enabled: true,
+        startFrom: 'case_closed',
+        originalFileDays: 90,
+        recordDays: 2555
+      });
+
+      const saved = await User.findById(user._id);
+      expect(saved.retentionPolicy.updatedBy.toString()).toBe(user._id.toString());
+    });
+
+    it('should reject a record period shorter than the file period', async () => {
+      const response = await setPolicy({ enabled: true, originalFileDays: 90, recordDays: 30 }).expect(400);
+
+      expect(response.body.error).toMatch(/recordDays must be at least originalFileDays/);
+    });
+
+    it('should reject an enabled policy without periods', async () => {
+      await setPolicy({ enabled: true }).expect(400);
+      await setPolicy({ enabled: true, originalFileDays: 0 }).expect(400);
+    });
+  });
+
+  describe('Purge', () => {
+    it('should purge the original file and text but keep the validation record', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90, recordDays: 2555 }).expect(200);
+      const document = await createDocument();
+
+      const run = await retentionService.runPurge({ now: daysFromNow(91) });
+
+      const purged = await Document.findById(document._id);
+      expect(run.counts.originalsPurged).toBe(1);
+      expect(await fileExists(document.filePath)).toBe(false);
+      expect(purged.extractedText).toBeUndefined();
+      expect(purged.redactedText).toBeUndefined();
+      expect(purged.retention.originalPurgedAt).toBeTruthy();
+      expect(purged.validationResults.overall).toBe('pass');
+      expect(purged.retention.recordPurgedAt).toBeNull();
+
+      await request(app)
+        .get(`/api/documents/${document._id}/download`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(410);
+    });
+
+    it('should leave a tombstone once the record period ends', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90, recordDays: 2555 }).expect(200);
+      const document = await createDocument({ caseId: 'C-100' });
+
+      await retentionService.runPurge({ now: daysFromNow(2556) });
+
+      const tombstone = await Document.findById(document._id);
+      expect(tombstone.originalName).toBe('smith-poa.pdf');
+      expect(tombstone.caseId).toBe('C-100');
+      expect(tombstone.validationResults).toBeUndefined();
+      expect(tombstone.notes).toBeUndefined();
+      expect(tombstone.extractedText).toBeUndefined();
+      expect(tombstone.retention.recordPurgedAt).toBeTruthy();
+      expect(await fileExists(document.filePath)).toBe(false);
+
+      await request(app)
+        .get(`/api/documents/${document._id}/report`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(410);
+    });
+
+    it('should keep documents that are not due or have no policy', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90 }).expect(200);
+      const recent = await createDocument();
+      const other = await User.create({ firstName: 'No', lastName: 'Policy', email: 'nopolicy@example.com', password: 'password123' });
+      const unmanaged = await createDocument({ userId: other._id });
+
+      const run = await retentionService.runPurge({ now: daysFromNow(30) });
+      await retentionService.runPurge({ now: daysFromNow(365) });
+
+      expect(run.counts.originalsPurged).toBe(0);
+      expect(await fileExists(unmanaged.filePath)).toBe(true);
+      expect((await Document.findById(recent._id)).retention.originalPurgedAt).toBeTruthy();
+    });
+
+    it('should count from case closure when the policy says so', async () => {
+      await setPolicy({ enabled: true, startFrom: 'case_closed', originalFileDays: 90 }).expect(200);
+      await Case.create({
+        userId: user._id,
+        caseNumber: 'OPEN-1',
+        decedent: { firstName: 'Jane', lastName: 'Open' }
+      });
+      await Case.create({
+        userId: user._id,
+        caseNumber: 'CLOSED-1',
+        decedent: { firstName: 'John', lastName: 'Closed' },
+        status: 'cremated',
+        statusHistory: [{ status: 'cremated', changedAt: daysFromNow(60) }]
+      });
+      const openCase = await createDocument({ caseId: 'OPEN-1' });
+      const closedCase = await createDocument({ caseId: 'CLOSED-1' });
+
+      await retentionService.runPurge({ now: daysFromNow(120) });
+      expect((await Document.findById(closedCase._id)).retention.originalPurgedAt).toBeNull();
+
+      await retentionService.runPurge({ now: daysFromNow(151) });
+      expect((await Document.findById(closedCase._id)).retention.originalPurgedAt).toBeTruthy();
+      expect((await Document.findById(openCase._id)).retention.originalPurgedAt).toBeNull();
+    });
+
+    it('should record purges in the audit log as system actions', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90 }).expect(200);
+      const document = await createDocument();
+
+      const run = await retentionService.runPurge({ now: daysFromNow(91) });
+
+      const [entry] = await AuditLog.find({ action: 'document.purged' });
+      expect(entry.targetId.toString()).toBe(document._id.toString());
+      expect(entry.actorId).toBeNull();
+      expect(entry.metadata).toEqual({ purged: 'original', runId: run._id.toString() });
+    });
+  });
+
+  describe('Legal holds', () => {
+    const placeHold = (documentId, body) => request(app)
+      .put(`/api/documents/${documentId}/legal-hold`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('should skip held documents', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90 }).expect(200);
+      const document = await createDocument();
+      await placeHold(document._id, { active: true, reason: 'Litigation: Smith v. Jones' }).expect(200);
+
+      const run = await retentionService.runPurge({ now: daysFromNow(91) });
+
+      expect(run.counts.skippedLegalHold).toBe(1);
+      expect(run.counts.originalsPurged).toBe(0);
+      expect(await fileExists(document.filePath)).toBe(true);
+
+      await placeHold(document._id, { active: false }).expect(200);
+      await retentionService.runPurge({ now: daysFromNow(91) });
+      expect(await fileExists(document.filePath)).toBe(false);
+
+      const actions = (await AuditLog.find().sort({ sequence: 1 })).map(entry => entry.action);
+      expect(actions).toEqual(['document.legal_hold_placed', 'document.legal_hold_released', 'document.purged']);
+    });
+
+    it('should skip documents filed under a held case', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 90 }).expect(200);
+      const caseDoc = await Case.create({
+        userId: user._id,
+        caseNumber: 'HELD-1',
+        decedent: { firstName: 'Jane', lastName: 'Held' }
+      });
+      const document = await createDocument({ caseId: 'HELD-1' });
+
+      await request(app)
+        .put(`/api/cases/${caseDoc._id}/legal-hold`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ active: true, reason: 'Subpoena' })
+        .expect(200);
+
+      const run = await retentionService.runPurge({ now: daysFromNow(91) });
+
+      expect(run.counts.skippedLegalHold).toBe(1);
+      expect(await fileExists(document.filePath)).toBe(true);
+    });
+
+    it('should require a reason to place a hold', async () => {
+      const document = await createDocument();
+
+      await placeHold(document._id, { active: true }).expect(400);
+    });
+
+    it('should block deleting held documents and cases', async () => {
+      const document = await createDocument();
+      const caseDoc = await Case.create({
+        userId: user._id,
+        caseNumber: 'HELD-2',
+        decedent: { firstName: 'Jane', lastName: 'Held' },
+        legalHold: { active: true, reason: 'Subpoena' }
+      });
+      await placeHold(document._id, { active: true, reason: 'Subpoena' }).expect(200);
+
+      await request(app)
+        .delete(`/api/documents/${document._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+      await request(app)
+        .post('/api/documents/bulk-action')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ action: 'delete', documentIds: [document._id.toString()] })
+        .expect(409);
+      await request(app)
+        .delete(`/api/cases/${caseDoc._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(await Document.exists({ _id: document._id })).toBeTruthy();
+    });
+  });
+
+  describe('Purge report', () => {
+    it('should list runs with counts and the purged documents', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 1 }).expect(200);
+      const document = await createDocument();
+      await retentionService.runPurge({ now: daysFromNow(2) });
+
+      const list = await request(app)
+        .get('/api/admin/retention/runs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.runs).toHaveLength(1);
+      expect(list.body.runs[0].counts).toMatchObject({ libraries: 1, originalsPurged: 1 });
+      expect(list.body.legalHolds).toEqual({ documents: 0, cases: 0 });
+
+      const detail = await request(app)
+        .get(`/api/admin/retention/runs/${list.body.runs[0]._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(detail.body.run.items).toEqual([
+        expect.objectContaining({ documentId: document._id.toString(), originalName: 'smith-poa.pdf', purged: 'original' })
+      ]);
+    });
+
+    it('should preview a run without changing anything', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 1 }).expect(200);
+      const document = await createDocument({ createdAt: daysFromNow(-2) });
+
+      const response = await request(app)
+        .post('/api/admin/retention/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dryRun: true })
+        .expect(200);
+
+      expect(response.body.run.counts.originalsPurged).toBe(1);
+      expect(await PurgeRun.countDocuments()).toBe(0);
+      expect(await fileExists(document.filePath)).toBe(true);
+    });
+
+    it('should run each scheduled period in one process only', async () => {
+      await setPolicy({ enabled: true, originalFileDays: 1 }).expect(200);
+      await createDocument();
+      const now = daysFromNow(2);
+
+      const runs = await Promise.all([
+        retentionService.runScheduledPurge(now),
+        retentionService.runScheduledPurge(now)
+      ]);
+
+      expect(runs.filter(Boolean)).toHaveLength(1);
+      expect(await PurgeRun.countDocuments()).toBe(1);
+      expect((await PurgeRun.findOne()).counts.originalsPurged).toBe(1);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/admin/retention/runs')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+});
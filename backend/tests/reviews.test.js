@@ -0,0 +1,169 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Human Review', () => {
+  let authToken;
+  let testUser;
+
+  const validationResults = {
+    overall: 'fail',
+    notaryValidation: { status: 'fail', issues: ['Notary commission number not found in the state registry'] },
+    witnessValidation: { status: 'pass', issues: [] },
+    verbiageValidation: { status: 'pass', issues: [] },
+    additionalChecks: {
+      dateValidation: { status: 'warning', issues: ['Document date not found'] },
+      signatureValidation: { status: 'pass', issues: [] }
+    }
+  };
+
+  const documentFields = (overrides = {}) => ({
+    userId: testUser?._id,
+    filename: 'poa.pdf',
+    originalName: 'poa.pdf',
+    fileSize: 1024,
+    filePath: '/tmp/poa.pdf',
+    mimeType: 'application/pdf',
+    status: 'completed',
+    validationResults,
+    review: { automatedOverall: 'fail' },
+    ...overrides
+  });
+
+  const submitReview = (documentId, checks) => request(app)
+    .post(`/api/documents/${documentId}/review`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ checks });
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'Reviewer',
+      email: 'reviewer@example.com',
+      password: 'password123',
+      tier: 'professional'
+    });
+
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET || 'test-secret',
+      { expiresIn: '1h' }
+    );
+  });
+
+  describe('Reviewed overall status', () => {
+    it('should let overridden checks replace the automated status', () => {
+      const document = new Document(documentFields({
+        review: {
+          humanReviewed: true,
+          automatedOverall: 'fail',
+          checks: [{ check: 'notary', decision: 'overridden', automatedStatus: 'fail', status: 'pass', reason: 'Commission confirmed with the Secretary of State' }]
+        }
+      }));
+
+      expect(document.calculateOverallStatus()).toBe('pass');
+      expect(document.validationSummary).toMatchObject({ automatedOverall: 'fail', humanReviewed: true, failed: 0 });
+    });
+
+    it('should count date and signature checks once a reviewer rules on them', () => {
+      const document = new Document(documentFields({
+        validationResults: { ...validationResults, notaryValidation: { status: 'pass' } }
+      }));
+      expect(document.calculateOverallStatus()).toBe('pass');
+
+      document.review.checks.push({ check: 'dates', decision: 'confirmed', automatedStatus: 'warning', status: 'warning' });
+      expect(document.calculateOverallStatus()).toBe('warning');
+    });
+  });
+
+  describe('Review API', () => {
+    it('should record an override and recompute the overall result', async () => {
+      const document = await Document.create(documentFields());
+
+      const response = await submitReview(document._id, [
+        { check: 'notary', decision: 'overridden', status: 'pass', reason: 'Commission confirmed by phone' },
+        { check: 'witness', decision: 'confirmed' }
+      ]).expect(200);
+
+      expect(response.body.review).toMatchObject({ humanReviewed: true, automatedOverall: 'fail', overall: 'pass' });
+      expect(response.body.review.checks.find(check => check.check === 'notary')).toMatchObject({
+        automatedStatus: 'fail',
+        decision: 'overridden',
+        reviewedStatus: 'pass',
+        reviewerName: 'Test Reviewer'
+      });
+
+      const saved = await Document.findById(document._id);
+      expect(saved.validationResults.overall).toBe('pass');
+      expect(saved.review.history).toHaveLength(2);
+    });
+
+    it('should keep every decision in the history', async () => {
+      const document = await Document.create(documentFields());
+
+      await submitReview(document._id, [
+        { check: 'notary', decision: 'overridden', status: 'pass', reason: 'Commission confirmed by phone' }
+      ]).expect(200);
+      const response = await submitReview(document._id, [
+        { check: 'notary', decision: 'confirmed' }
+      ]).expect(200);
+
+      expect(response.body.review.overall).toBe('fail');
+      expect(response.body.review.checks).toEqual(expect.arrayContaining([
+        expect.objectContaining({ check: 'notary', decision: 'confirmed', reviewedStatus: 'fail' })
+      ]));
+      expect(response.body.review.history.map(entry => entry.previousStatus)).toEqual(['fail', 'pass']);
+    });
+
+    it('should require a reason to override a check', async () => {
+      const document = await Document.create(documentFields());
+
+      const response = await submitReview(document._id, [
+        { check: 'notary', decision: 'overridden', status: 'pass' }
+      ]).expect(400);
+
+      expect(response.body.error).toBe('A reason is required to override the notary check');
+    });
+
+    it('should reject unknown checks', async () => {
+      const document = await Document.create(documentFields());
+
+      const response = await submitReview(document._id, [
+        { check: 'handwriting', decision: 'confirmed' }
+      ]).expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    it('should not review documents that are still processing', async () => {
+      const document = await Document.create(documentFields({ status: 'processing', validationResults: undefined }));
+
+      await submitReview(document._id, [{ check: 'notary', decision: 'confirmed' }]).expect(400);
+    });
+
+    it('should return the review summary', async () => {
+      const document = await Document.create(documentFields());
+
+      const response = await request(app)
+        .get(`/api/documents/${document._id}/review`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.review.humanReviewed).toBe(false);
+      expect(response.body.review.checks.map(check => check.check)).toEqual(['notary', 'witness', 'verbiage', 'dates', 'signatures']);
+    });
+  });
+});
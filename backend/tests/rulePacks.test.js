@@ -0,0 +1,111 @@
+const rules = require('../src/rules');
+const documentValidationService = require('../src/services/documentValidation');
+
+describe('Validation Rule Packs', () => {
+  describe('Registry', () => {
+    it('should resolve packs by code and alias', () => {
+      expect(rules.getRulePack('CA').name).toBe('California');
+      expect(rules.getRulePack('nv').code).toBe('NV');
+      expect(rules.getRulePack('Arizona').code).toBe('AZ');
+    });
+
+    it('should return null for unsupported jurisdictions', () => {
+      expect(rules.getRulePack('TX')).toBeNull();
+      expect(rules.getRulePack()).toBeNull();
+    });
+
+    it('should default to California', () => {
+      expect(rules.getDefaultRulePack().code).toBe('CA');
+      expect(documentValidationService.resolveRulePack().code).toBe('CA');
+    });
+
+    it('should reject unsupported jurisdictions during validation', () => {
+      expect(() => documentValidationService.resolveRulePack('TX')).toThrow('Unsupported jurisdiction: TX');
+    });
+
+    it('should reject incomplete rule packs', () => {
+      expect(() => rules.registerRulePack({ code: 'OR', name: 'Oregon' })).toThrow('missing version, verbiage, witnesses, notary');
+    });
+
+    it('should list registered packs', () => {
+      const codes = rules.listRulePacks().map(pack => pack.code);
+
+      expect(codes).toEqual(expect.arrayContaining(['CA', 'NV', 'AZ']));
+    });
+
+    it('should cite the statutes behind every check', () => {
+      ['CA', 'NV', 'AZ'].forEach(code => {
+        const pack = rules.getRulePack(code);
+        ['verbiage', 'witnesses', 'notary', 'term', 'identities'].forEach(check => {
+          expect(pack[check].citations.length).toBeGreaterThan(0);
+        });
+      });
+    });
+  });
+
+  describe('California pack', () => {
+    it('should keep the legacy California requirements', () => {
+      const ca = rules.getRulePack('CA');
+
+      expect(ca.verbiage.requiredPhrases).toEqual([
+        'power of attorney',
+        'cremation',
+        'disposition of remains',
+        'authorize',
+        'durable power of attorney'
+      ]);
+      expect(ca.witnesses.required).toBe(1);
+      expect(ca.witnesses.prohibited).toEqual(['agent', 'attorney-in-fact', 'spouse', 'heir', 'beneficiary']);
+    });
+  });
+
+  describe('Jurisdiction-specific checks', () => {
+    const nevadaText = `
+      Nevada Power of Attorney for Health Care
+      I authorize my agent to direct the cremation and disposition of remains.
+      Notary Public: Jane Doe
+      Witness: Bob Jones
+    `;
+
+    it('should require two witnesses in Nevada without a notary', async () => {
+      const result = await documentValidationService.validateWitnesses(nevadaText, rules.getRulePack('NV'));
+
+      expect(result.requiredWitnesses).toBe(2);
+      expect(result.status).toBe('fail');
+      expect(result.citations.length).toBeGreaterThan(0);
+    });
+
+    it('should accept notarization in place of witnesses in Nevada', async () => {
+      const result = await documentValidationService.validateWitnesses(nevadaText, rules.getRulePack('NV'), {
+        notarized: true
+      });
+
+      expect(result.requiredWitnesses).toBe(0);
+      expect(result.status).toBe('pass');
+    });
+
+    it('should check the document references the selected jurisdiction', async () => {
+      const nevada = await documentValidationService.validateVerbiage(nevadaText, null, rules.getRulePack('NV'));
+      const arizona = await documentValidationService.validateVerbiage(nevadaText, null, rules.getRulePack('AZ'));
+
+      expect(nevada.issues).not.toContain('Document may not be Nevada-specific');
+      expect(arizona.issues).toContain('Document may not be Arizona-specific');
+    });
+
+    it('should tag results with the rule pack used', async () => {
+      jest.spyOn(documentValidationService, 'extractTextFromPDF').mockResolvedValue({
+        text: nevadaText,
+        confidence: 95,
+        pages: null
+      });
+
+      const result = await documentValidationService.validateDocument('/tmp/poa.pdf', 'poa.pdf', { jurisdiction: 'NV' });
+
+      expect(result.jurisdiction).toBe('NV');
+      expect(result.rulePackVersion).toBe('1.0.0');
+      expect(result.witnessValidation.requiredWitnesses).toBe(0);
+
+      documentValidationService.extractTextFromPDF.mockRestore();
+    });
+  });
+});
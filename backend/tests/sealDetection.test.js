@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const sealDetection = require('../src/services/sealDetection');
+const imageProcessingService = require('../src/services/imageProcessingService');
+const encryptionService = require('../src/services/encryptionService');
+const documentValidationService = require('../src/services/documentValidation');
+
+const PAGE_WIDTH = 1000;
+const PAGE_HEIGHT = 1300;
+
+const rectangleSeal = (x, y) => `<rect x="${x}" y="${y}" width="280" height="110" fill="none" stroke="#5b2a86" stroke-width="5"/>`;
+const roundSeal = (cx, cy) => `<circle cx="${cx}" cy="${cy}" r="80" fill="none" stroke="#000000" stroke-width="5"/>`;
+const textBlock = (x, y) => Array.from({ length: 6 }, (_, row) =>
+  Array.from({ length: 12 }, (_, word) => `<rect x="${x + word * 60}" y="${y + row * 24}" width="48" height="10" fill="#222222"/>`).join('')
+).join('');
+
+const renderPage = (content) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}">
+    <rect width="100%" height="100%" fill="#ffffff"/>
+    ${content}
+  </svg>`
+)).png().toBuffer();
+
+// Text lines as page fractions, from pixel positions
+const line = (text, x, y, width = 300) => ({
+  text,
+  confidence: 90,
+  bbox: { x0: x / PAGE_WIDTH, y0: y / PAGE_HEIGHT, x1: (x + width) / PAGE_WIDTH, y1: (y + 20) / PAGE_HEIGHT }
+});
+
+const acknowledgmentLines = [
+  line('On January 5, 2025 before me, Jane Roe, Notary Public, personally appeared', 100, 700, 800),
+  line('who acknowledged before me that he executed the same', 100, 730, 600)
+];
+
+const sealLines = [
+  line('JANE ROE', 620, 920, 150),
+  line('COMM. #2345678', 620, 945, 180),
+  line('MY COMM. EXPIRES JAN. 12, 2027', 570, 970, 260)
+];
+
+describe('Notary Seal Detection', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Finding seals', () => {
+    it('should find a rectangular seal and read its commission details', async () => {
+      const page = await renderPage(`${textBlock(100, 100)}${rectangleSeal(560, 900)}`);
+
+      const seals = await sealDetection.analyzePage(page, [...acknowledgmentLines, ...sealLines], 2);
+
+      expect(seals).toHaveLength(1);
+      expect(seals[0]).toMatchObject({ pageNumber: 2, shape: 'rectangle', commissionNumber: '2345678' });
+      expect(seals[0].commissionExpiry.getFullYear()).toBe(2027);
+      expect(seals[0].bbox.x0).toBeCloseTo(0.56, 1);
+    });
+
+    it('should find a round seal', async () => {
+      const page = await renderPage(roundSeal(700, 950));
+
+      const seals = await sealDetection.analyzePage(page, [line('COMM. #2345678', 620, 940, 160)]);
+
+      expect(seals).toEqual([expect.objectContaining({ shape: 'circle', commissionNumber: '2345678' })]);
+    });
+
+    it('should ignore text, filled boxes and page-wide rules', async () => {
+      const page = await renderPage([
+        textBlock(100, 100),
+        '<rect x="100" y="500" width="200" height="120" fill="#000000"/>',
+        '<rect x="100" y="800" width="800" height="3" fill="#000000"/>'
+      ].join(''));
+
+      expect(await sealDetection.analyzePage(page, acknowledgmentLines)).toEqual([]);
+    });
+
+    it('should read the seal on its own when the page text has no commission number', async () => {
+      const page = await renderPage(rectangleSeal(560, 900));
+      const extractText = jest.spyOn(imageProcessingService, 'extractTextFromImage').mockResolvedValue({
+        success: true,
+        extractedText: 'JANE ROE\nCOMM. # 2345678\nNOTARY PUBLIC - CALIFORNIA\nMY COMM. EXP. 01/12/2027'
+      });
+
+      const [seal] = await sealDetection.analyzePage(page, acknowledgmentLines);
+
+      expect(extractText).toHaveBeenCalledTimes(1);
+      const { width } = await sharp(extractText.mock.calls[0][0]).metadata();
+      expect(width).toBeGreaterThan(560);
+      expect(seal.commissionNumber).toBe('2345678');
+      expect(seal.commissionExpiry.getMonth()).toBe(0);
+    });
+  });
+
+  describe('Reading seal text', () => {
+    it('should read commission numbers and expiry dates in common layouts', () => {
+      expect(sealDetection.parseSealText('COMMISSION NO. 2345678 EXPIRES 1/12/2027')).toEqual({
+        commissionNumber: '2345678',
+        commissionExpiry: new Date(2027, 0, 12)
+      });
+      expect(sealDetection.parseSealText('Comm. # 234 5678\nMy Comm. Expires January 12, 2027')).toEqual({
+        commissionNumber: '2345678',
+        commissionExpiry: new Date(2027, 0, 12)
+      });
+      expect(sealDetection.parseSealText('MY COMM. EXP. 01-12-27').commissionExpiry).toEqual(new Date(2027, 0, 12));
+      expect(sealDetection.parseSealText('NOTARY PUBLIC - CALIFORNIA')).toEqual({
+        commissionNumber: null,
+        commissionExpiry: null
+      });
+    });
+
+    it('should treat letters OCR confuses with digits as digits', () => {
+      expect(sealDetection.normalizeCommissionNumber('23456O8')).toBe('2345608');
+      expect(sealDetection.normalizeCommissionNumber('A-1234567')).toBe('A1234567');
+    });
+  });
+
+  describe('Comparing with the certificate', () => {
+    const certificate = { commissionNumber: '2345678', commissionExpiry: new Date('01/12/2027') };
+    const seal = (overrides = {}) => ({
+      pageNumber: 1,
+      shape: 'rectangle',
+      bbox: { x0: 0.5, y0: 0.7, x1: 0.8, y1: 0.8 },
+      commissionNumber: '2345678',
+      commissionExpiry: new Date(2027, 0, 12),
+      ...overrides
+    });
+
+    it('should pass a seal that matches the certificate', () => {
+      const result = sealDetection.compare([seal()], certificate);
+
+      expect(result).toMatchObject({ status: 'pass', issues: [] });
+      expect(result.seal).toMatchObject({ found: true, commissionNumberMatches: true, commissionExpiryMatches: true });
+    });
+
+    it('should fail a missing seal', () => {
+      expect(sealDetection.compare([], certificate)).toEqual({
+        status: 'fail',
+        seal: { found: false },
+        issues: ['Notary seal not found on the acknowledgment']
+      });
+    });
+
+    it('should fail a seal whose commission differs from the certificate', () => {
+      const result = sealDetection.compare([seal({ commissionNumber: '2345679', commissionExpiry: new Date(2028, 0, 12) })], certificate);
+
+      expect(result.status).toBe('fail');
+      expect(result.issues).toEqual([
+        'Commission number on the notary seal (2345679) does not match the certificate (2345678)',
+        'Commission expiry on the notary seal (01/12/2028) does not match the certificate (01/12/2027)'
+      ]);
+    });
+
+    it('should warn when the seal text cannot be read', () => {
+      const result = sealDetection.compare([seal({ commissionNumber: null, commissionExpiry: null })], certificate);
+
+      expect(result.status).toBe('warning');
+      expect(result.seal.commissionNumberMatches).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    let tempDir;
+
+    const acknowledgmentText = [
+      'DURABLE POWER OF ATTORNEY',
+      'Notary Public: Jane Roe',
+      'Commission Number: 2345678',
+      'Commission Expires: 01/12/2027',
+      'acknowledged before me'
+    ].join('\n');
+
+    const validateScan = async (content, lines) => {
+      const filePath = path.join(tempDir, 'scan.png');
+      await fs.writeFile(filePath, await encryptionService.encrypt(await renderPage(content)));
+
+      const toPixels = ({ text, confidence, bbox }) => ({
+        text,
+        confidence,
+        bbox: { x0: bbox.x0 * PAGE_WIDTH, y0: bbox.y0 * PAGE_HEIGHT, x1: bbox.x1 * PAGE_WIDTH, y1: bbox.y1 * PAGE_HEIGHT }
+      });
+      jest.spyOn(imageProcessingService, 'extractTextFromImage').mockResolvedValue({
+        success: true,
+        extractedText: acknowledgmentText,
+        confidence: 90,
+        words: [],
+        lines: lines.map(toPixels),
+        imageSize: { width: PAGE_WIDTH, height: PAGE_HEIGHT }
+      });
+
+      return documentValidationService.validateDocument(filePath, 'scan.png');
+    };
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-seals-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should fail an acknowledgment without a seal', async () => {
+      const results = await validateScan(textBlock(100, 100), acknowledgmentLines);
+
+      expect(results.notaryValidation.status).toBe('fail');
+      expect(results.notaryValidation.seal).toEqual({ found: false });
+      expect(results.notaryValidation.issues).toContain('Notary seal not found on the acknowledgment');
+    });
+
+    it('should report a seal that contradicts the certificate', async () => {
+      const results = await validateScan(rectangleSeal(560, 900), [
+        ...acknowledgmentLines,
+        line('COMM. #2345679', 620, 945, 180)
+      ]);
+
+      expect(results.notaryValidation.status).toBe('fail');
+      expect(results.notaryValidation.seal).toMatchObject({ found: true, commissionNumberMatches: false });
+      expect(results.notaryValidation.issues).toContain(
+        'Commission number on the notary seal (2345679) does not match the certificate (2345678)'
+      );
+    });
+  });
+});
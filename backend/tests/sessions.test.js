@@ -0,0 +1,218 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const sessionService = require('../src/services/sessionService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Sessions', () => {
+  let testUser;
+
+  const login = (userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/120.0 Safari/537.36') =>
+    request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'sessions@example.com', password: 'password123' })
+      .expect(200);
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'sessions@example.com',
+      password: 'password123'
+    });
+  });
+
+  describe('Login', () => {
+    it('should issue a short-lived access token and a refresh token', async () => {
+      const response = await login();
+
+      expect(response.body).toHaveProperty('token');
+      expect(response.body).toHaveProperty('refreshToken');
+
+      const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
+      expect(decoded.sid).toBeDefined();
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+
+      const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+      expect(session.device).toBe('Chrome on macOS');
+      expect(session.refreshTokenHash).not.toBe(response.body.refreshToken);
+    });
+  });
+
+  describe('Refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body } = await login();
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      expect(refreshed.body.refreshToken).not.toBe(body.refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${refreshed.body.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the session when a rotated-out refresh token is reused', async () => {
+      const { body } = await login();
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      // Move past the grace period for concurrent refreshes
+      const { sid } = jwt.decode(body.token);
+      await Session.updateOne({ _id: sid }, { lastUsedAt: new Date(Date.now() - 60 * 1000) });
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+
+      const session = await Session.findById(sid);
+      expect(session.revokedReason).toBe('token_reuse');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshed.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject malformed refresh tokens', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-token' })
+        .expect(401);
+    });
+  });
+
+  describe('Revocation', () => {
+    it('should list sessions and revoke one', async () => {
+      const first = await login();
+      const second = await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1');
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .expect(200);
+
+      expect(list.body.sessions).toHaveLength(2);
+      const other = list.body.sessions.find(session => !session.current);
+      expect(other.device).toBe('Safari on iOS');
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .expect(200);
+
+      const revoked = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.body.token}`)
+        .expect(401);
+      expect(revoked.body.error).toBe('Session has been revoked.');
+    });
+
+    it('should end the session on logout', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+    });
+
+    it('should sign out other sessions when the password changes', async () => {
+      const current = await login();
+      const other = await login();
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${current.body.token}`)
+        .send({ currentPassword: 'wrong-password', newPassword: 'newpassword123' })
+        .expect(400);
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${current.body.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      expect(response.body.sessionsRevoked).toBe(1);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${current.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.body.token}`)
+        .expect(401);
+    });
+
+    it('should sign out every session when an admin suspends the user', async () => {
+      const { body } = await login();
+      const admin = await User.create({
+        firstName: 'Admin',
+        lastName: 'User',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      const adminToken = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      await request(app)
+        .put(`/api/admin/users/${testUser._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ active: false })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject tokens without a session issued before a revoke-all', async () => {
+      const legacyToken = jwt.sign(
+        { id: testUser._id, iat: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      await sessionService.revokeAll(testUser._id, 'revoked');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const signatureDetection = require('../src/services/signatureDetection');
+const encryptionService = require('../src/services/encryptionService');
+const documentValidationService = require('../src/services/documentValidation');
+const Document = require('../src/models/Document');
+
+const PAGE_SIZE = 1000;
+
+// A handwritten-looking stroke resting on a signature line at `y` (pixels)
+const stroke = (x, y, { blurred = false } = {}) =>
+  `<path d="M ${x} ${y - 8} C ${x + 40} ${y - 70}, ${x + 60} ${y + 10}, ${x + 100} ${y - 40} S ${x + 160} ${y - 60}, ${x + 220} ${y - 10}"
+    fill="none" stroke="#111111" stroke-width="4"${blurred ? ' filter="url(#smudge)"' : ''}/>`;
+
+const rule = (x, y) => `<rect x="${x}" y="${y}" width="300" height="3" fill="#000000"/>`;
+
+const renderPage = (content) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_SIZE}" height="${PAGE_SIZE}">
+    <defs><filter id="smudge"><feGaussianBlur stdDeviation="6"/></filter></defs>
+    <rect width="100%" height="100%" fill="#ffffff"/>
+    ${content}
+  </svg>`
+)).png().toBuffer();
+
+// OCR lines as page fractions; rules are typed underscores 300px wide ending at y + 3
+const line = (text, x, y, { width = 0.3, confidence = 95 } = {}) => ({
+  text,
+  confidence,
+  bbox: { x0: x, y0: y - 0.017, x1: x + width, y1: y + 0.003 }
+});
+
+const signatureLines = [
+  line('This durable power of attorney is signed by the principal below.', 0.1, 0.1, { width: 0.8 }),
+  line('______________________________', 0.1, 0.3),
+  line('Principal', 0.1, 0.325, { width: 0.1 }),
+  line('______________________________', 0.1, 0.5),
+  line('Witness', 0.1, 0.525, { width: 0.08 }),
+  line('______________________________', 0.5, 0.5),
+  line('Witness', 0.5, 0.525, { width: 0.08 }),
+  line('Signature of Notary Public', 0.1, 0.8, { width: 0.3 })
+];
+
+describe('Signature Detection', () => {
+  describe('Finding signature areas', () => {
+    it('should find the area above each labeled signature line', () => {
+      const areas = signatureDetection.findSignatureAreas(signatureLines);
+
+      expect(areas.map(area => area.role)).toEqual(['principal', 'witness', 'witness', 'notary']);
+      expect(areas[0].bbox.y1).toBeCloseTo(0.303);
+      expect(areas[0].bbox.x0).toBeCloseTo(0.1);
+      expect(areas[2].bbox.x0).toBeCloseTo(0.5);
+    });
+
+    it('should read the signer from the same line', () => {
+      const areas = signatureDetection.findSignatureAreas([
+        line('Witness: ____________________', 0.1, 0.5, { width: 0.4 })
+      ]);
+
+      expect(areas).toEqual([expect.objectContaining({ role: 'witness' })]);
+      expect(areas[0].bbox.x0).toBeGreaterThan(0.15);
+    });
+
+    it('should skip lines for printed names and dates', () => {
+      const areas = signatureDetection.findSignatureAreas([
+        line('______________________________', 0.1, 0.3),
+        line('Printed name of principal', 0.1, 0.325),
+        line('______________________________', 0.1, 0.4),
+        line('Date', 0.1, 0.425, { width: 0.05 })
+      ]);
+
+      expect(areas).toEqual([]);
+    });
+
+    it('should stop the area at the printed text above it', () => {
+      const [area] = signatureDetection.findSignatureAreas([
+        line('I have read this document and sign it of my own free will.', 0.1, 0.27, { width: 0.8 }),
+        line('______________________________', 0.1, 0.3),
+        line('Principal', 0.1, 0.325, { width: 0.1 })
+      ]);
+
+      expect(area.bbox.y0).toBeCloseTo(0.273);
+    });
+  });
+
+  describe('Measuring ink', () => {
+    it('should report signed, blank and illegible signatures', async () => {
+      const page = await renderPage([
+        rule(100, 300), stroke(120, 295),
+        rule(100, 500),
+        rule(500, 500), stroke(520, 495, { blurred: true })
+      ].join(''));
+
+      const signatures = await signatureDetection.analyzePage(page, signatureLines.slice(0, 7), 2);
+
+      expect(signatures.map(({ role, state, pageNumber }) => ({ role, state, pageNumber }))).toEqual([
+        { role: 'principal', state: 'signed', pageNumber: 2 },
+        { role: 'witness', state: 'blank', pageNumber: 2 },
+        { role: 'witness', state: 'illegible', pageNumber: 2 }
+      ]);
+    });
+
+    it('should not count the printed signature line as ink', async () => {
+      const page = await renderPage(rule(100, 300));
+
+      const [signature] = await signatureDetection.analyzePage(page, signatureLines.slice(1, 3));
+
+      expect(signature.state).toBe('blank');
+      expect(signature.inkDensity).toBe(0);
+    });
+
+    it('should count a typed /s/ signature as signed', async () => {
+      const page = await renderPage(rule(100, 300));
+
+      const [signature] = await signatureDetection.analyzePage(page, [
+        line('I have read this document and sign it of my own free will.', 0.1, 0.25, { width: 0.8 }),
+        line('/s/ Jane Doe', 0.12, 0.28, { width: 0.12 }),
+        ...signatureLines.slice(1, 3)
+      ]);
+
+      expect(signature).toMatchObject({ role: 'principal', state: 'signed', inkDensity: null });
+    });
+
+    it('should find signatures above a drawn line with only a label', async () => {
+      const page = await renderPage(`<line x1="100" y1="782" x2="400" y2="782" stroke="#000000" stroke-width="2"/>${stroke(120, 778)}`);
+
+      const signatures = await signatureDetection.analyzePage(page, signatureLines.slice(7));
+
+      expect(signatures).toEqual([expect.objectContaining({ role: 'notary', state: 'signed' })]);
+    });
+  });
+
+  describe('Evaluating signatures', () => {
+    const signature = (role, state) => ({ role, state, pageNumber: 1 });
+
+    it('should pass when every signature is signed', () => {
+      const result = signatureDetection.evaluate([
+        signature('principal', 'signed'),
+        signature('witness', 'signed'),
+        signature('witness', 'signed')
+      ]);
+
+      expect(result).toMatchObject({ status: 'pass', analyzed: true, principalSigned: true, issues: [] });
+      expect(result.signatures.map(s => s.label)).toEqual(['Principal', 'Witness 1', 'Witness 2']);
+    });
+
+    it('should fail illegible signatures', () => {
+      const result = signatureDetection.evaluate([
+        signature('principal', 'illegible'),
+        signature('notary', 'signed')
+      ]);
+
+      expect(result.status).toBe('fail');
+      expect(result.principalSigned).toBe(false);
+      expect(result.issues).toEqual(['Illegible signatures, please verify', 'Principal signature is illegible']);
+    });
+
+    it('should fail a blank principal signature and warn about blank witness lines', () => {
+      expect(signatureDetection.evaluate([signature('principal', 'blank')]).status).toBe('fail');
+
+      const result = signatureDetection.evaluate([
+        signature('principal', 'signed'),
+        signature('witness', 'signed'),
+        signature('witness', 'blank')
+      ]);
+      expect(result.status).toBe('warning');
+      expect(result.issues).toEqual(['Witness 2 signature is blank']);
+    });
+  });
+
+  describe('Validation', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saygoodbye-signatures-'));
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should check the signatures on a scanned image', async () => {
+      const filePath = path.join(tempDir, 'scan.png');
+      const image = await renderPage([rule(100, 300), stroke(120, 295, { blurred: true })].join(''));
+      await fs.writeFile(filePath, await encryptionService.encrypt(image));
+
+      const toPixels = ({ text, confidence, bbox }) => ({
+        text,
+        confidence,
+        bbox: {
+          x0: bbox.x0 * PAGE_SIZE,
+          y0: bbox.y0 * PAGE_SIZE,
+          x1: bbox.x1 * PAGE_SIZE,
+          y1: bbox.y1 * PAGE_SIZE
+        }
+      });
+      jest.spyOn(documentValidationService.imageProcessor, 'extractTextFromImage').mockResolvedValue({
+        success: true,
+        extractedText: 'DURABLE POWER OF ATTORNEY\n______________________________\nPrincipal',
+        confidence: 90,
+        words: [],
+        lines: signatureLines.slice(1, 3).map(toPixels),
+        imageSize: { width: PAGE_SIZE, height: PAGE_SIZE }
+      });
+
+      const results = await documentValidationService.validateDocument(filePath, 'scan.png');
+
+      expect(results.additionalChecks.signatureValidation).toMatchObject({
+        status: 'fail',
+        analyzed: true,
+        issues: expect.arrayContaining(['Illegible signatures, please verify'])
+      });
+    });
+
+    it('should leave signatures on text PDFs to the text check', async () => {
+      const analyzePage = jest.spyOn(signatureDetection, 'analyzePage');
+
+      const imageChecks = await documentValidationService.analyzePdfPages(Buffer.from('%PDF-1.4'), [
+        { text: 'Principal', lines: signatureLines.slice(1, 3), size: { width: 612, height: 792 } }
+      ]);
+
+      expect(analyzePage).not.toHaveBeenCalled();
+      expect(imageChecks.signatures).toEqual([]);
+    });
+
+    it('should count measured signatures in the overall result', () => {
+      const results = {
+        notaryValidation: { status: 'pass' },
+        additionalChecks: { signatureValidation: { status: 'fail' } }
+      };
+      expect(Document.calculateOverallStatus(results)).toBe('pass');
+
+      results.additionalChecks.signatureValidation.analyzed = true;
+      expect(Document.calculateOverallStatus(results)).toBe('fail');
+      expect(new Document({ validationResults: results }).calculateOverallStatus()).toBe('fail');
+    });
+
+    it('should fall back to the document text without signature lines', async () => {
+      const result = await documentValidationService.validateSignatures('Principal signature: Jane Doe');
+
+      expect(result).toMatchObject({ status: 'pass', principalSigned: true });
+      expect(result.analyzed).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Organization = require('../src/models/Organization');
+const twoFactorService = require('../src/services/twoFactorService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Two-Factor Authentication', () => {
+  let authToken;
+  let testUser;
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'twofactor@example.com', password: 'password123' });
+
+  // Enroll through the API and return the secret and recovery codes
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    // Use the previous step so later codes in the test are not replays
+    const code = twoFactorService.generateCode(setup.body.secret, twoFactorService.getStep() - 1);
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code })
+      .expect(200);
+
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'twofactor@example.com',
+      password: 'password123'
+    });
+
+    authToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      const secret = twoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(twoFactorService.generateCode(secret, twoFactorService.getStep(59 * 1000))).toBe('287082');
+      expect(twoFactorService.generateCode(secret, twoFactorService.getStep(1111111109 * 1000))).toBe('081804');
+    });
+
+    it('should reject codes from steps that were already used', () => {
+      const secret = twoFactorService.generateSecret();
+      const step = twoFactorService.getStep();
+      const code = twoFactorService.generateCode(secret, step);
+
+      expect(twoFactorService.matchCode(secret, code)).toBe(step);
+      expect(twoFactorService.matchCode(secret, code, { lastUsedStep: step })).toBeNull();
+    });
+  });
+
+  describe('Enrollment', () => {
+    it('should return a QR code and enable 2FA with recovery codes', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: twoFactorService.generateCode(setup.body.secret) })
+        .expect(200);
+
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'abcdef' })
+        .expect(400);
+
+      expect((await User.findById(testUser._id)).twoFactorEnabled).toBe(false);
+    });
+  });
+
+  describe('Login', () => {
+    it('should require a second step once enrolled', async () => {
+      const { secret } = await enroll();
+
+      const first = await login().expect(200);
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      const second = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: twoFactorService.generateCode(secret) })
+        .expect(200);
+
+      expect(second.body.token).toBeDefined();
+      expect(second.body.user.twoFactorEnabled).toBe(true);
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enroll();
+      const code = twoFactorService.generateCode(secret);
+
+      const first = await login();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(200);
+
+      const again = await login();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: again.body.challengeToken, code })
+        .expect(400);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await login();
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const again = await login();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: again.body.challengeToken, code: recoveryCodes[0] })
+        .expect(400);
+    });
+
+    it('should not accept the challenge token as a session token', async () => {
+      await enroll();
+      const first = await login();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.challengeToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('Organization policy', () => {
+    let organization;
+
+    beforeEach(async () => {
+      organization = await Organization.create({ name: 'Test Funeral Home', ownerId: testUser._id });
+      await User.findByIdAndUpdate(testUser._id, { organizationId: organization._id, organizationRole: 'owner' });
+    });
+
+    it('should only let members who use 2FA require it', async () => {
+      const response = await request(app)
+        .put('/api/organizations/current')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ requireTwoFactor: true })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Enable two-factor authentication/);
+
+      await enroll();
+
+      await request(app)
+        .put('/api/organizations/current')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ requireTwoFactor: true })
+        .expect(200);
+    });
+
+    it('should block members without 2FA from everything but their account settings', async () => {
+      await Organization.findByIdAndUpdate(organization._id, { requireTwoFactor: true });
+      const member = await User.create({
+        firstName: 'Member',
+        lastName: 'User',
+        email: 'member@example.com',
+        password: 'password123',
+        organizationId: organization._id,
+        organizationRole: 'member'
+      });
+      const memberToken = jwt.sign({ id: member._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const blocked = await request(app)
+        .get('/api/documents')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+      expect(blocked.body.twoFactorSetupRequired).toBe(true);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+      expect(me.body.twoFactorSetupRequired).toBe(true);
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const zlib = require('zlib');
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+// Entry count and central directory offset, from the Zip64 record when the classic one is saturated
+const readDirectory = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  const start = buffer.readUInt32LE(end + 16);
+  if (count !== MAX_UINT16 && start !== MAX_UINT32) {
+    return { count, start };
+  }
+
+  const zip64End = Number(buffer.readBigUInt64LE(end - 20 + 8));
+  return {
+    count: Number(buffer.readBigUInt64LE(zip64End + 32)),
+    start: Number(buffer.readBigUInt64LE(zip64End + 48))
+  };
+};
+
+// Central directory values saturated at 0xFFFFFFFF are listed, in order, in the Zip64 extra field
+const readZip64Values = (buffer, extraStart, extraLength, fields) => {
+  let position = extraStart;
+  while (position < extraStart + extraLength) {
+    const id = buffer.readUInt16LE(position);
+    const size = buffer.readUInt16LE(position + 2);
+    if (id === 0x0001) {
+      let valuePosition = position + 4;
+      return fields.map(value => {
+        if (value !== MAX_UINT32) return value;
+        const large = Number(buffer.readBigUInt64LE(valuePosition));
+        valuePosition += 8;
+        return large;
+      });
+    }
+    position += 4 + size;
+  }
+  return fields;
+};
+
+/**
+ * Read a zip archive into { name: Buffer } using its central directory
+ */
+const readZip = (buffer) => {
+  const { count, start } = readDirectory(buffer);
+  let position = start;
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(position + 10);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    const [, compressedSize, offset] = readZip64Values(buffer, position + 46 + nameLength, extraLength, [
+      buffer.readUInt32LE(position + 24),
+      buffer.readUInt32LE(position + 20),
+      buffer.readUInt32LE(position + 42)
+    ]);
+
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data);
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+module.exports = { readZip };
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const progressService = require('../src/services/progressService');
+const documentValidationService = require('../src/services/documentValidation');
+
+describe('Validation Progress', () => {
+  const documentId = '64b000000000000000000001';
+
+  afterEach(() => {
+    progressService.latest.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('Progress events', () => {
+    it('should deliver events to subscribers of the document', () => {
+      const received = [];
+      const unsubscribe = progressService.subscribe(documentId, event => received.push(event));
+
+      progressService.publish(documentId, 'notary');
+      progressService.publish('64b000000000000000000002', 'notary');
+      unsubscribe();
+      progressService.publish(documentId, 'witnesses');
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ documentId, stage: 'notary', percent: 65 });
+    });
+
+    it('should scale OCR progress between the text extraction and notary stages', () => {
+      expect(progressService.publish(documentId, 'ocr', { ocrProgress: 0 }).percent).toBe(10);
+      expect(progressService.publish(documentId, 'ocr', { ocrProgress: 50 }).percent).toBe(38);
+      expect(progressService.publish(documentId, 'ocr', { ocrProgress: 100 }).percent).toBe(65);
+    });
+
+    it('should keep the latest event until validation finishes', async () => {
+      progressService.publish(documentId, 'verbiage');
+      expect((await progressService.getLatest(documentId)).stage).toBe('verbiage');
+
+      progressService.publish(documentId, 'done', { overall: 'pass' });
+      expect(await progressService.getLatest(documentId)).toBeNull();
+    });
+
+    it('should reject unknown stages', () => {
+      expect(() => progressService.publish(documentId, 'printing')).toThrow('Unknown progress stage: printing');
+    });
+
+    it('should describe documents that are not being validated', () => {
+      expect(progressService.describeDocument({
+        _id: documentId,
+        status: 'completed',
+        validationResults: { overall: 'warning' }
+      })).toMatchObject({ stage: 'done', percent: 100, overall: 'warning' });
+      expect(progressService.describeDocument({
+        _id: documentId,
+        status: 'failed',
+        errorMessage: 'Corrupted PDF'
+      })).toMatchObject({ stage: 'failed', error: 'Corrupted PDF' });
+    });
+  });
+
+  describe('Validation stages', () => {
+    it('should report each stage of a validation in order', async () => {
+      jest.spyOn(documentValidationService, 'extractTextFromPDF').mockResolvedValue({
+        text: 'Durable Power of Attorney\nNotary Public: Jane Smith\nWitness 1: Mary Johnson',
+        confidence: 95
+      });
+      const onProgress = jest.fn();
+
+      await documentValidationService.validateDocument('/tmp/poa.pdf', 'poa.pdf', { onProgress });
+
+      expect(onProgress.mock.calls.map(([stage]) => stage)).toEqual([
+        'extracting_text', 'notary', 'witnesses', 'verbiage', 'term'
+      ]);
+    });
+
+    it('should report OCR progress across the pages of a scanned PDF', async () => {
+      jest.doMock('pdf2pic', () => ({
+        fromBuffer: () => ({
+          bulk: jest.fn().mockResolvedValue([
+            { page: 1, path: '/tmp/scan-page.1.png' },
+            { page: 2, path: '/tmp/scan-page.2.png' }
+          ])
+        })
+      }));
+      jest.spyOn(fs, 'readFile').mockResolvedValue(Buffer.from('page'));
+      jest.spyOn(fs, 'unlink').mockResolvedValue();
+      jest.spyOn(documentValidationService.imageProcessor, 'extractTextFromImage')
+        .mockImplementation(async (buffer, options) => {
+          [0, 0.5, 0.5, 1].forEach(progress => options.onProgress(progress));
+          return { success: true, extractedText: 'Power of Attorney', confidence: 90 };
+        });
+      const onProgress = jest.fn();
+
+      await documentValidationService.convertPdfToImageAndOCR('/tmp/scan.pdf', onProgress);
+
+      expect(onProgress.mock.calls.map(([, details]) => details.ocrProgress)).toEqual([0, 25, 50, 75, 100]);
+      expect(onProgress).toHaveBeenLastCalledWith('ocr', { ocrProgress: 100, page: 2, pageCount: 2 });
+
+      jest.dontMock('pdf2pic');
+    });
+  });
+});
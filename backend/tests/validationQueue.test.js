@@ -0,0 +1,279 @@
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const ValidationJob = require('../src/models/ValidationJob');
+const validationQueue = require('../src/services/validationQueue');
+const documentValidationService = require('../src/services/documentValidation');
+const webhookService = require('../src/services/webhookService');
+const emailService = require('../src/services/emailService');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Validation Queue', () => {
+  let testUser;
+
+  const createDocument = async (overrides = {}) => {
+    const document = new Document({
+      userId: testUser._id,
+      filename: 'poa.pdf',
+      originalName: 'poa.pdf',
+      fileSize: 1024,
+      filePath: '/tmp/poa.pdf',
+      mimeType: 'application/pdf',
+      status: 'processing',
+      ...overrides
+    });
+    return document.save();
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'queue@example.com',
+      password: 'password123'
+    });
+    await testUser.save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue and claim', () => {
+    it('should persist a queued job for a document', async () => {
+      const document = await createDocument();
+
+      const job = await validationQueue.enqueue(document);
+
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+      expect(job.documentId.toString()).toBe(document._id.toString());
+    });
+
+    it('should lock the next due job for a single worker', async () => {
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+
+      const claimed = await validationQueue.claimNext();
+      const second = await validationQueue.claimNext();
+
+      expect(claimed.status).toBe('running');
+      expect(claimed.attempts).toBe(1);
+      expect(claimed.lockedBy).toBe(validationQueue.workerId);
+      expect(second).toBeNull();
+    });
+
+    it('should not claim jobs scheduled in the future', async () => {
+      const document = await createDocument();
+      const job = await validationQueue.enqueue(document);
+      await ValidationJob.findByIdAndUpdate(job._id, { runAt: new Date(Date.now() + 60000) });
+
+      const claimed = await validationQueue.claimNext();
+
+      expect(claimed).toBeNull();
+    });
+  });
+
+  describe('job execution', () => {
+    it('should store validation results and complete the job', async () => {
+      jest.spyOn(documentValidationService, 'validateDocument').mockResolvedValue({
+        notaryValidation: { status: 'pass', issues: [] },
+        witnessValidation: { status: 'pass', issues: [] },
+        verbiageValidation: { status: 'warning', issues: ['Document may not be California-specific'] },
+        extractedText: 'power of attorney',
+        ocrConfidence: 95,
+        processingTime: 120
+      });
+
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+      const job = await validationQueue.claimNext();
+
+      await validationQueue.runJob(job);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      const updatedDocument = await Document.findById(document._id);
+
+      expect(updatedJob.status).toBe('completed');
+      expect(updatedDocument.status).toBe('completed');
+      expect(updatedDocument.validationResults.overall).toBe('warning');
+    });
+
+    it('should requeue a failed job with exponential backoff', async () => {
+      jest.spyOn(documentValidationService, 'validateDocument').mockRejectedValue(new Error('OCR timeout'));
+
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+      const job = await validationQueue.claimNext();
+
+      const before = Date.now();
+      await validationQueue.runJob(job);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      const updatedDocument = await Document.findById(document._id);
+
+      expect(updatedJob.status).toBe('queued');
+      expect(updatedJob.lastError).toBe('OCR timeout');
+      expect(updatedJob.failures).toHaveLength(1);
+      expect(updatedJob.runAt.getTime()).toBeGreaterThanOrEqual(before + validationQueue.backoffBase);
+      expect(updatedDocument.status).toBe('processing');
+    });
+
+    it('should dead-letter a job after the last attempt and fail the document', async () => {
+      jest.spyOn(documentValidationService, 'validateDocument').mockRejectedValue(new Error('Corrupted PDF'));
+
+      const document = await createDocument();
+      const queued = await validationQueue.enqueue(document);
+      await ValidationJob.findByIdAndUpdate(queued._id, { attempts: queued.maxAttempts - 1 });
+      const job = await validationQueue.claimNext();
+
+      await validationQueue.runJob(job);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      const updatedDocument = await Document.findById(document._id);
+
+      expect(updatedJob.status).toBe('dead');
+      expect(updatedDocument.status).toBe('failed');
+      expect(updatedDocument.errorMessage).toBe('Corrupted PDF');
+    });
+
+    it('should keep the lock fresh while the job runs', async () => {
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+      const job = await validationQueue.claimNext();
+      await ValidationJob.findByIdAndUpdate(job._id, { lockedAt: new Date(Date.now() - validationQueue.lockTimeout) });
+
+      expect(await validationQueue.renewLock(job)).toBe(true);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      expect(updatedJob.lockedAt.getTime()).toBeGreaterThan(Date.now() - 5000);
+    });
+
+    it('should not complete a job another worker has taken over', async () => {
+      jest.spyOn(documentValidationService, 'validateDocument').mockResolvedValue({
+        extractedText: 'DURABLE POWER OF ATTORNEY',
+        notaryValidation: { status: 'pass' }
+      });
+      const dispatch = jest.spyOn(webhookService, 'dispatch');
+      const notify = jest.spyOn(emailService, 'notifyValidationCompleted');
+
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+      const job = await validationQueue.claimNext();
+      await ValidationJob.findByIdAndUpdate(job._id, { lockedBy: 'other-host:4321' });
+
+      await validationQueue.runJob(job);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      expect(updatedJob.status).toBe('running');
+      expect(updatedJob.lockedBy).toBe('other-host:4321');
+      expect(await validationQueue.renewLock(job)).toBe(false);
+
+      // The worker holding the lock stores the results, counts the validation and notifies
+      expect((await Document.findById(document._id)).status).toBe('processing');
+      expect((await User.findById(testUser._id)).validationsThisMonth).toBe(0);
+      expect(dispatch).not.toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should retry a job whose results could not be stored', async () => {
+      jest.spyOn(documentValidationService, 'validateDocument').mockResolvedValue({
+        extractedText: 'DURABLE POWER OF ATTORNEY',
+        notaryValidation: { status: 'pass' }
+      });
+      jest.spyOn(validationQueue, 'storeResults').mockRejectedValue(new Error('Write conflict'));
+
+      const document = await createDocument();
+      await validationQueue.enqueue(document);
+      const job = await validationQueue.claimNext();
+
+      await validationQueue.runJob(job);
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      expect(updatedJob.status).toBe('queued');
+      expect(updatedJob.lastError).toBe('Write conflict');
+    });
+
+    it('should double the backoff delay for each attempt', () => {
+      const base = validationQueue.backoffBase;
+
+      expect(validationQueue.getBackoffDelay(1)).toBe(base);
+      expect(validationQueue.getBackoffDelay(2)).toBe(base * 2);
+      expect(validationQueue.getBackoffDelay(3)).toBe(base * 4);
+    });
+  });
+
+  describe('recovery', () => {
+    it('should queue processing documents that have no job', async () => {
+      const orphan = await createDocument();
+      const tracked = await createDocument({ filename: 'tracked.pdf', originalName: 'tracked.pdf' });
+      await validationQueue.enqueue(tracked);
+
+      const result = await validationQueue.recoverOrphans();
+
+      expect(result.orphaned).toBe(1);
+      const jobs = await ValidationJob.find({ documentId: orphan._id });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].status).toBe('queued');
+    });
+
+    it('should release jobs whose worker lock has expired', async () => {
+      const document = await createDocument();
+      const job = await validationQueue.enqueue(document);
+      await ValidationJob.findByIdAndUpdate(job._id, {
+        status: 'running',
+        lockedBy: 'dead-host:1234',
+        lockedAt: new Date(Date.now() - validationQueue.lockTimeout - 1000)
+      });
+
+      const requeued = await validationQueue.requeueStaleJobs();
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      expect(requeued).toBe(1);
+      expect(updatedJob.status).toBe('queued');
+      expect(updatedJob.lockedBy).toBeNull();
+    });
+
+    it('should dead-letter expired jobs that were on their last attempt', async () => {
+      const document = await createDocument();
+      const job = await validationQueue.enqueue(document);
+      await ValidationJob.findByIdAndUpdate(job._id, {
+        status: 'running',
+        attempts: job.maxAttempts,
+        lockedBy: 'dead-host:1234',
+        lockedAt: new Date(Date.now() - validationQueue.lockTimeout - 1000)
+      });
+
+      const requeued = await validationQueue.requeueStaleJobs();
+
+      const updatedJob = await ValidationJob.findById(job._id);
+      const updatedDocument = await Document.findById(document._id);
+      expect(requeued).toBe(0);
+      expect(updatedJob.status).toBe('dead');
+      expect(updatedDocument.status).toBe('failed');
+      expect(updatedDocument.errorMessage).toBe('Validation worker stopped responding');
+    });
+
+    it('should requeue a dead-lettered job on retry', async () => {
+      const document = await createDocument({ status: 'failed' });
+      const job = await validationQueue.enqueue(document);
+      await ValidationJob.findByIdAndUpdate(job._id, { status: 'dead', attempts: 3 });
+
+      const retried = await validationQueue.retry(job._id);
+
+      const updatedDocument = await Document.findById(document._id);
+      expect(retried.status).toBe('queued');
+      expect(retried.attempts).toBe(0);
+      expect(updatedDocument.status).toBe('processing');
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Document = require('../src/models/Document');
+const Webhook = require('../src/models/Webhook');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookService = require('../src/services/webhookService');
+const { isBlockedAddress } = require('../src/utils/publicUrl');
+const { setupTestDB, teardownTestDB, clearTestDB } = require('./setup');
+
+describe('Webhooks', () => {
+  let authToken;
+  let testUser;
+
+  const createWebhook = (overrides = {}) => Webhook.create({
+    userId: testUser._id,
+    url: 'https://cases.example.com/hooks/poa',
+    events: ['document.completed', 'document.failed'],
+    ...overrides
+  });
+
+  const createDocument = (overrides = {}) => Document.create({
+    userId: testUser._id,
+    filename: 'poa.pdf',
+    originalName: 'poa.pdf',
+    fileSize: 1024,
+    filePath: '/tmp/poa.pdf',
+    mimeType: 'application/pdf',
+    status: 'completed',
+    caseId: 'FH-2024-001',
+    validationResults: { overall: 'pass', notaryValidation: { status: 'pass' } },
+    ...overrides
+  });
+
+  // Point a host name at an address without touching the network
+  const resolveTo = (address) => jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address, family: 4 }]);
+
+  // Let the fire-and-forget first attempt finish
+  const flushDeliveries = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+
+    testUser = await User.create({
+      firstName: 'Test',
+      lastName: 'Integrator',
+      email: 'webhooks@example.com',
+      password: 'password123',
+      tier: 'enterprise'
+    });
+
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET || 'test-secret',
+      { expiresIn: '1h' }
+    );
+
+    resolveTo('93.184.215.14');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Signing', () => {
+    it('should sign the timestamp and raw body with the webhook secret', () => {
+      const payload = JSON.stringify({ event: 'document.completed' });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${payload}`).digest('hex');
+
+      expect(webhookService.sign('whsec_test', 1700000000, payload)).toBe(`sha256=${expected}`);
+    });
+
+    it('should back off exponentially between attempts', () => {
+      expect(webhookService.getBackoffDelay(1)).toBe(webhookService.backoffBase);
+      expect(webhookService.getBackoffDelay(3)).toBe(webhookService.backoffBase * 4);
+    });
+
+    it('should only treat public addresses as reachable', () => {
+      ['127.0.0.1', '10.0.0.8', '169.254.169.254', '192.168.1.1', '::1', '::ffff:127.0.0.1', 'fd00::1']
+        .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+      ['93.184.215.14', '2606:4700::1111']
+        .forEach(address => expect(isBlockedAddress(address)).toBe(false));
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should deliver signed events to subscribed webhooks', async () => {
+      const webhook = await createWebhook();
+      await createWebhook({ events: ['document.reviewed'] });
+      const document = await createDocument();
+      const postSpy = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: 'ok' });
+
+      const deliveries = await webhookService.dispatch('document.completed', document);
+      await flushDeliveries();
+
+      expect(deliveries).toHaveLength(1);
+      expect(postSpy).toHaveBeenCalledTimes(1);
+
+      const [url, body, config] = postSpy.mock.calls[0];
+      const { secret } = await Webhook.findById(webhook._id).select('+secret');
+      expect(url).toBe(webhook.url);
+      expect(JSON.parse(body)).toMatchObject({
+        event: 'document.completed',
+        data: { document: { originalName: 'poa.pdf', caseId: 'FH-2024-001', overall: 'pass' } }
+      });
+      expect(config.headers['X-Webhook-Event']).toBe('document.completed');
+      expect(config.headers['X-Webhook-Signature'])
+        .toBe(webhookService.sign(secret, config.headers['X-Webhook-Timestamp'], body));
+
+      const delivery = await WebhookDelivery.findById(deliveries[0]._id);
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.attemptLog[0].responseStatus).toBe(200);
+    });
+
+    it('should schedule a retry when the endpoint fails', async () => {
+      await createWebhook();
+      const document = await createDocument();
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 503, data: 'unavailable' });
+
+      const [queued] = await webhookService.dispatch('document.completed', document);
+      await flushDeliveries();
+
+      const delivery = await WebhookDelivery.findById(queued._id);
+      expect(delivery.status).toBe('pending');
+      expect(delivery.lastError).toBe('Endpoint responded with HTTP 503');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should keep only a short excerpt of the response', async () => {
+      await createWebhook();
+      const document = await createDocument();
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 500, data: 'x'.repeat(5000) });
+
+      const [queued] = await webhookService.dispatch('document.completed', document);
+      await flushDeliveries();
+
+      const delivery = await WebhookDelivery.findById(queued._id);
+      expect(delivery.attemptLog[0].responseExcerpt).toHaveLength(200);
+      expect(delivery.attemptLog[0].responseBody).toBeUndefined();
+    });
+
+    it('should not send to a host that now resolves to a private address', async () => {
+      const webhook = await createWebhook();
+      const postSpy = jest.spyOn(axios, 'post');
+      resolveTo('169.254.169.254');
+
+      const delivery = await webhookService.sendTest(webhook);
+
+      expect(postSpy).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('failed');
+      expect(delivery.lastError).toBe('Refusing to connect to non-public address 169.254.169.254');
+    });
+
+    it('should give up after the last attempt', async () => {
+      const webhook = await createWebhook();
+      jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        event: 'document.failed',
+        payload: '{}',
+        maxAttempts: 2,
+        attempts: 1,
+        nextAttemptAt: new Date(Date.now() - 1000)
+      });
+
+      const claimed = await webhookService.claimNext();
+      const result = await webhookService.send(claimed);
+
+      expect(claimed._id.toString()).toBe(delivery._id.toString());
+      expect(result.status).toBe('failed');
+      expect(result.attempts).toBe(2);
+      expect(result.lastError).toBe('connect ECONNREFUSED');
+    });
+
+    it('should only notify webhooks in the document owner\'s scope', async () => {
+      const otherUser = await User.create({
+        firstName: 'Other',
+        lastName: 'User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      await createWebhook({ userId: otherUser._id });
+      const document = await createDocument();
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: '' });
+
+      const deliveries = await webhookService.dispatch('document.completed', document);
+
+      expect(deliveries).toHaveLength(0);
+    });
+  });
+
+  describe('API', () => {
+    it('should create a webhook and return its secret once', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: 'https://cases.example.com/hooks/poa', events: ['document.completed'] })
+        .expect(201);
+
+      expect(response.body.webhook.secret).toMatch(/^whsec_/);
+
+      const fetched = await request(app)
+        .get(`/api/webhooks/${response.body.webhook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(fetched.body.webhook.secret).toBeUndefined();
+    });
+
+    it('should reject unknown events and invalid URLs', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: 'ftp://cases.example.com', events: ['document.deleted'] })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['url', 'events[0]']));
+    });
+
+    it('should reject URLs that reach private addresses', async () => {
+      const literal = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['document.completed'] })
+        .expect(400);
+
+      expect(literal.body.details[0].msg).toBe('Webhook URL must resolve to a public address');
+
+      const webhook = await createWebhook();
+      resolveTo('10.0.0.8');
+
+      await request(app)
+        .put(`/api/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: 'https://internal.example.com/hooks' })
+        .expect(400);
+    });
+
+    it('should be available on every plan', async () => {
+      await User.findByIdAndUpdate(testUser._id, { tier: 'free' });
+      await createWebhook();
+
+      const response = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.webhooks).toHaveLength(1);
+    });
+
+    it('should send a test event and log the delivery', async () => {
+      const webhook = await createWebhook();
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 204, data: '' });
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/test`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.delivery).toMatchObject({ event: 'webhook.test', status: 'succeeded', attempts: 1 });
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(log.body.deliveries).toHaveLength(1);
+      expect(log.body.deliveries[0].attemptLog[0].responseStatus).toBe(204);
+    });
+
+    it('should rotate the signing secret', async () => {
+      const webhook = await createWebhook();
+      const { secret } = await Webhook.findById(webhook._id).select('+secret');
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/rotate-secret`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.secret).toMatch(/^whsec_/);
+      expect(response.body.secret).not.toBe(secret);
+    });
+  });
+});
@@ -7,13 +7,15 @@ module.exports = {
       exec_mode: 'cluster',
       env: {
         NODE_ENV: 'development',
-        PORT: 5000
+        PORT: 5000,
+        VALIDATION_WORKERS_ENABLED: 'false'
       },
       env_production: {
         NODE_ENV: 'production',
         PORT: process.env.PORT || 5000,
         MONGODB_URI: process.env.MONGODB_URI,
-        JWT_SECRET: process.env.JWT_SECRET
+        JWT_SECRET: process.env.JWT_SECRET,
+        VALIDATION_WORKERS_ENABLED: 'false'
       },
       // Logging
       log_file: './logs/app.log',
@@ -39,8 +41,40 @@ module.exports = {
       env_staging: {
         NODE_ENV: 'staging',
         PORT: 3001,
-        MONGODB_URI: process.env.MONGODB_URI_STAGING
+        MONGODB_URI: process.env.MONGODB_URI_STAGING,
+        VALIDATION_WORKERS_ENABLED: 'false'
       }
+    },
+    {
+      // Durable validation queue workers (see backend/src/services/validationQueue.js)
+      name: 'saygoodbye-validation-worker',
+      script: './backend/src/workers/validationWorker.js',
+      instances: 2,
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'development',
+        VALIDATION_WORKER_CONCURRENCY: 2
+      },
+      env_production: {
+        NODE_ENV: 'production',
+        MONGODB_URI: process.env.MONGODB_URI,
+        VALIDATION_WORKER_CONCURRENCY: 2
+      },
+      env_staging: {
+        NODE_ENV: 'staging',
+        MONGODB_URI: process.env.MONGODB_URI_STAGING
+      },
+      log_file: './logs/worker.log',
+      out_file: './logs/worker-out.log',
+      error_file: './logs/worker-error.log',
+      log_type: 'json',
+      merge_logs: true,
+      watch: false,
+      restart_delay: 1000,
+      max_restarts: 10,
+      // Give in-flight validations time to finish on reload
+      kill_timeout: 30000,
+      max_memory_restart: '1G'
     }
   ],
   
@@ -12,6 +12,9 @@ import ErrorBoundary from './components/Common/ErrorBoundary';
 // Auth Components
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
 
 // Dashboard Components
 import EnhancedUserDashboard from './components/Dashboard/EnhancedUserDashboard';
@@ -21,6 +24,10 @@ import VirtualizedDocumentList from './components/Documents/VirtualizedDocumentL
 import DocumentLibrary from './components/Documents/DocumentLibrary';
 import DocumentDetails from './components/Documents/DocumentDetails';
 
+// Case Components
+import CaseLibrary from './components/Cases/CaseLibrary';
+import CaseDetails from './components/Cases/CaseDetails';
+
 // User Components
 import Profile from './components/User/Profile';
 import Subscription from './components/User/Subscription';
@@ -30,6 +37,8 @@ import SubscriptionPlans from './components/Subscription/SubscriptionPlans';
 import AdminDashboard from './components/Admin/AdminDashboard';
 import UserManagement from './components/Admin/UserManagement';
 import Analytics from './components/Admin/Analytics';
+import AuditLog from './components/Admin/AuditLog';
+import RetentionReport from './components/Admin/RetentionReport';
 
 // Onboarding
 import OnboardingTour from './components/Onboarding/OnboardingTour';
@@ -123,6 +132,16 @@ function App() {
             </PublicRoute>
           } />
 
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } />
+
+          {/* Emailed links work whether or not the user is signed in */}
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+
           {/* Protected Routes */}
           <Route path="/" element={
             <ProtectedRoute>
@@ -142,6 +161,12 @@ function App() {
               <Route path=":id" element={<DocumentDetails />} />
             </Route>
 
+            {/* Case Routes */}
+            <Route path="cases">
+              <Route index element={<CaseLibrary />} />
+              <Route path=":id" element={<CaseDetails />} />
+            </Route>
+
             {/* User Routes */}
             <Route path="profile" element={<Profile />} />
             <Route path="subscription" element={<SubscriptionPlans />} />
@@ -163,6 +188,16 @@ function App() {
                 <Analytics />
               </ProtectedRoute>
             } />
+            <Route path="admin/audit-log" element={
+              <ProtectedRoute requireAdmin={true}>
+                <AuditLog />
+              </ProtectedRoute>
+            } />
+            <Route path="admin/retention" element={
+              <ProtectedRoute requireAdmin={true}>
+                <RetentionReport />
+              </ProtectedRoute>
+            } />
           </Route>
 
           {/* Catch all route */}
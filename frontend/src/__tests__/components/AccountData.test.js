@@ -0,0 +1,93 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import AccountData from '../../components/User/AccountData';
+import { AuthContext } from '../../contexts/AuthContext';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate
+}));
+
+const api = require('../../utils/api');
+
+const renderAccountData = (user = { email: 'test@example.com', twoFactorEnabled: false }) => {
+  const logout = jest.fn().mockResolvedValue();
+  render(
+    <AuthContext.Provider value={{ user, logout }}>
+      <NotificationProvider>
+        <AccountData />
+      </NotificationProvider>
+    </AuthContext.Provider>
+  );
+  return { logout };
+};
+
+describe('AccountData', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('downloads the export without the shared request timeout', async () => {
+    api.get.mockResolvedValue({ data: 'zip', headers: {} });
+    renderAccountData();
+
+    await userEvent.click(screen.getByRole('button', { name: /export my data/i }));
+
+    await waitFor(() => {
+      expect(api.get).toHaveBeenCalledWith('/users/me/export', { responseType: 'blob', timeout: 0 });
+    });
+  });
+
+  it('deletes the account with the password and signs out', async () => {
+    api.delete.mockResolvedValue({ data: { message: 'Account deleted' } });
+    const { logout } = renderAccountData();
+
+    await userEvent.click(screen.getByRole('button', { name: /delete account/i }));
+    const confirm = screen.getAllByRole('button', { name: /delete account/i }).pop();
+    expect(confirm).toBeDisabled();
+
+    await userEvent.type(screen.getByLabelText(/password/i), 'password123');
+    await userEvent.click(confirm);
+
+    await waitFor(() => {
+      expect(api.delete).toHaveBeenCalledWith('/users/me', { data: { password: 'password123' } });
+    });
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/login');
+    });
+    expect(logout).toHaveBeenCalled();
+  });
+
+  it('asks for an authentication code with two-factor authentication', async () => {
+    renderAccountData({ email: 'test@example.com', twoFactorEnabled: true });
+
+    await userEvent.click(screen.getByRole('button', { name: /delete account/i }));
+
+    expect(screen.getByLabelText(/authentication code/i)).toBeInTheDocument();
+  });
+
+  it('shows why the account could not be deleted', async () => {
+    api.delete.mockRejectedValue({
+      response: { data: { error: 'Some of your documents are under legal hold and cannot be deleted until the hold is released' } }
+    });
+    const { logout } = renderAccountData();
+
+    await userEvent.click(screen.getByRole('button', { name: /delete account/i }));
+    await userEvent.type(screen.getByLabelText(/password/i), 'password123');
+    await userEvent.click(screen.getAllByRole('button', { name: /delete account/i }).pop());
+
+    expect(await screen.findByText(/under legal hold/i)).toBeInTheDocument();
+    expect(logout).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import ActiveSessions from '../../components/User/ActiveSessions';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  delete: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const api = require('../../utils/api');
+
+const sessions = [
+  {
+    id: 'current-session',
+    device: 'Chrome on macOS',
+    ip: '203.0.113.10',
+    lastUsedAt: new Date().toISOString(),
+    current: true
+  },
+  {
+    id: 'phone-session',
+    device: 'Safari on iOS',
+    ip: '198.51.100.7',
+    lastUsedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    current: false
+  }
+];
+
+const renderSessions = () => render(
+  <NotificationProvider>
+    <ActiveSessions />
+  </NotificationProvider>
+);
+
+describe('ActiveSessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists sessions and marks the current device', async () => {
+    api.get.mockResolvedValue({ data: { sessions } });
+
+    renderSessions();
+
+    expect(await screen.findByText('Chrome on macOS')).toBeInTheDocument();
+    expect(screen.getByText('Safari on iOS')).toBeInTheDocument();
+    expect(screen.getByText(/198\.51\.100\.7 · Last active 2 hours ago/)).toBeInTheDocument();
+    expect(screen.getByText('This device')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: /^revoke$/i })).toHaveLength(1);
+  });
+
+  it('revokes another session and reloads the list', async () => {
+    api.get
+      .mockResolvedValueOnce({ data: { sessions } })
+      .mockResolvedValueOnce({ data: { sessions: [sessions[0]] } });
+    api.delete.mockResolvedValue({ data: { message: 'Session signed out' } });
+
+    renderSessions();
+
+    await userEvent.click(await screen.findByRole('button', { name: /^revoke$/i }));
+
+    await waitFor(() => expect(screen.queryByText('Safari on iOS')).not.toBeInTheDocument());
+    expect(api.delete).toHaveBeenCalledWith('/auth/sessions/phone-session');
+    expect(screen.queryByRole('button', { name: /sign out other sessions/i })).not.toBeInTheDocument();
+  });
+});
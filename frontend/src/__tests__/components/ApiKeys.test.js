@@ -0,0 +1,86 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import ApiKeys from '../../components/User/ApiKeys';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const api = require('../../utils/api');
+
+const scopes = ['documents:read', 'documents:write', 'reports:read'];
+
+const renderApiKeys = () => render(
+  <NotificationProvider>
+    <ApiKeys />
+  </NotificationProvider>
+);
+
+describe('ApiKeys', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('creates a key with the chosen scopes and shows it once', async () => {
+    const newKey = {
+      id: 'key-1',
+      name: 'Intake system',
+      prefix: 'sgk_abcd1234',
+      scopes: ['documents:read', 'documents:write'],
+      rateLimit: 60,
+      lastUsedAt: null
+    };
+    api.get
+      .mockResolvedValueOnce({ data: { keys: [], scopes, defaultRateLimit: 60 } })
+      .mockResolvedValueOnce({ data: { keys: [newKey], scopes, defaultRateLimit: 60 } });
+    api.post.mockResolvedValue({ data: { apiKey: newKey, key: 'sgk_abcd1234-full-secret' } });
+
+    renderApiKeys();
+
+    await userEvent.click(await screen.findByRole('button', { name: /create api key/i }));
+    await userEvent.type(screen.getByLabelText(/^name/i), 'Intake system');
+    await userEvent.click(screen.getByLabelText(/upload, validate and delete documents/i));
+    await userEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(api.post).toHaveBeenCalledWith('/api-keys', {
+        name: 'Intake system',
+        scopes: ['documents:read', 'documents:write'],
+        rateLimit: undefined,
+        expiresInDays: undefined
+      });
+    });
+    expect(await screen.findByText('sgk_abcd1234-full-secret')).toBeInTheDocument();
+    expect(screen.getByText(/it will not be shown again/i)).toBeInTheDocument();
+  });
+
+  it('lists existing keys by prefix', async () => {
+    api.get.mockResolvedValue({
+      data: {
+        keys: [{
+          id: 'key-1',
+          name: 'Intake system',
+          prefix: 'sgk_abcd1234',
+          scopes: ['reports:read'],
+          rateLimit: 120,
+          lastUsedAt: null
+        }],
+        scopes,
+        defaultRateLimit: 60
+      }
+    });
+
+    renderApiKeys();
+
+    expect(await screen.findByText('Intake system')).toBeInTheDocument();
+    expect(screen.getByText('sgk_abcd1234…')).toBeInTheDocument();
+    expect(screen.getByText('120 requests/min')).toBeInTheDocument();
+    expect(screen.getByText('Never')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,90 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import AuditLog from '../../components/Admin/AuditLog';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const api = require('../../utils/api');
+
+const actions = [
+  'user.tier_changed',
+  'user.suspended',
+  'user.reactivated',
+  'document.deleted',
+  'document.downloaded',
+  'report.downloaded'
+];
+
+const entry = {
+  _id: 'entry-1',
+  sequence: 7,
+  action: 'user.tier_changed',
+  actorEmail: 'admin@example.com',
+  targetType: 'user',
+  targetId: 'user-1',
+  targetLabel: 'jane@example.com',
+  before: { tier: 'free' },
+  after: { tier: 'enterprise' },
+  ip: '203.0.113.9',
+  createdAt: '2024-03-01T10:00:00.000Z'
+};
+
+const listResponse = (entries) => ({
+  data: { entries, actions, pagination: { page: 1, limit: 25, total: entries.length, pages: 1 } }
+});
+
+const renderAuditLog = () => render(
+  <NotificationProvider>
+    <AuditLog />
+  </NotificationProvider>
+);
+
+describe('AuditLog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('shows entries with their before and after values', async () => {
+    api.get.mockResolvedValue(listResponse([entry]));
+
+    renderAuditLog();
+
+    expect(await screen.findByText('jane@example.com')).toBeInTheDocument();
+    expect(screen.getByText('admin@example.com')).toBeInTheDocument();
+    expect(screen.getByText('tier: free → tier: enterprise')).toBeInTheDocument();
+  });
+
+  it('filters by actor email', async () => {
+    api.get.mockResolvedValue(listResponse([]));
+
+    renderAuditLog();
+    expect(await screen.findByText(/no audit log entries match/i)).toBeInTheDocument();
+
+    await userEvent.type(screen.getByLabelText(/actor email/i), 'admin');
+
+    await waitFor(() => {
+      expect(api.get).toHaveBeenLastCalledWith('/admin/audit-logs', {
+        params: { actor: 'admin', page: 1, limit: 25 }
+      });
+    });
+  });
+
+  it('warns when the chain does not verify', async () => {
+    api.get.mockImplementation((url) => (url === '/admin/audit-logs/verify'
+      ? Promise.resolve({ data: { valid: false, entriesChecked: 2, brokenAt: 3, reason: 'Entry contents do not match its hash' } })
+      : Promise.resolve(listResponse([entry]))));
+
+    renderAuditLog();
+    await userEvent.click(await screen.findByRole('button', { name: /verify chain/i }));
+
+    expect(await screen.findByText(/tampered with at entry #3/i)).toBeInTheDocument();
+  });
+});
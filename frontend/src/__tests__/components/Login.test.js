@@ -152,6 +152,38 @@ describe('Login Component', () => {
     });
   });
 
+  it('asks for an authentication code when two-factor is enabled', async () => {
+    api.post
+      .mockResolvedValueOnce({ data: { twoFactorRequired: true, challengeToken: 'challenge-token' } })
+      .mockResolvedValueOnce({
+        data: {
+          token: 'mock-token',
+          user: { id: '1', email: 'test@example.com', firstName: 'John', lastName: 'Doe', tier: 'free' }
+        }
+      });
+
+    render(
+      <TestWrapper>
+        <Login />
+      </TestWrapper>
+    );
+
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'test@example.com' } });
+    fireEvent.change(screen.getByLabelText(/^password/i), { target: { value: 'password123' } });
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+    const codeInput = await screen.findByLabelText(/authentication code/i);
+    fireEvent.change(codeInput, { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+    await waitFor(() => {
+      expect(api.post).toHaveBeenCalledWith('/auth/login/2fa', {
+        challengeToken: 'challenge-token',
+        code: '123456'
+      });
+    });
+  });
+
   it('shows test user cards', () => {
     render(
       <TestWrapper>
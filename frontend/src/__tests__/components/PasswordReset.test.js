@@ -0,0 +1,71 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import ForgotPassword from '../../components/Auth/ForgotPassword';
+import ResetPassword from '../../components/Auth/ResetPassword';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  post: jest.fn(),
+  get: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const api = require('../../utils/api');
+
+// Mock react-router-dom navigate
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+const renderAt = (element, path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <NotificationProvider>
+      {element}
+    </NotificationProvider>
+  </MemoryRouter>
+);
+
+describe('Password reset pages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requests a reset link and shows the confirmation', async () => {
+    api.post.mockResolvedValue({
+      data: { message: 'If an account exists for that email, a password reset link has been sent' }
+    });
+
+    renderAt(<ForgotPassword />, '/forgot-password');
+
+    await userEvent.type(screen.getByLabelText(/email/i), 'jane@example.com');
+    await userEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    expect(await screen.findByText(/a password reset link has been sent/i)).toBeInTheDocument();
+    expect(api.post).toHaveBeenCalledWith('/auth/forgot-password', { email: 'jane@example.com' });
+  });
+
+  it('submits the new password with the token from the link', async () => {
+    api.post.mockResolvedValue({ data: { message: 'Password reset successfully.' } });
+
+    renderAt(<ResetPassword />, '/reset-password?token=abc123');
+
+    await userEvent.type(screen.getByLabelText('New Password'), 'newpassword123');
+    await userEvent.type(screen.getByLabelText('Confirm New Password'), 'newpassword123');
+    await userEvent.click(screen.getByRole('button', { name: /reset password/i }));
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/login', { replace: true }));
+    expect(api.post).toHaveBeenCalledWith('/auth/reset-password', { token: 'abc123', password: 'newpassword123' });
+  });
+
+  it('shows an error when the link has no token', () => {
+    renderAt(<ResetPassword />, '/reset-password');
+
+    expect(screen.getByText(/link is incomplete/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText('New Password')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,99 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import RetentionReport from '../../components/Admin/RetentionReport';
+import { NotificationProvider } from '../../contexts/NotificationContext';
+
+// Mock the API
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn(),
+  defaults: { headers: { common: {} } }
+}));
+
+const api = require('../../utils/api');
+
+const counts = {
+  libraries: 2,
+  documentsChecked: 12,
+  originalsPurged: 3,
+  recordsPurged: 1,
+  skippedLegalHold: 2,
+  failed: 0
+};
+
+const run = {
+  _id: 'run-1',
+  trigger: 'scheduled',
+  status: 'completed',
+  startedAt: '2024-03-01T02:00:00.000Z',
+  counts
+};
+
+const runDetails = {
+  ...run,
+  items: [
+    { documentId: 'doc-1', originalName: 'poa-smith.pdf', caseId: 'C-100', purged: 'original' }
+  ],
+  failures: []
+};
+
+const listResponse = (runs) => ({
+  data: {
+    runs,
+    pagination: { page: 1, limit: 20, total: runs.length, pages: 1 },
+    legalHolds: { documents: 4, cases: 1 }
+  }
+});
+
+const renderReport = () => render(
+  <NotificationProvider>
+    <RetentionReport />
+  </NotificationProvider>
+);
+
+describe('RetentionReport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists purge runs and legal hold counts', async () => {
+    api.get.mockResolvedValue(listResponse([run]));
+
+    renderReport();
+
+    expect(await screen.findByText('Scheduled')).toBeInTheDocument();
+    expect(screen.getByText('completed')).toBeInTheDocument();
+    expect(screen.getByText('4 documents on legal hold')).toBeInTheDocument();
+    expect(screen.getByText('1 cases on legal hold')).toBeInTheDocument();
+  });
+
+  it('shows the documents purged by a run', async () => {
+    api.get.mockImplementation((url) => Promise.resolve(
+      url === '/admin/retention/runs/run-1' ? { data: { run: runDetails } } : listResponse([run])
+    ));
+
+    renderReport();
+    await userEvent.click(await screen.findByRole('button', { name: 'View' }));
+
+    expect(await screen.findByText('poa-smith.pdf')).toBeInTheDocument();
+    expect(screen.getByText('Original file and text')).toBeInTheDocument();
+  });
+
+  it('previews a purge without running it', async () => {
+    api.get.mockResolvedValue(listResponse([]));
+    api.post.mockResolvedValue({ data: { run: { ...runDetails, items: [] }, dryRun: true } });
+
+    renderReport();
+    expect(await screen.findByText(/no purges have run yet/i)).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: /preview purge/i }));
+
+    await waitFor(() => {
+      expect(api.post).toHaveBeenCalledWith('/admin/retention/run', { dryRun: true });
+    });
+    expect(await screen.findByText(/nothing was changed/i)).toBeInTheDocument();
+    expect(screen.getByText(/nothing was due for purging/i)).toBeInTheDocument();
+  });
+});
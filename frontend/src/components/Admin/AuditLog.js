@@ -0,0 +1,292 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  TextField,
+  MenuItem,
+  Alert,
+  Pagination,
+  LinearProgress,
+  Grid
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  VerifiedUser as VerifyIcon
+} from '@mui/icons-material';
+import moment from 'moment';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const ACTION_LABELS = {
+  'user.tier_changed': 'Tier changed',
+  'user.suspended': 'User suspended',
+  'user.reactivated': 'User reactivated',
+  'user.data_exported': 'Data exported',
+  'user.deleted': 'Account deleted',
+  'document.deleted': 'Document deleted',
+  'document.downloaded': 'Original downloaded',
+  'report.downloaded': 'Report downloaded',
+  'document.purged': 'Document purged',
+  'document.legal_hold_placed': 'Document legal hold placed',
+  'document.legal_hold_released': 'Document legal hold released',
+  'case.legal_hold_placed': 'Case legal hold placed',
+  'case.legal_hold_released': 'Case legal hold released'
+};
+
+const emptyFilters = { action: '', actor: '', targetType: '', from: '', to: '' };
+
+// Only send filters that are set; dates cover the whole selected day
+const toParams = (filters) => {
+  const params = {};
+  if (filters.action) params.action = filters.action;
+  if (filters.actor.trim()) params.actor = filters.actor.trim();
+  if (filters.targetType) params.targetType = filters.targetType;
+  if (filters.from) params.from = moment(filters.from).startOf('day').toISOString();
+  if (filters.to) params.to = moment(filters.to).endOf('day').toISOString();
+  return params;
+};
+
+const formatChange = (value) => {
+  if (!value) return null;
+  return Object.entries(value)
+    .map(([key, item]) => `${key}: ${item === null ? '—' : item}`)
+    .join(', ');
+};
+
+// Admin viewer for the tamper-evident audit trail
+const AuditLog = () => {
+  const { showSuccess, showError } = useNotification();
+
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState(Object.keys(ACTION_LABELS));
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verification, setVerification] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/audit-logs', {
+        params: { ...toParams(filters), page, limit: 25 }
+      });
+      setEntries(response.data.entries);
+      setActions(response.data.actions);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, showError]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters({ ...filters, [field]: event.target.value });
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get('/admin/audit-logs/export', {
+        params: toParams(filters),
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit-log-${moment().format('YYYY-MM-DD')}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      const response = await api.get('/admin/audit-logs/verify');
+      setVerification(response.data);
+      if (response.data.valid) {
+        showSuccess(`Audit log verified (${response.data.entriesChecked} entries)`);
+      }
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to verify audit log');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Audit Log
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Sensitive actions on users and documents. Entries cannot be edited or removed.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<VerifyIcon />} onClick={handleVerify}>
+            Verify Chain
+          </Button>
+          <Button variant="contained" startIcon={<DownloadIcon />} onClick={handleExport} disabled={exporting}>
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {verification && !verification.valid && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setVerification(null)}>
+          The audit log has been tampered with at entry #{verification.brokenAt}: {verification.reason}
+        </Alert>
+      )}
+
+      <Card>
+        <CardContent>
+          {/* Filters */}
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField select fullWidth size="small" label="Action" value={filters.action} onChange={handleFilterChange('action')}>
+                <MenuItem value="">All actions</MenuItem>
+                {actions.map(action => (
+                  <MenuItem key={action} value={action}>{ACTION_LABELS[action] || action}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField fullWidth size="small" label="Actor email" value={filters.actor} onChange={handleFilterChange('actor')} />
+            </Grid>
+            <Grid item xs={12} sm={4} md={2}>
+              <TextField select fullWidth size="small" label="Target" value={filters.targetType} onChange={handleFilterChange('targetType')}>
+                <MenuItem value="">All targets</MenuItem>
+                <MenuItem value="user">Users</MenuItem>
+                <MenuItem value="document">Documents</MenuItem>
+                <MenuItem value="case">Cases</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="date"
+                label="From"
+                value={filters.from}
+                onChange={handleFilterChange('from')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="date"
+                label="To"
+                value={filters.to}
+                onChange={handleFilterChange('to')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          </Grid>
+
+          {loading && <LinearProgress sx={{ mb: 1 }} />}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>#</TableCell>
+                  <TableCell>When</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Actor</TableCell>
+                  <TableCell>Target</TableCell>
+                  <TableCell>Change</TableCell>
+                  <TableCell>IP</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.map(entry => (
+                  <TableRow key={entry._id}>
+                    <TableCell>{entry.sequence}</TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {moment(entry.createdAt).format('MMM DD, YYYY HH:mm:ss')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={ACTION_LABELS[entry.action] || entry.action} size="small" variant="outlined" />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{entry.actorEmail || (entry.actorId ? 'Unknown' : 'System')}</Typography>
+                      {entry.apiKeyId && (
+                        <Typography variant="caption" color="text.secondary">via API key</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{entry.targetLabel || entry.targetId}</Typography>
+                      <Typography variant="caption" color="text.secondary">{entry.targetType}</Typography>
+                    </TableCell>
+                    <TableCell>
+                      {entry.before && entry.after ? (
+                        <Typography variant="caption" display="block">
+                          {formatChange(entry.before)} → {formatChange(entry.after)}
+                        </Typography>
+                      ) : (
+                        <Typography variant="caption" color="text.secondary">—</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="caption">{entry.ip}</Typography>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {!loading && entries.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center">
+                      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                        No audit log entries match these filters
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {totalPages > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              <Pagination
+                count={totalPages}
+                page={page}
+                onChange={(event, value) => setPage(value)}
+                color="primary"
+              />
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  Pagination,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  PlayArrow as RunIcon,
+  Preview as PreviewIcon,
+  Gavel as HoldIcon
+} from '@mui/icons-material';
+import moment from 'moment';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const STATUS_COLORS = {
+  running: 'info',
+  completed: 'success',
+  failed: 'error'
+};
+
+const PURGED_LABELS = {
+  original: 'Original file and text',
+  record: 'Validation record'
+};
+
+const describeCounts = (counts) =>
+  `${counts.originalsPurged} originals and ${counts.recordsPurged} records purged, ${counts.skippedLegalHold} on legal hold, ${counts.failed} failed`;
+
+// Documents purged by one run, and any failures
+const RunItems = ({ run }) => (
+  <>
+    <Typography variant="body2" sx={{ mb: 2 }}>
+      Checked {run.counts.documentsChecked} documents in {run.counts.libraries} libraries: {describeCounts(run.counts)}.
+    </Typography>
+    {run.errorMessage && <Alert severity="error" sx={{ mb: 2 }}>{run.errorMessage}</Alert>}
+    {run.itemsTruncated && (
+      <Alert severity="info" sx={{ mb: 2 }}>Only the first {run.items.length} documents are listed.</Alert>
+    )}
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Document</TableCell>
+            <TableCell>Case</TableCell>
+            <TableCell>Purged</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {run.items.map(item => (
+            <TableRow key={`${item.documentId}-${item.purged}`}>
+              <TableCell>
+                <Typography variant="body2">{item.originalName}</Typography>
+                <Typography variant="caption" color="text.secondary">{item.documentId}</Typography>
+              </TableCell>
+              <TableCell>{item.caseId || '—'}</TableCell>
+              <TableCell>{PURGED_LABELS[item.purged] || item.purged}</TableCell>
+            </TableRow>
+          ))}
+          {run.items.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={3} align="center">
+                <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                  Nothing was due for purging
+                </Typography>
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+    {run.failures?.length > 0 && (
+      <Alert severity="warning" sx={{ mt: 2 }}>
+        {run.failures.map(failure => (
+          <Typography key={failure.documentId} variant="caption" display="block">
+            {failure.documentId}: {failure.message}
+          </Typography>
+        ))}
+      </Alert>
+    )}
+  </>
+);
+
+// Admin purge report: scheduled and manual retention runs and what they removed
+const RetentionReport = () => {
+  const { showSuccess, showError } = useNotification();
+
+  const [runs, setRuns] = useState([]);
+  const [legalHolds, setLegalHolds] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [selected, setSelected] = useState(null); // { run, dryRun }
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/retention/runs', { params: { page, limit: 20 } });
+      setRuns(response.data.runs);
+      setLegalHolds(response.data.legalHolds);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load purge reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, showError]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  const handleRun = async (dryRun) => {
+    setConfirmOpen(false);
+    setRunning(true);
+    try {
+      const response = await api.post('/admin/retention/run', { dryRun });
+      setSelected({ run: response.data.run, dryRun });
+      if (!dryRun) {
+        showSuccess('Retention purge completed');
+        await fetchRuns();
+      }
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to run retention purge');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleView = async (runId) => {
+    try {
+      const response = await api.get(`/admin/retention/runs/${runId}`);
+      setSelected({ run: response.data.run, dryRun: false });
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load purge report');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Data Retention
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Purges run daily for organizations and users with a retention policy. Held documents are skipped.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<PreviewIcon />} onClick={() => handleRun(true)} disabled={running}>
+            Preview Purge
+          </Button>
+          <Button variant="contained" color="error" startIcon={<RunIcon />} onClick={() => setConfirmOpen(true)} disabled={running}>
+            Run Purge Now
+          </Button>
+        </Box>
+      </Box>
+
+      {legalHolds && (
+        <Box sx={{ display: 'flex', gap: 1, mb: 3 }}>
+          <Chip icon={<HoldIcon />} label={`${legalHolds.documents} documents on legal hold`} variant="outlined" />
+          <Chip icon={<HoldIcon />} label={`${legalHolds.cases} cases on legal hold`} variant="outlined" />
+        </Box>
+      )}
+
+      <Card>
+        <CardContent>
+          {(loading || running) && <LinearProgress sx={{ mb: 1 }} />}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Started</TableCell>
+                  <TableCell>Trigger</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Checked</TableCell>
+                  <TableCell align="right">Originals Purged</TableCell>
+                  <TableCell align="right">Records Purged</TableCell>
+                  <TableCell align="right">On Hold</TableCell>
+                  <TableCell align="right">Failed</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {runs.map(run => (
+                  <TableRow key={run._id}>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {moment(run.startedAt).format('MMM DD, YYYY HH:mm')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {run.trigger === 'manual' ? `Manual${run.triggeredBy ? ` (${run.triggeredBy.email})` : ''}` : 'Scheduled'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={run.status} color={STATUS_COLORS[run.status] || 'default'} size="small" />
+                    </TableCell>
+                    <TableCell align="right">{run.counts.documentsChecked}</TableCell>
+                    <TableCell align="right">{run.counts.originalsPurged}</TableCell>
+                    <TableCell align="right">{run.counts.recordsPurged}</TableCell>
+                    <TableCell align="right">{run.counts.skippedLegalHold}</TableCell>
+                    <TableCell align="right">{run.counts.failed}</TableCell>
+                    <TableCell align="right">
+                      <Button size="small" onClick={() => handleView(run._id)}>
+                        View
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {!loading && runs.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={9} align="center">
+                      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                        No purges have run yet
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {totalPages > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              <Pagination
+                count={totalPages}
+                page={page}
+                onChange={(event, value) => setPage(value)}
+                color="primary"
+              />
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={confirmOpen} onClose={() => setConfirmOpen(false)}>
+        <DialogTitle>Run retention purge?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">
+            Every document past its retention period will be purged now. Purged files and records cannot be recovered.
+            Use Preview Purge to see what would be removed first.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={() => handleRun(false)}>
+            Purge
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {selected?.dryRun
+            ? 'Purge preview (nothing was changed)'
+            : `Purge report — ${selected ? moment(selected.run.startedAt).format('MMM DD, YYYY HH:mm') : ''}`}
+        </DialogTitle>
+        <DialogContent>
+          {selected && <RunItems run={selected.run} />}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default RetentionReport;
@@ -25,7 +25,8 @@ import {
   Alert,
   Pagination,
   LinearProgress,
-  Avatar
+  Avatar,
+  Tooltip
 } from '@mui/material';
 import {
   Search as SearchIcon,
@@ -54,6 +55,7 @@ const UserManagement = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [actionMenuAnchor, setActionMenuAnchor] = useState(null);
   const [confirmDialog, setConfirmDialog] = useState({ open: false, action: null, user: null });
+  const [suspensionReason, setSuspensionReason] = useState('');
 
   useEffect(() => {
     if (user?.role === 'admin') {
@@ -91,6 +93,8 @@ const UserManagement = () => {
     }
   };
 
+  const getStatus = (userItem) => (userItem?.active === false ? 'suspended' : 'active');
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active': return 'success';
@@ -118,6 +122,7 @@ const UserManagement = () => {
       action,
       user: selectedUser
     });
+    setSuspensionReason('');
     handleActionClose();
   };
 
@@ -125,30 +130,26 @@ const UserManagement = () => {
     const { action, user: targetUser } = confirmDialog;
     
     try {
-      let endpoint = '';
-      let method = 'put';
-      let successMessage = '';
-
       switch (action) {
         case 'suspend':
-          endpoint = `/api/admin/users/${targetUser._id}/suspend`;
-          successMessage = 'User suspended successfully';
+          await api.put(`/admin/users/${targetUser._id}/status`, {
+            active: false,
+            reason: suspensionReason.trim() || undefined
+          });
+          showSuccess('User suspended successfully');
           break;
         case 'activate':
-          endpoint = `/api/admin/users/${targetUser._id}/activate`;
-          successMessage = 'User activated successfully';
+          await api.put(`/admin/users/${targetUser._id}/status`, { active: true });
+          showSuccess('User activated successfully');
           break;
         case 'delete':
-          endpoint = `/api/admin/users/${targetUser._id}`;
-          method = 'delete';
-          successMessage = 'User deleted successfully';
+          await axios.delete(`/api/admin/users/${targetUser._id}`);
+          showSuccess('User deleted successfully');
           break;
         default:
           return;
       }
 
-      await axios[method](endpoint);
-      showSuccess(successMessage);
       fetchUsers();
     } catch (error) {
       console.error(`Error performing ${action}:`, error);
@@ -264,12 +265,23 @@ const UserManagement = () => {
                       />
                     </TableCell>
                     <TableCell>
-                      <Chip
-                        label={userItem.status || 'active'}
-                        color={getStatusColor(userItem.status)}
-                        size="small"
-                        variant="outlined"
-                      />
+                      <Tooltip
+                        title={userItem.active === false
+                          ? `Suspended ${moment(userItem.suspendedAt).format('MMM DD, YYYY')}${userItem.suspensionReason ? `: ${userItem.suspensionReason}` : ''}`
+                          : ''}
+                      >
+                        <Chip
+                          label={getStatus(userItem)}
+                          color={getStatusColor(getStatus(userItem))}
+                          size="small"
+                          variant="outlined"
+                        />
+                      </Tooltip>
+                      {userItem.active === false && userItem.suspensionReason && (
+                        <Typography variant="caption" color="text.secondary" display="block" noWrap sx={{ maxWidth: 160 }}>
+                          {userItem.suspensionReason}
+                        </Typography>
+                      )}
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
@@ -329,7 +341,7 @@ const UserManagement = () => {
           <EmailIcon sx={{ mr: 1 }} />
           Send Welcome Email
         </MenuItem>
-        {selectedUser?.status !== 'suspended' ? (
+        {getStatus(selectedUser) !== 'suspended' ? (
           <MenuItem onClick={() => handleAction('suspend')}>
             <BlockIcon sx={{ mr: 1 }} />
             Suspend Account
@@ -366,9 +378,21 @@ const UserManagement = () => {
               )}
               
               {confirmDialog.action === 'suspend' && (
-                <Alert severity="info" sx={{ mt: 2 }}>
-                  The user will not be able to access their account until reactivated.
-                </Alert>
+                <>
+                  <Alert severity="info" sx={{ mt: 2 }}>
+                    The user will be signed out everywhere and will not be able to access their account until reactivated.
+                  </Alert>
+                  <TextField
+                    fullWidth
+                    label="Reason (optional)"
+                    value={suspensionReason}
+                    onChange={(event) => setSuspensionReason(event.target.value)}
+                    margin="normal"
+                    multiline
+                    minRows={2}
+                    inputProps={{ maxLength: 500 }}
+                  />
+                </>
               )}
             </Box>
           )}
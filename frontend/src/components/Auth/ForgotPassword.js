@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  Alert,
+  InputAdornment
+} from '@mui/material';
+import { Email as EmailIcon } from '@mui/icons-material';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { Link as RouterLink } from 'react-router-dom';
+import api from '../../utils/api';
+
+const validationSchema = Yup.object({
+  email: Yup.string()
+    .email('Invalid email address')
+    .required('Email is required')
+});
+
+const ForgotPassword = () => {
+  const [sentMessage, setSentMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const formik = useFormik({
+    initialValues: {
+      email: ''
+    },
+    validationSchema,
+    onSubmit: async (values, { setSubmitting }) => {
+      setError(null);
+      try {
+        const response = await api.post('/auth/forgot-password', values);
+        setSentMessage(response.data.message);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not send the reset link. Please try again.');
+      }
+      setSubmitting(false);
+    }
+  });
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        p: 2
+      }}
+    >
+      <Paper
+        elevation={24}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          borderRadius: 2
+        }}
+      >
+        <Box sx={{ textAlign: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h1" gutterBottom fontWeight={600}>
+            Forgot Password
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Enter your email and we'll send you a link to choose a new password
+          </Typography>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {sentMessage ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {sentMessage}
+          </Alert>
+        ) : (
+          <form onSubmit={formik.handleSubmit}>
+            <TextField
+              fullWidth
+              id="email"
+              name="email"
+              label="Email Address"
+              type="email"
+              value={formik.values.email}
+              onChange={formik.handleChange}
+              onBlur={formik.handleBlur}
+              error={formik.touched.email && Boolean(formik.errors.email)}
+              helperText={formik.touched.email && formik.errors.email}
+              margin="normal"
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <EmailIcon color="action" />
+                  </InputAdornment>
+                ),
+              }}
+              autoComplete="email"
+              autoFocus
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={formik.isSubmitting}
+              sx={{ mt: 3, mb: 2, py: 1.5 }}
+            >
+              {formik.isSubmitting ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          </form>
+        )}
+
+        <Box sx={{ textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            Remembered it?{' '}
+            <Link component={RouterLink} to="/login" underline="hover">
+              Back to sign in
+            </Link>
+          </Typography>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
@@ -29,6 +29,7 @@ import * as Yup from 'yup';
 import { Link as RouterLink } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
+import TwoFactorChallenge from './TwoFactorChallenge';
 
 const validationSchema = Yup.object({
   email: Yup.string()
@@ -73,6 +74,7 @@ const Login = () => {
   const { login, error, clearError } = useAuth();
   const { showSuccess, showError } = useNotification();
   const [showPassword, setShowPassword] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
 
   const formik = useFormik({
     initialValues: {
@@ -86,6 +88,8 @@ const Login = () => {
       
       if (result.success) {
         showSuccess('Login successful!');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         showError(result.error || 'Login failed');
       }
@@ -94,6 +98,15 @@ const Login = () => {
     }
   });
 
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onCancel={() => setChallengeToken(null)}
+      />
+    );
+  }
+
   const handleTogglePassword = () => {
     setShowPassword(!showPassword);
   };
@@ -207,6 +220,12 @@ const Login = () => {
             autoComplete="current-password"
           />
 
+          <Box sx={{ textAlign: 'right', mt: 1 }}>
+            <Link component={RouterLink} to="/forgot-password" underline="hover" variant="body2">
+              Forgot password?
+            </Link>
+          </Box>
+
           <Button
             type="submit"
             fullWidth
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  Alert,
+  InputAdornment,
+  IconButton
+} from '@mui/material';
+import {
+  Visibility,
+  VisibilityOff,
+  Lock as LockIcon
+} from '@mui/icons-material';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const validationSchema = Yup.object({
+  password: Yup.string()
+    .min(8, 'Password must be at least 8 characters')
+    .required('Password is required'),
+  confirmPassword: Yup.string()
+    .oneOf([Yup.ref('password'), null], 'Passwords must match')
+    .required('Please confirm your password')
+});
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { showSuccess } = useNotification();
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(null);
+  const token = searchParams.get('token');
+
+  const formik = useFormik({
+    initialValues: {
+      password: '',
+      confirmPassword: ''
+    },
+    validationSchema,
+    onSubmit: async (values, { setSubmitting }) => {
+      setError(null);
+      try {
+        const response = await api.post('/auth/reset-password', {
+          token,
+          password: values.password
+        });
+        showSuccess(response.data.message);
+        navigate('/login', { replace: true });
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not reset your password. Please try again.');
+        setSubmitting(false);
+      }
+    }
+  });
+
+  const passwordAdornments = {
+    startAdornment: (
+      <InputAdornment position="start">
+        <LockIcon color="action" />
+      </InputAdornment>
+    ),
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton
+          aria-label="toggle password visibility"
+          onClick={() => setShowPassword(!showPassword)}
+          edge="end"
+        >
+          {showPassword ? <VisibilityOff /> : <Visibility />}
+        </IconButton>
+      </InputAdornment>
+    ),
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        p: 2
+      }}
+    >
+      <Paper
+        elevation={24}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          borderRadius: 2
+        }}
+      >
+        <Box sx={{ textAlign: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h1" gutterBottom fontWeight={600}>
+            Reset Password
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Choose a new password for your account
+          </Typography>
+        </Box>
+
+        {!token ? (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            This password reset link is incomplete. Please request a new one.
+          </Alert>
+        ) : (
+          <>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={formik.handleSubmit}>
+              <TextField
+                fullWidth
+                id="password"
+                name="password"
+                label="New Password"
+                type={showPassword ? 'text' : 'password'}
+                value={formik.values.password}
+                onChange={formik.handleChange}
+                onBlur={formik.handleBlur}
+                error={formik.touched.password && Boolean(formik.errors.password)}
+                helperText={formik.touched.password && formik.errors.password}
+                margin="normal"
+                InputProps={passwordAdornments}
+                autoComplete="new-password"
+                autoFocus
+              />
+
+              <TextField
+                fullWidth
+                id="confirmPassword"
+                name="confirmPassword"
+                label="Confirm New Password"
+                type={showPassword ? 'text' : 'password'}
+                value={formik.values.confirmPassword}
+                onChange={formik.handleChange}
+                onBlur={formik.handleBlur}
+                error={formik.touched.confirmPassword && Boolean(formik.errors.confirmPassword)}
+                helperText={formik.touched.confirmPassword && formik.errors.confirmPassword}
+                margin="normal"
+                autoComplete="new-password"
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={formik.isSubmitting}
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+              >
+                {formik.isSubmitting ? 'Saving...' : 'Reset Password'}
+              </Button>
+            </form>
+          </>
+        )}
+
+        <Box sx={{ textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            <Link component={RouterLink} to="/forgot-password" underline="hover">
+              Request a new link
+            </Link>
+            {' · '}
+            <Link component={RouterLink} to="/login" underline="hover">
+              Back to sign in
+            </Link>
+          </Typography>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ResetPassword;
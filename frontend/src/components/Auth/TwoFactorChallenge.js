@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  Alert,
+  InputAdornment
+} from '@mui/material';
+import { Security as SecurityIcon } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+
+// Second sign-in step for accounts with two-factor authentication
+const TwoFactorChallenge = ({ challengeToken, onCancel }) => {
+  const { verifyTwoFactor } = useAuth();
+  const { showSuccess, showWarning, showError } = useNotification();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!code.trim()) return;
+
+    setSubmitting(true);
+    setError(null);
+    const result = await verifyTwoFactor(challengeToken, code.trim());
+
+    if (result.success) {
+      showSuccess('Login successful!');
+      if (result.recoveryCodesRemaining !== undefined) {
+        showWarning(`Recovery code used. You have ${result.recoveryCodesRemaining} left; generate new ones from your profile.`);
+      }
+      return;
+    }
+
+    if (result.challengeExpired) {
+      showError(result.error);
+      onCancel();
+      return;
+    }
+
+    setError(result.error);
+    setCode('');
+    setSubmitting(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        p: 2
+      }}
+    >
+      <Paper
+        elevation={24}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          borderRadius: 2
+        }}
+      >
+        <Box sx={{ textAlign: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h1" gutterBottom fontWeight={600}>
+            Two-Factor Authentication
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </Typography>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            fullWidth
+            id="code"
+            name="code"
+            label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            margin="normal"
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SecurityIcon color="action" />
+                </InputAdornment>
+              ),
+            }}
+            inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+            autoComplete="one-time-code"
+            autoFocus
+          />
+
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            size="large"
+            disabled={submitting || !code.trim()}
+            sx={{ mt: 3, mb: 2, py: 1.5 }}
+          >
+            {submitting ? 'Verifying...' : 'Verify'}
+          </Button>
+        </form>
+
+        <Box sx={{ textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            <Link component="button" type="button" onClick={toggleRecoveryCode} underline="hover">
+              {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+            </Link>
+            {' · '}
+            <Link component="button" type="button" onClick={onCancel} underline="hover">
+              Back to sign in
+            </Link>
+          </Typography>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../utils/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const submitted = useRef(false);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Only submit once, even when effects run twice in development
+    if (submitted.current) return;
+    submitted.current = true;
+
+    if (!token) {
+      setStatus('error');
+      setMessage('This verification link is incomplete.');
+      return;
+    }
+
+    api.post('/auth/verify-email', { token })
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+        if (isAuthenticated) {
+          updateUser({ isVerified: true });
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Could not verify your email. Please try again.');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        p: 2
+      }}
+    >
+      <Paper
+        elevation={24}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          borderRadius: 2,
+          textAlign: 'center'
+        }}
+      >
+        <Typography variant="h4" component="h1" gutterBottom fontWeight={600}>
+          Verify Email
+        </Typography>
+
+        {status === 'verifying' ? (
+          <Box sx={{ py: 3 }}>
+            <CircularProgress />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Confirming your email address...
+            </Typography>
+          </Box>
+        ) : (
+          <Alert severity={status === 'verified' ? 'success' : 'error'} sx={{ my: 2, textAlign: 'left' }}>
+            {message}
+            {status === 'error' && isAuthenticated && ' You can send a new link from the banner in the app.'}
+          </Alert>
+        )}
+
+        {status !== 'verifying' && (
+          <Button
+            component={RouterLink}
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            variant="contained"
+            fullWidth
+            sx={{ mt: 1 }}
+          >
+            {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+          </Button>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Grid,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Paper,
+  Stepper,
+  Step,
+  StepLabel,
+  TextField,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon,
+  ArrowForward as AdvanceIcon,
+  Undo as StepBackIcon,
+  LinkOff as UnlinkIcon,
+  Description as DocumentIcon,
+  Lock as HoldIcon
+} from '@mui/icons-material';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+import moment from 'moment';
+import {
+  CASE_STATUSES,
+  CASE_STATUS_LABELS,
+  getValidationColor,
+  getValidationLabel
+} from './caseStatus';
+
+const CaseDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showError, showSuccess } = useNotification();
+
+  const [caseData, setCaseData] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [validationSummary, setValidationSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [statusNote, setStatusNote] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [holdDialogOpen, setHoldDialogOpen] = useState(false);
+  const [holdReason, setHoldReason] = useState('');
+
+  const fetchCase = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/cases/${id}`);
+      setCaseData(response.data.case);
+      setDocuments(response.data.documents);
+      setValidationSummary(response.data.validationSummary);
+    } catch (error) {
+      showError('Failed to load case details');
+      navigate('/cases');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate, showError]);
+
+  useEffect(() => {
+    fetchCase();
+  }, [fetchCase]);
+
+  const handleStatusChange = async (status) => {
+    try {
+      setUpdating(true);
+      await api.put(`/cases/${id}/status`, {
+        status,
+        ...(statusNote && { note: statusNote })
+      });
+      showSuccess(`Case moved to ${CASE_STATUS_LABELS[status]}`);
+      setStatusNote('');
+      fetchCase();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update case status');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleUnlinkDocument = async (documentId) => {
+    try {
+      await api.delete(`/cases/${id}/documents/${documentId}`);
+      showSuccess('Document removed from case');
+      fetchCase();
+    } catch (error) {
+      showError('Failed to remove document from case');
+    }
+  };
+
+  const handleLegalHold = async (active) => {
+    try {
+      setUpdating(true);
+      const response = await api.put(`/cases/${id}/legal-hold`, { active, reason: holdReason });
+      setCaseData(current => ({ ...current, legalHold: response.data.legalHold }));
+      setHoldDialogOpen(false);
+      setHoldReason('');
+      showSuccess(response.data.message);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update legal hold');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <LinearProgress />
+        <Typography sx={{ mt: 2 }}>Loading case details...</Typography>
+      </Box>
+    );
+  }
+
+  if (!caseData) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Alert severity="error">Case not found</Alert>
+      </Box>
+    );
+  }
+
+  const statusIndex = CASE_STATUSES.indexOf(caseData.status);
+  const nextStatus = CASE_STATUSES[statusIndex + 1];
+  const previousStatus = CASE_STATUSES[statusIndex - 1];
+  const authorizationBlocked = nextStatus === 'authorized' &&
+    ['no_documents', 'pending', 'fail'].includes(validationSummary?.overall);
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <Button
+          startIcon={<BackIcon />}
+          onClick={() => navigate('/cases')}
+          sx={{ mr: 2 }}
+        >
+          Back to Cases
+        </Button>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="h4">
+            {caseData.decedentName}
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Case {caseData.caseNumber}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Chip
+            label={getValidationLabel(validationSummary?.overall)}
+            color={getValidationColor(validationSummary?.overall)}
+          />
+          {caseData.legalHold?.active ? (
+            <Button
+              variant="outlined"
+              color="warning"
+              startIcon={<HoldIcon />}
+              onClick={() => handleLegalHold(false)}
+              disabled={updating}
+            >
+              Release Hold
+            </Button>
+          ) : (
+            <Button variant="outlined" startIcon={<HoldIcon />} onClick={() => setHoldDialogOpen(true)}>
+              Legal Hold
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {caseData.legalHold?.active && (
+        <Alert severity="warning" icon={<HoldIcon />} sx={{ mb: 3 }}>
+          On legal hold since {moment(caseData.legalHold.placedAt).format('MMM D, YYYY')}: {caseData.legalHold.reason}.
+          {' '}Documents in this case will not be purged, deleted or removed from the case until the hold is released.
+        </Alert>
+      )}
+
+      {/* Status Pipeline */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Stepper activeStep={statusIndex} alternativeLabel sx={{ mb: 3 }}>
+            {CASE_STATUSES.map((status) => (
+              <Step key={status} completed={CASE_STATUSES.indexOf(status) < statusIndex}>
+                <StepLabel>{CASE_STATUS_LABELS[status]}</StepLabel>
+              </Step>
+            ))}
+          </Stepper>
+
+          {authorizationBlocked && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              All case documents must finish validation without failures before cremation can be authorized.
+            </Alert>
+          )}
+
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Note (optional)"
+                value={statusNote}
+                onChange={(e) => setStatusNote(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                {previousStatus && (
+                  <Button
+                    variant="outlined"
+                    startIcon={<StepBackIcon />}
+                    onClick={() => handleStatusChange(previousStatus)}
+                    disabled={updating}
+                  >
+                    Back to {CASE_STATUS_LABELS[previousStatus]}
+                  </Button>
+                )}
+                {nextStatus && (
+                  <Button
+                    variant="contained"
+                    endIcon={<AdvanceIcon />}
+                    onClick={() => handleStatusChange(nextStatus)}
+                    disabled={updating || authorizationBlocked}
+                  >
+                    Move to {CASE_STATUS_LABELS[nextStatus]}
+                  </Button>
+                )}
+              </Box>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      <Grid container spacing={3}>
+        {/* Case Information */}
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Case Information
+              </Typography>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Date of Death
+                </Typography>
+                <Typography variant="body1">
+                  {caseData.dateOfDeath ? moment(caseData.dateOfDeath).format('MMM DD, YYYY') : 'Not recorded'}
+                </Typography>
+              </Box>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Assigned Arranger
+                </Typography>
+                <Typography variant="body1">
+                  {caseData.assignedArranger
+                    ? `${caseData.assignedArranger.firstName} ${caseData.assignedArranger.lastName}`
+                    : 'Unassigned'}
+                </Typography>
+              </Box>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Opened
+                </Typography>
+                <Typography variant="body1">
+                  {moment(caseData.createdAt).format('MMM DD, YYYY HH:mm')}
+                </Typography>
+              </Box>
+              {caseData.notes && (
+                <Box>
+                  <Typography variant="body2" color="text.secondary">
+                    Notes
+                  </Typography>
+                  <Typography variant="body1">{caseData.notes}</Typography>
+                </Box>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Next of Kin */}
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Next of Kin
+              </Typography>
+              {caseData.nextOfKin?.length > 0 ? (
+                <List dense>
+                  {caseData.nextOfKin.map((kin) => (
+                    <ListItem key={kin._id}>
+                      <ListItemText
+                        primary={`${kin.name}${kin.relationship ? ` (${kin.relationship})` : ''}`}
+                        secondary={[kin.phone, kin.email].filter(Boolean).join(' • ') || 'No contact details'}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No next of kin recorded
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Documents */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Documents
+              </Typography>
+              {validationSummary && validationSummary.total > 0 && (
+                <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                  <Chip label={`${validationSummary.pass} passed`} color="success" size="small" variant="outlined" />
+                  <Chip label={`${validationSummary.warning} warnings`} color="warning" size="small" variant="outlined" />
+                  <Chip label={`${validationSummary.fail + validationSummary.errored} failed`} color="error" size="small" variant="outlined" />
+                  <Chip label={`${validationSummary.processing} processing`} color="info" size="small" variant="outlined" />
+                </Box>
+              )}
+              {documents.length === 0 ? (
+                <Alert severity="info">
+                  No documents are filed under this case yet. Upload a POA with case number {caseData.caseNumber} to attach it.
+                </Alert>
+              ) : (
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Document</TableCell>
+                        <TableCell>Validation</TableCell>
+                        <TableCell>Uploaded</TableCell>
+                        <TableCell align="right">Actions</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {documents.map((doc) => (
+                        <TableRow
+                          key={doc._id}
+                          hover
+                          sx={{ cursor: 'pointer' }}
+                          onClick={() => navigate(`/documents/${doc._id}`)}
+                        >
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                              <DocumentIcon sx={{ mr: 1, color: 'text.secondary' }} />
+                              {doc.filename}
+                            </Box>
+                          </TableCell>
+                          <TableCell>
+                            <Chip
+                              label={doc.status === 'completed' ? (doc.validationResult || 'pending') : doc.status}
+                              color={getValidationColor(doc.validationResult)}
+                              size="small"
+                            />
+                          </TableCell>
+                          <TableCell>
+                            {moment(doc.uploadedAt).format('MMM DD, YYYY')}
+                          </TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Remove from case">
+                              <IconButton
+                                size="small"
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  handleUnlinkDocument(doc._id);
+                                }}
+                              >
+                                <UnlinkIcon />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Status History */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Status History
+              </Typography>
+              <List dense>
+                {[...(caseData.statusHistory || [])].reverse().map((entry) => (
+                  <ListItem key={entry._id}>
+                    <ListItemText
+                      primary={CASE_STATUS_LABELS[entry.status]}
+                      secondary={`${moment(entry.changedAt).format('MMM DD, YYYY HH:mm')}${entry.note ? ` — ${entry.note}` : ''}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <Dialog open={holdDialogOpen} onClose={() => setHoldDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Place legal hold on case {caseData.caseNumber}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Every document in a held case is skipped by retention purges and cannot be deleted.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason"
+            value={holdReason}
+            onChange={(e) => setHoldReason(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHoldDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => handleLegalHold(true)}
+            disabled={updating || !holdReason.trim()}
+          >
+            Place Hold
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CaseDetails;
@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  Chip,
+  Button,
+  TextField,
+  InputAdornment,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Pagination,
+  LinearProgress
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Add as AddIcon,
+  FolderShared as CaseIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+import { CASE_STATUS_LABELS, getValidationColor, getValidationLabel } from './caseStatus';
+
+const emptyCase = {
+  caseNumber: '',
+  decedentFirstName: '',
+  decedentLastName: '',
+  dateOfDeath: '',
+  nextOfKinName: '',
+  nextOfKinRelationship: '',
+  nextOfKinPhone: ''
+};
+
+const CaseLibrary = () => {
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+  const [cases, setCases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [arrangerFilter, setArrangerFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [createDialog, setCreateDialog] = useState(false);
+  const [newCase, setNewCase] = useState(emptyCase);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCases = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: '20',
+        ...(searchTerm && { search: searchTerm }),
+        ...(statusFilter !== 'all' && { status: statusFilter }),
+        ...(arrangerFilter !== 'all' && { assignedArranger: arrangerFilter })
+      });
+
+      const response = await api.get(`/cases?${params}`);
+      setCases(response.data.cases);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      console.error('Error fetching cases:', error);
+      showNotification('Failed to load cases', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, searchTerm, statusFilter, arrangerFilter, showNotification]);
+
+  useEffect(() => {
+    fetchCases();
+  }, [fetchCases]);
+
+  const handleFieldChange = (field) => (event) => {
+    setNewCase({ ...newCase, [field]: event.target.value });
+  };
+
+  const handleCreateCase = async () => {
+    try {
+      setSaving(true);
+      const response = await api.post('/cases', {
+        caseNumber: newCase.caseNumber,
+        decedent: {
+          firstName: newCase.decedentFirstName,
+          lastName: newCase.decedentLastName
+        },
+        ...(newCase.dateOfDeath && { dateOfDeath: newCase.dateOfDeath }),
+        nextOfKin: newCase.nextOfKinName ? [{
+          name: newCase.nextOfKinName,
+          relationship: newCase.nextOfKinRelationship,
+          phone: newCase.nextOfKinPhone
+        }] : []
+      });
+
+      showNotification('Case created successfully', 'success');
+      setCreateDialog(false);
+      setNewCase(emptyCase);
+      navigate(`/cases/${response.data.case._id}`);
+    } catch (error) {
+      console.error('Error creating case:', error);
+      showNotification(error.response?.data?.error || 'Failed to create case', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderFilterControls = () => (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={5}>
+            <TextField
+              fullWidth
+              placeholder="Search by case number or decedent..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setPage(1);
+              }}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+                label="Status"
+              >
+                <MenuItem value="all">All Statuses</MenuItem>
+                {Object.entries(CASE_STATUS_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Arranger</InputLabel>
+              <Select
+                value={arrangerFilter}
+                onChange={(e) => {
+                  setArrangerFilter(e.target.value);
+                  setPage(1);
+                }}
+                label="Arranger"
+              >
+                <MenuItem value="all">Everyone</MenuItem>
+                <MenuItem value="me">Assigned to me</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={2}>
+            <Button
+              fullWidth
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => setCreateDialog(true)}
+            >
+              New Case
+            </Button>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+
+  const renderCaseTable = () => {
+    if (!loading && cases.length === 0) {
+      return (
+        <Card>
+          <CardContent>
+            <Alert severity="info">
+              No cases found. {searchTerm ? 'Try adjusting your search criteria.' : 'Open a case to group the documents for one decedent.'}
+            </Alert>
+          </CardContent>
+        </Card>
+      );
+    }
+
+    return (
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Case</TableCell>
+              <TableCell>Decedent</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Validation</TableCell>
+              <TableCell>Documents</TableCell>
+              <TableCell>Arranger</TableCell>
+              <TableCell>Updated</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {cases.map((caseItem) => (
+              <TableRow
+                key={caseItem._id}
+                hover
+                sx={{ cursor: 'pointer' }}
+                onClick={() => navigate(`/cases/${caseItem._id}`)}
+              >
+                <TableCell>
+                  <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                    <CaseIcon sx={{ mr: 1, color: 'text.secondary' }} />
+                    <Typography variant="body2" fontWeight="medium">
+                      {caseItem.caseNumber}
+                    </Typography>
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{caseItem.decedentName}</Typography>
+                  {caseItem.dateOfDeath && (
+                    <Typography variant="caption" color="text.secondary">
+                      Died {new Date(caseItem.dateOfDeath).toLocaleDateString()}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Chip label={CASE_STATUS_LABELS[caseItem.status]} size="small" variant="outlined" />
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={getValidationLabel(caseItem.validationSummary?.overall)}
+                    color={getValidationColor(caseItem.validationSummary?.overall)}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>{caseItem.validationSummary?.total || 0}</TableCell>
+                <TableCell>
+                  {caseItem.assignedArranger
+                    ? `${caseItem.assignedArranger.firstName} ${caseItem.assignedArranger.lastName}`
+                    : 'Unassigned'}
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">
+                    {new Date(caseItem.updatedAt).toLocaleDateString()}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    );
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" gutterBottom>
+          Cases
+        </Typography>
+        <Typography variant="subtitle1" color="text.secondary">
+          Track each decedent from intake to cremation with their POA documents
+        </Typography>
+      </Box>
+
+      {renderFilterControls()}
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {renderCaseTable()}
+
+      {totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Pagination
+            count={totalPages}
+            page={page}
+            onChange={(event, value) => setPage(value)}
+            color="primary"
+          />
+        </Box>
+      )}
+
+      {/* Create Case Dialog */}
+      <Dialog open={createDialog} onClose={() => setCreateDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New Case</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                label="Case Number"
+                value={newCase.caseNumber}
+                onChange={handleFieldChange('caseNumber')}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                required
+                label="Decedent First Name"
+                value={newCase.decedentFirstName}
+                onChange={handleFieldChange('decedentFirstName')}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                required
+                label="Decedent Last Name"
+                value={newCase.decedentLastName}
+                onChange={handleFieldChange('decedentLastName')}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Date of Death"
+                InputLabelProps={{ shrink: true }}
+                value={newCase.dateOfDeath}
+                onChange={handleFieldChange('dateOfDeath')}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="text.secondary">
+                Next of Kin
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Name"
+                value={newCase.nextOfKinName}
+                onChange={handleFieldChange('nextOfKinName')}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Relationship"
+                value={newCase.nextOfKinRelationship}
+                onChange={handleFieldChange('nextOfKinRelationship')}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Phone"
+                value={newCase.nextOfKinPhone}
+                onChange={handleFieldChange('nextOfKinPhone')}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateDialog(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleCreateCase}
+            disabled={saving || !newCase.caseNumber || !newCase.decedentFirstName || !newCase.decedentLastName}
+          >
+            Create Case
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default CaseLibrary;
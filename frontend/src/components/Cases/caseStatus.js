@@ -0,0 +1,39 @@
+// Case pipeline, in order (mirrors Case.STATUSES on the backend)
+export const CASE_STATUSES = ['intake', 'poa_review', 'authorized', 'cremated'];
+
+export const CASE_STATUS_LABELS = {
+  intake: 'Intake',
+  poa_review: 'POA Review',
+  authorized: 'Authorized',
+  cremated: 'Cremated'
+};
+
+export const getValidationColor = (overall) => {
+  switch (overall) {
+    case 'pass':
+      return 'success';
+    case 'warning':
+      return 'warning';
+    case 'fail':
+      return 'error';
+    case 'pending':
+      return 'info';
+    default:
+      return 'default';
+  }
+};
+
+export const getValidationLabel = (overall) => {
+  switch (overall) {
+    case 'pass':
+      return 'All passed';
+    case 'warning':
+      return 'Warnings';
+    case 'fail':
+      return 'Failed';
+    case 'pending':
+      return 'Validating';
+    default:
+      return 'No documents';
+  }
+};
@@ -23,7 +23,12 @@ import {
   List,
   ListItem,
   ListItemIcon,
-  ListItemText
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
 } from '@mui/material';
 import {
   ArrowBack as BackIcon,
@@ -36,14 +41,43 @@ import {
   ExpandMore as ExpandMoreIcon,
   Gavel as NotaryIcon,
   People as WitnessIcon,
-  TextFields as VerbiageIcon
+  TextFields as VerbiageIcon,
+  Rule as CustomRuleIcon,
+  EventBusy as TermIcon,
+  VisibilityOff as RedactIcon,
+  Lock as HoldIcon,
+  Draw as SignatureIcon,
+  Approval as SealIcon
 } from '@mui/icons-material';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useNotification } from '../../contexts/NotificationContext';
 import api from '../../utils/api';
+import DocumentReview from './DocumentReview';
+import ValidationProgress from './ValidationProgress';
 import { downloadFromResponse, safeDownload } from '../../utils/downloadUtils';
 import moment from 'moment';
 
+const PII_LABELS = {
+  ssn: 'SSN',
+  drivers_license: "Driver's license",
+  routing_number: 'Routing number',
+  bank_account: 'Bank account',
+  dob: 'Date of birth',
+  phone: 'Phone'
+};
+
+// What was read from the notary seal, for the seal result card
+const describeSeal = (seal) => {
+  if (!seal.found) {
+    return 'No seal impression was found on the acknowledgment.';
+  }
+  const details = [
+    seal.commissionNumber && `commission #${seal.commissionNumber}`,
+    seal.commissionExpiry && `expires ${moment(seal.commissionExpiry).format('MM/DD/YYYY')}`
+  ].filter(Boolean);
+  return `Seal found on page ${seal.pageNumber}${details.length > 0 ? `: ${details.join(', ')}` : ''}.`;
+};
+
 const DocumentDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -51,6 +85,9 @@ const DocumentDetails = () => {
 
   const [document, setDocument] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [holdDialogOpen, setHoldDialogOpen] = useState(false);
+  const [holdReason, setHoldReason] = useState('');
+  const [savingHold, setSavingHold] = useState(false);
 
   useEffect(() => {
     fetchDocument();
@@ -129,6 +166,47 @@ const DocumentDetails = () => {
     );
   };
 
+  const handleDownloadRedacted = async () => {
+    await safeDownload(
+      async () => {
+        // Redacted copies are rendered on request and can outlast the shared request timeout
+        const response = await api.get(`/documents/${id}/download/redacted`, {
+          responseType: 'blob',
+          timeout: 0
+        });
+        const baseName = (document.filename || 'document').replace(/\.[^.]+$/, '');
+        const extension = response.headers?.['content-type'] === 'application/pdf' ? 'pdf' : 'png';
+        downloadFromResponse(response, `redacted-${baseName}.${extension}`);
+      },
+      () => showSuccess('Redacted copy downloaded successfully'),
+      () => showError('Failed to download redacted copy')
+    );
+  };
+
+  const handleLegalHold = async (active) => {
+    setSavingHold(true);
+    try {
+      const response = await api.put(`/documents/${id}/legal-hold`, { active, reason: holdReason });
+      setDocument(current => ({ ...current, legalHold: active ? response.data.legalHold : null }));
+      setHoldDialogOpen(false);
+      setHoldReason('');
+      showSuccess(response.data.message);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update legal hold');
+    } finally {
+      setSavingHold(false);
+    }
+  };
+
+  const originalPurged = Boolean(document?.retention?.originalPurgedAt);
+  const recordPurged = Boolean(document?.retention?.recordPurgedAt);
+
+  // Redaction needs every detected item located on the page
+  const canDownloadRedacted = !originalPurged
+    && document?.status === 'completed'
+    && Boolean(document.pii?.detectedAt)
+    && !document.pii?.unlocated;
+
   const renderValidationResult = (title, result, icon) => {
     if (!result) return null;
 
@@ -221,20 +299,75 @@ const DocumentDetails = () => {
             variant="outlined"
             startIcon={<DownloadIcon />}
             onClick={handleDownloadOriginal}
+            disabled={originalPurged}
           >
             Download Original
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RedactIcon />}
+            onClick={handleDownloadRedacted}
+            disabled={!canDownloadRedacted}
+          >
+            Download Redacted
+          </Button>
           <Button
             variant="contained"
             startIcon={<DownloadIcon />}
             onClick={handleDownloadReport}
-            disabled={document.status !== 'completed'}
+            disabled={document.status !== 'completed' || recordPurged}
           >
             Download Report
           </Button>
+          {document.legalHold ? (
+            <Button
+              variant="outlined"
+              color="warning"
+              startIcon={<HoldIcon />}
+              onClick={() => handleLegalHold(false)}
+              disabled={savingHold}
+            >
+              Release Hold
+            </Button>
+          ) : (
+            <Button
+              variant="outlined"
+              startIcon={<HoldIcon />}
+              onClick={() => setHoldDialogOpen(true)}
+            >
+              Legal Hold
+            </Button>
+          )}
         </Box>
       </Box>
 
+      {document.legalHold && (
+        <Alert severity="warning" icon={<HoldIcon />} sx={{ mb: 3 }}>
+          On legal hold since {moment(document.legalHold.placedAt).format('MMM D, YYYY')}: {document.legalHold.reason}.
+          {' '}This document will not be purged or deleted until the hold is released.
+        </Alert>
+      )}
+
+      {(originalPurged || recordPurged) && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          {recordPurged
+            ? `The file and validation record were purged under the retention policy on ${moment(document.retention.recordPurgedAt).format('MMM D, YYYY')}.`
+            : `The original file and extracted text were purged under the retention policy on ${moment(document.retention.originalPurgedAt).format('MMM D, YYYY')}.`}
+        </Alert>
+      )}
+
+      {/* Live progress while the document is being validated */}
+      {document.status === 'processing' && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Validation Progress
+            </Typography>
+            <ValidationProgress documentId={id} onComplete={fetchDocument} />
+          </CardContent>
+        </Card>
+      )}
+
       <Grid container spacing={3}>
         {/* Document Information */}
         <Grid item xs={12} md={6}>
@@ -279,6 +412,32 @@ const DocumentDetails = () => {
                       <TableCell><strong>File Size:</strong></TableCell>
                       <TableCell>{(document.fileSize / 1024).toFixed(2)} KB</TableCell>
                     </TableRow>
+                    {document.pii && (
+                      <TableRow>
+                        <TableCell><strong>Personal Information:</strong></TableCell>
+                        <TableCell>
+                          {document.pii.detected ? (
+                            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                              {Object.entries(document.pii.byType).map(([type, count]) => (
+                                <Chip
+                                  key={type}
+                                  label={`${PII_LABELS[type] || type}: ${count}`}
+                                  color="warning"
+                                  size="small"
+                                />
+                              ))}
+                            </Box>
+                          ) : (
+                            'None detected'
+                          )}
+                          {document.pii.unlocated > 0 && (
+                            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                              {document.pii.unlocated} item(s) could not be located on the page, so a redacted copy is not available
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )}
                     {document.processingTime && (
                       <TableRow>
                         <TableCell><strong>Processing Time:</strong></TableCell>
@@ -393,6 +552,58 @@ const DocumentDetails = () => {
               document.validationResults.verbiage,
               <VerbiageIcon color="primary" />
             )}
+
+            {document.validationResults.termValidation && renderValidationResult(
+              'POA Term',
+              {
+                passed: document.validationResults.termValidation.status === 'pass',
+                issues: document.validationResults.termValidation.issues
+              },
+              <TermIcon color="primary" />
+            )}
+
+            {document.validationResults.notaryValidation?.seal && renderValidationResult(
+              'Notary Seal',
+              {
+                passed: document.validationResults.notaryValidation.seal.found
+                  && document.validationResults.notaryValidation.seal.commissionNumberMatches !== false
+                  && document.validationResults.notaryValidation.seal.commissionExpiryMatches !== false,
+                details: describeSeal(document.validationResults.notaryValidation.seal)
+              },
+              <SealIcon color="primary" />
+            )}
+
+            {document.validationResults.additionalChecks?.signatureValidation?.analyzed && renderValidationResult(
+              'Signatures',
+              {
+                passed: document.validationResults.additionalChecks.signatureValidation.status === 'pass',
+                details: document.validationResults.additionalChecks.signatureValidation.signatures
+                  .map(signature => `${signature.label} (page ${signature.pageNumber}): ${signature.state}`)
+                  .join(' · '),
+                issues: document.validationResults.additionalChecks.signatureValidation.issues
+              },
+              <SignatureIcon color="primary" />
+            )}
+
+            {document.validationResults.customRuleValidation && renderValidationResult(
+              'Custom Rules',
+              {
+                passed: document.validationResults.customRuleValidation.status === 'pass',
+                issues: document.validationResults.customRuleValidation.issues
+              },
+              <CustomRuleIcon color="primary" />
+            )}
+          </Grid>
+        )}
+
+        {/* Human Review */}
+        {document.review && (
+          <Grid item xs={12}>
+            <DocumentReview
+              documentId={id}
+              review={document.review}
+              onReviewed={fetchDocument}
+            />
           </Grid>
         )}
 
@@ -419,6 +630,35 @@ const DocumentDetails = () => {
           </Grid>
         )}
       </Grid>
+
+      <Dialog open={holdDialogOpen} onClose={() => setHoldDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Place legal hold</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            A held document is skipped by retention purges and cannot be deleted.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason"
+            value={holdReason}
+            onChange={(event) => setHoldReason(event.target.value)}
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHoldDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => handleLegalHold(true)}
+            disabled={savingHold || !holdReason.trim()}
+          >
+            Place Hold
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  RateReview as ReviewIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+import moment from 'moment';
+
+const CHECK_LABELS = {
+  notary: 'Notary',
+  witness: 'Witnesses',
+  verbiage: 'Verbiage',
+  term: 'POA Term',
+  dates: 'Dates',
+  signatures: 'Signatures'
+};
+
+const statusColor = (status) => {
+  switch (status) {
+    case 'pass': return 'success';
+    case 'warning': return 'warning';
+    case 'fail': return 'error';
+    default: return 'default';
+  }
+};
+
+const StatusChip = ({ status }) => (
+  status
+    ? <Chip label={status.toUpperCase()} color={statusColor(status)} size="small" />
+    : <Typography variant="body2" color="text.secondary">—</Typography>
+);
+
+const DocumentReview = ({ documentId, review, onReviewed }) => {
+  const { showSuccess, showError } = useNotification();
+  const [override, setOverride] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (checks) => {
+    try {
+      setSaving(true);
+      await api.post(`/documents/${documentId}/review`, { checks });
+      showSuccess('Review saved');
+      setOverride(null);
+      onReviewed();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirm = (check) => submit([{ check: check.check, decision: 'confirmed' }]);
+
+  const handleOverride = () => submit([{
+    check: override.check,
+    decision: 'overridden',
+    status: override.status,
+    reason: override.reason
+  }]);
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <ReviewIcon color="primary" />
+          <Typography variant="h6" sx={{ ml: 1, flexGrow: 1 }}>
+            Human Review
+          </Typography>
+          {review.humanReviewed && (
+            <Chip label="HUMAN REVIEWED" color="primary" size="small" sx={{ mr: 1 }} />
+          )}
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 3, mb: 2 }}>
+          <Box>
+            <Typography variant="caption" color="text.secondary">Automated result</Typography>
+            <Box><StatusChip status={review.automatedOverall} /></Box>
+          </Box>
+          <Box>
+            <Typography variant="caption" color="text.secondary">Reviewed result</Typography>
+            <Box><StatusChip status={review.humanReviewed ? review.overall : null} /></Box>
+          </Box>
+        </Box>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Check</TableCell>
+                <TableCell>Automated</TableCell>
+                <TableCell>Reviewed</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {review.checks.map((check) => (
+                <TableRow key={check.check}>
+                  <TableCell>{CHECK_LABELS[check.check] || check.check}</TableCell>
+                  <TableCell><StatusChip status={check.automatedStatus} /></TableCell>
+                  <TableCell>
+                    <StatusChip status={check.reviewedStatus} />
+                    {check.decision && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {check.decision} by {check.reviewerName}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{check.reason || ''}</TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      disabled={saving || !['pass', 'warning', 'fail'].includes(check.automatedStatus)}
+                      onClick={() => handleConfirm(check)}
+                    >
+                      Confirm
+                    </Button>
+                    <Button
+                      size="small"
+                      disabled={saving}
+                      onClick={() => setOverride({ check: check.check, status: 'pass', reason: '' })}
+                    >
+                      Override
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {review.history.length > 0 && (
+          <Accordion sx={{ mt: 2 }}>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Typography variant="subtitle2">Review History ({review.history.length})</Typography>
+            </AccordionSummary>
+            <AccordionDetails>
+              <List dense>
+                {[...review.history].reverse().map((entry, index) => (
+                  <ListItem key={index}>
+                    <ListItemText
+                      primary={`${CHECK_LABELS[entry.check] || entry.check} ${entry.decision}: ${entry.previousStatus?.toUpperCase() || 'UNKNOWN'} → ${entry.status.toUpperCase()}`}
+                      secondary={`${entry.reviewerName} - ${moment(entry.reviewedAt).format('MMM DD, YYYY HH:mm')}${entry.reason ? ` - ${entry.reason}` : ''}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </AccordionDetails>
+          </Accordion>
+        )}
+      </CardContent>
+
+      <Dialog open={!!override} onClose={() => setOverride(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Override {override && (CHECK_LABELS[override.check] || override.check)} check</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            margin="normal"
+            label="Reviewed status"
+            value={override?.status || 'pass'}
+            onChange={(e) => setOverride({ ...override, status: e.target.value })}
+          >
+            <MenuItem value="pass">Pass</MenuItem>
+            <MenuItem value="warning">Warning</MenuItem>
+            <MenuItem value="fail">Fail</MenuItem>
+          </TextField>
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            margin="normal"
+            label="Reason"
+            value={override?.reason || ''}
+            onChange={(e) => setOverride({ ...override, reason: e.target.value })}
+            inputProps={{ maxLength: 1000 }}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOverride(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleOverride}
+            disabled={saving || !override?.reason?.trim()}
+          >
+            Save Override
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default DocumentReview;
@@ -30,6 +30,7 @@ import { useNavigate } from 'react-router-dom';
 import api from '../../utils/api';
 import ScannedDocumentUpload from '../ScannedDocumentUpload';
 import ScannedDocumentViewer from '../ScannedDocumentViewer';
+import ValidationProgress from './ValidationProgress';
 
 const DocumentUpload = () => {
   const { user } = useAuth();
@@ -43,6 +44,7 @@ const DocumentUpload = () => {
   const [uploadType, setUploadType] = useState(0); // 0 = PDF, 1 = Scanned
   const [showScannedViewer, setShowScannedViewer] = useState(false);
   const [scannedDocumentId, setScannedDocumentId] = useState(null);
+  const [submittedDocuments, setSubmittedDocuments] = useState([]); // { documentId, name } being validated
 
   // Check if user can upload based on tier limits
   const canUpload = () => {
@@ -127,7 +129,11 @@ const DocumentUpload = () => {
         const response = await api.post('/documents/batch-validate', formData);
 
         showSuccess(`${uploadedFiles.length} documents uploaded successfully! Validation is in progress.`);
-        navigate('/documents');
+        setSubmittedDocuments((response.data.documentIds || []).map((documentId, index) => ({
+          documentId,
+          name: uploadedFiles[index]?.file.name
+        })));
+        setUploadedFiles([]);
       } else {
         // Single file upload
         const file = uploadedFiles[0];
@@ -138,7 +144,8 @@ const DocumentUpload = () => {
         const response = await api.post('/documents/validate', formData);
 
         showSuccess('Document uploaded successfully! Validation is in progress.');
-        navigate(`/documents/${response.data.documentId}`);
+        setSubmittedDocuments([{ documentId: response.data.documentId, name: file.file.name }]);
+        setUploadedFiles([]);
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -167,7 +174,7 @@ const DocumentUpload = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  if (!canUpload() && uploadedFiles.length === 0) {
+  if (!canUpload() && uploadedFiles.length === 0 && submittedDocuments.length === 0) {
     return (
       <Box sx={{ p: 3 }}>
         <Alert severity="warning" sx={{ mb: 3 }}>
@@ -244,6 +251,26 @@ const DocumentUpload = () => {
             </Typography>
           </Paper>
 
+          {/* Live validation progress for submitted documents */}
+          {submittedDocuments.length > 0 && (
+            <Box sx={{ mt: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Validation Progress
+              </Typography>
+              {submittedDocuments.map(({ documentId, name }) => (
+                <Paper key={documentId} sx={{ p: 2, mb: 1 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="body1" sx={{ flexGrow: 1 }}>{name}</Typography>
+                    <Button size="small" onClick={() => navigate(`/documents/${documentId}`)}>
+                      View Details
+                    </Button>
+                  </Box>
+                  <ValidationProgress documentId={documentId} />
+                </Paper>
+              ))}
+            </Box>
+          )}
+
           {/* Uploaded Files List */}
           {uploadedFiles.length > 0 && (
             <Box sx={{ mt: 3 }}>
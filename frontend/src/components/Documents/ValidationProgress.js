@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, Typography, LinearProgress } from '@mui/material';
+import api from '../../utils/api';
+import { subscribeToProgress, isTerminalStage } from '../../utils/progressStream';
+
+const STAGE_LABELS = {
+  queued: 'Queued',
+  extracting_text: 'Extracting text',
+  ocr: 'Recognizing text',
+  notary: 'Checking notary',
+  witnesses: 'Checking witnesses',
+  verbiage: 'Checking required verbiage',
+  term: 'Checking POA term',
+  custom_rules: 'Applying custom rules',
+  done: 'Validation complete',
+  failed: 'Validation failed'
+};
+
+const POLL_INTERVAL = 3000;
+
+const describeStage = (event) => {
+  if (!event) return 'Connecting...';
+
+  const label = STAGE_LABELS[event.stage] || event.stage;
+  if (event.stage === 'ocr' && event.ocrProgress !== undefined) {
+    const page = event.pageCount > 1 ? ` (page ${event.page} of ${event.pageCount})` : '';
+    return `${label} ${event.ocrProgress}%${page}`;
+  }
+  if (event.stage === 'queued' && event.retryAt) {
+    return `${label} - retrying after an error`;
+  }
+  if (event.stage === 'failed' && event.error) {
+    return `${label}: ${event.error}`;
+  }
+  return label;
+};
+
+// Live progress for a document that is being validated; onComplete receives the final event
+const ValidationProgress = ({ documentId, onComplete }) => {
+  const [event, setEvent] = useState(null);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  useEffect(() => {
+    let finished = false;
+    let pollTimer = null;
+
+    const handleEvent = (next) => {
+      if (finished) return;
+      setEvent(next);
+      if (isTerminalStage(next.stage)) {
+        finished = true;
+        clearInterval(pollTimer);
+        if (onCompleteRef.current) {
+          onCompleteRef.current(next);
+        }
+      }
+    };
+
+    // Fall back to polling the document when the stream is unavailable
+    const poll = async () => {
+      try {
+        const { data } = await api.get(`/documents/${documentId}`);
+        if (data.status === 'completed') {
+          handleEvent({ stage: 'done', percent: 100, overall: data.validationResults?.overall });
+        } else if (data.status === 'failed') {
+          handleEvent({ stage: 'failed', percent: 100, error: data.errorMessage });
+        }
+      } catch (error) {
+        console.error('Error polling validation progress:', error);
+      }
+    };
+
+    const unsubscribe = subscribeToProgress(documentId, {
+      onEvent: handleEvent,
+      onError: () => {
+        if (!finished && !pollTimer) {
+          pollTimer = setInterval(poll, POLL_INTERVAL);
+        }
+      }
+    });
+
+    return () => {
+      finished = true;
+      unsubscribe();
+      clearInterval(pollTimer);
+    };
+  }, [documentId]);
+
+  const color = event?.stage === 'failed' ? 'error' : event?.stage === 'done' ? 'success' : 'primary';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+        <Typography variant="body2">{describeStage(event)}</Typography>
+        {event?.percent !== undefined && (
+          <Typography variant="body2" color="text.secondary">{event.percent}%</Typography>
+        )}
+      </Box>
+      <LinearProgress
+        variant={event?.percent !== undefined ? 'determinate' : 'indeterminate'}
+        value={event?.percent || 0}
+        color={color}
+      />
+    </Box>
+  );
+};
+
+export default ValidationProgress;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { Alert, Button } from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+// Reminds unverified users to confirm their email, with a way to resend the link
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.isVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await api.post('/auth/verify-email/resend');
+      showSuccess(`${response.data.message} to ${user.email}`);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Could not send the verification email');
+    }
+    setSending(false);
+  };
+
+  return (
+    <Alert
+      severity={user.emailVerificationRequired ? 'warning' : 'info'}
+      sx={{ mb: 3 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend Link'}
+        </Button>
+      }
+    >
+      {user.emailVerificationRequired
+        ? 'Please verify your email address before validating documents. Check your inbox for the verification link.'
+        : 'Please verify your email address. Check your inbox for the verification link.'}
+    </Alert>
+  );
+};
+
+export default EmailVerificationBanner;
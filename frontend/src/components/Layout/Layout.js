@@ -3,6 +3,7 @@ import { Outlet } from 'react-router-dom';
 import { Box } from '@mui/material';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = React.useState(false);
@@ -25,6 +26,7 @@ const Layout = () => {
           backgroundColor: 'background.default'
         }}
       >
+        <EmailVerificationBanner />
         <Outlet />
       </Box>
     </Box>
@@ -16,11 +16,14 @@ import {
   Dashboard as DashboardIcon,
   CloudUpload as UploadIcon,
   Description as DocumentsIcon,
+  FolderShared as CasesIcon,
   Person as ProfileIcon,
   CreditCard as SubscriptionIcon,
   AdminPanelSettings as AdminIcon,
   Analytics as AnalyticsIcon,
-  People as UsersIcon
+  People as UsersIcon,
+  History as AuditIcon,
+  AutoDelete as RetentionIcon
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
@@ -53,6 +56,12 @@ const Sidebar = ({ open, onClose }) => {
       path: '/documents',
       show: true
     },
+    {
+      text: 'Cases',
+      icon: <CasesIcon />,
+      path: '/cases',
+      show: true
+    },
     {
       text: 'Profile',
       icon: <ProfileIcon />,
@@ -85,6 +94,18 @@ const Sidebar = ({ open, onClose }) => {
       icon: <AnalyticsIcon />,
       path: '/admin/analytics',
       show: user?.role === 'admin'
+    },
+    {
+      text: 'Audit Log',
+      icon: <AuditIcon />,
+      path: '/admin/audit-log',
+      show: user?.role === 'admin'
+    },
+    {
+      text: 'Data Retention',
+      icon: <RetentionIcon />,
+      path: '/admin/retention',
+      show: user?.role === 'admin'
     }
   ];
 
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import {
+  Archive as ExportIcon,
+  DeleteForever as DeleteIcon
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+import { downloadFromResponse, safeDownload } from '../../utils/downloadUtils';
+
+// Full data export and account deletion for the profile page
+const AccountData = () => {
+  const { user, logout } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const navigate = useNavigate();
+  const [exporting, setExporting] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    await safeDownload(
+      async () => {
+        // The archive streams every document, which can outlast the shared request timeout
+        const response = await api.get('/users/me/export', { responseType: 'blob', timeout: 0 });
+        downloadFromResponse(response, 'saygoodbye-export.zip');
+      },
+      () => showSuccess('Your data export has downloaded'),
+      () => showError('Failed to export your data')
+    );
+    setExporting(false);
+  };
+
+  const closeDialog = () => {
+    setDialogOpen(false);
+    setPassword('');
+    setCode('');
+    setError(null);
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    setError(null);
+    try {
+      await api.delete('/users/me', { data: { password, ...(code && { code }) } });
+      await logout();
+      showSuccess('Your account has been deleted');
+      navigate('/login');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete your account');
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Your Data
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Download a zip of your profile and every document you uploaded, with its results, original file and
+        validation report.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <Button variant="outlined" startIcon={<ExportIcon />} onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Preparing Export...' : 'Export My Data'}
+        </Button>
+        <Button variant="outlined" color="error" startIcon={<DeleteIcon />} onClick={() => setDialogOpen(true)}>
+          Delete Account
+        </Button>
+      </Box>
+
+      <Dialog open={dialogOpen} onClose={closeDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Your profile, personal documents and their files, cases, rules, webhooks and API keys are deleted
+            permanently and your subscription is canceled. Documents you uploaded to an organization library stay
+            with the organization, unless you own it and are its only member.
+          </Alert>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            autoFocus
+            fullWidth
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          {user?.twoFactorEnabled && (
+            <TextField
+              fullWidth
+              label="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handleDelete}
+            disabled={deleting || !password}
+          >
+            Delete Account
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AccountData;
@@ -0,0 +1,126 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Computer as ComputerIcon,
+  PhoneIphone as PhoneIcon
+} from '@mui/icons-material';
+import moment from 'moment';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const isMobile = (device = '') => /iOS|Android/.test(device);
+
+// Devices the user is signed in on, each of which can be signed out
+const ActiveSessions = () => {
+  const { showSuccess, showError } = useNotification();
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(null); // session id, or 'others'
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to load sessions');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusy(session.id);
+    try {
+      const response = await api.delete(`/auth/sessions/${session.id}`);
+      showSuccess(response.data.message);
+      await loadSessions();
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to sign out session');
+    }
+    setBusy(null);
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusy('others');
+    try {
+      const response = await api.delete('/auth/sessions');
+      showSuccess(response.data.message);
+      await loadSessions();
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to sign out other sessions');
+    }
+    setBusy(null);
+  };
+
+  if (!sessions) {
+    return <CircularProgress size={24} />;
+  }
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <DevicesIcon color="action" />
+        <Typography variant="subtitle1" fontWeight={500}>
+          Active Sessions
+        </Typography>
+      </Box>
+
+      <List dense disablePadding>
+        {sessions.map(session => (
+          <ListItem
+            key={session.id}
+            disableGutters
+            secondaryAction={session.current ? (
+              <Chip label="This device" color="primary" size="small" />
+            ) : (
+              <Button
+                size="small"
+                color="error"
+                onClick={() => handleRevoke(session)}
+                disabled={busy !== null}
+              >
+                Revoke
+              </Button>
+            )}
+          >
+            <ListItemIcon sx={{ minWidth: 36 }}>
+              {isMobile(session.device) ? <PhoneIcon /> : <ComputerIcon />}
+            </ListItemIcon>
+            <ListItemText
+              primary={session.device}
+              secondary={`${session.ip || 'Unknown IP'} · Last active ${moment(session.lastUsedAt).fromNow()}`}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      {hasOthers && (
+        <Button
+          variant="outlined"
+          color="error"
+          sx={{ mt: 1 }}
+          onClick={handleRevokeOthers}
+          disabled={busy !== null}
+        >
+          Sign Out Other Sessions
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,293 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  FormLabel,
+  Checkbox,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { VpnKey as KeyIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const SCOPE_LABELS = {
+  'documents:read': 'Read documents and validation results',
+  'documents:write': 'Upload, validate and delete documents',
+  'reports:read': 'Download validation reports'
+};
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' }
+];
+
+const emptyForm = { name: '', scopes: ['documents:read'], rateLimit: '', expiresInDays: '' };
+
+// Enterprise API key management for the profile page
+const ApiKeys = () => {
+  const { showSuccess, showError } = useNotification();
+  const [data, setData] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'create' | 'created' | key being revoked
+  const [form, setForm] = useState(emptyForm);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const response = await api.get('/api-keys');
+      setData(response.data);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to load API keys');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const openCreate = () => {
+    setForm(emptyForm);
+    setError(null);
+    setDialog('create');
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    setCreatedKey(null);
+    setSubmitting(false);
+  };
+
+  const toggleScope = (scope) => {
+    setForm(current => ({
+      ...current,
+      scopes: current.scopes.includes(scope)
+        ? current.scopes.filter(item => item !== scope)
+        : [...current.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await api.post('/api-keys', {
+        name: form.name.trim(),
+        scopes: form.scopes,
+        rateLimit: form.rateLimit ? Number(form.rateLimit) : undefined,
+        expiresInDays: form.expiresInDays || undefined
+      });
+      setCreatedKey(response.data.key);
+      setSubmitting(false);
+      setDialog('created');
+      await loadKeys();
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to create API key');
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    setSubmitting(true);
+    try {
+      const response = await api.delete(`/api-keys/${dialog.id}`);
+      showSuccess(response.data.message);
+      closeDialog();
+      await loadKeys();
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to revoke API key');
+      setSubmitting(false);
+    }
+  };
+
+  if (!data) {
+    return <CircularProgress size={24} />;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <KeyIcon color="action" />
+        <Typography variant="subtitle1" fontWeight={500}>
+          API Keys
+        </Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Let other systems submit and read documents on your behalf by sending a key in the{' '}
+        <code>X-API-Key</code> header.
+      </Typography>
+
+      {data.keys.length > 0 && (
+        <TableContainer component={Paper} variant="outlined" sx={{ my: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Key</TableCell>
+                <TableCell>Scopes</TableCell>
+                <TableCell>Last Used</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.keys.map(key => (
+                <TableRow key={key.id}>
+                  <TableCell>
+                    <Typography variant="body2">{key.name}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {key.rateLimit} requests/min
+                      {key.expiresAt && ` · expires ${moment(key.expiresAt).format('MMM DD, YYYY')}`}
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{key.prefix}…</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {key.scopes.map(scope => (
+                        <Chip key={scope} label={scope} size="small" variant="outlined" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    {key.lastUsedAt ? moment(key.lastUsedAt).fromNow() : 'Never'}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" color="error" onClick={() => setDialog(key)}>
+                      Revoke
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Button variant="outlined" sx={{ mt: 1 }} onClick={openCreate}>
+        Create API Key
+      </Button>
+
+      {/* Create */}
+      <Dialog open={dialog === 'create'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Create API Key</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          <TextField
+            fullWidth
+            label="Name"
+            value={form.name}
+            onChange={(event) => setForm({ ...form, name: event.target.value })}
+            margin="normal"
+            helperText="For example, the system that will use it"
+            inputProps={{ maxLength: 100 }}
+            autoFocus
+          />
+          <FormLabel component="legend" sx={{ mt: 2 }}>Scopes</FormLabel>
+          <FormGroup>
+            {data.scopes.map(scope => (
+              <FormControlLabel
+                key={scope}
+                control={<Checkbox checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />}
+                label={SCOPE_LABELS[scope] || scope}
+              />
+            ))}
+          </FormGroup>
+          <TextField
+            fullWidth
+            label="Rate Limit (requests per minute)"
+            type="number"
+            value={form.rateLimit}
+            onChange={(event) => setForm({ ...form, rateLimit: event.target.value })}
+            margin="normal"
+            placeholder={String(data.defaultRateLimit)}
+            inputProps={{ min: 1, max: 1000 }}
+          />
+          <TextField
+            select
+            fullWidth
+            label="Expires"
+            value={form.expiresInDays}
+            onChange={(event) => setForm({ ...form, expiresInDays: event.target.value })}
+            margin="normal"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <MenuItem key={option.label} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={submitting || !form.name.trim() || form.scopes.length === 0}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* New key, shown once */}
+      <Dialog open={dialog === 'created'} maxWidth="sm" fullWidth>
+        <DialogTitle>Your New API Key</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copy this key now. For your security it will not be shown again.
+          </Alert>
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              {createdKey}
+            </Typography>
+          </Paper>
+          <Button size="small" sx={{ mt: 1 }} onClick={() => navigator.clipboard?.writeText(createdKey)}>
+            Copy Key
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={closeDialog}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Revoke */}
+      <Dialog open={Boolean(dialog?.id)} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Revoke API Key</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">
+            Requests using <strong>{dialog?.name}</strong> ({dialog?.prefix}…) will be refused immediately.
+            This cannot be undone.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleRevoke} disabled={submitting}>
+            Revoke
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert
+} from '@mui/material';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const validationSchema = Yup.object({
+  currentPassword: Yup.string()
+    .required('Current password is required'),
+  newPassword: Yup.string()
+    .min(8, 'Password must be at least 8 characters')
+    .required('New password is required'),
+  confirmPassword: Yup.string()
+    .oneOf([Yup.ref('newPassword')], 'Passwords must match')
+    .required('Please confirm your new password')
+});
+
+// Change password from the profile page; the server signs out the user's other sessions
+const ChangePassword = ({ onChanged }) => {
+  const { showSuccess } = useNotification();
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const formik = useFormik({
+    initialValues: {
+      currentPassword: '',
+      newPassword: '',
+      confirmPassword: ''
+    },
+    validationSchema,
+    onSubmit: async (values) => {
+      setError(null);
+      try {
+        const response = await api.put('/auth/password', {
+          currentPassword: values.currentPassword,
+          newPassword: values.newPassword
+        });
+        showSuccess(response.data.message);
+        handleClose();
+        onChanged?.();
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to change password');
+      }
+    }
+  });
+
+  const handleClose = () => {
+    setOpen(false);
+    setError(null);
+    formik.resetForm();
+  };
+
+  const field = (name, label, autoComplete) => (
+    <TextField
+      fullWidth
+      id={name}
+      name={name}
+      label={label}
+      type="password"
+      margin="normal"
+      autoComplete={autoComplete}
+      value={formik.values[name]}
+      onChange={formik.handleChange}
+      onBlur={formik.handleBlur}
+      error={formik.touched[name] && Boolean(formik.errors[name])}
+      helperText={formik.touched[name] && formik.errors[name]}
+    />
+  );
+
+  return (
+    <>
+      <Button variant="outlined" fullWidth onClick={() => setOpen(true)}>
+        Change Password
+      </Button>
+
+      <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+        <form onSubmit={formik.handleSubmit}>
+          <DialogTitle>Change Password</DialogTitle>
+          <DialogContent>
+            {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+            {field('currentPassword', 'Current Password', 'current-password')}
+            {field('newPassword', 'New Password', 'new-password')}
+            {field('confirmPassword', 'Confirm New Password', 'new-password')}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleClose}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={formik.isSubmitting}>
+              Change Password
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+};
+
+export default ChangePassword;
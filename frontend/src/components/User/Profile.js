@@ -10,7 +10,6 @@ import {
   Avatar,
   Chip,
   Divider,
-  Alert,
   Paper,
   Table,
   TableBody,
@@ -32,6 +31,12 @@ import * as Yup from 'yup';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
 import api from '../../utils/api';
+import TwoFactorSettings from './TwoFactorSettings';
+import ChangePassword from './ChangePassword';
+import ActiveSessions from './ActiveSessions';
+import ApiKeys from './ApiKeys';
+import RetentionSettings from './RetentionSettings';
+import AccountData from './AccountData';
 import moment from 'moment';
 
 const validationSchema = Yup.object({
@@ -54,6 +59,8 @@ const Profile = () => {
   const { showSuccess, showError } = useNotification();
   const [editing, setEditing] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Bumped after a password change so the session list reloads without the signed-out devices
+  const [sessionsVersion, setSessionsVersion] = useState(0);
 
   const formik = useFormik({
     initialValues: {
@@ -361,34 +368,52 @@ const Profile = () => {
                 Security Settings
               </Typography>
               
-              <Alert severity="info" sx={{ mb: 2 }}>
-                For security reasons, password changes require email verification.
-              </Alert>
-
               <Grid container spacing={2}>
                 <Grid item xs={12} sm={6}>
-                  <Button
-                    variant="outlined"
-                    fullWidth
-                    disabled
-                  >
-                    Change Password
-                  </Button>
-                </Grid>
-                <Grid item xs={12} sm={6}>
-                  <Button
-                    variant="outlined"
-                    fullWidth
-                    disabled
-                  >
-                    Enable Two-Factor Auth
-                  </Button>
+                  <ChangePassword onChanged={() => setSessionsVersion(version => version + 1)} />
                 </Grid>
               </Grid>
 
               <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                Security features will be available in a future update.
+                Changing your password signs you out on all of your other devices.
               </Typography>
+
+              <Divider sx={{ my: 3 }} />
+
+              <TwoFactorSettings />
+
+              <Divider sx={{ my: 3 }} />
+
+              <ActiveSessions key={sessionsVersion} />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Data Retention */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <RetentionSettings />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* API Access (Enterprise) */}
+        {user?.tierLimits?.apiAccess && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <ApiKeys />
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Data Export and Account Deletion */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <AccountData />
             </CardContent>
           </Card>
         </Grid>
@@ -0,0 +1,178 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Grid,
+  CircularProgress
+} from '@mui/material';
+import { AutoDelete as RetentionIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const START_OPTIONS = [
+  { value: 'upload', label: 'Upload date' },
+  { value: 'case_closed', label: 'Case closed (cremated)' }
+];
+
+// Empty fields mean "keep forever"
+const toForm = (policy) => ({
+  enabled: policy.enabled,
+  startFrom: policy.startFrom,
+  originalFileDays: policy.originalFileDays ?? '',
+  recordDays: policy.recordDays ?? ''
+});
+
+const toDays = (value) => (value === '' ? null : Number(value));
+
+// Retention policy for the organization library, or the user's personal documents
+const RetentionSettings = () => {
+  const { user } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [policy, setPolicy] = useState(null);
+  const [form, setForm] = useState(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOrganization = Boolean(user?.organizationId);
+  const endpoint = isOrganization ? '/organizations/current/retention-policy' : '/users/retention-policy';
+
+  const loadPolicy = useCallback(async () => {
+    try {
+      const response = await api.get(endpoint);
+      setPolicy(response.data.retentionPolicy);
+      setForm(toForm(response.data.retentionPolicy));
+      setCanEdit(response.data.canEdit ?? true);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to load retention policy');
+    }
+  }, [endpoint, showError]);
+
+  useEffect(() => {
+    loadPolicy();
+  }, [loadPolicy]);
+
+  const handleChange = (field) => (event) => {
+    const value = field === 'enabled' ? event.target.checked : event.target.value;
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.put(endpoint, {
+        enabled: form.enabled,
+        startFrom: form.startFrom,
+        originalFileDays: toDays(form.originalFileDays),
+        recordDays: toDays(form.recordDays)
+      });
+      setPolicy(response.data.retentionPolicy);
+      setForm(toForm(response.data.retentionPolicy));
+      showSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save retention policy');
+    }
+    setSaving(false);
+  };
+
+  if (!form) {
+    return <CircularProgress size={24} />;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <RetentionIcon color="action" />
+        <Typography variant="subtitle1" fontWeight={500}>
+          Data Retention
+        </Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {isOrganization
+          ? 'Applies to every document in your organization library.'
+          : 'Applies to your personal documents.'}
+        {' '}Documents and cases under legal hold are never purged. Leave a period empty to keep forever.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {!canEdit && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Only organization owners and admins can change the retention policy.
+        </Alert>
+      )}
+
+      <FormControlLabel
+        control={<Switch checked={form.enabled} onChange={handleChange('enabled')} disabled={!canEdit} />}
+        label="Purge documents automatically"
+      />
+
+      <Grid container spacing={2} sx={{ mt: 0.5 }}>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Count from"
+            value={form.startFrom}
+            onChange={handleChange('startFrom')}
+            disabled={!canEdit}
+          >
+            {START_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Delete original file after (days)"
+            value={form.originalFileDays}
+            onChange={handleChange('originalFileDays')}
+            disabled={!canEdit}
+            inputProps={{ min: 1 }}
+            helperText="Also removes the extracted text"
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Delete validation record after (days)"
+            value={form.recordDays}
+            onChange={handleChange('recordDays')}
+            disabled={!canEdit}
+            inputProps={{ min: 1 }}
+            helperText="Keeps the file name, case and dates"
+          />
+        </Grid>
+      </Grid>
+
+      {canEdit && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+          <Button variant="outlined" onClick={handleSave} disabled={saving}>
+            Save Retention Policy
+          </Button>
+          {policy.updatedAt && (
+            <Typography variant="caption" color="text.secondary">
+              Last changed {moment(policy.updatedAt).format('MMM D, YYYY')}
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default RetentionSettings;
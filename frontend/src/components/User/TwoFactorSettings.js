@@ -0,0 +1,308 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  CircularProgress,
+  Paper
+} from '@mui/material';
+import { Security as SecurityIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../utils/api';
+
+const RecoveryCodeList = ({ codes }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join('\n'));
+  };
+
+  return (
+    <>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your
+        authenticator app, and they will not be shown again.
+      </Alert>
+      <Paper variant="outlined" sx={{ p: 2, fontFamily: 'monospace', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+        {codes.map(code => (
+          <Typography key={code} variant="body2" sx={{ fontFamily: 'monospace' }}>
+            {code}
+          </Typography>
+        ))}
+      </Paper>
+      <Button size="small" sx={{ mt: 1 }} onClick={handleCopy}>
+        Copy Codes
+      </Button>
+    </>
+  );
+};
+
+// Two-factor authentication management for the profile page
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [status, setStatus] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'setup' | 'disable' | 'regenerate' | 'codes'
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to load two-factor settings');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const openDialog = (name) => {
+    setDialog(name);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    setEnrollment(null);
+    setSubmitting(false);
+  };
+
+  const handleStartSetup = async () => {
+    setSubmitting(true);
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      setEnrollment(response.data);
+      openDialog('setup');
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to start two-factor setup');
+    }
+    setSubmitting(false);
+  };
+
+  // Run a dialog action; on failure the error is shown in the dialog
+  const submit = async (request, onSuccess) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await request();
+      await onSuccess(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = () => submit(
+    () => api.post('/auth/2fa/enable', { code }),
+    async (data) => {
+      updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+      setRecoveryCodes(data.recoveryCodes);
+      setEnrollment(null);
+      setSubmitting(false);
+      setDialog('codes');
+      showSuccess(data.message);
+      await loadStatus();
+    }
+  );
+
+  const handleDisable = () => submit(
+    () => api.post('/auth/2fa/disable', { password, code }),
+    async (data) => {
+      updateUser({ twoFactorEnabled: false });
+      closeDialog();
+      showSuccess(data.message);
+      await loadStatus();
+    }
+  );
+
+  const handleRegenerate = () => submit(
+    () => api.post('/auth/2fa/recovery-codes', { code }),
+    async (data) => {
+      setRecoveryCodes(data.recoveryCodes);
+      setSubmitting(false);
+      setDialog('codes');
+      showSuccess(data.message);
+      await loadStatus();
+    }
+  );
+
+  if (!status) {
+    return <CircularProgress size={24} />;
+  }
+
+  const codeField = (
+    <TextField
+      fullWidth
+      label="Authentication Code"
+      value={code}
+      onChange={(event) => setCode(event.target.value)}
+      margin="normal"
+      inputProps={{ inputMode: 'numeric', maxLength: 11 }}
+      helperText="The current code from your authenticator app"
+      autoComplete="one-time-code"
+      autoFocus={dialog !== 'disable'}
+    />
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <SecurityIcon color="action" />
+        <Typography variant="subtitle1" fontWeight={500}>
+          Two-Factor Authentication
+        </Typography>
+        <Chip
+          label={status.enabled ? 'Enabled' : 'Disabled'}
+          color={status.enabled ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      {status.requiredByOrganization && !status.enabled && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Your organization requires two-factor authentication. Set it up to continue using the app.
+        </Alert>
+      )}
+
+      {status.enabled ? (
+        <>
+          <Typography variant="body2" color="text.secondary">
+            Enabled {status.enabledAt ? moment(status.enabledAt).format('MMM DD, YYYY') : ''}
+            {' · '}{status.recoveryCodesRemaining} recovery codes remaining
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+            <Button variant="outlined" onClick={() => openDialog('regenerate')}>
+              New Recovery Codes
+            </Button>
+            {!status.requiredByOrganization && (
+              <Button variant="outlined" color="error" onClick={() => openDialog('disable')}>
+                Disable Two-Factor Auth
+              </Button>
+            )}
+          </Box>
+        </>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary">
+            Protect your account with a code from an authenticator app each time you sign in.
+          </Typography>
+          <Button variant="contained" sx={{ mt: 2 }} onClick={handleStartSetup} disabled={submitting}>
+            Enable Two-Factor Auth
+          </Button>
+        </>
+      )}
+
+      {/* Enrollment */}
+      <Dialog open={dialog === 'setup'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Set Up Two-Factor Authentication</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy,
+            then enter the 6-digit code it shows.
+          </Typography>
+          {enrollment && (
+            <Box sx={{ textAlign: 'center', my: 2 }}>
+              <img src={enrollment.qrCode} alt="Two-factor QR code" width={200} height={200} />
+              <Typography variant="caption" color="text.secondary" display="block">
+                Can't scan it? Enter this key manually:
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {enrollment.secret}
+              </Typography>
+            </Box>
+          )}
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          {codeField}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button variant="contained" onClick={handleEnable} disabled={submitting || !code.trim()}>
+            Verify and Enable
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Disable */}
+      <Dialog open={dialog === 'disable'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Disable Two-Factor Authentication</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Confirm with your password and a current code. Your recovery codes will stop working.
+          </Typography>
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          <TextField
+            fullWidth
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            margin="normal"
+            autoComplete="current-password"
+            autoFocus
+          />
+          {codeField}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handleDisable}
+            disabled={submitting || !password || !code.trim()}
+          >
+            Disable
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Regenerate recovery codes */}
+      <Dialog open={dialog === 'regenerate'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>New Recovery Codes</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Your existing recovery codes will stop working.
+          </Typography>
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          {codeField}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button variant="contained" onClick={handleRegenerate} disabled={submitting || !code.trim()}>
+            Generate
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Recovery codes, shown once */}
+      <Dialog open={dialog === 'codes'} maxWidth="xs" fullWidth>
+        <DialogTitle>Recovery Codes</DialogTitle>
+        <DialogContent>
+          <RecoveryCodeList codes={recoveryCodes} />
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => { setRecoveryCodes([]); closeDialog(); }}>
+            I've Saved These Codes
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
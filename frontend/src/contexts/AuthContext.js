@@ -15,6 +15,7 @@ const authReducer = (state, action) => {
   switch (action.type) {
     case 'LOGIN_SUCCESS':
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
       return {
         ...state,
         user: action.payload.user,
@@ -25,6 +26,7 @@ const authReducer = (state, action) => {
       };
     case 'LOGIN_FAIL':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -35,6 +37,7 @@ const authReducer = (state, action) => {
       };
     case 'LOGOUT':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -53,6 +56,7 @@ const authReducer = (state, action) => {
       };
     case 'LOAD_USER_FAIL':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -141,11 +145,18 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
+      // Enrolled users finish signing in with verifyTwoFactor
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       dispatch({ 
         type: 'LOGIN_SUCCESS', 
         payload: {
           user: response.data.user,
-          token: response.data.token
+          token: response.data.token,
+          refreshToken: response.data.refreshToken
         }
       });
 
@@ -158,6 +169,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/auth/login/2fa', {
+        challengeToken,
+        code
+      });
+
+      dispatch({ 
+        type: 'LOGIN_SUCCESS', 
+        payload: {
+          user: response.data.user,
+          token: response.data.token,
+          refreshToken: response.data.refreshToken
+        }
+      });
+
+      return { success: true, recoveryCodesRemaining: response.data.recoveryCodesRemaining };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Verification failed',
+        challengeExpired: !!error.response?.data?.challengeExpired
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
@@ -168,7 +206,8 @@ export const AuthProvider = ({ children }) => {
         type: 'LOGIN_SUCCESS', 
         payload: {
           user: response.data.user,
-          token: response.data.token
+          token: response.data.token,
+          refreshToken: response.data.refreshToken
         }
       });
 
@@ -181,8 +220,18 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
     dispatch({ type: 'LOGOUT' });
+
+    // End the session on the server too; signing out locally doesn't depend on it
+    if (refreshToken) {
+      try {
+        await api.post('/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
   };
 
   const updateUser = (userData) => {
@@ -213,6 +262,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     register,
     logout,
     loadUser,
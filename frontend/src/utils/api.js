@@ -26,16 +26,78 @@ api.interceptors.request.use(
   }
 );
 
+// Endpoints whose 401s mean bad credentials rather than an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshRequest = null;
+
+// Exchange the refresh token for a new access token. Concurrent 401s share one request,
+// since each refresh token can only be used once.
+const refreshSession = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have refreshed first and stored newer tokens
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const request = error.config;
+
+    // Access tokens are short-lived: refresh once and retry before signing the user out
+    if (
+      error.response?.status === 401 &&
+      request &&
+      !request._retried &&
+      !NO_REFRESH_PATHS.some(path => request.url?.startsWith(path)) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      request._retried = true;
+      try {
+        await refreshSession();
+        return api(request);
+      } catch (refreshError) {
+        // Fall through: the session is over
+      }
+    }
+
     if (error.response?.status === 401) {
       // Token expired or invalid
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       window.location.href = '/login';
     }
+    // Suspended while signed in: end the local session; the login page shows the reason on the next attempt
+    if (error.response?.status === 403 && error.response.data?.accountSuspended && window.location.pathname !== '/login') {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+      window.location.href = '/login';
+    }
+    // The user's organization requires 2FA they have not set up; it's enabled from the profile page
+    if (error.response?.status === 403 && error.response.data?.twoFactorSetupRequired && window.location.pathname !== '/profile') {
+      window.location.href = '/profile';
+    }
     return Promise.reject(error);
   }
 );
@@ -0,0 +1,60 @@
+import api from './api';
+
+/**
+ * Stream a document's validation progress from the Server-Sent Events endpoint.
+ * fetch is used instead of EventSource so the auth header can be sent.
+ * Returns a function that closes the stream.
+ */
+export const subscribeToProgress = (documentId, { onEvent, onError }) => {
+  const controller = new AbortController();
+
+  const stream = async () => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${api.defaults.baseURL}/documents/${documentId}/progress`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Progress stream unavailable (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+
+      messages.forEach((message) => {
+        const data = message
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('\n');
+
+        if (data) {
+          onEvent(JSON.parse(data));
+        }
+      });
+    }
+  };
+
+  stream().catch((error) => {
+    if (error.name !== 'AbortError' && onError) {
+      onError(error);
+    }
+  });
+
+  return () => controller.abort();
+};
+
+export const isTerminalStage = (stage) => stage === 'done' || stage === 'failed';